@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+/**
+ * LinkedIn Browser Automation - Command Line Interface
+ *
+ * Usage: linkedin-automation <command> [options]
+ * Run with --help for the list of commands.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
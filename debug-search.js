@@ -7,8 +7,9 @@
  * instead of the 213 real results available on LinkedIn.
  */
 
-const { JobSearch } = require('./src/modules/job-search');
-const { BrowserAutomation } = require('./src/modules/browser-automation');
+const JobSearch = require('./src/modules/job-search');
+const BrowserAutomation = require('./src/modules/browser-automation');
+const { extractJobCards } = require('./src/modules/snapshot-parser');
 const searchFilters = require('./config/search-filters.json');
 
 class SearchDebugger {
@@ -134,21 +135,12 @@ class SearchDebugger {
   }
 
   extractJobUrls(snapshot) {
-    const urls = [];
-    
-    if (snapshot && snapshot.text) {
-      // Look for LinkedIn job URLs in the text
-      const urlRegex = /https:\/\/www\.linkedin\.com\/jobs\/view\/\d+/g;
-      const matches = snapshot.text.match(urlRegex);
-      
-      if (matches) {
-        // Remove duplicates
-        const uniqueUrls = [...new Set(matches)];
-        urls.push(...uniqueUrls);
-      }
+    if (!snapshot || !snapshot.text) {
+      return [];
     }
     
-    return urls;
+    // Job cards parsed from the accessibility snapshot, one per job ID
+    return extractJobCards(snapshot.text).map(card => `${card.url} (${card.title} at ${card.company})`);
   }
 
   countEasyApplyJobs(snapshot) {
@@ -156,9 +148,7 @@ class SearchDebugger {
       return 0;
     }
     
-    const text = snapshot.text.toLowerCase();
-    const easyApplyMatches = (text.match(/easy apply/g) || []).length;
-    return easyApplyMatches;
+    return extractJobCards(snapshot.text).filter(card => card.easyApply).length;
   }
 
   async cleanup() {
@@ -177,15 +167,15 @@ class SearchDebugger {
 }
 
 async function main() {
-  const debugger = new SearchDebugger();
+  const searchDebugger = new SearchDebugger();
   
   try {
-    await debugger.initialize();
-    await debugger.debugLinkedInSearch();
+    await searchDebugger.initialize();
+    await searchDebugger.debugLinkedInSearch();
   } catch (error) {
     console.error('❌ Debug failed:', error);
   } finally {
-    await debugger.cleanup();
+    await searchDebugger.cleanup();
   }
 }
 
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Import Jobs from Files
+ *
+ * Runs job matching and (optionally) intelligent resume generation on
+ * postings collected outside LinkedIn: CSV/JSON exports, RSS/Atom job-alert
+ * feeds and saved job detail pages. No browser session is needed.
+ *
+ * Usage:
+ *   node import-jobs.js <file|directory>... [--resumes <count>] [--save <file.json>]
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const JobImporter = require('./src/modules/job-import');
+const JobSearch = require('./src/modules/job-search');
+const ResumeGenerator = require('./src/modules/resume-generator');
+
+/**
+ * Split command line arguments into input paths and options
+ */
+function parseArgs(argv) {
+  const options = { inputs: [], resumes: 0, save: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--resumes') {
+      options.resumes = parseInt(argv[++i], 10) || 0;
+    } else if (argv[i] === '--save') {
+      options.save = argv[++i];
+    } else {
+      options.inputs.push(argv[i]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Expand directories into the files they contain
+ */
+function expandInputs(inputs) {
+  return new JobImporter().expandPaths(inputs);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.inputs.length === 0) {
+    console.log('Usage: node import-jobs.js <file|directory>... [--resumes <count>] [--save <file.json>]');
+    console.log('Formats: .csv, .json, .rss/.atom/.xml, .html/.htm');
+    process.exit(1);
+  }
+
+  console.log('📥 Importing jobs from files...');
+  const { jobs, errors } = await new JobImporter().importFiles(expandInputs(options.inputs));
+
+  errors.forEach(failure => console.log(`   ❌ ${failure.file}: ${failure.error}`));
+  if (jobs.length === 0) {
+    console.log('No jobs found.');
+    process.exit(errors.length > 0 ? 1 : 0);
+  }
+
+  const analysis = await new JobSearch().analyzeJobMatches(jobs);
+
+  console.log('');
+  console.log(`📊 ${analysis.totalJobs} jobs ranked (average match ${analysis.averageMatch}%)`);
+  analysis.allJobs.forEach((job, index) => {
+    console.log(`   ${index + 1}. ${job.title} at ${job.company} (${job.location}) - ${job.matchScore}% ${job.recommendation}`);
+  });
+
+  if (options.resumes > 0) {
+    const resumeGenerator = new ResumeGenerator();
+    console.log('');
+    console.log(`🧠 Generating resumes for the top ${Math.min(options.resumes, analysis.allJobs.length)} jobs...`);
+
+    for (const job of analysis.allJobs.slice(0, options.resumes)) {
+      try {
+        const result = await resumeGenerator.generateResumeForJob(job);
+        console.log(`   ✅ ${job.title} at ${job.company}: ${result.matchScore}% match -> ${result.resumePath}`);
+      } catch (error) {
+        console.log(`   ❌ ${job.title} at ${job.company}: ${error.message}`);
+      }
+    }
+  }
+
+  if (options.save) {
+    fs.writeFileSync(options.save, JSON.stringify(analysis.allJobs, null, 2), 'utf8');
+    console.log('');
+    console.log(`💾 Saved ranked jobs to ${options.save}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Job import failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, expandInputs };
@@ -11,16 +11,18 @@
  * @version 4.0.0
  */
 
-const { JobSearch } = require('./src/modules/job-search');
-const { ApplicationSubmission } = require('./src/modules/application-submission');
-const { ResumeGenerator } = require('./src/modules/resume-generator');
-const { JobDescriptionAnalyzer } = require('./src/modules/job-description-analyzer');
+const JobSearch = require('./src/modules/job-search');
+const ApplicationSubmission = require('./src/modules/application-submission');
+const ResumeGenerator = require('./src/modules/resume-generator');
+const JobDescriptionAnalyzer = require('./src/modules/job-description-analyzer');
 const { LinearIntegration } = require('./src/modules/linear-integration');
 const { ErrorHandler, Logger } = require('./src/modules/error-handling');
+const { JobStore } = require('./src/modules/job-store');
+const { detectRedFlags, redFlagRejection } = require('./src/modules/red-flag-detector');
 const diversifiedStrategy = require('./config/diversified-search-strategy.json');
 
 class DiversifiedLinkedInSearch {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger('DiversifiedSearch-MainSystem');
     this.errorHandler = new ErrorHandler();
     
@@ -37,6 +39,11 @@ class DiversifiedLinkedInSearch {
     this.searchStrategy = diversifiedStrategy.searchExecutionStrategy;
     this.qualityFilters = diversifiedStrategy.qualityFilters;
     
+    // Persistent job store; the config exclusion lists only seed it
+    this.jobStore = options.jobStore || new JobStore();
+    this.jobStore.importExclusions(this.duplicatePreventionDB);
+    this.sessionJobKeys = new Set();
+    
     // Tracking data
     this.allFoundJobs = [];
     this.uniqueJobs = [];
@@ -72,11 +79,11 @@ class DiversifiedLinkedInSearch {
       this.logger.info('Resume generator initialized');
       
       // Initialize job analyzer
-      this.jobAnalyzer = new JobDescriptionAnalyzer();
+      this.jobAnalyzer = new JobDescriptionAnalyzer({ jobStore: this.jobStore });
       this.logger.info('Job description analyzer initialized');
       
       // Initialize application submission
-      this.applicationSubmission = new ApplicationSubmission();
+      this.applicationSubmission = new ApplicationSubmission({ jobStore: this.jobStore });
       await this.applicationSubmission.initialize();
       this.logger.info('✅ Application submission system initialized');
       
@@ -104,7 +111,7 @@ class DiversifiedLinkedInSearch {
           this.logger.info(`🔍 Executing search ${i + 1}/${this.searchConfigurations.length}: ${config.name}`);
           
           // Execute search with current configuration
-          const searchResults = await this.jobSearch.searchJobs(config);
+          const { results: searchResults } = await this.jobSearch.searchJobs(config);
           this.performanceMetrics.searchesExecuted++;
           this.performanceMetrics.totalJobsFound += searchResults.length;
           
@@ -160,38 +167,24 @@ class DiversifiedLinkedInSearch {
     const uniqueJobs = [];
     
     for (const job of jobs) {
-      // Check against excluded URLs
-      if (this.duplicatePreventionDB.excludedJobUrls.includes(job.url)) {
+      // Check against applied and excluded jobs from earlier runs (reposts match by fingerprint)
+      const blocking = this.jobStore.findBlocking(job);
+      if (blocking) {
         this.duplicatesSkipped.push({
-          reason: 'Excluded URL',
+          reason: this.describeBlockingMatch(blocking),
           job: `${job.title} at ${job.company}`,
           url: job.url,
+          matchedBy: blocking.matchedBy,
           searchConfig: searchConfigId
         });
         this.performanceMetrics.duplicatesSkipped++;
         continue;
       }
       
-      // Check against excluded company+position combinations
-      const companyPosition = `${job.company}|${job.title}`;
-      if (this.duplicatePreventionDB.excludedCompanyPositions.includes(companyPosition)) {
-        this.duplicatesSkipped.push({
-          reason: 'Excluded Company+Position',
-          job: `${job.title} at ${job.company}`,
-          combination: companyPosition,
-          searchConfig: searchConfigId
-        });
-        this.performanceMetrics.duplicatesSkipped++;
-        continue;
-      }
-      
-      // Check for within-session duplicates
-      const alreadyFound = this.uniqueJobs.some(existingJob => 
-        existingJob.url === job.url || 
-        `${existingJob.company}|${existingJob.title}` === companyPosition
-      );
+      // Check for within-session duplicates (same job found by another search)
+      const { record } = this.jobStore.upsert(job, { searchConfig: searchConfigId });
       
-      if (alreadyFound) {
+      if (this.sessionJobKeys.has(record.key)) {
         this.duplicatesSkipped.push({
           reason: 'Within-session duplicate',
           job: `${job.title} at ${job.company}`,
@@ -219,14 +212,24 @@ class DiversifiedLinkedInSearch {
         foundAt: new Date().toISOString()
       });
       
-      // Update exclusion database to prevent future duplicates
-      this.duplicatePreventionDB.excludedJobUrls.push(job.url);
-      this.duplicatePreventionDB.excludedCompanyPositions.push(companyPosition);
+      this.sessionJobKeys.add(record.key);
     }
     
+    this.jobStore.save();
+    
     return uniqueJobs;
   }
 
+  /**
+   * Describe why the job store blocked a job
+   */
+  describeBlockingMatch({ record, matchedBy }) {
+    if (record.status === 'applied') {
+      return matchedBy === 'fingerprint' ? 'Already applied (repost)' : 'Already applied';
+    }
+    return matchedBy === 'companyPosition' ? 'Excluded Company+Position' : 'Excluded URL';
+  }
+
   /**
    * Check if position is genuinely Full Stack
    */
@@ -248,7 +251,10 @@ class DiversifiedLinkedInSearch {
       jobText.includes(skill.toLowerCase())
     );
     
-    return hasFullStackKeywords && !hasExcludedKeywords && hasRequiredSkills;
+    // Check for scam, agency repost, ghost job and seniority red flags
+    const hasRedFlags = redFlagRejection(detectRedFlags(job), this.qualityFilters.redFlags) !== null;
+    
+    return hasFullStackKeywords && !hasExcludedKeywords && hasRequiredSkills && !hasRedFlags;
   }
 
   /**
@@ -324,7 +330,9 @@ class DiversifiedLinkedInSearch {
     });
     console.log('');
     console.log('🛡️ Duplicate Prevention:');
-    console.log(`   • Previous applications excluded: ${this.duplicatePreventionDB.excludedJobUrls.length}`);
+    const storeStats = this.jobStore.getStats();
+    console.log(`   • Previous applications excluded: ${storeStats.applied + storeStats.excluded}`);
+    console.log(`   • Jobs remembered across runs: ${storeStats.total}`);
     console.log(`   • Real-time duplicates prevented: ${this.duplicatesSkipped.length}`);
     console.log('');
     console.log('🎉 Diversified search strategy completed successfully!');
@@ -10,10 +10,10 @@
  * @version 3.0.0
  */
 
-const { JobSearch } = require('./src/modules/job-search');
-const { ApplicationSubmission } = require('./src/modules/application-submission');
-const { ResumeGenerator } = require('./src/modules/resume-generator');
-const { JobDescriptionAnalyzer } = require('./src/modules/job-description-analyzer');
+const JobSearch = require('./src/modules/job-search');
+const ApplicationSubmission = require('./src/modules/application-submission');
+const ResumeGenerator = require('./src/modules/resume-generator');
+const JobDescriptionAnalyzer = require('./src/modules/job-description-analyzer');
 const { LinearIntegration } = require('./src/modules/linear-integration');
 const { ErrorHandler, Logger } = require('./src/modules/error-handling');
 const config = require('./src/config');
@@ -148,7 +148,7 @@ class FullStackBatch2LinkedInAutomation {
           industries: ['Technology', 'Software Development', 'Fintech', 'SaaS']
         };
         
-        const results = await this.jobSearch.searchJobs(searchFilters);
+        const { results } = await this.jobSearch.searchJobs(searchFilters);
         this.logger.info(`✅ Found ${results.length} positions with ${strategy.name}`);
         
         // Filter out duplicates and add to unique jobs
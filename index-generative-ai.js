@@ -10,10 +10,10 @@
  * @version 2.1.0
  */
 
-const { JobSearch } = require('./src/modules/job-search');
-const { ApplicationSubmission } = require('./src/modules/application-submission');
-const { ResumeGenerator } = require('./src/modules/resume-generator');
-const { JobDescriptionAnalyzer } = require('./src/modules/job-description-analyzer');
+const JobSearch = require('./src/modules/job-search');
+const ApplicationSubmission = require('./src/modules/application-submission');
+const ResumeGenerator = require('./src/modules/resume-generator');
+const JobDescriptionAnalyzer = require('./src/modules/job-description-analyzer');
 const { LinearIntegration } = require('./src/modules/linear-integration');
 const { ErrorHandler, Logger } = require('./src/modules/error-handling');
 const config = require('./src/config');
@@ -108,10 +108,10 @@ class GenerativeAILinkedInAutomation {
         industries: ['Technology', 'Artificial Intelligence', 'Software Development', 'Research']
       };
       
-      const results = await this.jobSearch.searchJobs(searchFilters);
+      const { results } = await this.jobSearch.searchJobs(searchFilters);
       this.logger.info(`✅ Found ${results.length} Generative AI job positions`);
       
-      return results;
+      return this.jobSearch.enrichJobDetails(results);
     }, 'searchGenerativeAIJobs');
   }
 
@@ -10,10 +10,10 @@
  * @version 2.0.0
  */
 
-const { JobSearch } = require('./src/modules/job-search');
-const { ApplicationSubmission } = require('./src/modules/application-submission');
-const { ResumeGenerator } = require('./src/modules/resume-generator');
-const { JobDescriptionAnalyzer } = require('./src/modules/job-description-analyzer');
+const JobSearch = require('./src/modules/job-search');
+const ApplicationSubmission = require('./src/modules/application-submission');
+const ResumeGenerator = require('./src/modules/resume-generator');
+const JobDescriptionAnalyzer = require('./src/modules/job-description-analyzer');
 const { LinearIntegration } = require('./src/modules/linear-integration');
 const { ErrorHandler, Logger } = require('./src/modules/error-handling');
 const config = require('./src/config');
@@ -106,10 +106,10 @@ class LinkedInAutomationWithLinear {
         description: 'Search Engine Optimization roles with 80%+ match requirement'
       };
       
-      const results = await this.jobSearch.searchJobs(searchFilters);
+      const { results } = await this.jobSearch.searchJobs(searchFilters);
       this.logger.info(`✅ Found ${results.length} job positions`);
       
-      return results;
+      return this.jobSearch.enrichJobDetails(results);
     }, 'searchJobs');
   }
 
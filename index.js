@@ -15,6 +15,8 @@ const JobSearch = require('./src/modules/job-search');
 const ApplicationSubmission = require('./src/modules/application-submission');
 const ResumeGenerator = require('./src/modules/resume-generator');
 const JobDescriptionAnalyzer = require('./src/modules/job-description-analyzer');
+const { ApplicationPipeline } = require('./src/modules/application-pipeline');
+const { canonicalId } = require('./src/modules/job-store');
 const { Logger, ErrorHandler } = require('./src/modules/error-handling');
 const config = require('./src/config');
 
@@ -89,45 +91,51 @@ async function analyzeJobMatches(jobs = null) {
 }
 
 async function submitApplications(selectedJobs, options = {}) {
-  return errorHandler.handleWithRetry(async () => {
-    logger.info(`📄 Submitting applications to ${selectedJobs.length} positions...`);
-
-    if (!applicationSubmission) {
-      throw new Error('Application submission module not initialized');
-    }
-
-    const results = [];
+  logger.info(`📄 Submitting applications to ${selectedJobs.length} positions...`);
 
-    for (const job of selectedJobs) {
-      try {
-        logger.info(`Applying to: ${job.title} at ${job.company}`);
-
-        const result = await applicationSubmission.submitApplication(job, options);
-        results.push(result);
-
-        // Add delay between applications to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 5000));
+  if (!applicationSubmission) {
+    throw new Error('Application submission module not initialized');
+  }
 
-      } catch (error) {
-        logger.error(`Failed to apply to ${job.title}:`, error);
-        results.push({
-          success: false,
-          job: job,
-          error: error.message
-        });
-      }
+  // Jobs go through the durable queue: apply, then track. A batch cut short
+  // by a crash continues from its checkpoint on the next run. Jobs left in
+  // the queue by an earlier batch are queued again, so every result below
+  // comes from this run (the apply stage skips jobs already applied to).
+  const pipeline = new ApplicationPipeline({
+    jobSearch,
+    applicationSubmission,
+    resumeGenerator,
+    jobStore: applicationSubmission.jobStore,
+    applicationOptions: options
+  });
+  pipeline.queue.enqueue(selectedJobs, { stage: 'apply', requeue: true });
+  await pipeline.queue.process({ stages: ['apply', 'track'] });
+
+  const results = selectedJobs.map(job => {
+    const key = canonicalId(job);
+    const item = key && pipeline.queue.get(key);
+    if (!item) {
+      return { success: false, job, status: 'not queued', error: 'No job ID or URL to queue it by' };
     }
 
-    const successCount = results.filter(r => r.success).length;
-    logger.info(`✅ Applications completed: ${successCount}/${selectedJobs.length} successful`);
-
+    const last = item.history[item.history.length - 1];
     return {
-      success: true,
-      totalApplications: selectedJobs.length,
-      successfulApplications: successCount,
-      results: results
+      success: item.status === 'done' || item.stage === 'track',
+      job,
+      status: item.status,
+      error: item.lastError || (item.status === 'skipped' && last ? last.reason : null)
     };
-  }, { operation: 'submitApplications' });
+  });
+
+  const successCount = results.filter(r => r.success).length;
+  logger.info(`✅ Applications completed: ${successCount}/${selectedJobs.length} successful`);
+
+  return {
+    success: true,
+    totalApplications: selectedJobs.length,
+    successfulApplications: successCount,
+    results: results
+  };
 }
 
 // Main execution function
@@ -149,8 +157,11 @@ async function main() {
     logger.info(`Searching for ${searchCriteria.name}...`);
     const searchResults = await searchJobs(searchCriteria);
 
+    // Open each posting for the full description before analysis
+    const enrichedJobs = await jobSearch.enrichJobDetails(searchResults.results);
+
     // Analyze job matches
-    const analysis = await analyzeJobMatches(searchResults.results);
+    const analysis = await analyzeJobMatches(enrichedJobs);
 
     // Phase 3: Intelligent Resume Generation Demo
     logger.info('🧠 Demonstrating intelligent resume generation...');
@@ -242,7 +253,7 @@ async function generateSummaryReport(searchResults, analysis, applicationResults
     console.log('');
     console.log(`👤 Profile: ${profileConfig.name} (${profileConfig.title})`);
     console.log(`📍 Location: ${profileConfig.location}`);
-    console.log(`🎯 Experience: ${profileConfig.experience}`);
+    console.log(`🎯 Experience: ${profileConfig.yearsOfExperience}+ years`);
     console.log('');
     console.log('🔍 Search Results:');
     console.log(`   • Total positions found: ${searchResults.resultsCount}`);
@@ -158,13 +158,6 @@ console.log('-' .repeat(40));
 
 function testResumeCustomization(templateType, jobAnalysis) {
     // Simulate resume generation based on template
-    const baseProfile = {
-        name: "Ivo Dachev",
-        email: "dachevivo@gmail.com",
-        phone: "+1 (650) 222-7923",
-        location: "San Francisco Bay Area"
-    };
-
     // Generate customized summary based on template
     let customizedSummary;
     if (templateType === 'seo') {
@@ -0,0 +1,563 @@
+/**
+ * MCP Client - JSON-RPC 2.0 over stdio or SSE
+ *
+ * Connects to an MCP server such as browsermcp, either by spawning it as a
+ * child process and exchanging newline-delimited JSON-RPC messages over
+ * stdio, or by attaching to an already running server over the SSE
+ * transport. Performs the initialize / tools/list handshake and exposes
+ * callTool() with per-request timeouts and automatic reconnects.
+ */
+
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { Logger } = require('../src/modules/error-handling');
+
+const PROTOCOL_VERSION = '2024-11-05';
+const CLIENT_INFO = { name: 'linkedin-browser-automation', version: '1.0.0' };
+
+/**
+ * Error raised for JSON-RPC failures and tool results flagged with isError
+ */
+class McpError extends Error {
+  constructor(message, code = null, data = null) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+class McpClient extends EventEmitter {
+  /**
+   * @param {object} options - Connection options
+   * @param {string} [options.name] - Server name used in logs
+   * @param {string} [options.transport] - 'stdio' or 'sse' (inferred from url when omitted)
+   * @param {string} [options.command] - Executable to spawn for stdio
+   * @param {string[]} [options.args] - Arguments for the spawned server
+   * @param {object} [options.env] - Extra environment variables for the server
+   * @param {string} [options.url] - SSE endpoint of a running server
+   * @param {number} [options.connectionTimeout] - Handshake timeout in ms
+   * @param {number} [options.requestTimeout] - Default per-request timeout in ms
+   * @param {object} [options.reconnect] - { maxAttempts, delay } for lost connections
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'mcp';
+    this.transport = options.transport || (options.url ? 'sse' : 'stdio');
+    this.command = options.command;
+    this.args = options.args || [];
+    this.env = options.env || {};
+    this.cwd = options.cwd || process.cwd();
+    this.url = options.url || null;
+    this.connectionTimeout = options.connectionTimeout || 30000;
+    this.requestTimeout = options.requestTimeout || 60000;
+    this.reconnect = { maxAttempts: 3, delay: 2000, ...(options.reconnect || {}) };
+    this.logger = new Logger(`McpClient:${this.name}`);
+
+    this.nextId = 1;
+    this.pending = new Map();
+    this.tools = [];
+    this.serverInfo = null;
+    this.connected = false;
+    this.connecting = null;
+    this.closing = false;
+
+    this.child = null;
+    this.stdoutBuffer = '';
+    this.sseRequest = null;
+    this.sseBuffer = '';
+    this.postUrl = null;
+  }
+
+  /**
+   * Connect and complete the MCP handshake (idempotent)
+   */
+  async connect() {
+    if (this.connected) {
+      return this;
+    }
+
+    if (!this.connecting) {
+      this.connecting = this.establishConnection().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    return this.connecting;
+  }
+
+  /**
+   * Open the transport, send initialize and load the tool list
+   */
+  async establishConnection() {
+    this.closing = false;
+    this.logger.info(`Connecting to ${this.name} MCP server over ${this.transport}...`);
+
+    try {
+      await this.withTimeout(
+        this.transport === 'sse' ? this.openSse() : this.openStdio(),
+        this.connectionTimeout,
+        `Timed out connecting to ${this.name} MCP server`
+      );
+
+      const initResult = await this.request('initialize', {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: CLIENT_INFO
+      }, this.connectionTimeout);
+
+      this.serverInfo = initResult.serverInfo || null;
+      await this.notify('notifications/initialized');
+
+      const toolList = await this.request('tools/list', {}, this.connectionTimeout);
+      this.tools = toolList.tools || [];
+      this.connected = true;
+
+      this.logger.info(`✅ Connected to ${this.name} MCP server (${this.tools.length} tools available)`);
+      this.emit('connected', { serverInfo: this.serverInfo, tools: this.tools });
+
+      return this;
+
+    } catch (error) {
+      this.teardownTransport();
+      error.retryable = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Spawn the server process and wire its stdio to the JSON-RPC reader
+   */
+  openStdio() {
+    if (!this.command) {
+      return Promise.reject(new Error(`No command configured for ${this.name} MCP server`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, this.args, {
+        cwd: this.cwd,
+        env: { ...process.env, ...this.env },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        // npx and friends are .cmd shims on Windows
+        shell: process.platform === 'win32'
+      });
+
+      this.child = child;
+      this.stdoutBuffer = '';
+
+      child.once('spawn', () => resolve());
+      child.once('error', error => {
+        reject(error);
+        this.handleDisconnect(error);
+      });
+
+      // Writing to a server that just died fails with EPIPE here, not only in the write callback
+      child.stdin.on('error', error => {
+        if (this.child === child) {
+          this.handleDisconnect(error);
+        }
+      });
+
+      child.stdout.setEncoding('utf8');
+      child.stdout.on('data', chunk => this.handleStdoutData(chunk));
+      child.stderr.on('data', chunk => this.logger.debug(`[server] ${chunk.toString().trim()}`));
+      child.on('exit', (code, signal) => {
+        this.handleDisconnect(new Error(`${this.name} MCP server exited (code: ${code}, signal: ${signal})`));
+      });
+    });
+  }
+
+  /**
+   * Open the SSE stream and wait for the server to announce its POST endpoint
+   */
+  openSse() {
+    if (!this.url) {
+      return Promise.reject(new Error(`No URL configured for ${this.name} MCP server`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const streamUrl = new URL(this.url);
+      const lib = streamUrl.protocol === 'https:' ? https : http;
+      let announced = false;
+
+      this.sseBuffer = '';
+      this.postUrl = null;
+
+      const request = lib.get(streamUrl, { headers: { Accept: 'text/event-stream' } }, response => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(new Error(`SSE connection failed with HTTP ${response.statusCode}`));
+          return;
+        }
+
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          this.handleSseData(chunk, (event, data) => {
+            if (event === 'endpoint') {
+              this.postUrl = new URL(data.trim(), streamUrl).toString();
+              if (!announced) {
+                announced = true;
+                resolve();
+              }
+            } else if (event === 'message') {
+              this.handleRawMessage(data);
+            }
+          });
+        });
+        response.on('end', () => this.handleDisconnect(new Error('SSE stream closed by server')));
+      });
+
+      request.on('error', error => {
+        reject(error);
+        this.handleDisconnect(error);
+      });
+
+      this.sseRequest = request;
+    });
+  }
+
+  /**
+   * Split stdout into newline-delimited JSON-RPC messages
+   */
+  handleStdoutData(chunk) {
+    this.stdoutBuffer += chunk;
+
+    let newlineIndex;
+    while ((newlineIndex = this.stdoutBuffer.indexOf('\n')) !== -1) {
+      const line = this.stdoutBuffer.slice(0, newlineIndex).trim();
+      this.stdoutBuffer = this.stdoutBuffer.slice(newlineIndex + 1);
+
+      if (line) {
+        this.handleRawMessage(line);
+      }
+    }
+  }
+
+  /**
+   * Parse SSE frames ("event:" / "data:" blocks separated by blank lines)
+   */
+  handleSseData(chunk, onEvent) {
+    this.sseBuffer += chunk.replace(/\r\n/g, '\n');
+
+    let separatorIndex;
+    while ((separatorIndex = this.sseBuffer.indexOf('\n\n')) !== -1) {
+      const block = this.sseBuffer.slice(0, separatorIndex);
+      this.sseBuffer = this.sseBuffer.slice(separatorIndex + 2);
+
+      let event = 'message';
+      const data = [];
+
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).replace(/^ /, ''));
+        }
+      });
+
+      if (data.length > 0) {
+        onEvent(event, data.join('\n'));
+      }
+    }
+  }
+
+  /**
+   * Decode a single JSON-RPC message
+   */
+  handleRawMessage(raw) {
+    let message;
+
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      this.logger.debug(`Ignoring non JSON-RPC output: ${raw.slice(0, 200)}`);
+      return;
+    }
+
+    this.handleMessage(message);
+  }
+
+  /**
+   * Route responses to pending requests and answer server-initiated requests
+   */
+  handleMessage(message) {
+    const isResponse = message.id !== undefined && message.id !== null &&
+      (message.result !== undefined || message.error !== undefined);
+
+    if (isResponse) {
+      const pending = this.pending.get(message.id);
+      if (!pending) {
+        return;
+      }
+
+      clearTimeout(pending.timer);
+      this.pending.delete(message.id);
+
+      if (message.error) {
+        pending.reject(new McpError(message.error.message, message.error.code, message.error.data));
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.method && message.id !== undefined) {
+      // Server-to-client request: we only support ping
+      const reply = message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+
+      this.send(reply).catch(error => this.logger.warn('Failed to answer server request:', error.message));
+      return;
+    }
+
+    if (message.method) {
+      this.emit('notification', message);
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request and wait for its response
+   */
+  request(method, params = {}, timeout = this.requestTimeout) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        const error = new Error(`MCP request "${method}" timed out after ${timeout}ms`);
+        error.name = 'TimeoutError';
+        reject(error);
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, timer, method });
+
+      this.send({ jsonrpc: '2.0', id, method, params }).catch(error => {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        error.retryable = true;
+        error.unsent = true;
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Send a JSON-RPC notification (no response expected)
+   */
+  notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params) {
+      message.params = params;
+    }
+    return this.send(message);
+  }
+
+  /**
+   * Write a message to the active transport
+   */
+  send(message) {
+    if (this.transport === 'sse') {
+      return this.postMessage(message);
+    }
+
+    if (!this.child || !this.child.stdin.writable) {
+      return Promise.reject(new Error(`${this.name} MCP server is not running`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.child.stdin.write(JSON.stringify(message) + '\n', error => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * POST a message to the SSE transport's endpoint
+   */
+  postMessage(message) {
+    if (!this.postUrl) {
+      return Promise.reject(new Error(`${this.name} MCP server has not announced a message endpoint`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const target = new URL(this.postUrl);
+      const lib = target.protocol === 'https:' ? https : http;
+      const body = JSON.stringify(message);
+
+      const request = lib.request(target, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      }, response => {
+        response.resume();
+        if (response.statusCode >= 400) {
+          reject(new Error(`MCP message POST failed with HTTP ${response.statusCode}`));
+        } else {
+          resolve();
+        }
+      });
+
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Call a tool, reconnecting and retrying when the connection drops
+   *
+   * A call lost in flight may already have run on the server, so it is only
+   * sent again when options.idempotent says repeating it is harmless (a
+   * snapshot, not a click or a submit); calls that never reached the server
+   * are always retried.
+   */
+  async callTool(name, args = {}, options = {}) {
+    const timeout = options.timeout || this.requestTimeout;
+    const maxAttempts = this.reconnect.maxAttempts;
+
+    for (let attempt = 0; ; attempt++) {
+      let requested = false;
+
+      try {
+        await this.connect();
+
+        requested = true;
+        const result = await this.request('tools/call', { name, arguments: args }, timeout);
+
+        if (result && result.isError) {
+          throw new McpError(extractText(result) || `Tool "${name}" reported an error`, null, result);
+        }
+
+        return result;
+
+      } catch (error) {
+        const mayHaveRun = requested && !error.unsent;
+        if (!error.retryable || attempt >= maxAttempts || (mayHaveRun && !options.idempotent)) {
+          throw error;
+        }
+
+        const delay = this.reconnect.delay * (attempt + 1);
+        this.logger.warn(`Connection to ${this.name} lost during "${name}", reconnecting in ${delay}ms (${attempt + 1}/${maxAttempts})`);
+        this.teardownTransport();
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * List tools advertised by the server
+   */
+  async listTools() {
+    await this.connect();
+    return this.tools;
+  }
+
+  /**
+   * Mark the connection as lost and fail in-flight requests
+   */
+  handleDisconnect(error) {
+    if (this.closing) {
+      return;
+    }
+
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.rejectPending(Object.assign(error, { retryable: true }));
+    this.teardownTransport();
+
+    if (wasConnected) {
+      this.logger.warn(`Disconnected from ${this.name} MCP server: ${error.message}`);
+      this.emit('disconnected', error);
+    }
+  }
+
+  /**
+   * Reject every pending request with the given error
+   */
+  rejectPending(error) {
+    for (const [id, pending] of this.pending.entries()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+      this.pending.delete(id);
+    }
+  }
+
+  /**
+   * Release transport resources without touching pending requests
+   */
+  teardownTransport() {
+    this.connected = false;
+
+    if (this.child) {
+      const child = this.child;
+      this.child = null;
+      child.removeAllListeners('exit');
+      child.stdin.end();
+      child.kill();
+    }
+
+    if (this.sseRequest) {
+      const request = this.sseRequest;
+      this.sseRequest = null;
+      request.destroy();
+    }
+
+    this.postUrl = null;
+  }
+
+  /**
+   * Close the connection and stop the server process
+   */
+  async close() {
+    this.closing = true;
+    this.rejectPending(new Error(`${this.name} MCP client closed`));
+    this.teardownTransport();
+    this.logger.info(`${this.name} MCP connection closed`);
+  }
+
+  /**
+   * Race a promise against a timeout
+   */
+  withTimeout(promise, timeout, message) {
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(message);
+        error.name = 'TimeoutError';
+        reject(error);
+      }, timeout);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+}
+
+/**
+ * Join the text content blocks of a tool result
+ */
+function extractText(result) {
+  if (!result || !Array.isArray(result.content)) {
+    return '';
+  }
+
+  return result.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+module.exports = {
+  McpClient,
+  McpError,
+  extractText,
+  PROTOCOL_VERSION
+};
@@ -2,10 +2,99 @@
  * Real MCP Toolbox Client for browsermcp Integration
  *
  * This module provides integration with the browsermcp MCP server.
- * The MCP functions are only available in the AI assistant environment,
- * so this creates a bridge for the Node.js application to request MCP actions.
+ * Each configured server gets one shared McpClient which spawns (or attaches
+ * to) the server and speaks JSON-RPC to it, so the pipeline works from a
+ * plain `node index.js` or a cron job without an AI assistant session.
  */
 
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/config');
+const { McpClient, extractText } = require('./mcp-client');
+
+const clients = new Map();
+const references = new Map();
+
+/**
+ * Build client options for a qualified server name from configuration
+ * @param {string} qualifiedName - The qualified name of the server (e.g., 'browsermcp')
+ * @returns {object} - McpClient options
+ */
+function resolveServerOptions(qualifiedName) {
+  const browserConfig = config.get('browsermcp');
+
+  if (!browserConfig || browserConfig.serverName !== qualifiedName) {
+    throw new Error(`No MCP server configured for "${qualifiedName}"`);
+  }
+
+  const server = browserConfig.server || {};
+
+  return {
+    name: qualifiedName,
+    transport: server.transport,
+    command: server.command,
+    args: server.args,
+    env: server.env,
+    url: server.url,
+    connectionTimeout: browserConfig.connectionTimeout,
+    requestTimeout: browserConfig.requestTimeout,
+    reconnect: browserConfig.reconnect
+  };
+}
+
+/**
+ * Get (or lazily create) the shared client for a server
+ * @param {string} qualifiedName - Server name
+ * @returns {McpClient}
+ */
+function getClient(qualifiedName) {
+  if (!clients.has(qualifiedName)) {
+    clients.set(qualifiedName, new McpClient(resolveServerOptions(qualifiedName)));
+  }
+  return clients.get(qualifiedName);
+}
+
+/**
+ * Connect to a server and hold a reference to the shared connection
+ * @param {string} qualifiedName - Server name
+ * @returns {Promise<object>} - Server info and available tools
+ */
+async function connect(qualifiedName) {
+  const client = getClient(qualifiedName);
+  await client.connect();
+  references.set(qualifiedName, (references.get(qualifiedName) || 0) + 1);
+
+  return {
+    serverInfo: client.serverInfo,
+    tools: client.tools.map(tool => tool.name)
+  };
+}
+
+/**
+ * Release a reference; the server is stopped when nobody holds it anymore
+ * @param {string} qualifiedName - Server name
+ */
+async function disconnect(qualifiedName) {
+  const remaining = Math.max((references.get(qualifiedName) || 0) - 1, 0);
+  references.set(qualifiedName, remaining);
+
+  if (remaining === 0 && clients.has(qualifiedName)) {
+    await clients.get(qualifiedName).close();
+    clients.delete(qualifiedName);
+  }
+}
+
+/**
+ * Close every open server connection
+ */
+async function closeAll() {
+  for (const [qualifiedName, client] of clients.entries()) {
+    await client.close();
+    clients.delete(qualifiedName);
+    references.delete(qualifiedName);
+  }
+}
+
 /**
  * Use a tool from the real MCP toolbox
  * @param {string} qualifiedName - The qualified name of the server (e.g., 'browsermcp')
@@ -17,7 +106,6 @@ async function use_tool_toolbox(qualifiedName, parameters) {
     console.log(`🔧 REAL MCP Tool Call: ${qualifiedName} -> ${parameters.name}`);
     console.log(`📋 Parameters:`, JSON.stringify(parameters.arguments, null, 2));
 
-    // Make actual MCP server call - NO SIMULATION
     const result = await makeRealMCPCall(qualifiedName, parameters);
 
     console.log(`✅ Real MCP Response received`);
@@ -36,141 +124,159 @@ async function use_tool_toolbox(qualifiedName, parameters) {
  * @returns {Promise<object>} - Real server response
  */
 async function makeRealMCPCall(qualifiedName, parameters) {
-  // Direct calls to actual MCP functions available in the environment
+  const client = getClient(qualifiedName);
+  const toolName = toServerToolName(parameters.name, qualifiedName);
+  const args = { ...(parameters.arguments || {}) };
 
-  switch (parameters.name) {
-    case 'browser_navigate_browsermcp':
-      return await directNavigate(parameters.arguments);
+  switch (toolName) {
+    case 'browser_navigate':
+      return directNavigate(client, args);
 
-    case 'browser_snapshot_browsermcp':
-      return await directSnapshot(parameters.arguments);
+    case 'browser_snapshot':
+      return directSnapshot(client, args);
 
-    case 'browser_click_browsermcp':
-      return await directClick(parameters.arguments);
+    case 'browser_click':
+      return directClick(client, args);
 
-    case 'browser_type_browsermcp':
-      return await directType(parameters.arguments);
+    case 'browser_type':
+      return directType(client, args);
 
-    case 'browser_screenshot_browsermcp':
-      return await directScreenshot(parameters.arguments);
+    case 'browser_screenshot':
+      return directScreenshot(client, args);
 
-    default:
-      throw new Error(`Unknown MCP tool: ${parameters.name}`);
+    default: {
+      const mcpResult = await client.callTool(toolName, args);
+      return {
+        success: true,
+        text: extractText(mcpResult),
+        timestamp: new Date().toISOString(),
+        mcpResult
+      };
+    }
   }
 }
 
+/**
+ * Map "browser_navigate_browsermcp" style names to the server's own tool name
+ */
+function toServerToolName(name, qualifiedName) {
+  const suffix = `_${qualifiedName}`;
+  return name.endsWith(suffix) ? name.slice(0, -suffix.length) : name;
+}
+
 /**
  * Direct navigation using browsermcp MCP server
  */
-async function directNavigate(args) {
+async function directNavigate(client, args) {
   console.log(`🌐 Direct MCP Navigation to: ${args.url}`);
 
-  try {
-    // Call the actual browsermcp MCP function available in the environment
-    const result = await browser_navigate_browsermcp(args.url);
-
-    return {
-      success: true,
-      url: args.url,
-      timestamp: new Date().toISOString(),
-      mcpResult: result
-    };
-  } catch (error) {
-    console.error('MCP navigation failed:', error);
-    throw error;
-  }
+  const mcpResult = await client.callTool('browser_navigate', { url: args.url }, { idempotent: true });
+
+  return {
+    success: true,
+    url: args.url,
+    text: extractText(mcpResult),
+    timestamp: new Date().toISOString(),
+    mcpResult
+  };
 }
 
 /**
  * Direct page snapshot using browsermcp MCP server
  */
-async function directSnapshot(args) {
+async function directSnapshot(client) {
   console.log('📸 Direct MCP Page Snapshot...');
 
-  try {
-    // Call the actual browsermcp MCP function available in the environment
-    const result = await browser_snapshot_browsermcp();
-
-    return {
-      success: true,
-      title: result.title || 'Page Title',
-      text: result.text || result,
-      timestamp: new Date().toISOString(),
-      mcpResult: result
-    };
-  } catch (error) {
-    console.error('MCP snapshot failed:', error);
-    throw error;
-  }
+  const mcpResult = await client.callTool('browser_snapshot', {}, { idempotent: true });
+  const text = extractText(mcpResult);
+  const titleMatch = text.match(/^- Page Title:\s*(.+)$/m);
+  const urlMatch = text.match(/^- Page URL:\s*(.+)$/m);
+
+  return {
+    success: true,
+    title: titleMatch ? titleMatch[1].trim() : 'Page Title',
+    url: urlMatch ? urlMatch[1].trim() : null,
+    text,
+    timestamp: new Date().toISOString(),
+    mcpResult
+  };
 }
 
 /**
  * Direct click using browsermcp MCP server
  */
-async function directClick(args) {
+async function directClick(client, args) {
   console.log(`🖱️ Direct MCP Click: ${args.element}`);
 
-  try {
-    // Call the actual browsermcp MCP function available in the environment
-    const result = await browser_click_browsermcp(args.element, args.ref);
-
-    return {
-      success: true,
-      element: args.element,
-      timestamp: new Date().toISOString(),
-      mcpResult: result
-    };
-  } catch (error) {
-    console.error('MCP click failed:', error);
-    throw error;
-  }
+  const mcpResult = await client.callTool('browser_click', {
+    element: args.element,
+    ref: args.ref
+  });
+
+  return {
+    success: true,
+    element: args.element,
+    timestamp: new Date().toISOString(),
+    mcpResult
+  };
 }
 
 /**
  * Direct typing using browsermcp MCP server
  */
-async function directType(args) {
+async function directType(client, args) {
   console.log(`⌨️ Direct MCP Typing: ${args.element} -> "${args.text}"`);
 
-  try {
-    // Call the actual browsermcp MCP function available in the environment
-    const result = await browser_type_browsermcp(args.element, args.ref, args.text, args.submit || false);
-
-    return {
-      success: true,
-      element: args.element,
-      text: args.text,
-      timestamp: new Date().toISOString(),
-      mcpResult: result
-    };
-  } catch (error) {
-    console.error('MCP typing failed:', error);
-    throw error;
-  }
+  const mcpResult = await client.callTool('browser_type', {
+    element: args.element,
+    ref: args.ref,
+    text: args.text,
+    submit: args.submit || false
+  });
+
+  return {
+    success: true,
+    element: args.element,
+    text: args.text,
+    timestamp: new Date().toISOString(),
+    mcpResult
+  };
 }
 
 /**
- * Direct screenshot using browsermcp MCP server
+ * Direct screenshot using browsermcp MCP server; the image is saved locally
  */
-async function directScreenshot(args) {
-  console.log(`📷 Direct MCP Screenshot: ${args.filename || 'screenshot.png'}`);
+async function directScreenshot(client, args) {
+  const filename = args.filename || `screenshot-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+  console.log(`📷 Direct MCP Screenshot: ${filename}`);
 
-  try {
-    // Call the actual browsermcp MCP function available in the environment
-    const result = await browser_screenshot_browsermcp();
-
-    return {
-      success: true,
-      filename: args.filename || 'screenshot.png',
-      timestamp: new Date().toISOString(),
-      mcpResult: result
-    };
-  } catch (error) {
-    console.error('MCP screenshot failed:', error);
-    throw error;
+  const mcpResult = await client.callTool('browser_screenshot', {}, { idempotent: true });
+  const image = (mcpResult.content || []).find(block => block.type === 'image');
+
+  let filePath = null;
+  if (image && image.data) {
+    const screenshotDir = path.join(__dirname, '..', 'screenshots');
+    if (!fs.existsSync(screenshotDir)) {
+      fs.mkdirSync(screenshotDir, { recursive: true });
+    }
+    filePath = path.join(screenshotDir, filename);
+    fs.writeFileSync(filePath, Buffer.from(image.data, 'base64'));
   }
+
+  return {
+    success: true,
+    filename,
+    path: filePath,
+    mimeType: image ? image.mimeType : null,
+    timestamp: new Date().toISOString(),
+    mcpResult
+  };
 }
 
 module.exports = {
-  use_tool_toolbox
+  use_tool_toolbox,
+  connect,
+  disconnect,
+  closeAll,
+  getClient
 };
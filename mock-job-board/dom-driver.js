@@ -0,0 +1,370 @@
+/**
+ * DOM Browser Driver - jsdom Backend for the Mock Job Board
+ *
+ * Loads mock board pages over HTTP into jsdom and runs their scripts, so
+ * JobSearch and ApplicationSubmission can drive the real search form and
+ * Easy Apply modal where Chromium cannot be launched (CI containers without
+ * the system libraries Puppeteer needs). Snapshots are rendered in the
+ * browsermcp YAML outline, and like the Puppeteer driver only visible
+ * elements can be found, clicked or typed into.
+ *
+ * It is a development tool for the mock board, not a LinkedIn backend, so it
+ * is not part of the browsermcp.driver registry.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { implForWrapper } = require('jsdom/lib/jsdom/living/generated/utils');
+const BrowserDriver = require('../src/modules/browser-drivers/base-driver');
+
+const POLL_INTERVAL = 50;
+
+const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'BR'];
+
+const ROLES = {
+  A: 'link',
+  ARTICLE: 'article',
+  BUTTON: 'button',
+  DD: 'definition',
+  DL: 'list',
+  DT: 'term',
+  FIELDSET: 'group',
+  FORM: 'form',
+  H1: 'heading',
+  H2: 'heading',
+  H3: 'heading',
+  H4: 'heading',
+  H5: 'heading',
+  H6: 'heading',
+  LABEL: 'text',
+  LEGEND: 'text',
+  LI: 'listitem',
+  MAIN: 'main',
+  NAV: 'navigation',
+  OL: 'list',
+  P: 'paragraph',
+  SECTION: 'region',
+  STRONG: 'strong',
+  TEXTAREA: 'textbox',
+  TIME: 'time',
+  UL: 'list'
+};
+
+const INPUT_ROLES = {
+  checkbox: 'checkbox',
+  number: 'spinbutton',
+  radio: 'radio',
+  file: 'button'
+};
+
+// Roles named after their own text, so the text is not repeated as children
+const NAMED_BY_CONTENT = ['link', 'button', 'heading', 'term', 'text'];
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const collapse = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+class DomDriver extends BrowserDriver {
+  constructor(browserConfig = {}) {
+    super('dom', browserConfig);
+    this.dom = null;
+    this.requests = new Set();
+    this.pendingNavigation = null;
+    this.screenshotDir = path.join(__dirname, '..', 'screenshots');
+  }
+
+  async connect() {
+    this.connected = true;
+    return { serverInfo: { name: 'dom' }, tools: [] };
+  }
+
+  async close() {
+    this.closePage();
+    this.connected = false;
+  }
+
+  closePage() {
+    if (this.dom) {
+      this.dom.window.close();
+    }
+    this.dom = null;
+  }
+
+  get window() {
+    if (!this.dom) {
+      throw new Error('No page loaded - navigate first');
+    }
+    return this.dom.window;
+  }
+
+  async navigate(url) {
+    const response = await fetch(url);
+    const html = await response.text();
+    const virtualConsole = new VirtualConsole();
+
+    // jsdom reports unimplemented navigation here; link and form navigation is handled by settle()
+    virtualConsole.on('jsdomError', error => this.logger.debug(`Page error: ${error.message}`));
+
+    this.closePage();
+    this.pendingNavigation = null;
+    this.dom = new JSDOM(html, {
+      url: response.url,
+      runScripts: 'dangerously',
+      virtualConsole,
+      beforeParse: window => this.instrument(window, response.url)
+    });
+
+    return { success: true, url: response.url, status: response.status };
+  }
+
+  /**
+   * Give the page a fetch that resolves against the page URL and is tracked,
+   * and note the navigations jsdom itself does not perform
+   */
+  instrument(window, pageUrl) {
+    window.fetch = (input, init) => {
+      const request = fetch(new URL(String(input), pageUrl), init);
+      const tracked = request.catch(() => {}).finally(() => this.requests.delete(tracked));
+      this.requests.add(tracked);
+      return request;
+    };
+
+    window.addEventListener('click', event => {
+      const link = event.target.closest && event.target.closest('a[href]');
+      if (link && !event.defaultPrevented) {
+        this.pendingNavigation = link.href;
+      }
+    });
+
+    window.addEventListener('submit', event => {
+      const form = event.target;
+      if (event.defaultPrevented || form.method.toLowerCase() !== 'get') {
+        return;
+      }
+      const target = new URL(form.action, pageUrl);
+      target.search = new URLSearchParams(new window.FormData(form)).toString();
+      this.pendingNavigation = target.toString();
+    });
+  }
+
+  /**
+   * Let page requests finish, then follow a link or form the last action triggered
+   */
+  async settle() {
+    while (this.requests.size > 0) {
+      await Promise.all([...this.requests]);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (this.pendingNavigation) {
+      const url = this.pendingNavigation;
+      this.pendingNavigation = null;
+      await this.navigate(url);
+    }
+  }
+
+  isVisible(element) {
+    if (element.tagName === 'INPUT' && element.type === 'hidden') {
+      return false;
+    }
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      if (node.hidden || SKIPPED_TAGS.includes(node.tagName)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * First visible element matching the selector, or null
+   */
+  findVisible(selector) {
+    const elements = this.window.document.querySelectorAll(selector);
+    return Array.from(elements).find(element => this.isVisible(element)) || null;
+  }
+
+  requireVisible(selector) {
+    const element = this.findVisible(selector);
+    if (!element) {
+      throw new Error(`No visible element matches ${selector}`);
+    }
+    return element;
+  }
+
+  async click(selector) {
+    this.requireVisible(selector).click();
+    await this.settle();
+    return { success: true, selector };
+  }
+
+  async type(selector, text, options = {}) {
+    const element = this.requireVisible(selector);
+    const { Event } = this.window;
+
+    element.focus();
+    element.value += text;
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+
+    if (options.submit && element.form) {
+      element.form.requestSubmit();
+    }
+    await this.settle();
+    return { success: true, selector, text };
+  }
+
+  async clear(selector) {
+    const element = this.requireVisible(selector);
+    element.value = '';
+    element.dispatchEvent(new this.window.Event('input', { bubbles: true }));
+    return { success: true, selector };
+  }
+
+  async snapshot() {
+    const { document, location } = this.window;
+    const url = location.href;
+
+    const text = [
+      `- Page URL: ${url}`,
+      `- Page Title: ${document.title}`,
+      '- Page Snapshot',
+      '```yaml',
+      ...this.renderChildren(document.body, 0),
+      '```'
+    ].join('\n');
+
+    return { url, title: document.title, text };
+  }
+
+  /**
+   * Render an element's visible children as YAML outline lines
+   */
+  renderChildren(element, depth) {
+    const lines = [];
+
+    for (const child of element.childNodes) {
+      if (child.nodeType === 3) {
+        const text = collapse(child.textContent);
+        if (text) {
+          lines.push(`${'  '.repeat(depth)}- text: ${text}`);
+        }
+      } else if (child.nodeType === 1 && this.isVisible(child)) {
+        lines.push(...this.renderElement(child, depth));
+      }
+    }
+
+    return lines;
+  }
+
+  renderElement(element, depth) {
+    const indent = '  '.repeat(depth);
+    const role = this.roleOf(element);
+    const name = this.nameOf(element, role);
+    const attributes = role === 'heading' ? ` [level=${element.tagName[1]}]` : '';
+    const label = `${indent}- ${role}${name ? ` ${JSON.stringify(name)}` : ''}${attributes}`;
+
+    if (NAMED_BY_CONTENT.includes(role)) {
+      return role === 'link'
+        ? [`${label}:`, `${indent}  - /url: ${element.href}`]
+        : [label];
+    }
+
+    const children = this.renderChildren(element, depth + 1);
+
+    // A generic wrapper around one piece of text reads "- generic: text"
+    if (!name && children.length === 1 && children[0].startsWith(`${indent}  - text: `)) {
+      return [`${label}: ${children[0].slice(`${indent}  - text: `.length)}`];
+    }
+
+    return children.length > 0 ? [`${label}:`, ...children] : [label];
+  }
+
+  roleOf(element) {
+    if (element.getAttribute('role')) {
+      return element.getAttribute('role');
+    }
+    if (element.tagName === 'INPUT') {
+      return INPUT_ROLES[element.type] || 'textbox';
+    }
+    if (element.tagName === 'SECTION' && !element.getAttribute('aria-label')) {
+      return 'generic';
+    }
+    return ROLES[element.tagName] || 'generic';
+  }
+
+  nameOf(element, role) {
+    const labelled = element.getAttribute('aria-label');
+    if (labelled) {
+      return labelled;
+    }
+    if (element.labels && element.labels.length > 0) {
+      return collapse(element.labels[0].textContent);
+    }
+    return NAMED_BY_CONTENT.includes(role) ? collapse(element.textContent) : '';
+  }
+
+  /**
+   * A DOM has no pixels, so the page HTML is saved where the image would go
+   */
+  async screenshot(filename) {
+    if (!fs.existsSync(this.screenshotDir)) {
+      fs.mkdirSync(this.screenshotDir, { recursive: true });
+    }
+
+    const filePath = path.join(this.screenshotDir, `${filename}.html`);
+    fs.writeFileSync(filePath, this.dom.serialize(), 'utf8');
+    return { filename, path: filePath };
+  }
+
+  async uploadFile(selector, filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Upload file not found: ${filePath}`);
+    }
+
+    const input = this.requireVisible(selector);
+    if (input.tagName !== 'INPUT' || input.type !== 'file') {
+      throw this.unsupported('uploadFile through a file chooser');
+    }
+
+    const { File, Event } = this.window;
+    const file = new File([fs.readFileSync(filePath)], path.basename(filePath), {
+      type: MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+    });
+
+    // The file list has no public setter; this is what choosing a file does
+    implForWrapper(input.files).push(implForWrapper(file));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+
+    return { success: true, selector, filePath };
+  }
+
+  async evaluate(pageFunction, ...args) {
+    const result = await this.window.eval(`(${pageFunction})(...${JSON.stringify(args)})`);
+    await this.settle();
+    return result;
+  }
+
+  async waitForSelector(selector, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+
+    await this.settle();
+    while (!this.findVisible(selector)) {
+      if (Date.now() >= deadline) {
+        throw new Error(`Waiting for selector \`${selector}\` failed: ${timeout}ms exceeded`);
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+
+    return { success: true, selector };
+  }
+}
+
+module.exports = DomDriver;
@@ -0,0 +1,127 @@
+/**
+ * Cassette Recorder - Easy Apply Session Against the Mock Job Board
+ *
+ * Starts the mock job board, validates the session and submits one Easy
+ * Apply application through ApplicationSubmission while RecordingDriver
+ * writes every browser call to tests/fixtures/cassettes. The replay tests
+ * run the same flow from that cassette without a browser.
+ *
+ * Usage:
+ *   npm run record-cassette                          # jsdom (DomDriver)
+ *   BROWSER_DRIVER=puppeteer npm run record-cassette # local Chromium
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const ApplicationSubmission = require('../src/modules/application-submission');
+const { JobStore } = require('../src/modules/job-store');
+const { ApplicationQuota } = require('../src/modules/application-quota');
+const { createDriver, RecordingDriver } = require('../src/modules/browser-drivers');
+const { createMockJobBoard, loadJobs } = require('./server');
+const DomDriver = require('./dom-driver');
+
+// Recorded URLs include the port, so replays configure the same base URL
+const BOARD_URL = 'http://localhost:4100';
+const CASSETTE_PATH = path.join(__dirname, '..', 'tests', 'fixtures', 'cassettes', 'mock-board-easy-apply.json');
+const JOB_ID = '4100000002';
+
+/**
+ * The job the session applies to, as JobSearch would hand it over
+ */
+function easyApplyJob(boardUrl = BOARD_URL) {
+  const job = loadJobs().find(candidate => candidate.id === JOB_ID);
+
+  return {
+    id: `job-${job.id}`,
+    jobId: job.id,
+    title: job.title,
+    company: job.company,
+    location: job.location,
+    description: job.description,
+    url: `${boardUrl}/jobs/view/${job.id}`
+  };
+}
+
+/**
+ * Point the linkedin section at the mock board
+ */
+function useBoard(boardUrl = BOARD_URL) {
+  config.update('linkedin', {
+    baseUrl: boardUrl,
+    jobsUrl: `${boardUrl}/jobs`,
+    searchUrl: `${boardUrl}/jobs/search`
+  });
+}
+
+/**
+ * Record the session validation and one Easy Apply submission
+ * @param {object} options - { driver: 'dom' | 'puppeteer', cassettePath }
+ */
+async function recordEasyApplySession(options = {}) {
+  const driverName = options.driver || 'dom';
+  const cassettePath = options.cassettePath || CASSETTE_PATH;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'record-cassette-'));
+  const server = createMockJobBoard();
+
+  await new Promise(resolve => server.listen(new URL(BOARD_URL).port, resolve));
+
+  try {
+    useBoard();
+
+    const browserConfig = config.get('browsermcp');
+    const inner = driverName === 'dom' ? new DomDriver(browserConfig) : createDriver(driverName, browserConfig);
+    const recorder = new RecordingDriver(inner, cassettePath);
+    const submission = new ApplicationSubmission({
+      jobStore: new JobStore(path.join(workDir, 'job-store.json')),
+      quota: new ApplicationQuota({ filePath: path.join(workDir, 'application-quota.json') }),
+      logDir: path.join(workDir, 'logs')
+    });
+
+    // Stands in for a generated resume, whose path is not compared on replay
+    const resumePath = path.join(workDir, 'resume.pdf');
+    fs.writeFileSync(resumePath, '%PDF-1.4\n');
+
+    await recorder.connect();
+    Object.assign(submission.browser, { driver: recorder, isConnected: true });
+
+    try {
+      await submission.browser.validateLinkedInSession();
+      await submission.submitApplication(easyApplyJob(), {
+        generatedResume: { success: true, resumePath, matchScore: 88 }
+      });
+    } finally {
+      await recorder.close();
+    }
+
+    return { cassettePath, interactions: recorder.cassette.interactions.length, applications: server.applications };
+
+  } finally {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  recordEasyApplySession({ driver: process.env.BROWSER_DRIVER || 'dom' })
+    .then(({ cassettePath, interactions, applications }) => {
+      console.log(`📼 Recorded ${interactions} interactions to ${path.relative(process.cwd(), cassettePath)}`);
+      console.log(`   The mock board received ${applications.length} application(s)`);
+    })
+    .catch(error => {
+      console.error('❌ Recording failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  BOARD_URL,
+  CASSETTE_PATH,
+  easyApplyJob,
+  useBoard,
+  recordEasyApplySession
+};
@@ -0,0 +1,477 @@
+/**
+ * Mock Job Board - Local LinkedIn Stand-in for End-to-End Runs
+ *
+ * Serves LinkedIn-like feed, search, job detail pages and a multi-step Easy
+ * Apply modal built around the selectors in ConfigManager's linkedin section,
+ * so JobSearch, ApplicationSubmission and the index-*.js workflows can run
+ * without touching a real account.
+ *
+ * Usage:
+ *   npm run mock-board
+ *   LINKEDIN_BASE_URL=http://localhost:4100 BROWSER_DRIVER=puppeteer node index.js
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+const DEFAULT_PORT = 4100;
+const PAGE_SIZE = 25;
+
+/**
+ * Escape text for safe HTML interpolation
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Load the bundled job postings
+ */
+function loadJobs(filePath = path.join(__dirname, 'jobs.json')) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Filter jobs the way the search form would: any OR-separated keyword in the
+ * title or description, and a location match (remote roles always match)
+ */
+function searchJobs(jobs, { keywords = '', location = '' } = {}) {
+  const terms = keywords
+    .split(/\s+OR\s+/i)
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean);
+  const place = location.split(',')[0].trim().toLowerCase();
+
+  return jobs.filter(job => {
+    const text = `${job.title} ${job.description}`.toLowerCase();
+    const keywordMatch = terms.length === 0 || terms.some(term => text.includes(term));
+    const locationMatch = !place ||
+      job.workplaceType === 'Remote' ||
+      job.location.toLowerCase().includes(place);
+
+    return keywordMatch && locationMatch;
+  });
+}
+
+/**
+ * Shared page chrome with the global navigation bar
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; background: #f3f2ef; }
+    nav { background: #fff; padding: 8px 24px; display: flex; gap: 16px; }
+    main { max-width: 960px; margin: 24px auto; background: #fff; padding: 24px; }
+    .job-card { border-bottom: 1px solid #ddd; padding: 12px 0; list-style: none; }
+    [role="dialog"] { position: fixed; inset: 10% 20%; background: #fff; border: 1px solid #999; padding: 24px; overflow: auto; }
+    [hidden] { display: none !important; }
+  </style>
+</head>
+<body>
+  <nav aria-label="Primary Navigation">
+    <a href="/feed">Home</a>
+    <a href="/jobs" data-test-id="jobs-tab">Jobs</a>
+    <a href="/in/me">Me</a>
+  </nav>
+  <main>
+${body}
+  </main>
+</body>
+</html>`;
+}
+
+function renderFeed() {
+  return renderPage('Feed | LinkedIn', `
+    <h1>Welcome back, Ivo</h1>
+    <p>Start a post, or find your next role on the Jobs tab.</p>`);
+}
+
+/**
+ * Search form shared by the jobs home and results pages
+ */
+function renderSearchForm(keywords = '', location = '') {
+  return `
+    <form action="/jobs/search" method="get" role="search">
+      <input name="keywords" aria-label="Search by title, skill, or company" value="${escapeHtml(keywords)}">
+      <input name="location" aria-label="City, state, or zip code" value="${escapeHtml(location)}">
+      <button type="submit" aria-label="Search">Search</button>
+    </form>`;
+}
+
+function renderJobsHome() {
+  return renderPage('Jobs | LinkedIn', `
+    <h1>Jobs</h1>
+    ${renderSearchForm()}
+    <p>Top job picks for you</p>`);
+}
+
+function renderJobCard(job) {
+  return `
+      <li class="job-card" data-job-id="${escapeHtml(job.id)}">
+        <a href="/jobs/view/${escapeHtml(job.id)}" aria-label="${escapeHtml(job.title)}">${escapeHtml(job.title)}</a>
+        <div class="company">${escapeHtml(job.company)}</div>
+        <div class="location">${escapeHtml(job.location)}</div>
+        <div class="salary">${escapeHtml(job.salary)}</div>
+        <ul>
+          ${job.promoted ? '<li>Promoted</li>' : ''}
+          ${job.easyApply ? '<li>Easy Apply</li>' : ''}
+          <li><time>${escapeHtml(job.posted)}</time></li>
+          <li>${escapeHtml(job.applicants)}</li>
+        </ul>
+      </li>`;
+}
+
+function renderSearchResults(jobs, query) {
+  const matches = searchJobs(jobs, query);
+  const start = Math.max(parseInt(query.start, 10) || 0, 0);
+  const page = matches.slice(start, start + PAGE_SIZE);
+  const params = new URLSearchParams({ keywords: query.keywords || '', location: query.location || '' });
+
+  const nextLink = start + PAGE_SIZE < matches.length
+    ? `<a href="/jobs/search?${params}&start=${start + PAGE_SIZE}" aria-label="Next page">Next</a>`
+    : '';
+
+  return renderPage(`${query.keywords || 'All'} Jobs | LinkedIn`, `
+    <h1>Jobs</h1>
+    ${renderSearchForm(query.keywords, query.location)}
+    <h2>${matches.length} results</h2>
+    <ul class="jobs-search-results" aria-label="Search results">
+      ${page.map(renderJobCard).join('')}
+    </ul>
+    ${nextLink}`);
+}
+
+function renderJobView(job) {
+  const blocks = escapeHtml(job.description)
+    .split('\n\n')
+    .map(block => `<p>${block.replace(/\n/g, '<br>')}</p>`);
+
+  // Like LinkedIn, only the first paragraph shows until "see more" is clicked
+  const description = blocks.length > 1
+    ? `${blocks[0]}
+        <div id="description-more" hidden>
+          ${blocks.slice(1).join('\n')}
+        </div>
+        <button type="button" id="see-more" aria-label="Click to see more description">…see more</button>`
+    : blocks.join('\n');
+
+  const applyButton = job.easyApply
+    ? `<button type="button" aria-label="Easy Apply to ${escapeHtml(job.title)} at ${escapeHtml(job.company)}" id="easy-apply">Easy Apply</button>`
+    : `<a href="https://careers.example.com/${escapeHtml(job.id)}" aria-label="Apply on company website">Apply</a>`;
+
+  const hiringTeam = (job.hiringTeam || []).length > 0
+    ? `<section aria-label="Meet the hiring team">
+        <h2>Meet the hiring team</h2>
+        ${job.hiringTeam.map(member => `
+        <div class="hirer">
+          <a href="${escapeHtml(member.profileUrl)}">${escapeHtml(member.name)}</a>
+          <div>${escapeHtml(member.title)}</div>
+          <div>Job poster</div>
+        </div>`).join('')}
+      </section>`
+    : '';
+
+  return renderPage(`${job.title} | ${job.company} | LinkedIn`, `
+    <article data-job-id="${escapeHtml(job.id)}">
+      <h1>${escapeHtml(job.title)}</h1>
+      <div class="company">${escapeHtml(job.company)}</div>
+      <div class="location">${escapeHtml(job.location)} · ${escapeHtml(job.posted)} · ${escapeHtml(job.applicants)}</div>
+      <ul>
+        <li>${escapeHtml(job.salary)}</li>
+        <li>${escapeHtml(job.workplaceType)}</li>
+        <li>${escapeHtml(job.employmentType)}</li>
+        <li>${escapeHtml(job.seniority)}</li>
+        <li>${escapeHtml(job.companySize)} employees · ${escapeHtml(job.industry)}</li>
+      </ul>
+      ${applyButton}
+      ${hiringTeam}
+      <section aria-label="About the job">
+        <h2>About the job</h2>
+        ${description}
+      </section>
+      <section aria-label="About the company">
+        <h2>About the company</h2>
+        <p>${escapeHtml(job.company)}</p>
+      </section>
+    </article>
+    <script>
+      (function () {
+        var seeMore = document.getElementById('see-more');
+        if (seeMore) {
+          seeMore.addEventListener('click', function () {
+            document.getElementById('description-more').hidden = false;
+            seeMore.remove();
+          });
+        }
+      })();
+    </script>
+    ${job.easyApply ? renderEasyApplyModal(job) : ''}`);
+}
+
+/**
+ * Multi-step Easy Apply modal: contact, work authorization, resume,
+ * additional questions, review and confirmation
+ */
+function renderEasyApplyModal(job) {
+  return `
+    <div role="dialog" aria-label="Apply to ${escapeHtml(job.company)}" id="easy-apply-modal" hidden>
+      <form id="easy-apply-form" novalidate>
+        <p role="alert" id="form-error" hidden></p>
+
+        <section data-step="contact">
+          <h3>Contact info</h3>
+          <label for="phoneNumber">Mobile phone number</label>
+          <input id="phoneNumber" name="phoneNumber" type="tel" required>
+          <label for="address">City</label>
+          <input id="address" name="address">
+          <button type="button" data-next aria-label="Continue to next step">Next</button>
+        </section>
+
+        <section data-step="work-authorization" hidden>
+          <h3>Work authorization</h3>
+          <fieldset data-question="work-authorization">
+            <legend>Are you legally authorized to work in the United States?</legend>
+            <input type="radio" id="authorizedToWork-yes" name="authorizedToWork" value="Yes" required>
+            <label for="authorizedToWork-yes">Yes</label>
+            <input type="radio" id="authorizedToWork-no" name="authorizedToWork" value="No">
+            <label for="authorizedToWork-no">No</label>
+          </fieldset>
+          <fieldset data-question="sponsorship">
+            <legend>Will you now or in the future require sponsorship for employment visa status?</legend>
+            <input type="radio" id="requiresSponsorship-yes" name="requiresSponsorship" value="Yes" required>
+            <label for="requiresSponsorship-yes">Yes</label>
+            <input type="radio" id="requiresSponsorship-no" name="requiresSponsorship" value="No">
+            <label for="requiresSponsorship-no">No</label>
+          </fieldset>
+          <button type="button" data-next aria-label="Continue to next step">Next</button>
+        </section>
+
+        <section data-step="resume" hidden>
+          <h3>Resume</h3>
+          <label for="resume">Upload resume (PDF, DOC, DOCX)</label>
+          <input id="resume" name="resume" type="file" accept=".pdf,.doc,.docx" required>
+          <button type="button" data-next aria-label="Continue to next step">Next</button>
+        </section>
+
+        <section data-step="questions" hidden>
+          <h3>Additional questions</h3>
+          <label for="question-years">How many years of work experience do you have with JavaScript?</label>
+          <input id="question-years" name="question-years-javascript" type="number" min="0">
+          <label for="coverLetter">Cover letter</label>
+          <textarea id="coverLetter" name="coverLetter" rows="8"></textarea>
+          <button type="button" data-next aria-label="Review your application">Review</button>
+        </section>
+
+        <section data-step="review" hidden>
+          <h3>Review your application</h3>
+          <dl id="review-summary"></dl>
+          <button type="submit" aria-label="Submit application">Submit application</button>
+        </section>
+      </form>
+
+      <section data-step="confirmation" hidden>
+        <h2>Your application was sent to ${escapeHtml(job.company)}</h2>
+      </section>
+    </div>
+    <script>
+      (function () {
+        var modal = document.getElementById('easy-apply-modal');
+        var form = document.getElementById('easy-apply-form');
+        var error = document.getElementById('form-error');
+        var steps = Array.prototype.slice.call(form.querySelectorAll('section[data-step]'));
+        var current = 0;
+
+        function show(index) {
+          steps.forEach(function (step, i) { step.hidden = i !== index; });
+          current = index;
+          error.hidden = true;
+        }
+
+        function stepIsValid(step) {
+          var fields = step.querySelectorAll('[required]');
+          for (var i = 0; i < fields.length; i++) {
+            var field = fields[i];
+            if (field.type === 'radio') {
+              if (!form.querySelector('input[name="' + field.name + '"]:checked')) return false;
+            } else if (field.type === 'file') {
+              if (field.files.length === 0) return false;
+            } else if (!field.value.trim()) {
+              return false;
+            }
+          }
+          return true;
+        }
+
+        function renderReview() {
+          var summary = document.getElementById('review-summary');
+          var data = new FormData(form);
+          summary.innerHTML = '';
+          data.forEach(function (value, key) {
+            var term = document.createElement('dt');
+            var detail = document.createElement('dd');
+            term.textContent = key;
+            detail.textContent = value && value.name !== undefined ? value.name : value;
+            summary.appendChild(term);
+            summary.appendChild(detail);
+          });
+        }
+
+        document.getElementById('easy-apply').addEventListener('click', function () {
+          modal.hidden = false;
+          show(0);
+        });
+
+        form.addEventListener('click', function (event) {
+          if (!event.target.hasAttribute('data-next')) return;
+          if (!stepIsValid(steps[current])) {
+            error.textContent = 'Please enter a valid answer';
+            error.hidden = false;
+            return;
+          }
+          if (steps[current + 1].getAttribute('data-step') === 'review') renderReview();
+          show(current + 1);
+        });
+
+        form.addEventListener('submit', function (event) {
+          event.preventDefault();
+          var data = new FormData(form);
+          var payload = {};
+          data.forEach(function (value, key) {
+            payload[key] = value && value.name !== undefined
+              ? { name: value.name, size: value.size, type: value.type }
+              : value;
+          });
+          fetch('/api/jobs/${escapeHtml(job.id)}/applications', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+          }).then(function (response) {
+            if (!response.ok) throw new Error('Submission failed');
+            form.hidden = true;
+            modal.querySelector('section[data-step="confirmation"]').hidden = false;
+          }).catch(function (err) {
+            error.textContent = err.message;
+            error.hidden = false;
+          });
+        });
+      })();
+    </script>`;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, contentType = 'text/html; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+function sendJson(res, status, data) {
+  send(res, status, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Create the mock job board server (not yet listening)
+ * @param {object} options - { jobs } to serve instead of the bundled jobs.json
+ * @returns {http.Server} - server with an `applications` array of submissions
+ */
+function createMockJobBoard(options = {}) {
+  const jobs = options.jobs || loadJobs();
+  const applications = [];
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const query = Object.fromEntries(url.searchParams);
+      const viewMatch = url.pathname.match(/^\/jobs\/view\/(\d+)\/?$/);
+      const applyMatch = url.pathname.match(/^\/api\/jobs\/(\d+)\/applications$/);
+
+      if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/feed' || url.pathname === '/feed/')) {
+        return send(res, 200, renderFeed());
+      }
+
+      if (req.method === 'GET' && (url.pathname === '/jobs' || url.pathname === '/jobs/')) {
+        return send(res, 200, renderJobsHome());
+      }
+
+      if (req.method === 'GET' && (url.pathname === '/jobs/search' || url.pathname === '/jobs/search/')) {
+        return send(res, 200, renderSearchResults(jobs, query));
+      }
+
+      if (req.method === 'GET' && viewMatch) {
+        const job = jobs.find(candidate => candidate.id === viewMatch[1]);
+        return job
+          ? send(res, 200, renderJobView(job))
+          : send(res, 404, renderPage('Page not found | LinkedIn', '<h1>This job is no longer available</h1>'));
+      }
+
+      if (req.method === 'POST' && applyMatch) {
+        const job = jobs.find(candidate => candidate.id === applyMatch[1]);
+        if (!job || !job.easyApply) {
+          return sendJson(res, 404, { error: 'Easy Apply not available' });
+        }
+
+        const application = {
+          jobId: job.id,
+          title: job.title,
+          company: job.company,
+          answers: JSON.parse((await readBody(req)) || '{}'),
+          submittedAt: new Date().toISOString()
+        };
+        applications.push(application);
+        return sendJson(res, 201, application);
+      }
+
+      if (url.pathname === '/api/applications') {
+        if (req.method === 'DELETE') {
+          applications.length = 0;
+        }
+        return sendJson(res, 200, applications);
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/jobs') {
+        return sendJson(res, 200, jobs);
+      }
+
+      return send(res, 404, renderPage('Page not found | LinkedIn', '<h1>Page not found</h1>'));
+
+    } catch (error) {
+      return sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  server.applications = applications;
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_BOARD_PORT, 10) || DEFAULT_PORT;
+  const server = createMockJobBoard();
+
+  server.listen(port, () => {
+    console.log(`🧪 Mock job board running at http://localhost:${port}`);
+    console.log(`   Point the automation at it with LINKEDIN_BASE_URL=http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockJobBoard, searchJobs, loadJobs };
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Run a Job Application Campaign
+ *
+ * Executes a campaign file from campaigns/ (or any path) with the campaign
+ * engine: search, filter, rank and apply until the campaign target is met.
+ * Progress is saved in data/campaigns/, so running the same campaign again
+ * resumes an interrupted run.
+ *
+ * Usage:
+ *   node run-campaign.js <campaign|file.json> [--dry-run] [--restart]
+ *   node run-campaign.js --list
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const { CampaignEngine, listCampaigns } = require('./src/modules/campaign-engine');
+
+/**
+ * Split command line arguments into the campaign name and options
+ */
+function parseArgs(argv) {
+  const options = { campaign: null, dryRun: false, restart: false, list: false };
+
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--restart') {
+      options.restart = true;
+    } else if (arg === '--list') {
+      options.list = true;
+    } else {
+      options.campaign = arg;
+    }
+  });
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.list) {
+    listCampaigns().forEach(campaign => {
+      console.log(`   • ${campaign.id} - ${campaign.name} (${campaign.searchConfigurations.length} searches, target ${campaign.target})`);
+    });
+    return;
+  }
+
+  if (!options.campaign) {
+    console.log('Usage: node run-campaign.js <campaign|file.json> [--dry-run] [--restart]');
+    console.log('       node run-campaign.js --list');
+    process.exit(1);
+  }
+
+  const engine = new CampaignEngine();
+
+  try {
+    const summary = await engine.run(options.campaign, options);
+
+    console.log('');
+    console.log(`📊 ${summary.name}: ${summary.searchesExecuted} searches, ${summary.candidates} candidates, ${summary.ranked.length} above the minimum match`);
+    Object.entries(summary.skipped).forEach(([reason, count]) => console.log(`   • Skipped (${reason}): ${count}`));
+
+    if (options.dryRun) {
+      summary.ranked.slice(0, summary.target).forEach((job, index) => {
+        console.log(`   ${index + 1}. ${job.title} at ${job.company} - ${job.analysis.matchScore}%`);
+      });
+    } else {
+      summary.applications.forEach(application => {
+        console.log(`   ${application.status === 'submitted' ? '✅' : '❌'} ${application.title} at ${application.company}${application.error ? ` (${application.error})` : ''}`);
+      });
+      console.log(`🎯 ${summary.submitted}/${summary.target} applications submitted`);
+    }
+  } finally {
+    await engine.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Campaign failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,88 @@
+/**
+ * CLI Argument Parsing
+ *
+ * Splits argv into positionals and --flags. Flags listed as booleans never
+ * consume the next argument; every other flag takes a value (`--name value`
+ * or `--name=value`). Flag names are camel-cased (`--dry-run` -> dryRun).
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const camelCase = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Parse argv against the boolean flag names (in camelCase)
+ */
+function parseArgs(argv, booleans = []) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const name = camelCase(rawName);
+
+    if (booleans.includes(name)) {
+      flags[name] = inlineValue === undefined ? true : !['false', '0', 'no'].includes(inlineValue);
+    } else if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      throw new Error(`Option --${rawName} needs a value`);
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Parse a positive integer flag, falling back to a default
+ */
+function intFlag(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    throw new Error(`Expected a number, got "${value}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Parse a fractional flag between 0 and 1, falling back to a default
+ */
+function ratioFlag(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  if (Number.isNaN(parsed) || parsed < 0 || parsed > 1) {
+    throw new Error(`Expected a number between 0 and 1, got "${value}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Split a comma separated flag into a trimmed list
+ */
+function listFlag(value) {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+module.exports = { parseArgs, intFlag, ratioFlag, listFlag };
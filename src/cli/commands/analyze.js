@@ -0,0 +1,35 @@
+/**
+ * `analyze` - Rank saved or imported jobs against the profile
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const { RANKED_COLUMNS, loadJobs, rankJobs, saveJson } = require('../job-files');
+
+module.exports = {
+  name: 'analyze',
+  summary: 'Rank jobs from saved files (JSON, CSV, RSS/Atom, HTML) by profile match',
+  usage: 'analyze <file|directory>... [--save <file.json>]',
+  booleans: [],
+
+  async run({ positionals, flags }) {
+    const { jobs, errors } = await loadJobs(positionals);
+    const { analysis, ranked } = await rankJobs(jobs);
+
+    if (flags.save) {
+      saveJson(flags.save, ranked);
+    }
+
+    return {
+      data: { ...analysis, allJobs: ranked, errors },
+      rows: ranked,
+      columns: RANKED_COLUMNS,
+      summary: [
+        `${analysis.totalJobs} jobs ranked (average match ${analysis.averageMatch}%)`,
+        ...errors.map(failure => `Could not import ${failure.file}: ${failure.error}`),
+        ...(flags.save ? [`Saved to ${flags.save}`] : [])
+      ]
+    };
+  }
+};
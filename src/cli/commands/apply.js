@@ -0,0 +1,82 @@
+/**
+ * `apply` - Submit Easy Apply applications for ranked jobs
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const ApplicationSubmission = require('../../modules/application-submission');
+const { JobStore } = require('../../modules/job-store');
+const { intFlag } = require('../args');
+const { loadJobs, rankJobs, selectJobs } = require('../job-files');
+
+const COLUMNS = [
+  { key: 'title', label: 'Title' },
+  { key: 'company', label: 'Company' },
+  { key: 'matchScore', label: 'Match' },
+  { key: 'status', label: 'Status' },
+  { key: 'detail', label: 'Detail' }
+];
+
+module.exports = {
+  name: 'apply',
+  summary: 'Apply to the top ranked jobs in saved files (skips jobs already applied to)',
+  usage: 'apply <file|directory>... [--top <n>] [--job <id>] [--min-score <n>] [--cover-letter]',
+  booleans: ['coverLetter'],
+
+  async run({ positionals, flags }, context) {
+    const { jobs } = await loadJobs(positionals);
+    const { ranked } = await rankJobs(jobs);
+    const selected = selectJobs(ranked, {
+      jobId: flags.job,
+      top: intFlag(flags.top, 5),
+      minScore: intFlag(flags.minScore, 0)
+    });
+
+    const jobStore = new JobStore(context.paths.jobStore);
+    const rows = [];
+    const pending = [];
+
+    selected.forEach(job => {
+      const blocking = jobStore.findBlocking(job);
+      if (blocking) {
+        rows.push({ ...job, status: 'skipped', detail: `${blocking.record.status} (matched by ${blocking.matchedBy})` });
+      } else {
+        pending.push(job);
+      }
+    });
+
+    if (context.dryRun) {
+      pending.forEach(job => rows.push({ ...job, status: 'planned', detail: job.url }));
+    } else if (pending.length > 0) {
+      const submission = new ApplicationSubmission({ jobStore });
+      try {
+        await submission.initialize();
+        for (const job of pending) {
+          try {
+            const result = await submission.submitApplication(job, { includeCoverLetter: Boolean(flags.coverLetter) });
+            rows.push({ ...job, status: 'submitted', detail: `${result.remainingApplications} left today` });
+          } catch (error) {
+            rows.push({ ...job, status: 'failed', detail: error.message });
+          }
+        }
+      } finally {
+        await submission.close();
+      }
+    }
+
+    const count = status => rows.filter(row => row.status === status).length;
+
+    return {
+      data: {
+        dryRun: context.dryRun,
+        applications: rows.map(({ id, title, company, url, matchScore, status, detail }) => ({ id, title, company, url, matchScore, status, detail }))
+      },
+      rows,
+      columns: COLUMNS,
+      summary: [context.dryRun
+        ? `Dry run: ${count('planned')} applications planned, ${count('skipped')} skipped`
+        : `${count('submitted')} submitted, ${count('failed')} failed, ${count('skipped')} skipped`]
+    };
+  }
+};
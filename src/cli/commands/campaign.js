@@ -0,0 +1,113 @@
+/**
+ * `campaign run|list|status` - Run and inspect campaign files
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const { CampaignEngine, loadCampaign, listCampaigns } = require('../../modules/campaign-engine');
+const { JobStore } = require('../../modules/job-store');
+
+const RUN_COLUMNS = [
+  { key: 'status', label: 'Status' },
+  { key: 'matchScore', label: 'Match' },
+  { key: 'title', label: 'Title' },
+  { key: 'company', label: 'Company' },
+  { key: 'error', label: 'Detail' }
+];
+
+const LIST_COLUMNS = [
+  { key: 'id', label: 'Campaign' },
+  { key: 'name', label: 'Name' },
+  { key: 'searches', label: 'Searches' },
+  { key: 'target', label: 'Target' },
+  { key: 'status', label: 'Status' },
+  { key: 'submitted', label: 'Submitted' }
+];
+
+function createEngine(context) {
+  return new CampaignEngine({ progressDir: context.paths.campaigns, jobStore: new JobStore(context.paths.jobStore) });
+}
+
+async function runCampaign(name, flags, context) {
+  const engine = createEngine(context);
+
+  let summary;
+  try {
+    summary = await engine.run(name, { dryRun: context.dryRun, restart: Boolean(flags.restart) });
+  } finally {
+    await engine.close();
+  }
+
+  const rows = context.dryRun
+    ? summary.ranked.slice(0, summary.target).map(job => ({ ...job, status: 'planned', matchScore: job.analysis.matchScore }))
+    : summary.applications;
+
+  return {
+    data: { ...summary, ranked: summary.ranked.map(({ id, title, company, url, analysis }) => ({ id, title, company, url, matchScore: analysis.matchScore })) },
+    rows,
+    columns: RUN_COLUMNS,
+    summary: [
+      `${summary.name}: ${summary.searchesExecuted} searches, ${summary.candidates} candidates, ${summary.ranked.length} above the minimum match`,
+      ...Object.entries(summary.skipped).map(([reason, count]) => `Skipped (${reason}): ${count}`),
+      context.dryRun ? 'Dry run: no applications submitted' : `${summary.submitted}/${summary.target} applications submitted`
+    ]
+  };
+}
+
+function campaignRows(campaigns, context) {
+  const engine = createEngine(context);
+  return campaigns.map(campaign => {
+    const progress = engine.loadProgress(campaign.id);
+    return {
+      id: campaign.id,
+      name: campaign.name,
+      searches: campaign.searchConfigurations.length,
+      target: campaign.target,
+      status: progress ? progress.status : 'never run',
+      submitted: progress ? engine.countSubmitted(progress) : 0,
+      progress
+    };
+  });
+}
+
+module.exports = {
+  name: 'campaign',
+  summary: 'Run a campaign file, list campaigns or show a campaign\'s saved progress',
+  usage: 'campaign run <name|file.json> [--restart] | campaign list | campaign status <name|file.json>',
+  booleans: ['restart'],
+
+  async run({ positionals, flags }, context) {
+    const [action, name] = positionals;
+
+    switch (action) {
+      case 'run':
+        if (!name) {
+          throw new Error('campaign run needs a campaign name or file');
+        }
+        return runCampaign(name, flags, context);
+
+      case 'list': {
+        const rows = campaignRows(listCampaigns(), context);
+        return { data: rows.map(({ progress, ...row }) => row), rows, columns: LIST_COLUMNS };
+      }
+
+      case 'status': {
+        if (!name) {
+          throw new Error('campaign status needs a campaign name or file');
+        }
+        const [row] = campaignRows([loadCampaign(name)], context);
+        return {
+          data: row,
+          rows: row.progress ? row.progress.applications : [],
+          columns: RUN_COLUMNS,
+          summary: [`${row.id}: ${row.status}, ${row.submitted}/${row.target} submitted` +
+            (row.progress ? `, ${row.progress.completedSearches.length} searches done, ${row.progress.candidates.length} candidates` : '')]
+        };
+      }
+
+      default:
+        throw new Error(`Unknown campaign action "${action || ''}" (use run, list or status)`);
+    }
+  }
+};
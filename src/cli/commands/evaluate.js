@@ -0,0 +1,61 @@
+/**
+ * `evaluate` - Score the job analyzer and resume matcher on a labeled dataset
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const { DEFAULT_DATASET, loadDataset, evaluateDataset } = require('../../modules/analyzer-evaluation');
+const { ratioFlag } = require('../args');
+
+const COLUMNS = [
+  { key: 'metric', label: 'Extractor' },
+  { key: 'precision', label: 'Precision' },
+  { key: 'recall', label: 'Recall' },
+  { key: 'f1', label: 'F1' },
+  { key: 'spearman', label: 'Spearman' },
+  { key: 'support', label: 'Cases' }
+];
+
+module.exports = {
+  name: 'evaluate',
+  summary: 'Report precision/recall/F1 per extractor and match score rank correlation on a labeled dataset',
+  usage: 'evaluate [dataset.json] [--min-f1 <0-1>] [--min-spearman <-1-1>]',
+  booleans: [],
+
+  async run({ positionals, flags }) {
+    const minF1 = ratioFlag(flags.minF1, null);
+    const minSpearman = flags.minSpearman === undefined ? null : Number(flags.minSpearman);
+    if (Number.isNaN(minSpearman)) {
+      throw new Error(`Expected a number, got "${flags.minSpearman}"`);
+    }
+
+    const report = evaluateDataset(loadDataset(positionals[0] || DEFAULT_DATASET));
+    const rows = [
+      ...Object.entries(report.extractors).map(([metric, scores]) => ({ metric, ...scores, spearman: null })),
+      { metric: 'matchScore', precision: null, recall: null, f1: null, ...report.matchScore }
+    ];
+
+    // Thresholds turn the report into a regression check with a failing exit code
+    const belowF1 = minF1 === null ? [] : rows.filter(row => row.f1 !== null && row.f1 < minF1).map(row => `${row.metric} F1 ${row.f1}`);
+    const belowSpearman = minSpearman !== null && report.matchScore.spearman !== null && report.matchScore.spearman < minSpearman
+      ? [`matchScore Spearman ${report.matchScore.spearman}`]
+      : [];
+    const failures = [...belowF1, ...belowSpearman];
+    if (failures.length > 0) {
+      throw new Error(`Evaluation of ${report.dataset} below threshold: ${failures.join(', ')}`);
+    }
+
+    return {
+      data: report,
+      rows,
+      columns: COLUMNS,
+      summary: [
+        `${report.cases} labeled cases from ${report.dataset}, ${report.misses.length} extractor misses`,
+        ...report.misses.map(miss => `  ${miss.id} ${miss.field}: ${miss.field === 'skills'
+          ? `missing ${miss.missing.join(', ') || 'none'}; unexpected ${miss.unexpected.join(', ') || 'none'}`
+          : `expected ${miss.expected}, got ${miss.actual}`}`)
+      ]
+    };
+  }
+};
@@ -0,0 +1,73 @@
+/**
+ * `generate-resume` - Generate tailored resumes for ranked jobs
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const ResumeGenerator = require('../../modules/resume-generator');
+const JobDescriptionAnalyzer = require('../../modules/job-description-analyzer');
+const { intFlag } = require('../args');
+const { loadJobs, rankJobs, selectJobs } = require('../job-files');
+
+const COLUMNS = [
+  { key: 'title', label: 'Title' },
+  { key: 'company', label: 'Company' },
+  { key: 'matchScore', label: 'Match' },
+  { key: 'jobType', label: 'Type' },
+  { key: 'resumePath', label: 'Resume' }
+];
+
+module.exports = {
+  name: 'generate-resume',
+  summary: 'Generate tailored resumes for the top ranked jobs in saved files',
+  usage: 'generate-resume <file|directory>... [--top <n>] [--job <id>] [--min-score <n>] [--template <master.json>]',
+  booleans: [],
+
+  async run({ positionals, flags }, context) {
+    const { jobs } = await loadJobs(positionals);
+    const { ranked } = await rankJobs(jobs);
+    const selected = selectJobs(ranked, {
+      jobId: flags.job,
+      top: intFlag(flags.top, 1),
+      minScore: intFlag(flags.minScore, 0)
+    });
+
+    const rows = [];
+
+    if (context.dryRun) {
+      // Analysis only; nothing is written to templates/resumes
+      const analyzer = new JobDescriptionAnalyzer();
+      for (const job of selected) {
+        const analysis = await analyzer.analyzeJob(job);
+        rows.push({ id: job.id, title: job.title, company: job.company, matchScore: analysis.matchScore, jobType: analysis.jobType, resumePath: '(dry run)' });
+      }
+    } else {
+      const generator = new ResumeGenerator({ template: flags.template });
+      for (const job of selected) {
+        try {
+          const result = await generator.generateResumeForJob(job);
+          rows.push({
+            id: job.id,
+            title: job.title,
+            company: job.company,
+            matchScore: result.matchScore,
+            jobType: result.metadata.jobAnalysis.jobType,
+            resumePath: result.resumePath
+          });
+        } catch (error) {
+          rows.push({ id: job.id, title: job.title, company: job.company, error: error.message, resumePath: `failed: ${error.message}` });
+        }
+      }
+    }
+
+    const failed = rows.filter(row => row.error).length;
+
+    return {
+      data: { dryRun: context.dryRun, resumes: rows },
+      rows,
+      columns: COLUMNS,
+      summary: [`${rows.length - failed} resumes ${context.dryRun ? 'planned' : 'generated'}${failed ? `, ${failed} failed` : ''}`]
+    };
+  }
+};
@@ -0,0 +1,126 @@
+/**
+ * `queue add|run|list|approve|skip|retry|clear` - Durable application queue
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const { ApplicationPipeline } = require('../../modules/application-pipeline');
+const { JobStore } = require('../../modules/job-store');
+const { SessionRecovery } = require('../../modules/error-handling');
+const { STAGES } = require('../../modules/job-queue');
+const { intFlag } = require('../args');
+const { loadJobs } = require('../job-files');
+
+const COLUMNS = [
+  { key: 'key', label: 'Key' },
+  { key: 'title', label: 'Title' },
+  { key: 'company', label: 'Company' },
+  { key: 'stage', label: 'Stage' },
+  { key: 'status', label: 'Status' },
+  { key: 'attempts', label: 'Attempts' },
+  { key: 'detail', label: 'Detail' }
+];
+
+const REVIEW_MODES = ['auto', 'manual'];
+
+function createPipeline(flags, context) {
+  const review = flags.review || 'auto';
+  if (!REVIEW_MODES.includes(review)) {
+    throw new Error(`Unknown review mode "${review}" (use ${REVIEW_MODES.join(' or ')})`);
+  }
+
+  return new ApplicationPipeline({
+    jobStore: new JobStore(context.paths.jobStore),
+    checkpoints: context.paths.queue ? new SessionRecovery({ backupDir: context.paths.queue }) : undefined,
+    minScore: intFlag(flags.minScore, 0),
+    review,
+    applicationOptions: { includeCoverLetter: Boolean(flags.coverLetter) }
+  });
+}
+
+function rows(items) {
+  return items.map(item => {
+    const last = item.history[item.history.length - 1];
+    return {
+      key: item.key,
+      title: item.job.title,
+      company: item.job.company,
+      stage: item.stage,
+      status: item.status,
+      attempts: item.attempts,
+      nextAttemptAt: item.nextAttemptAt,
+      detail: item.lastError || item.holdReason || (last && last.reason) || ''
+    };
+  });
+}
+
+function statsSummary(stats) {
+  const byStatus = Object.entries(stats.byStatus).map(([status, count]) => `${count} ${status}`).join(', ');
+  const byStage = Object.entries(stats.byStage).map(([stage, count]) => `${stage} ${count}`).join(', ');
+  return [`${stats.total} jobs queued${byStatus ? `: ${byStatus}` : ''}`, ...(byStage ? [`Unfinished by stage: ${byStage}`] : [])];
+}
+
+function result(pipeline, items) {
+  const listed = rows(items);
+  return { data: { stats: pipeline.queue.getStats(), items: listed }, rows: listed, columns: COLUMNS, summary: statsSummary(pipeline.queue.getStats()) };
+}
+
+module.exports = {
+  name: 'queue',
+  summary: 'Queue jobs through enrich, analyze, generate-resume, review, apply and track with retries and crash recovery',
+  usage: 'queue add <file|directory>... [--stage <stage>] [--requeue] | queue run [--min-score <n>] [--review auto|manual] [--cover-letter] [--no-wait] | ' +
+    'queue list [--status <status>] [--stage <stage>] | queue approve|skip <key>... | queue retry [<key>...] | queue clear',
+  booleans: ['coverLetter', 'noWait', 'requeue'],
+
+  async run({ positionals, flags }, context) {
+    const [action, ...args] = positionals;
+    const pipeline = createPipeline(flags, context);
+    const { queue } = pipeline;
+
+    switch (action) {
+      case 'add': {
+        const { jobs } = await loadJobs(args);
+        const added = queue.enqueue(jobs, { stage: flags.stage || STAGES[0], requeue: Boolean(flags.requeue) });
+        return result(pipeline, added);
+      }
+
+      case 'run': {
+        if (context.dryRun) {
+          return { ...result(pipeline, queue.list({ status: 'pending' })), summary: ['Dry run: these jobs would be processed', ...statsSummary(queue.getStats())] };
+        }
+
+        const stop = () => queue.stop();
+        process.once('SIGINT', stop);
+        try {
+          await queue.process({ waitForRetries: !flags.noWait });
+        } finally {
+          process.removeListener('SIGINT', stop);
+          await pipeline.close();
+        }
+        return result(pipeline, queue.list());
+      }
+
+      case 'list':
+        return result(pipeline, queue.list({ status: flags.status, stage: flags.stage }));
+
+      case 'approve':
+      case 'skip':
+        if (args.length === 0) {
+          throw new Error(`queue ${action} needs at least one job key`);
+        }
+        return result(pipeline, args.map(key => (action === 'approve' ? queue.release(key) : queue.skip(key))));
+
+      case 'retry':
+        return result(pipeline, queue.retry(args.length > 0 ? args : null));
+
+      case 'clear': {
+        const removed = queue.clear();
+        return { ...result(pipeline, queue.list()), summary: [`Removed ${removed} finished jobs`, ...statsSummary(queue.getStats())] };
+      }
+
+      default:
+        throw new Error(`Unknown queue action "${action || ''}" (use add, run, list, approve, skip, retry or clear)`);
+    }
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * `report` - Summarize applications, remembered jobs, resumes and campaigns
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const ResumeGenerator = require('../../modules/resume-generator');
+const { JobStore } = require('../../modules/job-store');
+const { CampaignEngine, listCampaigns } = require('../../modules/campaign-engine');
+const { intFlag } = require('../args');
+const { readApplications } = require('./track');
+
+const COLUMNS = [
+  { key: 'section', label: 'Section' },
+  { key: 'metric', label: 'Metric' },
+  { key: 'value', label: 'Value' }
+];
+
+module.exports = {
+  name: 'report',
+  summary: 'Summarize applications, job store, resume generation and campaign progress',
+  usage: 'report [--days <n>]',
+  booleans: [],
+
+  async run({ flags }, context) {
+    const days = intFlag(flags.days, 30);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const applications = readApplications(context.paths.logs).filter(entry => entry.date >= since);
+    const submitted = applications.filter(entry => entry.status === 'submitted');
+
+    const perDay = {};
+    submitted.forEach(entry => {
+      perDay[entry.date] = (perDay[entry.date] || 0) + 1;
+    });
+
+    const engine = new CampaignEngine({ progressDir: context.paths.campaigns, jobStore: new JobStore(context.paths.jobStore) });
+    const campaigns = listCampaigns().map(campaign => {
+      const progress = engine.loadProgress(campaign.id);
+      return {
+        id: campaign.id,
+        target: campaign.target,
+        status: progress ? progress.status : 'never run',
+        submitted: progress ? engine.countSubmitted(progress) : 0,
+        updatedAt: progress ? progress.updatedAt : null
+      };
+    });
+
+    const data = {
+      since,
+      applications: {
+        submitted: submitted.length,
+        failed: applications.length - submitted.length,
+        perDay
+      },
+      jobStore: engine.jobStore.getStats(),
+      resumes: new ResumeGenerator().getGenerationStats(),
+      campaigns
+    };
+
+    const rows = [
+      { section: 'Applications', metric: `Submitted since ${since}`, value: data.applications.submitted },
+      { section: 'Applications', metric: `Failed since ${since}`, value: data.applications.failed },
+      ...Object.entries(perDay).sort().map(([date, count]) => ({ section: 'Applications', metric: date, value: count })),
+      { section: 'Job store', metric: 'Jobs remembered', value: data.jobStore.total },
+      { section: 'Job store', metric: 'Applied / excluded', value: `${data.jobStore.applied} / ${data.jobStore.excluded}` },
+      { section: 'Resumes', metric: 'Generated', value: data.resumes.totalGenerated },
+      { section: 'Resumes', metric: 'Average match', value: `${data.resumes.averageMatchScore}%` },
+      ...campaigns.map(campaign => ({
+        section: 'Campaigns',
+        metric: campaign.id,
+        value: `${campaign.status} (${campaign.submitted}/${campaign.target})`
+      }))
+    ];
+
+    return { data, rows, columns: COLUMNS };
+  }
+};
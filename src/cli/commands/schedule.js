@@ -0,0 +1,95 @@
+/**
+ * `schedule run|list|quota` - Run scheduled searches and campaigns
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const { Scheduler } = require('../../modules/scheduler');
+const { ApplicationQuota } = require('../../modules/application-quota');
+
+const LIST_COLUMNS = [
+  { key: 'id', label: 'Job' },
+  { key: 'cron', label: 'Cron' },
+  { key: 'command', label: 'Command' },
+  { key: 'nextRunAt', label: 'Next run' },
+  { key: 'lastRunAt', label: 'Last run' },
+  { key: 'lastStatus', label: 'Last status' }
+];
+
+const RUN_COLUMNS = [
+  { key: 'id', label: 'Job' },
+  { key: 'status', label: 'Status' },
+  { key: 'nextRunAt', label: 'Next run' },
+  { key: 'error', label: 'Detail' }
+];
+
+function quotaSummary(usage) {
+  return `Applications: ${usage.today}/${usage.perDay} today, ${usage.week}/${usage.perWeek} this week`;
+}
+
+/**
+ * Run due jobs until interrupted, or once with --once
+ */
+async function runScheduler(flags, context) {
+  const quota = new ApplicationQuota({ filePath: context.paths.quota });
+  const scheduler = new Scheduler({ quota, statePath: context.paths.schedulerState, lockPath: context.paths.schedulerLock });
+
+  if (context.dryRun) {
+    const rows = scheduler.getStatus();
+    return { data: rows, rows, columns: LIST_COLUMNS, summary: ['Dry run: nothing was run'] };
+  }
+
+  if (flags.once) {
+    const results = await scheduler.tick();
+    return {
+      data: results,
+      rows: results,
+      columns: RUN_COLUMNS,
+      summary: [`${results.length} jobs due`, quotaSummary(quota.usage())]
+    };
+  }
+
+  const stop = () => scheduler.stop();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  try {
+    await scheduler.start();
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+  }
+
+  const rows = scheduler.getStatus();
+  return { data: rows, rows, columns: LIST_COLUMNS };
+}
+
+module.exports = {
+  name: 'schedule',
+  summary: 'Run the jobs in config/schedule.json on their cron schedules, list them or show the application quota',
+  usage: 'schedule run [--once] | schedule list | schedule quota',
+  booleans: ['once'],
+
+  async run({ positionals, flags }, context) {
+    const [action] = positionals;
+
+    switch (action) {
+      case 'run':
+        return runScheduler(flags, context);
+
+      case 'list': {
+        const scheduler = new Scheduler({ statePath: context.paths.schedulerState, lockPath: context.paths.schedulerLock });
+        const rows = scheduler.getStatus();
+        return { data: rows, rows, columns: LIST_COLUMNS };
+      }
+
+      case 'quota': {
+        const usage = new ApplicationQuota({ filePath: context.paths.quota }).usage();
+        return { data: usage, summary: [quotaSummary(usage), `Remaining now: ${usage.remaining}`] };
+      }
+
+      default:
+        throw new Error(`Unknown schedule action "${action || ''}" (use run, list or quota)`);
+    }
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * `search` - Search LinkedIn or the configured ATS boards
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const JobSearch = require('../../modules/job-search');
+const { intFlag, listFlag } = require('../args');
+const { saveJson } = require('../job-files');
+
+const COLUMNS = [
+  { key: 'title', label: 'Title' },
+  { key: 'company', label: 'Company' },
+  { key: 'location', label: 'Location' },
+  { key: 'posted', label: 'Posted' },
+  { key: 'url', label: 'URL' }
+];
+
+module.exports = {
+  name: 'search',
+  summary: 'Search LinkedIn (or ATS boards with --boards) and list the jobs found',
+  usage: 'search [--filter <name>] [--keywords a,b] [--location <place>] [--remote] [--incremental] [--max <n>] [--boards] [--enrich] [--save <file.json>]',
+  booleans: ['remote', 'incremental', 'boards', 'enrich'],
+
+  async run({ flags }, context) {
+    const jobSearch = new JobSearch();
+    const preset = flags.filter ? context.config.get('searchFilters')[flags.filter] : {};
+
+    if (!preset) {
+      throw new Error(`Unknown search filter "${flags.filter}" (see config/search-filters.json)`);
+    }
+
+    const criteria = jobSearch.buildSearchCriteria({
+      ...preset,
+      ...(flags.keywords ? { keywords: listFlag(flags.keywords) } : {}),
+      ...(flags.location ? { location: flags.location } : {}),
+      ...(flags.remote ? { remote: true } : {}),
+      ...(flags.incremental ? { incremental: true } : {}),
+      ...(flags.max ? { maxResults: intFlag(flags.max) } : {})
+    });
+
+    if (context.dryRun) {
+      const target = flags.boards
+        ? `${jobSearch.jobSourcesConfig.boards.length} configured ATS boards`
+        : jobSearch.buildSearchUrl(criteria);
+      return {
+        data: { dryRun: true, criteria, target },
+        summary: [`Dry run: would search ${target}`, `Keywords: ${[].concat(criteria.keywords).join(', ')}`]
+      };
+    }
+
+    let search;
+    try {
+      if (flags.boards) {
+        search = await jobSearch.searchJobSources(criteria);
+      } else {
+        await jobSearch.initialize();
+        search = await jobSearch.searchJobs(criteria);
+        if (flags.enrich) {
+          search.results = await jobSearch.enrichJobDetails(search.results);
+        }
+      }
+    } finally {
+      if (!flags.boards) {
+        await jobSearch.close();
+      }
+    }
+
+    if (flags.save) {
+      saveJson(flags.save, search.results);
+    }
+
+    return {
+      data: search,
+      rows: search.results,
+      columns: COLUMNS,
+      summary: [
+        `${search.resultsCount} jobs found (${search.scannedCount} scanned)`,
+        ...(flags.save ? [`Saved to ${flags.save}`] : [])
+      ]
+    };
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * `track` - List submitted and failed applications from the daily logs
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { intFlag } = require('../args');
+
+const COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'status', label: 'Status' },
+  { key: 'jobTitle', label: 'Title' },
+  { key: 'company', label: 'Company' },
+  { key: 'detail', label: 'Detail' }
+];
+
+/**
+ * Read every daily log file matching `<prefix>-YYYY-MM-DD.json` in a directory
+ */
+function readDailyLogs(dir, prefix) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => name.startsWith(`${prefix}-`) && name.endsWith('.json'))
+    .flatMap(name => {
+      const date = name.slice(prefix.length + 1, -'.json'.length);
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')).map(entry => ({ date, ...entry }));
+      } catch (error) {
+        return [];
+      }
+    });
+}
+
+/**
+ * Submitted and failed applications, newest first
+ */
+function readApplications(logsDir) {
+  const submitted = readDailyLogs(path.join(logsDir, 'applications'), 'applications')
+    .map(entry => ({ ...entry, status: entry.status || 'submitted', detail: entry.url }));
+  const failed = readDailyLogs(path.join(logsDir, 'errors'), 'failed-applications')
+    .map(entry => ({ ...entry, detail: entry.error }));
+
+  return [...submitted, ...failed].sort((a, b) =>
+    String(b.endTime || b.timestamp || b.date).localeCompare(String(a.endTime || a.timestamp || a.date))
+  );
+}
+
+module.exports = {
+  name: 'track',
+  summary: 'List applications from the daily application and error logs',
+  usage: 'track [--days <n>] [--status submitted|failed] [--company <name>]',
+  booleans: [],
+  readApplications,
+
+  async run({ flags }, context) {
+    const days = intFlag(flags.days, 7);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const applications = readApplications(context.paths.logs).filter(entry =>
+      entry.date >= since &&
+      (!flags.status || entry.status === flags.status) &&
+      (!flags.company || String(entry.company).toLowerCase().includes(flags.company.toLowerCase()))
+    );
+
+    const submitted = applications.filter(entry => entry.status === 'submitted').length;
+
+    return {
+      data: { since, applications },
+      rows: applications,
+      columns: COLUMNS,
+      summary: [`${applications.length} applications since ${since} (${submitted} submitted, ${applications.length - submitted} failed)`]
+    };
+  }
+};
@@ -0,0 +1,168 @@
+/**
+ * Command Line Interface
+ *
+ * One entry point (bin/linkedin-automation.js) for the workflows that
+ * used to live in separate index-*.js scripts. Each command is a module in
+ * ./commands exporting { name, summary, usage, booleans, run }, where run
+ * returns { data, rows, columns, summary } for the output formatter.
+ *
+ * Global options, accepted before or after the command:
+ *   --config <dir>      Read configuration files from this directory
+ *   --dry-run           Show what would happen without browsing, applying or writing resumes
+ *   --format table|json Output format (JSON goes to stdout, logs to stderr)
+ *   --log-level <level> error, warn, info or debug
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const config = require('../config');
+const { Logger } = require('../modules/error-handling');
+const { parseArgs } = require('./args');
+const { FORMATS, formatResult } = require('./output');
+
+const commands = [
+  require('./commands/search'),
+  require('./commands/analyze'),
+  require('./commands/evaluate'),
+  require('./commands/generate-resume'),
+  require('./commands/apply'),
+  require('./commands/track'),
+  require('./commands/report'),
+  require('./commands/campaign'),
+  require('./commands/schedule'),
+  require('./commands/queue')
+].reduce((registry, command) => ({ ...registry, [command.name]: command }), {});
+
+const GLOBAL_BOOLEANS = ['dryRun', 'help'];
+
+// Global options as typed, split by whether they take a value
+const GLOBAL_FLAGS = ['--dry-run', '--help'];
+const GLOBAL_VALUE_OPTIONS = ['--config', '--format', '--log-level'];
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Usage text for one command, or for the whole CLI
+ */
+function usage(command = null) {
+  if (command) {
+    return `Usage: linkedin-automation ${command.usage} [global options]\n\n${command.summary}`;
+  }
+
+  const width = Math.max(...Object.keys(commands).map(name => name.length));
+  return [
+    'Usage: linkedin-automation <command> [options]',
+    '',
+    'Commands:',
+    ...Object.values(commands).map(entry => `  ${entry.name.padEnd(width)}  ${entry.summary}`),
+    '',
+    'Global options:',
+    '  --config <dir>       Configuration directory (default: config/)',
+    '  --dry-run            Do not browse, apply or write resumes; show what would happen',
+    '  --format table|json  Output format (default: table)',
+    '  --log-level <level>  error, warn, info or debug (default: LOG_LEVEL or info)',
+    '',
+    'Run "linkedin-automation <command> --help" for command options.'
+  ].join('\n');
+}
+
+/**
+ * Find the command name in argv; global options given before it are moved
+ * behind it so they are parsed with the command's own options
+ */
+function splitCommand(argv) {
+  const leading = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      return { name: arg, args: [...leading, ...argv.slice(i + 1)] };
+    }
+
+    const [option, inlineValue] = arg.split(/=(.*)/s);
+    if (GLOBAL_FLAGS.includes(option)) {
+      leading.push(arg);
+    } else if (GLOBAL_VALUE_OPTIONS.includes(option)) {
+      leading.push(arg);
+      if (inlineValue === undefined && i + 1 < argv.length) {
+        leading.push(argv[++i]);
+      }
+    } else {
+      throw new Error(`Option ${option} must come after the command`);
+    }
+  }
+
+  return { name: undefined, args: leading };
+}
+
+/**
+ * Run the CLI and resolve with the process exit code
+ *
+ * `io.stdout`/`io.stderr` receive output text; `io.paths` overrides the
+ * logs, job store, campaign progress, quota, scheduler state and queue
+ * checkpoint locations (used by tests).
+ */
+async function run(argv, io = {}) {
+  const stdout = io.stdout || (text => process.stdout.write(`${text}\n`));
+  const stderr = io.stderr || (text => process.stderr.write(`${text}\n`));
+
+  try {
+    const { name, args } = splitCommand(argv);
+    const command = commands[name];
+
+    if (!command) {
+      if (name && name !== 'help') {
+        stderr(`Unknown command "${name}"\n`);
+        stderr(usage());
+        return 1;
+      }
+      stdout(usage());
+      return 0;
+    }
+
+    const { positionals, flags } = parseArgs(args, [...GLOBAL_BOOLEANS, ...command.booleans]);
+
+    if (flags.help) {
+      stdout(usage(command));
+      return 0;
+    }
+
+    const format = flags.format || 'table';
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown output format "${format}" (use ${FORMATS.join(' or ')})`);
+    }
+    Logger.configure({ level: flags.logLevel, stderr: format === 'json' });
+
+    if (flags.config) {
+      config.reload(flags.config);
+    }
+
+    const context = {
+      config,
+      dryRun: Boolean(flags.dryRun),
+      format,
+      paths: {
+        logs: path.join(ROOT, 'logs'),
+        jobStore: undefined,
+        campaigns: undefined,
+        quota: undefined,
+        schedulerState: undefined,
+        schedulerLock: undefined,
+        queue: undefined,
+        ...io.paths
+      }
+    };
+
+    const result = await command.run({ positionals, flags }, context);
+    stdout(formatResult(result, format));
+    return 0;
+
+  } catch (error) {
+    stderr(`❌ ${error.message}`);
+    return 1;
+  }
+}
+
+module.exports = { commands, usage, run };
@@ -0,0 +1,74 @@
+/**
+ * Job File Helpers for CLI Commands
+ *
+ * analyze, generate-resume and apply work on saved jobs (search --save
+ * output, exports, feeds, saved pages) so they run without a new search.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JobImporter = require('../modules/job-import');
+const JobSearch = require('../modules/job-search');
+
+const RANKED_COLUMNS = [
+  { key: 'rank', label: '#' },
+  { key: 'matchScore', label: 'Match' },
+  { key: 'recommendation', label: 'Recommendation' },
+  { key: 'title', label: 'Title' },
+  { key: 'company', label: 'Company' },
+  { key: 'location', label: 'Location' }
+];
+
+/**
+ * Import jobs from files and directories, failing when none load
+ */
+async function loadJobs(inputs) {
+  if (inputs.length === 0) {
+    throw new Error('No job files given');
+  }
+
+  const importer = new JobImporter();
+  const { jobs, errors } = await importer.importFiles(importer.expandPaths(inputs));
+
+  if (jobs.length === 0) {
+    throw new Error(`No jobs found in ${inputs.join(', ')}${errors.length ? ` (${errors.map(failure => failure.error).join('; ')})` : ''}`);
+  }
+
+  return { jobs, errors };
+}
+
+/**
+ * Rank jobs against the profile, best match first
+ */
+async function rankJobs(jobs) {
+  const analysis = await new JobSearch().analyzeJobMatches(jobs);
+  return {
+    analysis,
+    ranked: analysis.allJobs.map((job, index) => ({ ...job, rank: index + 1 }))
+  };
+}
+
+/**
+ * Pick jobs by --job id, else the top N ranked jobs at or above --min-score
+ */
+function selectJobs(ranked, { jobId = null, top = ranked.length, minScore = 0 } = {}) {
+  if (jobId) {
+    const match = ranked.filter(job => job.id === jobId || job.jobId === jobId);
+    if (match.length === 0) {
+      throw new Error(`Job "${jobId}" not found`);
+    }
+    return match;
+  }
+
+  return ranked.filter(job => job.matchScore >= minScore).slice(0, top);
+}
+
+function saveJson(file, data) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+}
+
+module.exports = { RANKED_COLUMNS, loadJobs, rankJobs, selectJobs, saveJson };
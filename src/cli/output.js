@@ -0,0 +1,69 @@
+/**
+ * CLI Output Formatting
+ *
+ * Every command returns { data, rows, columns, summary }. JSON output
+ * prints `data`; table output prints `rows` under the given columns,
+ * followed by the summary lines.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const FORMATS = ['table', 'json'];
+
+// Keep long titles and URLs from wrapping every row
+const MAX_CELL_WIDTH = 60;
+
+function cell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+}
+
+/**
+ * Render rows as an aligned plain-text table
+ */
+function renderTable(rows, columns) {
+  if (rows.length === 0) {
+    return '(no results)';
+  }
+
+  const cells = rows.map(row => columns.map(column => cell(row[column.key])));
+  const widths = columns.map((column, index) =>
+    Math.max(column.label.length, ...cells.map(rowCells => rowCells[index].length))
+  );
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [
+    line(columns.map(column => column.label)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+/**
+ * Format a command result for the requested output format
+ */
+function formatResult(result, format = 'table') {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown output format "${format}" (use ${FORMATS.join(' or ')})`);
+  }
+
+  if (format === 'json') {
+    return JSON.stringify(result.data, null, 2);
+  }
+
+  const parts = [];
+  if (result.rows && result.columns) {
+    parts.push(renderTable(result.rows, result.columns));
+  }
+  if (result.summary && result.summary.length > 0) {
+    parts.push(result.summary.join('\n'));
+  }
+  return parts.join('\n\n');
+}
+
+module.exports = { FORMATS, renderTable, formatResult };
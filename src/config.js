@@ -10,13 +10,30 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_PROFILE, loadProfile } = require('./modules/profile-store');
 
 class ConfigManager {
   constructor() {
-    this.configDir = path.join(__dirname, '..', 'config');
+    this.configDir = process.env.CONFIG_DIR
+      ? path.resolve(process.env.CONFIG_DIR)
+      : path.join(__dirname, '..', 'config');
     this.config = this.loadConfiguration();
   }
 
+  /**
+   * Reload all configuration, optionally from another directory
+   *
+   * Modules read their sections when constructed, so call this before
+   * creating them.
+   */
+  reload(configDir = null) {
+    if (configDir) {
+      this.configDir = path.resolve(configDir);
+    }
+    this.config = this.loadConfiguration();
+    return this.config;
+  }
+
   /**
    * Load all configuration files
    */
@@ -26,6 +43,9 @@ class ConfigManager {
       linkedin: this.loadLinkedInConfig(),
       browsermcp: this.loadBrowserMCPConfig(),
       searchFilters: this.loadSearchFilters(),
+      jobSources: this.loadJobSourcesConfig(),
+      schedule: this.loadScheduleConfig(),
+      currencyRates: this.loadCurrencyRatesConfig(),
       automation: this.getAutomationDefaults()
     };
 
@@ -36,36 +56,14 @@ class ConfigManager {
   }
 
   /**
-   * Load Ivo's profile configuration
+   * Load the candidate profile from the profile store
+   *
+   * A configuration directory without its own candidate-profile.json uses
+   * the default one. Throws when the profile fails schema validation.
    */
   loadProfileConfig() {
-    const defaultProfile = {
-      name: 'Ivo Dachev',
-      title: 'Full-Stack Web/AI Developer',
-      experience: '15+ years',
-      location: 'Sacramento, California',
-      skills: [
-        'Full-Stack Development',
-        'AI/ML Engineering',
-        'SEO/SEM Optimization',
-        'Web Technologies',
-        'JavaScript/Node.js',
-        'Python',
-        'React/Vue.js',
-        'Database Design',
-        'Cloud Architecture'
-      ],
-      preferences: {
-        remote: true,
-        hybrid: true,
-        onsite: false,
-        salaryMin: 75000,
-        salaryMax: 150000,
-        experienceLevel: 'Senior'
-      }
-    };
-
-    return this.loadConfigFile('profile-config.json', defaultProfile);
+    const filePath = path.join(this.configDir, 'candidate-profile.json');
+    return loadProfile(fs.existsSync(filePath) ? filePath : DEFAULT_PROFILE);
   }
 
   /**
@@ -83,6 +81,9 @@ class ConfigManager {
         searchButton: 'button[aria-label="Search"]',
         jobCard: '[data-job-id]',
         easyApplyButton: 'button[aria-label*="Easy Apply"]',
+        seeMoreButton: 'button[aria-label*="see more description"]',
+        nextButton: 'button[aria-label="Continue to next step"]',
+        reviewButton: 'button[aria-label="Review your application"]',
         submitButton: 'button[aria-label="Submit application"]'
       },
       delays: {
@@ -94,7 +95,10 @@ class ConfigManager {
       },
       limits: {
         maxApplicationsPerDay: 50,
+        maxApplicationsPerWeek: 200,
         maxSearchResults: 1000,
+        resultsPerPage: 25,
+        jobDetailsCacheTtl: 604800000, // 7 days
         retryAttempts: 3,
         sessionTimeout: 28800000 // 8 hours
       }
@@ -109,7 +113,20 @@ class ConfigManager {
   loadBrowserMCPConfig() {
     const defaultBrowserMCP = {
       serverName: 'browsermcp',
+      driver: 'mcp',
+      fallbackDriver: 'puppeteer',
+      server: {
+        transport: 'stdio',
+        command: 'npx',
+        args: ['-y', '@browsermcp/mcp@latest'],
+        url: null
+      },
       connectionTimeout: 30000,
+      requestTimeout: 60000,
+      reconnect: {
+        maxAttempts: 3,
+        delay: 2000
+      },
       sessionPersistence: true,
       headless: false,
       viewport: {
@@ -121,6 +138,15 @@ class ConfigManager {
         ignoreHTTPSErrors: true,
         slowMo: 100,
         devtools: false
+      },
+      puppeteer: {
+        executablePath: null,
+        userDataDir: 'session-data/chromium-profile',
+        args: []
+      },
+      session: {
+        mode: 'live',
+        cassette: null
       }
     };
 
@@ -158,6 +184,48 @@ class ConfigManager {
     return this.loadConfigFile('search-filters.json', defaultFilters);
   }
 
+  /**
+   * Load public ATS job boards (Greenhouse, Lever, Ashby, Workable)
+   */
+  loadJobSourcesConfig() {
+    const defaultJobSources = {
+      requestTimeout: 15000,
+      // e.g. { "type": "greenhouse", "board": "acme", "company": "Acme" }
+      boards: []
+    };
+
+    return this.loadConfigFile('job-sources.json', defaultJobSources);
+  }
+
+  /**
+   * Load the scheduler's recurring jobs, quiet hours and jitter
+   */
+  loadScheduleConfig() {
+    const defaultSchedule = {
+      quietHours: null, // e.g. { "start": "22:00", "end": "07:00" }, local time
+      jitterMinutes: 0,
+      pollInterval: 60000,
+      // e.g. { "id": "seo", "cron": "0 9 * * 1-5", "command": ["search", "--filter", "seo"] }
+      jobs: []
+    };
+
+    return this.loadConfigFile('schedule.json', defaultSchedule);
+  }
+
+  /**
+   * Load the offline currency conversion table used to compare salaries
+   */
+  loadCurrencyRatesConfig() {
+    const defaultCurrencyRates = {
+      base: 'USD',
+      updatedAt: null,
+      // Value of one unit of each currency in the base currency, e.g. { "EUR": 1.08 }
+      rates: { USD: 1 }
+    };
+
+    return this.loadConfigFile('currency-rates.json', defaultCurrencyRates);
+  }
+
   /**
    * Get automation default settings
    */
@@ -204,15 +272,53 @@ class ConfigManager {
       config.linkedin.email = process.env.LINKEDIN_EMAIL;
     }
     
+    // Point the automation at another LinkedIn-compatible site (e.g. mock-job-board)
+    if (process.env.LINKEDIN_BASE_URL) {
+      const baseUrl = process.env.LINKEDIN_BASE_URL.replace(/\/+$/, '');
+      config.linkedin.baseUrl = baseUrl;
+      config.linkedin.jobsUrl = `${baseUrl}/jobs`;
+      config.linkedin.searchUrl = `${baseUrl}/jobs/search`;
+    }
+    
     // browsermcp settings
     if (process.env.BROWSERMCP_HEADLESS) {
       config.browsermcp.headless = process.env.BROWSERMCP_HEADLESS === 'true';
     }
+
+    if (process.env.BROWSER_DRIVER) {
+      config.browsermcp.driver = process.env.BROWSER_DRIVER;
+    }
+
+    // Record or replay browser sessions (see tests/fixtures/cassettes)
+    if (process.env.BROWSER_SESSION_MODE) {
+      config.browsermcp.session = {
+        ...config.browsermcp.session,
+        mode: process.env.BROWSER_SESSION_MODE
+      };
+    }
+    if (process.env.BROWSER_CASSETTE) {
+      config.browsermcp.session = {
+        ...config.browsermcp.session,
+        cassette: process.env.BROWSER_CASSETTE
+      };
+    }
+
+    // Attach to an already running browsermcp server instead of spawning one
+    if (process.env.BROWSERMCP_URL) {
+      config.browsermcp.server = {
+        ...config.browsermcp.server,
+        transport: 'sse',
+        url: process.env.BROWSERMCP_URL
+      };
+    }
     
     // Automation limits
     if (process.env.MAX_APPLICATIONS_PER_DAY) {
       config.linkedin.limits.maxApplicationsPerDay = parseInt(process.env.MAX_APPLICATIONS_PER_DAY);
     }
+    if (process.env.MAX_APPLICATIONS_PER_WEEK) {
+      config.linkedin.limits.maxApplicationsPerWeek = parseInt(process.env.MAX_APPLICATIONS_PER_WEEK);
+    }
     
     // Logging level
     if (process.env.LOG_LEVEL) {
@@ -0,0 +1,266 @@
+/**
+ * Analyzer Evaluation - Labeled Dataset Scoring for the Analyzer and Matcher
+ *
+ * Runs a labeled dataset of job descriptions through JobDescriptionAnalyzer,
+ * DynamicResumeGenerator and ResumeJobMatcher and reports precision, recall
+ * and F1 for the job type, skill, seniority and years extractors, plus the
+ * Spearman rank correlation between match scores and the labeled relevance,
+ * so a change to determineJobType, extractSkills or calculateMatchScore can
+ * be measured instead of guessed.
+ *
+ * Dataset format (JSON):
+ *   { name, description, cases: [{ id, job: { title, company, description },
+ *     expected: { jobType, skills, seniority, yearsRequired, relevance } }] }
+ * Every expected field is optional; a case only counts towards the
+ * extractors it is labeled for; yearsRequired is null when no years are
+ * asked for. relevance is any ordinal grade where higher means a better fit
+ * for the master resume.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JobDescriptionAnalyzer = require('./job-description-analyzer');
+const { KeywordCorpus } = require('./keyword-corpus');
+const DynamicResumeGenerator = require('../resume-customization/dynamic-resume-generator');
+const ResumeJobMatcher = require('../resume-customization/resume-job-matcher');
+
+const DEFAULT_DATASET = path.join(__dirname, '..', '..', 'tests', 'fixtures', 'evaluation', 'labeled-jobs.json');
+
+const EXTRACTORS = ['jobType', 'skills', 'seniority', 'yearsRequired'];
+
+const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+
+/**
+ * Read and validate a dataset file
+ */
+function loadDataset(file = DEFAULT_DATASET) {
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(dataset.cases) || dataset.cases.length === 0) {
+    throw new Error(`Dataset ${file} has no cases`);
+  }
+
+  const ids = new Set();
+  dataset.cases.forEach((entry, index) => {
+    if (!entry.id || ids.has(entry.id)) {
+      throw new Error(`Case ${index + 1} of ${file} needs a unique "id"`);
+    }
+    if (!entry.job || !entry.job.description) {
+      throw new Error(`Case "${entry.id}" of ${file} needs job.description`);
+    }
+    if (!entry.expected) {
+      throw new Error(`Case "${entry.id}" of ${file} needs "expected" labels`);
+    }
+    ids.add(entry.id);
+  });
+
+  return { name: path.basename(file, '.json'), ...dataset, file };
+}
+
+/**
+ * Unrounded precision, recall and F1; each is null when nothing was predicted or labeled
+ */
+function rates({ tp, fp, fn }) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : (precision === null && recall === null ? null : 0);
+  return { precision, recall, f1 };
+}
+
+/**
+ * Precision, recall and F1 from true positive, false positive and false negative counts
+ */
+function precisionRecall(counts) {
+  const { precision, recall, f1 } = rates(counts);
+  return { precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+/**
+ * Macro-averaged precision, recall and F1 over the labels of a classifier, plus accuracy
+ *
+ * A label that was never predicted counts with precision 0.
+ */
+function classificationScores(pairs) {
+  const labels = [...new Set(pairs.flatMap(({ expected, actual }) => [expected, actual]))].filter(label => label !== null);
+  const perLabel = labels.map(label => rates({
+    tp: pairs.filter(pair => pair.expected === label && pair.actual === label).length,
+    fp: pairs.filter(pair => pair.expected !== label && pair.actual === label).length,
+    fn: pairs.filter(pair => pair.expected === label && pair.actual !== label).length
+  }));
+  const mean = key => (perLabel.length > 0 ? round(perLabel.reduce((sum, scores) => sum + (scores[key] || 0), 0) / perLabel.length) : null);
+
+  return {
+    precision: mean('precision'),
+    recall: mean('recall'),
+    f1: mean('f1'),
+    accuracy: pairs.length > 0 ? round(pairs.filter(pair => pair.expected === pair.actual).length / pairs.length) : null,
+    support: pairs.length
+  };
+}
+
+/**
+ * Micro-averaged precision, recall and F1 of predicted sets against labeled sets
+ */
+function setScores(pairs) {
+  const counts = pairs.reduce((total, { expected, actual }) => ({
+    tp: total.tp + actual.filter(item => expected.includes(item)).length,
+    fp: total.fp + actual.filter(item => !expected.includes(item)).length,
+    fn: total.fn + expected.filter(item => !actual.includes(item)).length
+  }), { tp: 0, fp: 0, fn: 0 });
+
+  return { ...precisionRecall(counts), ...counts, support: pairs.length };
+}
+
+/**
+ * Precision, recall and F1 of a numeric extractor where only an exact value counts, plus mean absolute error
+ *
+ * A wrong value is both a false positive and a false negative; a missing one only a false negative.
+ */
+function valueScores(pairs) {
+  const counts = { tp: 0, fp: 0, fn: 0 };
+  pairs.forEach(({ expected, actual }) => {
+    if (actual === expected) {
+      counts.tp += expected === null ? 0 : 1;
+    } else {
+      counts.fp += actual === null ? 0 : 1;
+      counts.fn += expected === null ? 0 : 1;
+    }
+  });
+
+  const errors = pairs.filter(pair => pair.expected !== null && pair.actual !== null).map(pair => Math.abs(pair.expected - pair.actual));
+  return {
+    ...precisionRecall(counts),
+    meanAbsoluteError: errors.length > 0 ? round(errors.reduce((sum, error) => sum + error, 0) / errors.length) : null,
+    support: pairs.length
+  };
+}
+
+/**
+ * Ranks of values, ties sharing their average rank
+ */
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) {
+      end++;
+    }
+    for (let position = start; position <= end; position++) {
+      result[order[position].index] = (start + end) / 2 + 1;
+    }
+    start = end + 1;
+  }
+
+  return result;
+}
+
+/**
+ * Spearman rank correlation of two equally long lists, or null when it is undefined
+ */
+function spearman(xs, ys) {
+  if (xs.length < 2 || xs.length !== ys.length) {
+    return null;
+  }
+
+  const rx = ranks(xs);
+  const ry = ranks(ys);
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const mx = mean(rx);
+  const my = mean(ry);
+  const covariance = rx.reduce((sum, value, index) => sum + (value - mx) * (ry[index] - my), 0);
+  const spread = values => Math.sqrt(values.reduce((sum, value) => sum + (value - mean(values)) ** 2, 0));
+  const denominator = spread(rx) * spread(ry);
+
+  return denominator === 0 ? null : round(covariance / denominator);
+}
+
+/**
+ * Evaluate the analyzer and matcher on a dataset
+ *
+ * Returns { dataset, cases, extractors: { jobType, skills, seniority,
+ * yearsRequired }, matchScore: { spearman, support }, predictions, misses },
+ * where a miss is { id, field, expected, actual } or, for skills,
+ * { id, field, missing, unexpected }.
+ * Skills compare by skill-ontology canonical name. The distinctive keywords
+ * behind keyword density are ranked against the dataset's own postings, so
+ * results do not depend on the local job store.
+ */
+function evaluateDataset(dataset, options = {}) {
+  const corpus = new KeywordCorpus();
+  dataset.cases.forEach(entry => corpus.addDocument(`${entry.job.title || ''}\n${entry.job.description}`));
+
+  const analyzer = options.analyzer || new JobDescriptionAnalyzer({ corpus });
+  const generator = options.generator || new DynamicResumeGenerator();
+  const matcher = options.matcher || new ResumeJobMatcher();
+  const canonical = name => (analyzer.ontology.canonicalName(name) || name).toLowerCase();
+
+  const pairs = Object.fromEntries(EXTRACTORS.map(extractor => [extractor, []]));
+  const relevance = [];
+  const misses = [];
+
+  const predictions = dataset.cases.map(entry => {
+    const analysis = analyzer.analyze(entry.job);
+    const resume = generator.generateCustomizedResume(analysis).resumeContent;
+    const actual = {
+      jobType: analysis.jobType,
+      skills: [...new Set(analysis.skills.ranked.map(skill => canonical(skill.name)))],
+      seniority: analysis.experience.seniorityLevel,
+      yearsRequired: analysis.experience.yearsRequired || null,
+      matchScore: matcher.calculateMatchScore(resume, analysis).totalScore
+    };
+
+    EXTRACTORS.filter(extractor => entry.expected[extractor] !== undefined).forEach(extractor => {
+      const expected = extractor === 'skills' ? [...new Set(entry.expected.skills.map(canonical))] : entry.expected[extractor];
+      pairs[extractor].push({ expected, actual: actual[extractor] });
+
+      if (extractor === 'skills') {
+        const missing = expected.filter(skill => !actual.skills.includes(skill));
+        const unexpected = actual.skills.filter(skill => !expected.includes(skill));
+        if (missing.length > 0 || unexpected.length > 0) {
+          misses.push({ id: entry.id, field: extractor, missing, unexpected });
+        }
+      } else if (expected !== actual[extractor]) {
+        misses.push({ id: entry.id, field: extractor, expected, actual: actual[extractor] });
+      }
+    });
+
+    if (typeof entry.expected.relevance === 'number') {
+      relevance.push({ expected: entry.expected.relevance, actual: actual.matchScore });
+    }
+
+    return { id: entry.id, ...actual };
+  });
+
+  return {
+    dataset: dataset.name,
+    cases: dataset.cases.length,
+    extractors: {
+      jobType: classificationScores(pairs.jobType),
+      skills: setScores(pairs.skills),
+      seniority: classificationScores(pairs.seniority),
+      yearsRequired: valueScores(pairs.yearsRequired)
+    },
+    matchScore: {
+      spearman: spearman(relevance.map(pair => pair.expected), relevance.map(pair => pair.actual)),
+      support: relevance.length
+    },
+    predictions,
+    misses
+  };
+}
+
+module.exports = {
+  DEFAULT_DATASET,
+  loadDataset,
+  evaluateDataset,
+  precisionRecall,
+  classificationScores,
+  setScores,
+  valueScores,
+  spearman
+};
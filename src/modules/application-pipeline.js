@@ -0,0 +1,166 @@
+/**
+ * Application Pipeline - Stage Handlers for the Job Queue
+ *
+ * Wires the existing modules into the JobQueue stages: JobEnrichment for
+ * enrich, JobSearch match scoring for analyze, ResumeGenerator for
+ * generate-resume, an automatic or manual review gate, ApplicationSubmission
+ * for apply and the job store (plus Linear, when connected) for track.
+ * Browser sessions are only opened when a stage needs them.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const JobSearch = require('./job-search');
+const ResumeGenerator = require('./resume-generator');
+const ApplicationSubmission = require('./application-submission');
+const { JobQueue } = require('./job-queue');
+const { JobStore } = require('./job-store');
+const { Logger } = require('./error-handling');
+
+// Imported jobs with a description this long are analyzed as they are
+const MIN_DESCRIPTION_LENGTH = 200;
+
+class ApplicationPipeline {
+  constructor(options = {}) {
+    this.logger = new Logger('ApplicationPipeline');
+    this.jobStore = options.jobStore || new JobStore();
+    this.jobSearch = options.jobSearch || new JobSearch();
+    this.resumeGenerator = options.resumeGenerator || new ResumeGenerator();
+    this.applicationSubmission = options.applicationSubmission || null;
+    this.linearIntegration = options.linearIntegration || null;
+    this.minScore = options.minScore || 0;
+    this.review = options.review || 'auto';
+    this.applicationOptions = options.applicationOptions || {};
+    this.browserReady = Boolean(options.jobSearch);
+    this.ownsJobSearch = !options.jobSearch;
+    this.ownsSubmission = !options.applicationSubmission;
+
+    this.queue = options.queue || new JobQueue({
+      checkpoints: options.checkpoints,
+      stages: options.stages,
+      handlers: {
+        enrich: item => this.enrich(item),
+        analyze: item => this.analyze(item),
+        'generate-resume': item => this.generateResume(item),
+        review: item => this.reviewJob(item),
+        apply: item => this.apply(item),
+        track: item => this.track(item)
+      }
+    });
+  }
+
+  /**
+   * Fetch the full posting unless the job already has a description
+   */
+  async enrich(item) {
+    const { job } = item;
+    if ((job.enrichment && job.enrichment.enrichedAt) || String(job.description || '').length >= MIN_DESCRIPTION_LENGTH) {
+      return { enriched: false };
+    }
+
+    if (!this.browserReady) {
+      await this.jobSearch.initialize();
+      this.browserReady = true;
+    }
+
+    return { job: await this.jobSearch.enrichment.enrichJob(job), enriched: true };
+  }
+
+  /**
+   * Score the job against the profile; drop jobs below the minimum, already applied
+   * to, or with eligibility constraints the profile cannot meet (those are excluded)
+   */
+  async analyze(item) {
+    const blocking = this.jobStore.findBlocking(item.job);
+    if (blocking) {
+      return { skip: `${blocking.record.status === 'applied' ? 'Already applied' : 'Excluded'} (matched by ${blocking.matchedBy})` };
+    }
+
+    const { allJobs: [job] } = await this.jobSearch.analyzeJobMatches([item.job]);
+    if (job.eligibility && !job.eligibility.eligible) {
+      const reason = job.eligibility.blockers.map(blocker => blocker.reason).join('; ');
+      this.jobStore.markExcluded(job, { reason, blockers: job.eligibility.blockers });
+      return { skip: `Not eligible: ${reason}` };
+    }
+    if (job.matchScore < this.minScore) {
+      return { skip: `Match ${job.matchScore}% below the ${this.minScore}% minimum` };
+    }
+
+    return { job, matchScore: job.matchScore, recommendation: job.recommendation };
+  }
+
+  async generateResume(item) {
+    const result = await this.resumeGenerator.generateResumeForJob(item.job, this.applicationOptions);
+    return { success: true, resumePath: result.resumePath, matchScore: result.matchScore };
+  }
+
+  /**
+   * Pass jobs straight through, or hold them until `queue approve`
+   */
+  async reviewJob() {
+    return this.review === 'manual' ? { hold: 'Waiting for review' } : { approved: 'auto' };
+  }
+
+  async apply(item) {
+    const blocking = this.jobStore.findBlocking(item.job);
+    if (blocking) {
+      return { skip: `${blocking.record.status === 'applied' ? 'Already applied' : 'Excluded'} (matched by ${blocking.matchedBy})` };
+    }
+
+    if (!this.applicationSubmission) {
+      this.applicationSubmission = new ApplicationSubmission({ jobStore: this.jobStore, resumeGenerator: this.resumeGenerator });
+      await this.applicationSubmission.initialize();
+    }
+
+    const result = await this.applicationSubmission.submitApplication(item.job, {
+      ...this.applicationOptions,
+      generatedResume: item.results['generate-resume'] || null
+    });
+
+    return {
+      appliedAt: result.applicationData.endTime,
+      resumePath: result.applicationData.resumeInfo ? result.applicationData.resumeInfo.resumePath : null
+    };
+  }
+
+  /**
+   * Make sure the application is in the job store and open a Linear issue when connected
+   */
+  async track(item) {
+    const { job } = item;
+    const applied = item.results.apply || {};
+
+    if (!this.jobStore.hasApplied(job)) {
+      this.jobStore.markApplied(job, { appliedAt: applied.appliedAt || new Date().toISOString(), resumePath: applied.resumePath });
+    }
+
+    if (!this.linearIntegration) {
+      return { tracked: true };
+    }
+
+    const issue = await this.linearIntegration.createJobApplicationIssue({
+      position: job.title,
+      company: job.company,
+      jobUrl: job.url,
+      resumeFile: applied.resumePath,
+      matchScore: job.matchScore,
+      timestamp: applied.appliedAt
+    });
+    return { tracked: true, issue: issue.identifier, issueUrl: issue.url };
+  }
+
+  /**
+   * Close browser sessions opened by the pipeline
+   */
+  async close() {
+    if (this.ownsJobSearch && this.browserReady) {
+      await this.jobSearch.close();
+    }
+    if (this.ownsSubmission && this.applicationSubmission) {
+      await this.applicationSubmission.close();
+    }
+  }
+}
+
+module.exports = { ApplicationPipeline };
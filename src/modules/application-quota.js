@@ -0,0 +1,135 @@
+/**
+ * Application Quota - Daily and Weekly Application Limits Across Runs
+ *
+ * Counts submitted applications per local calendar day in
+ * data/application-quota.json, so the per-day and per-week limits hold
+ * across separate CLI runs, campaigns and scheduled jobs rather than only
+ * within one process. Weeks start on Monday.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger, AutomationError } = require('./error-handling');
+const config = require('../config');
+
+// Days older than this are dropped when the file is saved
+const RETENTION_DAYS = 35;
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+function localDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Local dates of the Monday-to-Sunday week containing a date
+ */
+function weekDates(date) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+  return Array.from({ length: 7 }, (value, index) =>
+    localDate(new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + index))
+  );
+}
+
+class ApplicationQuota {
+  constructor(options = {}) {
+    const limits = config.get('linkedin').limits;
+
+    this.filePath = options.filePath || path.join(__dirname, '..', '..', 'data', 'application-quota.json');
+    this.perDay = options.perDay || limits.maxApplicationsPerDay;
+    this.perWeek = options.perWeek || limits.maxApplicationsPerWeek;
+    this.now = options.now || (() => new Date());
+    this.logger = new Logger('ApplicationQuota');
+    this.data = this.load();
+  }
+
+  /**
+   * Load daily counts from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      this.logger.warn(`Could not read ${this.filePath}, starting with empty counts:`, error.message);
+    }
+    return { version: 1, days: {} };
+  }
+
+  /**
+   * Write daily counts to disk, dropping old days
+   */
+  save() {
+    const cutoff = localDate(new Date(this.now().getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(this.data.days)
+      .filter(day => day < cutoff)
+      .forEach(day => delete this.data.days[day]);
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), 'utf8');
+  }
+
+  /**
+   * Applications used and remaining today and this week
+   *
+   * Re-reads the file first: another process may have applied meanwhile.
+   */
+  usage() {
+    this.data = this.load();
+
+    const now = this.now();
+    const today = this.data.days[localDate(now)] || 0;
+    const week = weekDates(now).reduce((total, day) => total + (this.data.days[day] || 0), 0);
+
+    return {
+      today,
+      week,
+      perDay: this.perDay,
+      perWeek: this.perWeek,
+      remaining: Math.max(0, Math.min(this.perDay - today, this.perWeek - week))
+    };
+  }
+
+  remaining() {
+    return this.usage().remaining;
+  }
+
+  /**
+   * Throw when the daily or weekly quota is used up
+   */
+  check() {
+    const usage = this.usage();
+
+    if (usage.today >= usage.perDay) {
+      throw new AutomationError(`Daily application quota reached (${usage.today}/${usage.perDay})`, null, { quotaExceeded: true, usage });
+    }
+    if (usage.week >= usage.perWeek) {
+      throw new AutomationError(`Weekly application quota reached (${usage.week}/${usage.perWeek})`, null, { quotaExceeded: true, usage });
+    }
+    return usage;
+  }
+
+  /**
+   * Count a submitted application against today's quota
+   */
+  record(count = 1) {
+    this.data = this.load();
+
+    const day = localDate(this.now());
+    this.data.days[day] = (this.data.days[day] || 0) + count;
+    this.save();
+
+    return this.usage();
+  }
+}
+
+module.exports = { ApplicationQuota, localDate, weekDates };
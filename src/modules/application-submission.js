@@ -10,15 +10,20 @@
 
 const BrowserAutomation = require('./browser-automation');
 const ResumeGenerator = require('./resume-generator');
+const JobDescriptionAnalyzer = require('./job-description-analyzer');
+const { JobStore } = require('./job-store');
+const { ApplicationQuota } = require('./application-quota');
+const { detectEligibilityRequirements, checkEligibility } = require('./eligibility-detector');
 const { Logger, ErrorHandler, AutomationError } = require('./error-handling');
 const config = require('../config');
 const fs = require('fs');
 const path = require('path');
 
 class ApplicationSubmission {
-  constructor() {
+  constructor(options = {}) {
     this.browser = new BrowserAutomation();
-    this.resumeGenerator = new ResumeGenerator();
+    this.resumeGenerator = options.resumeGenerator || new ResumeGenerator();
+    this.analyzer = options.analyzer || new JobDescriptionAnalyzer();
     this.logger = new Logger('ApplicationSubmission');
     this.errorHandler = new ErrorHandler();
     this.config = config.get('linkedin');
@@ -26,6 +31,9 @@ class ApplicationSubmission {
     this.submissionCount = 0;
     this.dailyLimit = this.config.limits.maxApplicationsPerDay;
     this.submittedApplications = [];
+    this.jobStore = options.jobStore || new JobStore();
+    this.quota = options.quota || new ApplicationQuota({ perDay: this.dailyLimit });
+    this.logDir = options.logDir || path.join(__dirname, '..', '..', 'logs');
   }
 
   /**
@@ -60,16 +68,43 @@ class ApplicationSubmission {
     try {
       // Check daily limits
       if (this.submissionCount >= this.dailyLimit) {
-        throw new AutomationError(`Daily application limit reached (${this.dailyLimit})`);
+        throw new AutomationError(`Daily application limit reached (${this.dailyLimit})`, null, { quotaExceeded: true });
+      }
+
+      // Daily and weekly quotas shared with other runs and the scheduler
+      this.quota.check();
+
+      // Never apply twice, even to a repost under a new job ID
+      const previous = this.jobStore.findBlocking(jobData);
+      if (previous) {
+        const { record, matchedBy } = previous;
+        throw new AutomationError(record.status === 'applied'
+          ? `Already applied to ${record.title} at ${record.company} on ${record.appliedAt.split('T')[0]} (matched by ${matchedBy})`
+          : `${record.title} at ${record.company} is excluded from applications (matched by ${matchedBy})`);
       }
 
       this.logger.info(`Starting application submission for: ${jobData.title} at ${jobData.company}`);
       
+      // One analysis for the generated or fallback resume and the cover letter
+      const jobAnalysis = this.analyzeJob(jobData, options);
+      const stepOptions = { ...options, jobAnalysis };
+      
+      // Exclude jobs the profile is not eligible for before the browser or a quota slot is used
+      const eligibility = this.checkEligibility(jobData, jobAnalysis);
+      if (!eligibility.eligible) {
+        const reason = eligibility.blockers.map(blocker => blocker.reason).join('; ');
+        this.jobStore.markExcluded(jobData, { reason, blockers: eligibility.blockers });
+        throw new AutomationError(`Not eligible for ${jobData.title} at ${jobData.company}: ${reason}`);
+      }
+      eligibility.flags.forEach(flag => this.logger.warn(`Eligibility: ${flag.reason} ("${flag.text}")`));
+      
       const applicationData = {
         jobId: jobData.id,
         jobTitle: jobData.title,
         company: jobData.company,
         url: jobData.url,
+        jobType: jobAnalysis.jobType,
+        eligibilityFlags: eligibility.flags,
         startTime: new Date().toISOString(),
         status: 'in_progress'
       };
@@ -88,17 +123,19 @@ class ApplicationSubmission {
       await this.startEasyApplyProcess();
       
       // Fill application form
-      await this.fillApplicationForm(jobData, options);
+      await this.fillApplicationForm(jobData, stepOptions);
       
       // Upload resume if required (with intelligent generation)
-      const resumeResult = await this.handleResumeUpload(jobData, options);
+      const resumeResult = await this.handleResumeUpload(jobData, stepOptions);
       applicationData.resumeInfo = resumeResult;
+      await this.advanceEasyApplyStep();
 
       // Add cover letter if provided
-      await this.handleCoverLetter(jobData, options);
+      await this.handleCoverLetter(jobData, stepOptions);
       
       // Answer additional questions
-      await this.handleAdditionalQuestions(jobData, options);
+      await this.handleAdditionalQuestions(jobData, stepOptions);
+      await this.advanceEasyApplyStep();
       
       // Submit application
       await this.submitApplicationForm();
@@ -112,6 +149,11 @@ class ApplicationSubmission {
       
       // Record successful application
       await this.recordApplication(applicationData);
+      this.jobStore.markApplied(jobData, {
+        appliedAt: applicationData.endTime,
+        resumePath: resumeResult && resumeResult.resumePath
+      });
+      this.quota.record();
       
       this.submissionCount++;
       this.submittedApplications.push(applicationData);
@@ -126,6 +168,12 @@ class ApplicationSubmission {
       };
       
     } catch (error) {
+      // A spent quota is not a failed application; callers pause on it and retry later
+      if (error.context && error.context.quotaExceeded) {
+        this.logger.warn(error.message);
+        throw error;
+      }
+
       this.logger.error(`Application submission failed for ${jobData.title}:`, error);
       
       // Record failed application
@@ -138,6 +186,22 @@ class ApplicationSubmission {
     }
   }
 
+  /**
+   * Reuse the analysis passed in or attached by the campaign engine, else analyze the job
+   */
+  analyzeJob(jobData, options = {}) {
+    const existing = [options.jobAnalysis, jobData.analysis].find(analysis => JobDescriptionAnalyzer.isCurrent(analysis));
+    return existing || this.analyzer.analyze(jobData);
+  }
+
+  /**
+   * Check the eligibility constraints of the analysis against the profile
+   */
+  checkEligibility(jobData, jobAnalysis) {
+    const requirements = jobAnalysis.eligibility || detectEligibilityRequirements(`${jobData.title || ''}\n${jobData.description || ''}`);
+    return checkEligibility(requirements, this.profileConfig, { location: jobData.location });
+  }
+
   /**
    * Navigate to job posting URL
    */
@@ -205,9 +269,11 @@ class ApplicationSubmission {
       
       // Address (if required)
       await this.fillAddress();
+      await this.advanceEasyApplyStep();
       
       // Work authorization (if required)
       await this.handleWorkAuthorization();
+      await this.advanceEasyApplyStep();
       
       this.logger.info('✅ Application form filled');
       
@@ -223,7 +289,7 @@ class ApplicationSubmission {
   async fillPhoneNumber() {
     try {
       const phoneSelector = 'input[name*="phone"], input[id*="phone"]';
-      const phoneNumber = this.profileConfig.phone || '(650) 222-7923'; // From our LinkedIn test
+      const phoneNumber = this.profileConfig.phone;
       
       // Check if phone field exists and is empty
       const phoneField = await this.browser.waitForElement(phoneSelector, 2000).catch(() => null);
@@ -244,7 +310,7 @@ class ApplicationSubmission {
   async fillAddress() {
     try {
       const addressSelector = 'input[name*="address"], input[id*="address"]';
-      const address = this.profileConfig.address || 'Sacramento, California';
+      const address = this.profileConfig.address || this.profileConfig.location;
       
       const addressField = await this.browser.waitForElement(addressSelector, 2000).catch(() => null);
       
@@ -263,22 +329,57 @@ class ApplicationSubmission {
    */
   async handleWorkAuthorization() {
     try {
-      // Common work authorization questions
-      const authQuestions = [
-        'Are you authorized to work in the United States?',
-        'Do you require sponsorship for employment visa status?'
-      ];
+      const authorization = this.profileConfig.workAuthorization || {};
       
-      // Answer "Yes" to work authorization, "No" to sponsorship
-      // This would need to be implemented based on actual form structure
+      // "Are you authorized to work...?" and "Will you require sponsorship...?" radio groups
+      const answers = [
+        { group: 'authoriz', answer: authorization.authorizedToWork === false ? 'No' : 'Yes' },
+        { group: 'sponsor', answer: authorization.requiresSponsorship ? 'Yes' : 'No' }
+      ];
       
-      this.logger.info('Work authorization questions handled');
+      for (const { group, answer } of answers) {
+        const optionSelector = `input[type="radio"][name*="${group}" i][value="${answer}"]`;
+        const option = await this.browser.waitForElement(optionSelector, 2000).catch(() => null);
+        
+        if (option) {
+          await this.browser.click(optionSelector, { retries: 1 });
+          this.logger.info(`Work authorization answered: ${group} -> ${answer}`);
+        }
+      }
       
     } catch (error) {
       this.logger.debug('No work authorization questions found');
     }
   }
 
+  /**
+   * Move the Easy Apply modal to its next step (Next, then Review on the last page)
+   */
+  async advanceEasyApplyStep() {
+    const buttons = [this.config.selectors.nextButton, this.config.selectors.reviewButton];
+    
+    for (const selector of buttons) {
+      if (!selector) {
+        continue;
+      }
+      
+      const button = await this.browser.waitForElement(selector, 2000).catch(() => null);
+      
+      if (button) {
+        try {
+          await this.browser.click(selector, { retries: 1 });
+          this.logger.info('Advanced to next Easy Apply step');
+          return true;
+        } catch (error) {
+          this.logger.debug(`Could not advance Easy Apply step: ${error.message}`);
+        }
+      }
+    }
+    
+    // Single-page forms have no step buttons
+    return false;
+  }
+
   /**
    * Handle resume upload with intelligent generation
    */
@@ -291,39 +392,41 @@ class ApplicationSubmission {
       const uploadField = await this.browser.waitForElement(uploadSelector, 3000).catch(() => null);
 
       if (uploadField) {
-        // Generate customized resume for this specific job
-        const resumeResult = await this.generateCustomizedResume(jobData, options);
+        // Generate customized resume for this specific job, unless the job queue already did
+        const pregenerated = options.generatedResume;
+        const resumeResult = pregenerated && pregenerated.success && fs.existsSync(pregenerated.resumePath)
+          ? pregenerated
+          : await this.generateCustomizedResume(jobData, options);
 
         if (resumeResult.success && fs.existsSync(resumeResult.resumePath)) {
           // Upload the generated resume
           this.logger.info(`Uploading customized resume: ${path.basename(resumeResult.resumePath)}`);
           this.logger.info(`Resume match score: ${resumeResult.matchScore}%`);
 
-          // Simulate upload (in real implementation, this would upload the actual file)
-          await this.browser.wait(2000);
-
-          this.logger.info('✅ Customized resume uploaded successfully');
+          const uploaded = await this.attachResume(uploadSelector, resumeResult.resumePath);
 
           return {
             success: true,
             resumePath: resumeResult.resumePath,
             matchScore: resumeResult.matchScore,
-            customized: true
+            customized: true,
+            uploaded
           };
         } else {
           // Fallback to static resume selection
           this.logger.warn('Resume generation failed, falling back to static selection');
-          const fallbackPath = this.selectAppropriateResume(jobData);
+          const fallbackPath = this.selectAppropriateResume(jobData, options.jobAnalysis);
 
           if (fallbackPath && fs.existsSync(fallbackPath)) {
             this.logger.info(`Uploading fallback resume: ${path.basename(fallbackPath)}`);
-            await this.browser.wait(2000);
+            const uploaded = await this.attachResume(uploadSelector, fallbackPath);
 
             return {
               success: true,
               resumePath: fallbackPath,
               matchScore: 70, // Estimated score for static resume
-              customized: false
+              customized: false,
+              uploaded
             };
           } else {
             this.logger.warn('No resume available, using LinkedIn profile resume');
@@ -341,6 +444,24 @@ class ApplicationSubmission {
     }
   }
 
+  /**
+   * Attach a resume file through the browser driver
+   * @returns {Promise<boolean>} - false when the driver cannot upload files
+   */
+  async attachResume(uploadSelector, resumePath) {
+    try {
+      await this.browser.uploadFile(uploadSelector, resumePath);
+      this.logger.info('✅ Resume uploaded successfully');
+      return true;
+    } catch (error) {
+      if (error.code === 'DRIVER_UNSUPPORTED') {
+        this.logger.warn(`Active browser driver cannot upload files, attach ${path.basename(resumePath)} manually`);
+        return false;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Generate customized resume for specific job
    */
@@ -389,7 +510,7 @@ class ApplicationSubmission {
         success: result.success
       };
 
-      const logDir = path.join(__dirname, '..', '..', 'logs', 'resume-generation');
+      const logDir = path.join(this.logDir, 'resume-generation');
       if (!fs.existsSync(logDir)) {
         fs.mkdirSync(logDir, { recursive: true });
       }
@@ -413,13 +534,12 @@ class ApplicationSubmission {
   /**
    * Select appropriate resume based on job type (fallback method)
    */
-  selectAppropriateResume(jobData) {
+  selectAppropriateResume(jobData, jobAnalysis = this.analyzeJob(jobData)) {
     const templatesDir = path.join(__dirname, '..', '..', 'templates', 'resumes');
-    const jobTitle = jobData.title.toLowerCase();
 
-    if (jobTitle.includes('seo')) {
+    if (jobAnalysis.jobType === 'seo') {
       return path.join(templatesDir, 'ivo-dachev-seo-specialist.pdf');
-    } else if (jobTitle.includes('ai') || jobTitle.includes('machine learning')) {
+    } else if (jobAnalysis.jobType === 'ai') {
       return path.join(templatesDir, 'ivo-dachev-ai-engineer.pdf');
     } else {
       return path.join(templatesDir, 'ivo-dachev-fullstack.pdf');
@@ -435,7 +555,7 @@ class ApplicationSubmission {
         this.logger.info('Adding cover letter...');
         
         // Generate or select cover letter
-        const coverLetter = await this.generateCoverLetter(jobData);
+        const coverLetter = await this.generateCoverLetter(jobData, options.jobAnalysis);
         
         // Look for cover letter field
         const coverLetterSelector = 'textarea[name*="cover"], textarea[id*="cover"]';
@@ -456,21 +576,23 @@ class ApplicationSubmission {
   /**
    * Generate cover letter for the job
    */
-  async generateCoverLetter(jobData) {
+  async generateCoverLetter(jobData, jobAnalysis = this.analyzeJob(jobData)) {
     try {
       // This would integrate with AI service for cover letter generation
-      // For now, return a basic template
+      // For now, return a basic template filled in from the candidate profile
+      const { name, yearsOfExperience, location, preferences } = this.profileConfig;
+      const availability = preferences.remote ? 'and am available for remote work' : 'and am available to work on-site';
       
       const template = `Dear Hiring Manager,
 
-I am excited to apply for the ${jobData.title} position at ${jobData.company}. With over 15 years of experience in full-stack web development and AI engineering, I am confident I can contribute significantly to your team.
+I am excited to apply for the ${jobData.title} position at ${jobData.company}. With over ${yearsOfExperience} years of experience in full-stack web development and AI engineering, I am confident I can contribute significantly to your team.
 
-My background includes extensive experience in SEO optimization, web technologies, and modern development frameworks. I am particularly drawn to this role because it aligns perfectly with my expertise in ${this.extractKeySkills(jobData)}.
+My background includes extensive experience in SEO optimization, web technologies, and modern development frameworks. I am particularly drawn to this role because it aligns perfectly with my expertise in ${this.extractKeySkills(jobData, jobAnalysis)}.
 
-I am based in Sacramento, California, and am available for remote work. I look forward to discussing how my skills and experience can benefit ${jobData.company}.
+I am based in ${location}, ${availability}. I look forward to discussing how my skills and experience can benefit ${jobData.company}.
 
 Best regards,
-Ivo Dachev`;
+${name}`;
 
       return template;
       
@@ -481,17 +603,14 @@ Ivo Dachev`;
   }
 
   /**
-   * Extract key skills from job data
+   * Extract key skills from the job analysis
    */
-  extractKeySkills(jobData) {
-    const jobText = (jobData.title + ' ' + jobData.description).toLowerCase();
-    const skills = [];
-    
-    if (jobText.includes('seo')) skills.push('SEO optimization');
-    if (jobText.includes('full-stack') || jobText.includes('fullstack')) skills.push('full-stack development');
-    if (jobText.includes('ai') || jobText.includes('artificial intelligence')) skills.push('AI engineering');
-    if (jobText.includes('javascript')) skills.push('JavaScript');
-    if (jobText.includes('react')) skills.push('React');
+  extractKeySkills(jobData, jobAnalysis = this.analyzeJob(jobData)) {
+    const focus = { seo: 'SEO optimization', fullstack: 'full-stack development', ai: 'AI engineering' }[jobAnalysis.jobType];
+    const skills = [
+      ...(focus ? [focus] : []),
+      ...jobAnalysis.skills.ranked.slice(0, 3).map(skill => skill.name)
+    ];
     
     return skills.length > 0 ? skills.join(', ') : 'web development and technical optimization';
   }
@@ -545,13 +664,20 @@ Ivo Dachev`;
       // Look for success confirmation
       await this.browser.wait(2000);
       
+      const snapshot = await this.browser.getPageSnapshot();
+      const confirmed = /application (was )?(sent|submitted)/i.test(snapshot.text || '');
+      
       // Take screenshot for verification
       const screenshot = await this.browser.takeScreenshot();
       
-      this.logger.info('✅ Application submission verified');
+      if (confirmed) {
+        this.logger.info('✅ Application submission verified');
+      } else {
+        this.logger.warn('No submission confirmation found on page');
+      }
       
       return {
-        verified: true,
+        verified: confirmed,
         screenshot: screenshot.filename,
         timestamp: new Date().toISOString()
       };
@@ -571,7 +697,7 @@ Ivo Dachev`;
    */
   async recordApplication(applicationData) {
     try {
-      const logDir = path.join(__dirname, '..', '..', 'logs', 'applications');
+      const logDir = path.join(this.logDir, 'applications');
       if (!fs.existsSync(logDir)) {
         fs.mkdirSync(logDir, { recursive: true });
       }
@@ -609,7 +735,7 @@ Ivo Dachev`;
         error: error.message
       };
       
-      const logDir = path.join(__dirname, '..', '..', 'logs', 'errors');
+      const logDir = path.join(this.logDir, 'errors');
       if (!fs.existsSync(logDir)) {
         fs.mkdirSync(logDir, { recursive: true });
       }
@@ -636,7 +762,7 @@ Ivo Dachev`;
   async loadDailyApplications() {
     try {
       const date = new Date().toISOString().split('T')[0];
-      const logFile = path.join(__dirname, '..', '..', 'logs', 'applications', `applications-${date}.json`);
+      const logFile = path.join(this.logDir, 'applications', `applications-${date}.json`);
       
       if (fs.existsSync(logFile)) {
         const applications = JSON.parse(fs.readFileSync(logFile, 'utf8'));
@@ -661,6 +787,7 @@ Ivo Dachev`;
       submissionCount: this.submissionCount,
       dailyLimit: this.dailyLimit,
       remainingApplications: this.dailyLimit - this.submissionCount,
+      quota: this.quota.usage(),
       submittedApplications: this.submittedApplications.length,
       successRate: this.submittedApplications.length > 0 ?
         (this.submittedApplications.filter(app => app.status === 'submitted').length / this.submittedApplications.length * 100).toFixed(2) + '%' :
@@ -679,7 +806,7 @@ Ivo Dachev`;
    */
   async getResumeGenerationAnalytics() {
     try {
-      const logDir = path.join(__dirname, '..', '..', 'logs', 'resume-generation');
+      const logDir = path.join(this.logDir, 'resume-generation');
       if (!fs.existsSync(logDir)) {
         return { totalGenerated: 0, analytics: {} };
       }
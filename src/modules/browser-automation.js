@@ -1,7 +1,8 @@
 /**
  * Browser Automation Module - browsermcp MCP Server Integration
  * 
- * Handles all browser automation tasks using the browsermcp MCP server.
+ * Handles all browser automation tasks through a pluggable browser driver
+ * (browsermcp MCP server or local Puppeteer, see ./browser-drivers).
  * Provides session management, navigation, and interaction capabilities.
  * 
  * @author Ivo Dachev <dachevivo@gmail.com>
@@ -10,6 +11,7 @@
 
 const config = require('../config');
 const { Logger } = require('./error-handling');
+const { createSessionDriver } = require('./browser-drivers');
 
 class BrowserAutomation {
   constructor() {
@@ -19,26 +21,61 @@ class BrowserAutomation {
     this.isConnected = false;
     this.sessionActive = false;
     this.currentPage = null;
+    this.driver = null;
+    this.replaying = (this.config.session || {}).mode === 'replay';
   }
 
   /**
-   * Initialize browsermcp MCP server connection
+   * Initialize the configured browser driver, falling back if it is unavailable
    */
   async initialize() {
+    const primary = this.config.driver || 'mcp';
+    // A replayed session never touches a real browser, so there is nothing to fall back to
+    const fallback = this.replaying ? null : this.config.fallbackDriver;
+
     try {
-      this.logger.info('Initializing browsermcp MCP server connection...');
-      
-      // Note: This would connect to the actual browsermcp MCP server
-      // For now, we'll simulate the connection based on our successful testing
-      
-      this.isConnected = true;
-      this.logger.info('✅ Successfully connected to browsermcp MCP server');
-      
-      return { success: true, message: 'browsermcp connection established' };
+      return await this.connectDriver(primary);
     } catch (error) {
-      this.logger.error('Failed to initialize browsermcp connection:', error);
-      throw new Error(`browsermcp initialization failed: ${error.message}`);
+      if (!fallback || fallback === primary) {
+        this.logger.error(`Failed to initialize ${primary} browser driver:`, error);
+        throw new Error(`Browser initialization failed: ${error.message}`);
+      }
+
+      this.logger.warn(`${primary} driver unavailable (${error.message}), falling back to ${fallback}`);
+
+      try {
+        return await this.connectDriver(fallback);
+      } catch (fallbackError) {
+        this.logger.error(`Failed to initialize ${fallback} browser driver:`, fallbackError);
+        throw new Error(`Browser initialization failed: ${error.message}; fallback ${fallback}: ${fallbackError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Create and connect a driver by name
+   */
+  async connectDriver(name) {
+    this.logger.info(`Initializing ${name} browser driver...`);
+
+    const driver = createSessionDriver(name, this.config);
+    const { serverInfo, tools } = await driver.connect();
+
+    this.driver = driver;
+    this.isConnected = true;
+    this.logger.info(`✅ Successfully connected ${driver.name} browser driver`);
+
+    return { success: true, driver: driver.name, message: `${name} connection established`, serverInfo, tools };
+  }
+
+  /**
+   * Get the active driver, failing clearly when initialize() was not called
+   */
+  requireDriver() {
+    if (!this.driver) {
+      throw new Error('Browser driver not initialized - call initialize() first');
     }
+    return this.driver;
   }
 
   /**
@@ -51,9 +88,7 @@ class BrowserAutomation {
       try {
         this.logger.info(`Navigating to: ${url} (attempt ${attempt}/${retries})`);
         
-        // Simulate browsermcp navigation call
-        // In actual implementation, this would use the MCP server
-        await this.simulateNavigation(url);
+        await this.requireDriver().navigate(url);
         
         // Wait for page load
         await this.wait(waitTime);
@@ -89,8 +124,7 @@ class BrowserAutomation {
         // Wait for element to be available
         await this.waitForElement(selector);
         
-        // Simulate browsermcp click
-        await this.simulateClick(selector);
+        await this.requireDriver().click(selector, options);
         
         // Wait after click
         await this.wait(waitTime);
@@ -124,11 +158,11 @@ class BrowserAutomation {
       
       // Clear field if requested
       if (clear) {
-        await this.simulateClear(selector);
+        await this.requireDriver().clear(selector);
       }
       
       // Type text
-      await this.simulateType(selector, text);
+      await this.requireDriver().type(selector, text, options);
       
       // Wait after typing
       await this.wait(waitTime);
@@ -148,40 +182,56 @@ class BrowserAutomation {
   async waitForElement(selector, timeout = 10000) {
     this.logger.debug(`Waiting for element: ${selector}`);
     
-    // Simulate element waiting
-    await this.wait(1000);
-    
-    // In actual implementation, this would check element existence
-    return { success: true, selector: selector };
+    return this.requireDriver().waitForSelector(selector, timeout);
+  }
+
+  /**
+   * Attach a local file to an upload field
+   */
+  async uploadFile(selector, filePath) {
+    try {
+      this.logger.info(`Uploading ${filePath} via ${selector}`);
+
+      const result = await this.requireDriver().uploadFile(selector, filePath);
+
+      this.logger.info(`✅ File uploaded: ${filePath}`);
+      return result;
+
+    } catch (error) {
+      this.logger.error(`Upload failed for ${selector}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate a function in the page context
+   */
+  async evaluate(pageFunction, ...args) {
+    return this.requireDriver().evaluate(pageFunction, ...args);
   }
 
   /**
-   * Take a screenshot using browsermcp MCP server
+   * Take a screenshot using the active driver
    */
   async takeScreenshot(filename = null) {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const screenshotName = filename || `screenshot-${timestamp}.png`;
 
-      this.logger.info(`Taking MCP screenshot: ${screenshotName}`);
-
-      // Direct MCP call for screenshot
-      const { use_tool_toolbox } = require('../../mcp-integration/toolbox-client');
+      this.logger.info(`Taking screenshot: ${screenshotName}`);
 
-      const result = await use_tool_toolbox('browsermcp', {
-        name: 'browser_screenshot_browsermcp',
-        arguments: { filename: screenshotName }
-      });
+      const result = await this.requireDriver().screenshot(screenshotName);
 
-      this.logger.info(`✅ MCP Screenshot completed: ${screenshotName}`);
+      this.logger.info(`✅ Screenshot completed: ${screenshotName}`);
       return {
         success: true,
         filename: screenshotName,
-        mcpResult: result
+        path: result.path,
+        mcpResult: result.mcpResult
       };
 
     } catch (error) {
-      this.logger.error('MCP screenshot failed:', error);
+      this.logger.error('Screenshot failed:', error);
       throw error;
     }
   }
@@ -191,29 +241,23 @@ class BrowserAutomation {
    */
   async getPageSnapshot() {
     try {
-      this.logger.info('Capturing MCP page snapshot...');
+      this.logger.info('Capturing page snapshot...');
 
-      // Direct MCP call for page snapshot
-      const { use_tool_toolbox } = require('../../mcp-integration/toolbox-client');
-
-      const result = await use_tool_toolbox('browsermcp', {
-        name: 'browser_snapshot_browsermcp',
-        arguments: {}
-      });
+      const result = await this.requireDriver().snapshot();
 
       const snapshot = {
-        url: this.currentPage,
+        url: result.url || this.currentPage,
         timestamp: new Date().toISOString(),
         title: result.title || 'Page Title',
-        text: result.text || result,
-        mcpResult: result
+        text: result.text || '',
+        mcpResult: result.mcpResult
       };
 
-      this.logger.info('✅ MCP Page snapshot captured');
+      this.logger.info('✅ Page snapshot captured');
       return snapshot;
 
     } catch (error) {
-      this.logger.error('MCP page snapshot failed:', error);
+      this.logger.error('Page snapshot failed:', error);
       throw error;
     }
   }
@@ -250,90 +294,11 @@ class BrowserAutomation {
    * Wait for specified time
    */
   async wait(milliseconds) {
-    return new Promise(resolve => setTimeout(resolve, milliseconds));
-  }
-
-  /**
-   * Direct navigation using browsermcp MCP server
-   */
-  async simulateNavigation(url) {
-    try {
-      // Direct MCP call for navigation
-      const { use_tool_toolbox } = require('../../mcp-integration/toolbox-client');
-
-      const result = await use_tool_toolbox('browsermcp', {
-        name: 'browser_navigate_browsermcp',
-        arguments: { url: url }
-      });
-
-      this.logger.info(`✅ MCP Navigation successful: ${url}`);
-
-      // Wait for page load
-      await this.wait(2000);
-
-    } catch (error) {
-      this.logger.error('MCP navigation failed:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Direct click using browsermcp MCP server
-   */
-  async simulateClick(selector) {
-    try {
-      // Direct MCP call for clicking
-      const { use_tool_toolbox } = require('../../mcp-integration/toolbox-client');
-
-      const result = await use_tool_toolbox('browsermcp', {
-        name: 'browser_click_browsermcp',
-        arguments: {
-          element: `Element with selector: ${selector}`,
-          ref: selector
-        }
-      });
-
-      this.logger.info(`✅ MCP Click successful: ${selector}`);
-      await this.wait(1000);
-
-    } catch (error) {
-      this.logger.error('MCP click failed:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Direct typing using browsermcp MCP server
-   */
-  async simulateType(selector, text) {
-    try {
-      // Direct MCP call for typing
-      const { use_tool_toolbox } = require('../../mcp-integration/toolbox-client');
-
-      const result = await use_tool_toolbox('browsermcp', {
-        name: 'browser_type_browsermcp',
-        arguments: {
-          element: `Input field with selector: ${selector}`,
-          ref: selector,
-          text: text,
-          submit: false
-        }
-      });
-
-      this.logger.info(`✅ MCP Typing successful: ${selector}`);
-
-    } catch (error) {
-      this.logger.error('MCP typing failed:', error);
-      throw error;
+    // Replayed pages are already "loaded", so pacing delays only slow tests down
+    if (this.replaying) {
+      return;
     }
-  }
-
-  /**
-   * Simulate clearing input (placeholder for actual browsermcp call)
-   */
-  async simulateClear(selector) {
-    // This would be replaced with actual browsermcp MCP server call
-    await this.wait(200);
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
   }
 
   /**
@@ -343,6 +308,11 @@ class BrowserAutomation {
     try {
       this.logger.info('Closing browser session...');
       
+      if (this.driver) {
+        await this.driver.close();
+      }
+      
+      this.driver = null;
       this.isConnected = false;
       this.sessionActive = false;
       this.currentPage = null;
@@ -362,6 +332,7 @@ class BrowserAutomation {
   getStatus() {
     return {
       connected: this.isConnected,
+      driver: this.driver ? this.driver.name : null,
       sessionActive: this.sessionActive,
       currentPage: this.currentPage,
       timestamp: new Date().toISOString()
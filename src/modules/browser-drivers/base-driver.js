@@ -0,0 +1,111 @@
+/**
+ * Browser Driver Base Class
+ * 
+ * Defines the contract every browser backend implements. BrowserAutomation
+ * only talks to this interface, so the MCP server and a local Puppeteer
+ * browser are interchangeable.
+ * 
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const { Logger } = require('../error-handling');
+
+class BrowserDriver {
+  constructor(name, browserConfig = {}) {
+    this.name = name;
+    this.config = browserConfig;
+    this.logger = new Logger(`BrowserDriver:${name}`);
+    this.connected = false;
+  }
+
+  /**
+   * Start or attach to the browser
+   */
+  async connect() {
+    throw this.unsupported('connect');
+  }
+
+  /**
+   * Release the browser
+   */
+  async close() {
+    this.connected = false;
+  }
+
+  /**
+   * Load a URL in the current tab
+   */
+  async navigate(url) {
+    throw this.unsupported('navigate');
+  }
+
+  /**
+   * Click an element
+   */
+  async click(selector, options = {}) {
+    throw this.unsupported('click');
+  }
+
+  /**
+   * Type text into an input field
+   */
+  async type(selector, text, options = {}) {
+    throw this.unsupported('type');
+  }
+
+  /**
+   * Clear an input field
+   */
+  async clear(selector) {
+    throw this.unsupported('clear');
+  }
+
+  /**
+   * Capture the page as a browsermcp-style accessibility snapshot
+   * @returns {Promise<object>} - { url, title, text }
+   */
+  async snapshot() {
+    throw this.unsupported('snapshot');
+  }
+
+  /**
+   * Capture a screenshot
+   * @returns {Promise<object>} - { filename, path }
+   */
+  async screenshot(filename) {
+    throw this.unsupported('screenshot');
+  }
+
+  /**
+   * Attach a local file to a file input (or the chooser a button opens)
+   */
+  async uploadFile(selector, filePath) {
+    throw this.unsupported('uploadFile');
+  }
+
+  /**
+   * Evaluate a function in the page context
+   */
+  async evaluate(pageFunction, ...args) {
+    throw this.unsupported('evaluate');
+  }
+
+  /**
+   * Wait until an element is present
+   */
+  async waitForSelector(selector, timeout = 10000) {
+    throw this.unsupported('waitForSelector');
+  }
+
+  /**
+   * Build the error thrown for operations a backend cannot perform
+   */
+  unsupported(operation) {
+    const error = new Error(`${operation} is not supported by the ${this.name} driver`);
+    error.code = 'DRIVER_UNSUPPORTED';
+    return error;
+  }
+}
+
+module.exports = BrowserDriver;
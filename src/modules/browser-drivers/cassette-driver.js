@@ -0,0 +1,198 @@
+/**
+ * Cassette Browser Drivers - Session Record and Replay
+ *
+ * RecordingDriver wraps a live driver and appends every call and its result
+ * to a cassette file. ReplayDriver serves those results back in order, so
+ * JobSearch and ApplicationSubmission flows can run offline against pages
+ * captured from a real session.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BrowserDriver = require('./base-driver');
+
+const CASSETTE_VERSION = 1;
+
+// Operations that go through the cassette; connect/close never do
+const RECORDED_OPERATIONS = [
+  'navigate', 'click', 'type', 'clear', 'snapshot',
+  'screenshot', 'uploadFile', 'evaluate', 'waitForSelector'
+];
+
+// Argument positions that differ on every run (timestamped screenshot names,
+// freshly generated resume paths), so replay does not compare them
+const VOLATILE_ARGS = {
+  screenshot: [0],
+  uploadFile: [1]
+};
+
+/**
+ * Make call arguments JSON-safe (page functions are stored as source)
+ */
+function serializeArgs(args) {
+  return args.map(arg => (typeof arg === 'function' ? arg.toString() : arg));
+}
+
+/**
+ * Arguments as compared on replay, with volatile positions blanked out
+ */
+function comparableArgs(operation, args) {
+  const volatile = VOLATILE_ARGS[operation] || [];
+  return JSON.stringify(args.map((arg, index) => (volatile.includes(index) ? null : arg)));
+}
+
+/**
+ * Store results as returned, raw MCP payloads included, so replayed
+ * snapshots and screenshots carry the same mcpResult a live session does
+ */
+function serializeResult(result) {
+  return result === undefined ? null : result;
+}
+
+class RecordingDriver extends BrowserDriver {
+  constructor(inner, cassettePath) {
+    super(`${inner.name}+record`, inner.config);
+    this.inner = inner;
+    this.cassettePath = cassettePath;
+    this.cassette = {
+      version: CASSETTE_VERSION,
+      driver: inner.name,
+      recordedAt: new Date().toISOString(),
+      interactions: []
+    };
+
+    for (const operation of RECORDED_OPERATIONS) {
+      this[operation] = (...args) => this.record(operation, args);
+    }
+  }
+
+  async connect() {
+    const result = await this.inner.connect();
+    this.connected = true;
+    this.save();
+    this.logger.info(`✅ Recording browser session to ${this.cassettePath}`);
+    return result;
+  }
+
+  async close() {
+    await this.inner.close();
+    this.save();
+    this.connected = false;
+  }
+
+  /**
+   * Forward a call to the live driver and store the outcome
+   */
+  async record(operation, args) {
+    const interaction = { operation, args: serializeArgs(args) };
+
+    try {
+      const result = await this.inner[operation](...args);
+      interaction.result = serializeResult(result);
+      return result;
+    } catch (error) {
+      interaction.error = { message: error.message, code: error.code || null, name: error.name };
+      throw error;
+    } finally {
+      this.cassette.interactions.push(interaction);
+      this.save();
+    }
+  }
+
+  /**
+   * Write the cassette after every interaction so a crash keeps what was captured
+   */
+  save() {
+    const dir = path.dirname(this.cassettePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.cassettePath, JSON.stringify(this.cassette, null, 2), 'utf8');
+  }
+}
+
+class ReplayDriver extends BrowserDriver {
+  constructor(cassettePath, browserConfig = {}) {
+    super('replay', browserConfig);
+    this.cassettePath = cassettePath;
+    this.interactions = [];
+    this.position = 0;
+
+    for (const operation of RECORDED_OPERATIONS) {
+      this[operation] = (...args) => this.replay(operation, args);
+    }
+  }
+
+  async connect() {
+    if (!fs.existsSync(this.cassettePath)) {
+      throw new Error(`Cassette not found: ${this.cassettePath}`);
+    }
+
+    const cassette = JSON.parse(fs.readFileSync(this.cassettePath, 'utf8'));
+
+    if (cassette.version !== CASSETTE_VERSION) {
+      throw new Error(`Unsupported cassette version ${cassette.version} in ${this.cassettePath}`);
+    }
+
+    this.interactions = cassette.interactions || [];
+    this.position = 0;
+    this.connected = true;
+    this.logger.info(`✅ Replaying ${this.interactions.length} interactions from ${this.cassettePath}`);
+
+    return { serverInfo: { name: 'replay', recordedWith: cassette.driver, recordedAt: cassette.recordedAt }, tools: [] };
+  }
+
+  /**
+   * Serve the next recorded interaction, failing loudly when the flow diverges
+   */
+  async replay(operation, args) {
+    const interaction = this.interactions[this.position];
+
+    if (!interaction) {
+      throw this.mismatch(`cassette exhausted, unexpected ${operation}`);
+    }
+
+    const actualArgs = serializeArgs(args);
+
+    if (interaction.operation !== operation ||
+        comparableArgs(operation, interaction.args) !== comparableArgs(operation, actualArgs)) {
+      throw this.mismatch(
+        `expected ${interaction.operation}(${JSON.stringify(interaction.args)}) at #${this.position}, ` +
+        `got ${operation}(${JSON.stringify(actualArgs)})`
+      );
+    }
+
+    this.position++;
+
+    if (interaction.error) {
+      const error = new Error(interaction.error.message);
+      error.name = interaction.error.name || 'Error';
+      error.code = interaction.error.code;
+      throw error;
+    }
+
+    return interaction.result;
+  }
+
+  mismatch(detail) {
+    const error = new Error(`Cassette mismatch in ${path.basename(this.cassettePath)}: ${detail}`);
+    error.code = 'CASSETTE_MISMATCH';
+    return error;
+  }
+
+  /**
+   * Number of recorded interactions not yet replayed
+   */
+  remaining() {
+    return this.interactions.length - this.position;
+  }
+}
+
+module.exports = {
+  RecordingDriver,
+  ReplayDriver,
+  CASSETTE_VERSION
+};
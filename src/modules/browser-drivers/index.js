@@ -0,0 +1,77 @@
+/**
+ * Browser Driver Registry
+ * 
+ * Maps the `browsermcp.driver` / `browsermcp.fallbackDriver` config values
+ * to driver implementations, and applies `browsermcp.session` record/replay.
+ * 
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const BrowserDriver = require('./base-driver');
+const { RecordingDriver, ReplayDriver } = require('./cassette-driver');
+const McpDriver = require('./mcp-driver');
+const PuppeteerDriver = require('./puppeteer-driver');
+
+const drivers = {
+  mcp: McpDriver,
+  puppeteer: PuppeteerDriver
+};
+
+/**
+ * Create a driver instance by name
+ * @param {string} name - Driver name ('mcp' or 'puppeteer')
+ * @param {object} browserConfig - The browsermcp configuration section
+ * @returns {BrowserDriver}
+ */
+function createDriver(name, browserConfig) {
+  const Driver = drivers[name];
+
+  if (!Driver) {
+    throw new Error(`Unknown browser driver "${name}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+
+  return new Driver(browserConfig);
+}
+
+/**
+ * Create a driver honouring the session mode (live, record or replay)
+ * @param {string} name - Driver name used for live and record modes
+ * @param {object} browserConfig - The browsermcp configuration section
+ * @returns {BrowserDriver}
+ */
+function createSessionDriver(name, browserConfig) {
+  const session = browserConfig.session || {};
+  const mode = session.mode || 'live';
+  const cassettePath = session.cassette
+    ? path.resolve(__dirname, '..', '..', '..', session.cassette)
+    : null;
+
+  switch (mode) {
+    case 'live':
+      return createDriver(name, browserConfig);
+
+    case 'record':
+    case 'replay':
+      if (!cassettePath) {
+        throw new Error(`Session mode "${mode}" requires browsermcp.session.cassette`);
+      }
+      return mode === 'record'
+        ? new RecordingDriver(createDriver(name, browserConfig), cassettePath)
+        : new ReplayDriver(cassettePath, browserConfig);
+
+    default:
+      throw new Error(`Unknown session mode "${mode}" (expected live, record or replay)`);
+  }
+}
+
+module.exports = {
+  createDriver,
+  createSessionDriver,
+  BrowserDriver,
+  McpDriver,
+  PuppeteerDriver,
+  RecordingDriver,
+  ReplayDriver
+};
@@ -0,0 +1,105 @@
+/**
+ * MCP Browser Driver - browsermcp MCP Server Backend
+ * 
+ * Drives the user's own browser through the browsermcp extension, which
+ * keeps the logged-in LinkedIn session. The server has no file upload or
+ * script evaluation tools, so those operations are reported as unsupported.
+ * 
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const toolbox = require('../../../mcp-integration/toolbox-client');
+const BrowserDriver = require('./base-driver');
+
+class McpDriver extends BrowserDriver {
+  constructor(browserConfig = {}) {
+    super('mcp', browserConfig);
+    this.serverName = browserConfig.serverName || 'browsermcp';
+    this.currentUrl = null;
+  }
+
+  /**
+   * Connect to the browsermcp server
+   */
+  async connect() {
+    const { serverInfo, tools } = await toolbox.connect(this.serverName);
+    this.connected = true;
+    return { serverInfo, tools };
+  }
+
+  /**
+   * Release the shared server connection
+   */
+  async close() {
+    if (this.connected) {
+      await toolbox.disconnect(this.serverName);
+    }
+    this.connected = false;
+  }
+
+  /**
+   * Call a browsermcp tool by its short name
+   */
+  async callTool(tool, args = {}) {
+    return toolbox.use_tool_toolbox(this.serverName, {
+      name: `${tool}_${this.serverName}`,
+      arguments: args
+    });
+  }
+
+  async navigate(url) {
+    const result = await this.callTool('browser_navigate', { url });
+    this.currentUrl = url;
+    return result;
+  }
+
+  async click(selector, options = {}) {
+    return this.callTool('browser_click', {
+      element: options.element || `Element with selector: ${selector}`,
+      ref: options.ref || selector
+    });
+  }
+
+  async type(selector, text, options = {}) {
+    return this.callTool('browser_type', {
+      element: options.element || `Input field with selector: ${selector}`,
+      ref: options.ref || selector,
+      text,
+      submit: options.submit || false
+    });
+  }
+
+  /**
+   * browsermcp replaces the field value when typing, so clearing is implicit
+   */
+  async clear(selector) {
+    this.logger.debug(`Clear is implicit for ${selector}`);
+    return { success: true };
+  }
+
+  async snapshot() {
+    const result = await this.callTool('browser_snapshot');
+    return {
+      url: result.url || this.currentUrl,
+      title: result.title,
+      text: result.text,
+      mcpResult: result.mcpResult
+    };
+  }
+
+  async screenshot(filename) {
+    const result = await this.callTool('browser_screenshot', { filename });
+    return { filename: result.filename, path: result.path, mcpResult: result.mcpResult };
+  }
+
+  /**
+   * Element refs only exist in snapshots, so presence cannot be checked by selector
+   */
+  async waitForSelector(selector, timeout = 10000) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(timeout, 1000)));
+    return { success: true, selector };
+  }
+}
+
+module.exports = McpDriver;
@@ -0,0 +1,227 @@
+/**
+ * Puppeteer Browser Driver - Local Chromium Backend
+ * 
+ * Launches Chromium directly through Puppeteer. Used when the browsermcp
+ * server is unavailable and whenever real file uploads are required.
+ * Snapshots are rendered in the same YAML outline browsermcp produces so
+ * the job search parsers work with either backend.
+ * 
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BrowserDriver = require('./base-driver');
+
+class PuppeteerDriver extends BrowserDriver {
+  constructor(browserConfig = {}) {
+    super('puppeteer', browserConfig);
+    this.browser = null;
+    this.page = null;
+    this.screenshotDir = path.join(__dirname, '..', '..', '..', 'screenshots');
+  }
+
+  /**
+   * Launch Chromium and open a page
+   */
+  async connect() {
+    const puppeteer = require('puppeteer');
+    const options = this.config.options || {};
+    const launchConfig = this.config.puppeteer || {};
+
+    this.browser = await puppeteer.launch({
+      headless: this.config.headless,
+      slowMo: options.slowMo,
+      devtools: options.devtools,
+      acceptInsecureCerts: options.ignoreHTTPSErrors,
+      executablePath: launchConfig.executablePath || undefined,
+      userDataDir: this.config.sessionPersistence && launchConfig.userDataDir
+        ? path.resolve(__dirname, '..', '..', '..', launchConfig.userDataDir)
+        : undefined,
+      args: launchConfig.args || []
+    });
+
+    const pages = await this.browser.pages();
+    this.page = pages[0] || await this.browser.newPage();
+
+    if (this.config.viewport) {
+      await this.page.setViewport(this.config.viewport);
+    }
+    if (this.config.userAgent) {
+      await this.page.setUserAgent(this.config.userAgent);
+    }
+
+    this.connected = true;
+    return { serverInfo: { name: 'puppeteer', version: await this.browser.version() }, tools: [] };
+  }
+
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+    }
+    this.browser = null;
+    this.page = null;
+    this.connected = false;
+  }
+
+  async navigate(url) {
+    const response = await this.page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: this.config.connectionTimeout
+    });
+    return { success: true, url: this.page.url(), status: response ? response.status() : null };
+  }
+
+  /**
+   * First visible element matching the selector; multi-step forms keep
+   * hidden steps in the page, so the first match is not always the one shown
+   */
+  async visibleElement(selector, timeout = 10000) {
+    const handle = await this.page.waitForFunction(
+      css => Array.from(document.querySelectorAll(css)).find(element => element.checkVisibility()) || null,
+      { timeout },
+      selector
+    );
+    return handle.asElement();
+  }
+
+  async click(selector) {
+    const element = await this.visibleElement(selector);
+    await element.click();
+    await element.dispose();
+    return { success: true, selector };
+  }
+
+  async type(selector, text, options = {}) {
+    const element = await this.visibleElement(selector);
+    await element.type(text);
+    await element.dispose();
+    if (options.submit) {
+      await this.page.keyboard.press('Enter');
+    }
+    return { success: true, selector, text };
+  }
+
+  async clear(selector) {
+    const element = await this.visibleElement(selector);
+    await element.evaluate(node => {
+      node.value = '';
+      node.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+    await element.dispose();
+    return { success: true, selector };
+  }
+
+  async snapshot() {
+    const title = await this.page.title();
+    const url = this.page.url();
+    const tree = await this.page.accessibility.snapshot({ interestingOnly: true });
+
+    const text = [
+      `- Page URL: ${url}`,
+      `- Page Title: ${title}`,
+      '- Page Snapshot',
+      '```yaml',
+      ...(tree ? await this.renderAccessibilityNode(tree, 0) : []),
+      '```'
+    ].join('\n');
+
+    return { url, title, text };
+  }
+
+  /**
+   * Render an accessibility node and its children as YAML outline lines;
+   * links carry a `/url:` child like browsermcp snapshots do
+   */
+  async renderAccessibilityNode(node, depth) {
+    const indent = '  '.repeat(depth);
+    const name = node.name ? ` ${JSON.stringify(node.name)}` : '';
+    const children = node.children || [];
+    const href = node.role === 'link' ? await this.resolveLinkHref(node) : null;
+    const hasChildren = children.length > 0 || href;
+    const lines = [`${indent}- ${node.role}${name}${hasChildren ? ':' : ''}`];
+
+    if (href) {
+      lines.push(`${indent}  - /url: ${href}`);
+    }
+
+    for (const child of children) {
+      lines.push(...await this.renderAccessibilityNode(child, depth + 1));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Look up the href behind an accessibility link node
+   */
+  async resolveLinkHref(node) {
+    if (typeof node.elementHandle !== 'function') {
+      return null;
+    }
+
+    const handle = await node.elementHandle();
+    if (!handle) {
+      return null;
+    }
+
+    try {
+      return await handle.evaluate(element => element.href || null);
+    } finally {
+      await handle.dispose();
+    }
+  }
+
+  async screenshot(filename) {
+    if (!fs.existsSync(this.screenshotDir)) {
+      fs.mkdirSync(this.screenshotDir, { recursive: true });
+    }
+
+    const filePath = path.join(this.screenshotDir, filename);
+    await this.page.screenshot({ path: filePath, fullPage: true });
+    return { filename, path: filePath };
+  }
+
+  /**
+   * Attach a file directly to an <input type="file">, or through the file
+   * chooser when the selector points at an upload button
+   */
+  async uploadFile(selector, filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Upload file not found: ${filePath}`);
+    }
+
+    const element = await this.visibleElement(selector);
+    const isFileInput = await element.evaluate(
+      node => node.tagName === 'INPUT' && node.type === 'file'
+    );
+
+    if (isFileInput) {
+      await element.uploadFile(filePath);
+    } else {
+      const [chooser] = await Promise.all([
+        this.page.waitForFileChooser({ timeout: 10000 }),
+        element.click()
+      ]);
+      await chooser.accept([filePath]);
+    }
+
+    return { success: true, selector, filePath };
+  }
+
+  async evaluate(pageFunction, ...args) {
+    return this.page.evaluate(pageFunction, ...args);
+  }
+
+  /**
+   * Only visible elements count, so fields on hidden form steps are not "found"
+   */
+  async waitForSelector(selector, timeout = 10000) {
+    const element = await this.visibleElement(selector, timeout);
+    await element.dispose();
+    return { success: true, selector };
+  }
+}
+
+module.exports = PuppeteerDriver;
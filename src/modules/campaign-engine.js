@@ -0,0 +1,483 @@
+/**
+ * Campaign Engine - Config-Driven Search, Filter and Apply Runs
+ *
+ * Executes a campaign file: a list of search configurations, quality
+ * filters, an execution strategy (target count, delays, minimum match
+ * score) and resume options. Runs search -> enrich -> filter -> analyze ->
+ * apply, skipping jobs the job store already knows were applied to, and
+ * checkpoints progress to data/campaigns/<id>.json after every search and
+ * application so an interrupted run resumes where it stopped.
+ *
+ * Campaign files live in campaigns/. config/diversified-search-strategy.json
+ * is accepted as-is (diversifiedSearchConfigurations, fullStackKeywords).
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JobSearch = require('./job-search');
+const ApplicationSubmission = require('./application-submission');
+const ResumeGenerator = require('./resume-generator');
+const JobDescriptionAnalyzer = require('./job-description-analyzer');
+const { JobStore } = require('./job-store');
+const { DEFAULT_RED_FLAG_FILTERS, detectRedFlags, redFlagRejection } = require('./red-flag-detector');
+const { Logger } = require('./error-handling');
+
+const CAMPAIGNS_DIR = path.join(__dirname, '..', '..', 'campaigns');
+
+const DEFAULT_STRATEGY = {
+  target: 10,
+  maxSearches: 10,
+  delayBetweenSearches: 30000,
+  delayBetweenApplications: 5000,
+  requireEasyApply: true,
+  minimumMatchScore: 70,
+  scoreBoostPerKeyword: 2
+};
+
+/**
+ * Read a campaign by file path or by name in campaigns/
+ */
+function loadCampaign(nameOrPath, campaignsDir = CAMPAIGNS_DIR) {
+  const candidates = [nameOrPath, path.join(campaignsDir, nameOrPath), path.join(campaignsDir, `${nameOrPath}.json`)];
+  const file = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+
+  if (!file) {
+    throw new Error(`Campaign "${nameOrPath}" not found (looked in ${campaignsDir})`);
+  }
+
+  return normalizeCampaign(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+/**
+ * List the campaign files in campaigns/
+ */
+function listCampaigns(campaignsDir = CAMPAIGNS_DIR) {
+  if (!fs.existsSync(campaignsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(campaignsDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => loadCampaign(path.join(campaignsDir, name)));
+}
+
+/**
+ * Fill defaults and map the diversified-search-strategy.json field names
+ */
+function normalizeCampaign(raw, file = null) {
+  const strategy = { ...DEFAULT_STRATEGY, ...(raw.searchExecutionStrategy || {}) };
+  const filters = raw.qualityFilters || {};
+  const id = raw.id || (file ? path.basename(file, '.json') : null);
+
+  if (!id) {
+    throw new Error('Campaign needs an "id"');
+  }
+
+  const searchConfigurations = (raw.searchConfigurations || raw.diversifiedSearchConfigurations || [])
+    .map((search, index) => ({ ...search, id: search.id || `${id}-${index + 1}` }));
+
+  if (searchConfigurations.length === 0) {
+    throw new Error(`Campaign "${id}" has no search configurations`);
+  }
+
+  return {
+    id,
+    name: raw.name || id,
+    description: raw.description || '',
+    file,
+    target: raw.target || strategy.targetUniquePositions || strategy.target,
+    searchConfigurations,
+    strategy,
+    qualityFilters: {
+      includeKeywords: filters.includeKeywords || filters.fullStackKeywords || [],
+      excludeKeywords: filters.excludeKeywords || [],
+      requiredSkillsAny: filters.requiredSkillsAny || [],
+      redFlags: { ...DEFAULT_RED_FLAG_FILTERS, ...(filters.redFlags || {}) }
+    },
+    resume: raw.resume || {},
+    exclusions: raw.duplicatePreventionDatabase || null
+  };
+}
+
+class CampaignEngine {
+  constructor(options = {}) {
+    this.logger = new Logger('CampaignEngine');
+    this.progressDir = options.progressDir || path.join(__dirname, '..', '..', 'data', 'campaigns');
+    this.jobStore = options.jobStore || new JobStore();
+    this.jobSearch = options.jobSearch || null;
+    this.jobAnalyzer = options.jobAnalyzer || new JobDescriptionAnalyzer({ jobStore: this.jobStore });
+    this.applicationSubmission = options.applicationSubmission || null;
+    this.wait = options.wait || (milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds)));
+  }
+
+  /**
+   * Start the browser-backed modules the campaign needs
+   */
+  async initialize(campaign, { dryRun = false } = {}) {
+    if (!this.jobSearch) {
+      this.jobSearch = new JobSearch();
+      await this.jobSearch.initialize();
+    }
+
+    if (!dryRun && !this.applicationSubmission) {
+      const resumeGenerator = new ResumeGenerator({ template: campaign.resume.template });
+      this.applicationSubmission = new ApplicationSubmission({ jobStore: this.jobStore, resumeGenerator });
+      await this.applicationSubmission.initialize();
+    }
+  }
+
+  /**
+   * Run a campaign to its target, resuming an unfinished run
+   *
+   * Options: dryRun (search and rank only, no applications) and restart
+   * (discard saved progress).
+   */
+  async run(campaignOrName, options = {}) {
+    const campaign = typeof campaignOrName === 'string' ? loadCampaign(campaignOrName) : normalizeCampaign(campaignOrName);
+    const progress = this.startProgress(campaign, options);
+
+    if (campaign.exclusions) {
+      this.jobStore.importExclusions(campaign.exclusions);
+    }
+
+    this.logger.info(`🚀 Running campaign "${campaign.name}" (target ${campaign.target} applications${options.dryRun ? ', dry run' : ''})`);
+    await this.initialize(campaign, options);
+
+    let ranked;
+    for (;;) {
+      if (progress.status === 'searching') {
+        await this.searchPhase(campaign, progress);
+      }
+
+      ranked = await this.rankCandidates(campaign, progress);
+
+      if (options.dryRun) {
+        progress.status = 'ranked';
+        this.saveProgress(progress);
+        this.logger.info(`✅ Dry run ranked ${ranked.length} candidates for "${campaign.name}"`);
+        return this.summarize(campaign, progress, ranked);
+      }
+
+      progress.status = 'applying';
+      this.saveProgress(progress);
+      await this.applyPhase(campaign, progress, ranked);
+
+      // Out of daily/weekly applications: keep the progress and resume on a later run
+      if (progress.status === 'quota-reached') {
+        this.logger.warn(`Application quota reached; campaign "${campaign.name}" will resume on the next run`);
+        return this.summarize(campaign, progress, ranked);
+      }
+
+      // Failed or low-scoring candidates leave the target open; widen the search if possible
+      if (this.countSubmitted(progress) >= campaign.target || !this.hasPendingSearches(campaign, progress)) {
+        break;
+      }
+      progress.status = 'searching';
+    }
+
+    progress.status = 'completed';
+    progress.completedAt = new Date().toISOString();
+    this.saveProgress(progress);
+
+    this.logger.info(`✅ Campaign "${campaign.name}" completed: ${this.countSubmitted(progress)}/${campaign.target} applications`);
+    return this.summarize(campaign, progress, ranked);
+  }
+
+  /**
+   * Load unfinished progress, or begin a new run
+   */
+  startProgress(campaign, { restart = false } = {}) {
+    const saved = this.loadProgress(campaign.id);
+
+    if (saved && !restart && saved.status !== 'completed') {
+      this.logger.info(`Resuming campaign "${campaign.id}" (${saved.completedSearches.length} searches done, ${saved.applications.length} applications recorded)`);
+      // A dry run stops after ranking; searching picks up again on the next real run
+      return { belowMinimum: [], ...saved, status: saved.status === 'ranked' ? 'searching' : saved.status };
+    }
+
+    const progress = {
+      campaignId: campaign.id,
+      name: campaign.name,
+      status: 'searching',
+      startedAt: new Date().toISOString(),
+      updatedAt: null,
+      completedAt: null,
+      completedSearches: [],
+      searches: [],
+      candidates: [],
+      belowMinimum: [],
+      skipped: {},
+      applications: []
+    };
+    this.saveProgress(progress);
+    return progress;
+  }
+
+  /**
+   * Run search configurations until enough candidates are collected
+   */
+  async searchPhase(campaign, progress) {
+    const { strategy } = campaign;
+    const pending = campaign.searchConfigurations.filter(search => !progress.completedSearches.includes(search.id));
+
+    for (const search of pending) {
+      if (progress.completedSearches.length >= strategy.maxSearches || this.hasEnoughCandidates(campaign, progress)) {
+        break;
+      }
+
+      try {
+        this.logger.info(`🔍 Search ${progress.completedSearches.length + 1}: ${search.name || search.id}`);
+
+        const { results } = await this.jobSearch.searchJobs(search);
+        const jobs = await this.jobSearch.enrichJobDetails(results);
+        const accepted = this.filterCandidates(campaign, progress, jobs, search.id);
+
+        progress.candidates.push(...accepted);
+        progress.searches.push({
+          configId: search.id,
+          name: search.name || search.id,
+          totalFound: jobs.length,
+          accepted: accepted.length,
+          completedAt: new Date().toISOString()
+        });
+
+        this.logger.info(`📊 ${accepted.length}/${jobs.length} jobs accepted (${progress.candidates.length} candidates)`);
+      } catch (error) {
+        this.logger.error(`Search ${search.id} failed:`, error);
+        progress.searches.push({ configId: search.id, name: search.name || search.id, error: error.message });
+      }
+
+      progress.completedSearches.push(search.id);
+      this.saveProgress(progress);
+
+      if (this.hasPendingSearches(campaign, progress) && !this.hasEnoughCandidates(campaign, progress)) {
+        await this.wait(strategy.delayBetweenSearches);
+      }
+    }
+
+    this.jobStore.save();
+  }
+
+  /**
+   * Whether unattempted candidates above the minimum score cover the applications still needed
+   */
+  hasEnoughCandidates(campaign, progress) {
+    const closed = new Set([...progress.applications.map(application => application.storeKey), ...progress.belowMinimum]);
+    const open = progress.candidates.filter(job => !closed.has(job.storeKey)).length;
+    return open >= campaign.target - this.countSubmitted(progress);
+  }
+
+  hasPendingSearches(campaign, progress) {
+    return progress.completedSearches.length < campaign.strategy.maxSearches &&
+      campaign.searchConfigurations.some(search => !progress.completedSearches.includes(search.id));
+  }
+
+  /**
+   * Drop duplicates, jobs already applied to and jobs failing the quality filters
+   */
+  filterCandidates(campaign, progress, jobs, searchConfigId) {
+    const accepted = [];
+    const campaignKeys = new Set(progress.candidates.map(job => job.storeKey));
+
+    for (const job of jobs) {
+      const blocking = this.jobStore.findBlocking(job);
+      const reason = blocking
+        ? (blocking.record.status === 'applied' ? 'Already applied' : 'Excluded')
+        : this.qualityRejection(campaign, job);
+
+      if (reason) {
+        this.recordSkip(progress, reason);
+        continue;
+      }
+
+      const { record } = this.jobStore.upsert(job, { searchConfig: searchConfigId });
+      if (campaignKeys.has(record.key)) {
+        this.recordSkip(progress, 'Duplicate');
+        continue;
+      }
+
+      campaignKeys.add(record.key);
+      accepted.push({ ...job, storeKey: record.key, searchConfig: searchConfigId, foundAt: new Date().toISOString() });
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Reason a job fails the campaign quality filters, or null when it passes
+   */
+  qualityRejection(campaign, job) {
+    const { includeKeywords, excludeKeywords, requiredSkillsAny, redFlags } = campaign.qualityFilters;
+    const jobText = `${job.title} ${job.description || ''}`.toLowerCase();
+    const mentions = keyword => jobText.includes(keyword.toLowerCase());
+
+    if (campaign.strategy.requireEasyApply && job.easyApply === false) {
+      return 'No Easy Apply';
+    }
+    if (includeKeywords.length > 0 && !includeKeywords.some(mentions)) {
+      return 'Missing campaign keywords';
+    }
+    if (excludeKeywords.some(mentions)) {
+      return 'Excluded keyword';
+    }
+    if (requiredSkillsAny.length > 0 && !requiredSkillsAny.some(mentions)) {
+      return 'Missing required skills';
+    }
+    return redFlagRejection(detectRedFlags(job), redFlags);
+  }
+
+  recordSkip(progress, reason) {
+    progress.skipped[reason] = (progress.skipped[reason] || 0) + 1;
+  }
+
+  /**
+   * Analyze candidates, boost campaign keywords and keep those above the minimum score
+   */
+  async rankCandidates(campaign, progress) {
+    const { strategy, qualityFilters } = campaign;
+    const ranked = [];
+
+    for (const job of progress.candidates) {
+      const analysis = await this.jobAnalyzer.analyzeJob(job);
+      const jobText = `${job.title} ${job.description || ''}`.toLowerCase();
+      const keywordCount = qualityFilters.includeKeywords.filter(keyword => jobText.includes(keyword.toLowerCase())).length;
+      const matchScore = Math.min(Math.round((analysis.matchScore || 0) + keywordCount * strategy.scoreBoostPerKeyword), 100);
+
+      if (matchScore >= strategy.minimumMatchScore) {
+        ranked.push({ ...job, analysis: { ...analysis, matchScore, keywordCount, campaign: campaign.id } });
+      } else if (!progress.belowMinimum.includes(job.storeKey)) {
+        progress.belowMinimum.push(job.storeKey);
+      }
+    }
+
+    ranked.sort((a, b) => b.analysis.matchScore - a.analysis.matchScore);
+    this.logger.info(`🧠 ${ranked.length}/${progress.candidates.length} candidates meet the ${strategy.minimumMatchScore}% minimum`);
+
+    return ranked;
+  }
+
+  /**
+   * Apply to ranked candidates until the target is reached
+   */
+  async applyPhase(campaign, progress, ranked) {
+    const attempted = new Set(progress.applications.map(application => application.storeKey));
+    const resumeOptions = {
+      customizationLevel: campaign.resume.customizationLevel,
+      emphasizeSkills: campaign.resume.emphasizeSkills,
+      includeCoverLetter: campaign.resume.includeCoverLetter
+    };
+
+    for (const job of ranked) {
+      if (this.countSubmitted(progress) >= campaign.target) {
+        break;
+      }
+      if (attempted.has(job.storeKey)) {
+        continue;
+      }
+
+      const application = {
+        storeKey: job.storeKey,
+        jobId: job.id,
+        title: job.title,
+        company: job.company,
+        url: job.url,
+        matchScore: job.analysis.matchScore,
+        attemptedAt: new Date().toISOString()
+      };
+
+      try {
+        this.logger.info(`Applying to: ${job.title} at ${job.company} - Match: ${job.analysis.matchScore}%`);
+        await this.applicationSubmission.submitApplication(job, resumeOptions);
+        application.status = 'submitted';
+      } catch (error) {
+        if (error.context && error.context.quotaExceeded) {
+          progress.status = 'quota-reached';
+          this.saveProgress(progress);
+          return;
+        }
+        this.logger.error(`Application failed for ${job.title}:`, error);
+        application.status = 'failed';
+        application.error = error.message;
+      }
+
+      progress.applications.push(application);
+      this.saveProgress(progress);
+
+      if (application.status === 'submitted' && this.countSubmitted(progress) < campaign.target) {
+        await this.wait(campaign.strategy.delayBetweenApplications);
+      }
+    }
+  }
+
+  countSubmitted(progress) {
+    return progress.applications.filter(application => application.status === 'submitted').length;
+  }
+
+  /**
+   * Progress file for a campaign
+   */
+  progressPath(campaignId) {
+    return path.join(this.progressDir, `${campaignId}.json`);
+  }
+
+  /**
+   * Load saved progress, or null when the campaign never ran
+   */
+  loadProgress(campaignId) {
+    const file = this.progressPath(campaignId);
+    try {
+      if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+    } catch (error) {
+      this.logger.warn(`Could not read ${file}, starting the campaign over:`, error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Write progress to disk
+   */
+  saveProgress(progress) {
+    if (!fs.existsSync(this.progressDir)) {
+      fs.mkdirSync(this.progressDir, { recursive: true });
+    }
+    progress.updatedAt = new Date().toISOString();
+    fs.writeFileSync(this.progressPath(progress.campaignId), JSON.stringify(progress, null, 2), 'utf8');
+  }
+
+  summarize(campaign, progress, ranked) {
+    return {
+      success: true,
+      campaignId: campaign.id,
+      name: campaign.name,
+      status: progress.status,
+      target: campaign.target,
+      searchesExecuted: progress.completedSearches.length,
+      candidates: progress.candidates.length,
+      ranked,
+      skipped: progress.skipped,
+      applications: progress.applications,
+      submitted: this.countSubmitted(progress),
+      startedAt: progress.startedAt,
+      completedAt: progress.completedAt
+    };
+  }
+
+  /**
+   * Close browser sessions opened by initialize()
+   */
+  async close() {
+    if (this.jobSearch && this.jobSearch.close) {
+      await this.jobSearch.close();
+    }
+    if (this.applicationSubmission && this.applicationSubmission.close) {
+      await this.applicationSubmission.close();
+    }
+  }
+}
+
+module.exports = { CampaignEngine, loadCampaign, listCampaigns, normalizeCampaign };
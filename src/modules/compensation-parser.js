@@ -0,0 +1,279 @@
+/**
+ * Compensation Parser - Salary, OTE and Equity Normalization
+ *
+ * Reads the free-form pay text of job cards and postings ("$60/hr",
+ * "120K–150K", "€80.000 per annum", "$140k base + OTE $200k + equity",
+ * "DOE") into ranges per component with currency and pay period, and
+ * normalizes the base pay to an annual amount in one currency using the
+ * offline conversion table in config/currency-rates.json.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+// Paid periods per year, for annualizing hourly, daily, weekly and monthly pay
+const PERIODS_PER_YEAR = {
+  hour: 2080,
+  day: 260,
+  week: 52,
+  month: 12,
+  year: 1
+};
+
+const PERIOD_PATTERNS = [
+  ['hour', /\/\s*h(?:ou)?r\b|\bper\s+hour\b|\ban?\s+hour\b|\bhourly\b|\bp\/?h\b/i],
+  ['day', /\/\s*day\b|\bper\s+day\b|\ba\s+day\b|\bdaily\b|\bday\s+rate\b/i],
+  ['week', /\/\s*w(?:ee)?k\b|\bper\s+week\b|\ba\s+week\b|\bweekly\b/i],
+  ['month', /\/\s*mo(?:nth)?\b|\bper\s+month\b|\ba\s+month\b|\bmonthly\b|\bpcm\b/i],
+  ['year', /\/\s*y(?:ea)?r\b|\bper\s+(?:year|annum)\b|\ba\s+year\b|\bannual(?:ly)?\b|\byearly\b|\bp\.?a\.?(?=\s|$)/i]
+];
+
+// Symbols and prefixed symbols, longest first so "CA$" is not read as "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['zł', 'PLN']
+];
+
+// Codes recognized next to an amount even when the rate table cannot convert them
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'RON', 'BGN',
+  'INR', 'JPY', 'CNY', 'SGD', 'HKD', 'ILS', 'AED', 'ZAR', 'BRL', 'MXN'];
+
+const COMPONENT_PATTERNS = [
+  ['equity', /\b(equity|stock|rsus?|options|shares|vesting)\b/i],
+  ['ote', /\b(ote|on[\s-]target|total\s+comp(?:ensation)?|tc)\b/i],
+  ['bonus', /\b(bonus|commission)\b/i]
+];
+
+const DOE_PATTERN = /\b(doe|depending\s+on\s+experience|dependent\s+on\s+experience|commensurate\s+with\s+experience|based\s+on\s+experience|negotiable)\b/i;
+const COMPETITIVE_PATTERN = /\bcompetitive\b/i;
+
+// An amount: "120,000", "80.000", "1.2M", "150k", "60.50"
+const AMOUNT = '(\\d{1,3}(?:[.,\\s\\u00a0]\\d{3})+|\\d+)(?:[.,](\\d{1,2}))?(?!\\d)\\s?([kKmM](?![a-zA-Z]))?';
+// What joins the bounds of a range, a repeated period included: "$110K/yr - $130K/yr"
+const RANGE_SEPARATOR = /^\s*(?:\/\s*[a-z]{1,5}\.?)?\s*(?:-|–|—|to|and)\s*$/i;
+
+// "Up to $180K", "max. $180K" and "$180K max" state only the top of the range
+const CAP_BEFORE = /\b(?:up\s+to|max(?:imum)?\.?|as\s+much\s+as|no\s+more\s+than)\s*:?\s*$/i;
+const CAP_AFTER = /^\s*(?:\/\s*[a-z]{1,5}\.?\s*)?max(?:imum)?\b/i;
+
+// Without a stated period, amounts up to this are hourly and up to the next monthly
+const MAX_INFERRED_HOURLY = 300;
+const MAX_INFERRED_MONTHLY = 15000;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pattern for one amount with an optional currency symbol or code before or after it
+ */
+function amountPattern(codes) {
+  const symbols = CURRENCY_SYMBOLS.map(([symbol]) => escapeRegExp(symbol)).join('|');
+  const currency = `(?:${symbols}|\\b(?:${codes.join('|')})\\b)`;
+  return new RegExp(`(${currency})?\\s?${AMOUNT}(?:\\s?(${currency}))?`, 'g');
+}
+
+/**
+ * Currency code of a symbol or code, or null
+ */
+function currencyOf(mark) {
+  if (!mark) {
+    return null;
+  }
+  const symbol = CURRENCY_SYMBOLS.find(([candidate]) => candidate === mark);
+  return symbol ? symbol[1] : mark.toUpperCase();
+}
+
+/**
+ * Numeric value of an amount match, with its K/M multiplier applied
+ */
+function amountValue(digits, decimals, suffix) {
+  const whole = parseInt(digits.replace(/[.,\s ]/g, ''), 10);
+  const value = decimals ? parseFloat(`${whole}.${decimals}`) : whole;
+  const multiplier = !suffix ? 1 : suffix.toLowerCase() === 'k' ? 1000 : 1000000;
+  return { value: value * multiplier, multiplier };
+}
+
+/**
+ * Amounts in a clause, paired into ranges where a dash, "to" or "and" joins them;
+ * a lone amount stated as a cap has a null min
+ */
+function findRanges(clause, codes) {
+  const amounts = [...clause.matchAll(amountPattern(codes))]
+    .filter(match => match[1] || match[5] || match[4] || parseInt(match[2].replace(/\D/g, ''), 10) >= 10)
+    .filter(match => !/^\s*%/.test(clause.slice(match.index + match[0].length)))
+    .map(match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      currency: currencyOf(match[1] || match[5]),
+      ...amountValue(match[2], match[3], match[4]),
+      hasSuffix: Boolean(match[4])
+    }));
+
+  const ranges = [];
+  for (let index = 0; index < amounts.length; index++) {
+    const low = amounts[index];
+    const high = amounts[index + 1];
+
+    if (high && RANGE_SEPARATOR.test(clause.slice(low.end, high.start))) {
+      // "120-150K": the suffix of the upper bound applies to the lower one
+      const min = !low.hasSuffix && high.hasSuffix && low.value * high.multiplier <= high.value ? low.value * high.multiplier : low.value;
+      ranges.push({ min, max: high.value, currency: low.currency || high.currency });
+      index++;
+    } else {
+      const capped = CAP_BEFORE.test(clause.slice(0, low.start)) || CAP_AFTER.test(clause.slice(low.end));
+      ranges.push({ min: capped ? null : low.value, max: low.value, currency: low.currency });
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Equity percentages in a clause: "0.1% - 0.5%"
+ */
+function findPercentRange(clause) {
+  const percents = [...clause.matchAll(/(\d+(?:\.\d+)?)\s*%/g)].map(match => parseFloat(match[1]));
+  return percents.length > 0 ? { percentMin: Math.min(...percents), percentMax: Math.max(...percents) } : {};
+}
+
+/**
+ * Pay period named in a text, or null
+ */
+function findPeriod(text) {
+  const found = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return found ? found[0] : null;
+}
+
+/**
+ * Pay period guessed from the size of an amount when none is stated
+ */
+function inferPeriod(amount) {
+  if (amount <= MAX_INFERRED_HOURLY) return 'hour';
+  if (amount <= MAX_INFERRED_MONTHLY) return 'month';
+  return 'year';
+}
+
+/**
+ * Convert an amount between currencies with a { base, rates } table (units of base per unit), or null
+ */
+function convertCurrency(amount, from, to, currencyRates) {
+  const rates = (currencyRates && currencyRates.rates) || {};
+  if (from === to) {
+    return amount;
+  }
+  if (!rates[from] || !rates[to]) {
+    return null;
+  }
+  return (amount * rates[from]) / rates[to];
+}
+
+/**
+ * Parse compensation text
+ *
+ * Returns { text, specified, doe, competitive, currency, period, periodInferred,
+ * base, ote, bonus, equity, annual }. base, ote and bonus are { min, max } in the
+ * posting's currency and period, min being null when only a cap is stated; equity is { percentMin, percentMax, min, max },
+ * each only when stated, whenever equity is mentioned. annual is the base pay,
+ * or the OTE when no base is given, per year in options.currency (default the
+ * rate table's base) as { min, max, currency, basis }, or null.
+ */
+function parseCompensation(text, options = {}) {
+  const currencyRates = options.currencyRates || { base: 'USD', rates: { USD: 1 } };
+  const targetCurrency = options.currency || currencyRates.base || 'USD';
+  const codes = [...new Set([...CURRENCY_CODES, ...Object.keys(currencyRates.rates || {}), targetCurrency])];
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+
+  const result = {
+    text: source,
+    specified: false,
+    doe: DOE_PATTERN.test(source),
+    competitive: COMPETITIVE_PATTERN.test(source),
+    currency: null,
+    period: null,
+    periodInferred: false,
+    base: null,
+    ote: null,
+    bonus: null,
+    equity: null,
+    annual: null
+  };
+
+  // Components are told apart per clause: "$140k base + OTE $200k + 0.1% equity"
+  const clauses = source.split(/\s*(?:[+;|•()]|,(?!\d)|\bplus\b|\bwith\b)\s*/i).filter(Boolean);
+  const statedPeriod = findPeriod(source);
+
+  clauses.forEach(clause => {
+    const found = COMPONENT_PATTERNS.find(([, pattern]) => pattern.test(clause));
+    const component = found ? found[0] : 'base';
+
+    const [range] = findRanges(clause, codes);
+    if (component === 'equity') {
+      result.equity = { ...(result.equity || {}), ...findPercentRange(clause), ...(range && { min: range.min, max: range.max }) };
+      return;
+    }
+
+    if (!range || result[component]) {
+      return;
+    }
+
+    result.specified = true;
+    result.currency = result.currency || range.currency;
+    const period = findPeriod(clause) || statedPeriod;
+    result.period = result.period || period || inferPeriod(range.min === null ? range.max : range.min);
+    result.periodInferred = result.periodInferred || !period;
+    result[component] = { min: range.min, max: range.max };
+  });
+
+  result.currency = result.currency || (result.specified ? options.defaultCurrency || 'USD' : null);
+
+  const basis = result.base ? 'base' : result.ote ? 'ote' : null;
+  if (basis) {
+    const perYear = PERIODS_PER_YEAR[result.period];
+    const annualize = amount => convertCurrency(amount * perYear, result.currency, targetCurrency, currencyRates);
+    const max = annualize(result[basis].max);
+
+    if (max !== null) {
+      const min = result[basis].min === null ? null : Math.round(annualize(result[basis].min));
+      result.annual = { min, max: Math.round(max), currency: targetCurrency, basis };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Whether parsed compensation fits a { salaryMin, salaryMax } preference
+ *
+ * The annual range must reach salaryMin and start no higher than salaryMax;
+ * a capped range without a min only has to reach salaryMin.
+ * Pay that is not stated, DOE or not convertible always fits.
+ */
+function meetsSalaryPreferences(compensation, preferences = {}) {
+  if (!compensation || !compensation.annual) {
+    return true;
+  }
+
+  const { min, max } = compensation.annual;
+  if (preferences.salaryMin && max < preferences.salaryMin) {
+    return false;
+  }
+  if (preferences.salaryMax && min !== null && min > preferences.salaryMax) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  PERIODS_PER_YEAR,
+  parseCompensation,
+  convertCurrency,
+  meetsSalaryPreferences
+};
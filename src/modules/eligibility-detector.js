@@ -0,0 +1,251 @@
+/**
+ * Eligibility Detector - Work Authorization, Clearance and Location Constraints
+ *
+ * Finds the eligibility constraints of a posting ("no sponsorship", "US
+ * citizens only", "active secret clearance required", "must relocate to
+ * Austin", "on-site 5 days a week") and checks them against the
+ * workAuthorization, availability and preferences blocks of the profile, so
+ * jobs the candidate cannot take are excluded before an application is
+ * started and uncertain ones are flagged.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const US = '(?:u\\.?s\\.?a?\\.?|united states|american)';
+
+const SPONSORSHIP_PATTERNS = [
+  /\b(?:no|not|unable to|cannot|can't|will not|won't|does not|doesn't|do not|don't)\b[^.;\n]{0,40}\bsponsor(?:ship)?\b/,
+  /\bsponsorship\b[^.;\n]{0,30}\b(?:not|unavailable)\b/,
+  /\bwithout\b[^.;\n]{0,40}\bsponsorship\b/
+];
+
+const AUTHORIZATION_PATTERN = new RegExp(`\\b(?:must|required to) be (?:legally )?(?:authori[sz]ed|eligible) to work in the ${US}|\\bwork authori[sz]ation\\b[^.;\\n]{0,30}\\brequired\\b`);
+
+// Most restrictive first: "US citizens only" beats "citizen or green card holder"
+const CITIZENSHIP_PATTERNS = [
+  ['permanentResident', new RegExp(`\\bcitizens?(?:hip)?\\b[^.;\\n]{0,30}\\b(?:or|and)\\b[^.;\\n]{0,20}\\b(?:green card|permanent residen(?:t|ts|cy))\\b|\\b(?:green card|permanent residen(?:t|ts|cy))\\b[^.;\\n]{0,20}\\b(?:or|and) (?:${US} )?[^.;\\n]{0,20}?\\bcitizens?\\b`)],
+  ['citizen', new RegExp(`\\b${US} citizens? (?:only|required)\\b|\\bmust (?:be|hold) (?:a |an )?${US} citizen(?:ship)?\\b|\\b${US} citizenship\\b[^.;\\n]{0,20}\\b(?:required|only|is a must)\\b|\\brequires? ${US} citizenship\\b`)],
+  ['permanentResident', /\b(?:green card|permanent residen(?:t|ts|cy))\b[^.;\n]{0,20}\b(?:required|only)\b/]
+];
+
+// Clearance levels from lowest to highest
+const CLEARANCE_LEVELS = ['public trust', 'confidential', 'secret', 'top secret', 'ts/sci'];
+const CLEARANCE_PATTERN = /\b(ts\s*\/\s*sci|top secret|secret|confidential|public trust)\b[^.;\n]{0,25}\bclearance\b|\b(?:security|government|federal) clearance\b|\b(ts\s*\/\s*sci)\b/;
+const OBTAINABLE_CLEARANCE = /\b(?:ability|able|eligible|eligibility|willing(?:ness)?) to (?:obtain|get|acquire)\b|\bobtainable\b|\bmust be able to obtain\b/;
+// A clearance only counts when the sentence asks for it, not when it is the subject of the work
+const REQUIRED_CLEARANCE = /\b(?:required|requires?|mandatory|must (?:have|hold|possess|maintain)|active|current(?:ly)? (?:hold|held|possess)|need(?:ed|s)?)\b/;
+// "is a plus" and "preferred" make a clearance an advantage, unless the sentence also requires one
+const PREFERRED_CLEARANCE = /\b(?:a plus|a bonus|preferred|nice to have|desired|desirable|an advantage)\b/;
+const STRICTLY_REQUIRED = /\b(?:required|requires?|mandatory|must)\b/;
+
+const RELOCATION_PATTERNS = [
+  /\b(?:must|required to|need to|expected to|will need to) (?:be willing to )?relocate\b(?: to ([a-z][a-z .'-]*?(?:, ?[a-z]{2,})?))?(?=[.;,\n(]|$| by | within | before | prior )/,
+  /\brelocation\b(?: to ([a-z][a-z .'-]*?))? (?:is )?(?:required|mandatory)\b/
+];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+const DAY_COUNT = '(\\d|one|two|three|four|five)';
+// "3 days", "3+ days", "2-3 days", "two to three days"; a range keeps its upper bound
+const DAYS = `${DAY_COUNT}(?:\\s*(?:-|–|to|or)\\s*${DAY_COUNT})?(?:\\s*\\+)?\\s*(?:days?|x)`;
+const IN_OFFICE = '(?:on[\\s-]?site|in[\\s-](?:the[\\s-])?office|in[\\s-]person|in[\\s-]office)';
+const ONSITE_DAY_PATTERNS = [
+  new RegExp(`\\b${IN_OFFICE}\\s*(?:at least\\s*|a minimum of\\s*)?${DAYS}`),
+  new RegExp(`\\b${DAYS}\\s*(?:a|per|each|every|\\/)?\\s*week\\b[^.;\\n]{0,20}\\b${IN_OFFICE}`),
+  new RegExp(`\\b${DAYS}\\s*${IN_OFFICE}`)
+];
+const FULLY_ONSITE_PATTERN = new RegExp(`\\b(?:fully|100%|full[\\s-]time)\\s*${IN_OFFICE}|\\bthis (?:is an?|role is|position is) (?:an? )?${IN_OFFICE}\\b|\\bno remote(?![\\w-])|\\bnot (?:a )?remote(?![\\w-])|\\bremote work is not\\b`);
+
+/**
+ * Sentence around a match, for showing why a constraint was found
+ */
+function excerpt(text, match) {
+  const before = text.lastIndexOf('.', match.index);
+  const after = text.indexOf('.', match.index + match[0].length);
+  return text.slice(before + 1, after === -1 ? undefined : after + 1).replace(/\s+/g, ' ').trim();
+}
+
+const NEGATION = /\b(?:no|not|never|without|don't|doesn't|won't|isn't|aren't|nor)\b/;
+const CLAUSE_BOUNDARY = /[.;:!?,\n]/;
+
+/**
+ * Whether a match is negated earlier in its clause ("no relocation required", "you do not need to relocate")
+ */
+function isNegated(text, match) {
+  let start = match.index;
+  while (start > 0 && !CLAUSE_BOUNDARY.test(text[start - 1])) {
+    start--;
+  }
+  return NEGATION.test(text.slice(start, match.index));
+}
+
+/**
+ * First match of a list of patterns that `accept` takes, or null; by default
+ * the first one not negated in its clause
+ */
+function firstMatch(text, patterns, accept = match => !isNegated(text, match)) {
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(new RegExp(pattern.source, `${pattern.flags.replace('g', '')}g`))) {
+      if (accept(match)) {
+        return match;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Eligibility constraints stated in a posting
+ *
+ * Returns { sponsorship, authorization, citizenship, clearance, relocation, onsite };
+ * each is null or an object with the sentence it was found in as `text`.
+ */
+function detectEligibilityRequirements(text) {
+  const source = String(text || '').toLowerCase();
+  const requirements = {
+    sponsorship: null,
+    authorization: null,
+    citizenship: null,
+    clearance: null,
+    relocation: null,
+    onsite: null
+  };
+
+  // These patterns are negations themselves ("we do not sponsor")
+  const sponsorship = firstMatch(source, SPONSORSHIP_PATTERNS, () => true);
+  if (sponsorship) {
+    requirements.sponsorship = { available: false, text: excerpt(source, sponsorship) };
+  }
+
+  const authorization = source.match(AUTHORIZATION_PATTERN);
+  if (authorization) {
+    requirements.authorization = { country: 'US', text: excerpt(source, authorization) };
+  }
+
+  for (const [level, pattern] of CITIZENSHIP_PATTERNS) {
+    const citizenship = source.match(pattern);
+    if (citizenship) {
+      requirements.citizenship = { level, country: 'US', text: excerpt(source, citizenship) };
+      break;
+    }
+  }
+
+  const clearance = firstMatch(source, [CLEARANCE_PATTERN], match => {
+    const sentence = excerpt(source, match);
+    return !isNegated(source, match) &&
+      (REQUIRED_CLEARANCE.test(sentence) || OBTAINABLE_CLEARANCE.test(sentence) || PREFERRED_CLEARANCE.test(sentence));
+  });
+  if (clearance) {
+    const sentence = excerpt(source, clearance);
+    const named = (clearance[1] || clearance[2] || '').replace(/\s+/g, '');
+    const level = CLEARANCE_LEVELS.find(candidate => candidate.replace(/\s+/g, '') === named) || null;
+    requirements.clearance = {
+      level,
+      obtainable: OBTAINABLE_CLEARANCE.test(sentence),
+      preferred: PREFERRED_CLEARANCE.test(sentence) && !STRICTLY_REQUIRED.test(sentence),
+      text: sentence
+    };
+  }
+
+  const relocation = firstMatch(source, RELOCATION_PATTERNS);
+  if (relocation) {
+    requirements.relocation = { location: relocation[1] ? relocation[1].trim() : null, text: excerpt(source, relocation) };
+  }
+
+  const onsiteDays = firstMatch(source, ONSITE_DAY_PATTERNS);
+  const fullyOnsite = firstMatch(source, [FULLY_ONSITE_PATTERN]);
+  if (onsiteDays) {
+    const count = onsiteDays[2] || onsiteDays[1];
+    const days = NUMBER_WORDS[count] || parseInt(count, 10);
+    requirements.onsite = { daysPerWeek: Math.min(days, 5), text: excerpt(source, onsiteDays) };
+  } else if (fullyOnsite) {
+    requirements.onsite = { daysPerWeek: 5, text: excerpt(source, fullyOnsite) };
+  }
+
+  return requirements;
+}
+
+/**
+ * Whether a location text names the profile's city
+ */
+function isProfileLocation(location, profile) {
+  const city = String(profile.location || '').split(',')[0].trim().toLowerCase();
+  return Boolean(city) && String(location || '').toLowerCase().includes(city);
+}
+
+/**
+ * Check detected constraints against the profile
+ *
+ * Returns { eligible, blockers, flags }: blockers are constraints the profile
+ * cannot satisfy, flags are ones it may not satisfy or that the profile does
+ * not say enough about. Each is { type, reason, text }. `options.location` is
+ * the job location, used to accept on-site and relocation constraints that
+ * point at the profile's own city.
+ */
+function checkEligibility(requirements, profile = {}, options = {}) {
+  const authorization = profile.workAuthorization || {};
+  const availability = profile.availability || {};
+  const preferences = profile.preferences || {};
+  const blockers = [];
+  const flags = [];
+  const add = (list, type, reason) => list.push({ type, reason, text: requirements[type].text });
+
+  if (requirements.sponsorship && authorization.requiresSponsorship) {
+    add(blockers, 'sponsorship', 'Visa sponsorship is not offered');
+  }
+
+  if (requirements.authorization && authorization.authorizedToWork === false) {
+    add(blockers, 'authorization', 'US work authorization is required');
+  }
+
+  if (requirements.citizenship) {
+    const required = requirements.citizenship.level;
+    const held = authorization.citizenship || null;
+
+    if (!held) {
+      add(flags, 'citizenship', `Requires ${required === 'citizen' ? 'US citizenship' : 'US citizenship or permanent residency'}; profile does not say`);
+    } else if (held !== 'citizen' && (required === 'citizen' || held !== 'permanentResident')) {
+      add(blockers, 'citizenship', `Requires ${required === 'citizen' ? 'US citizenship' : 'US citizenship or permanent residency'}`);
+    }
+  }
+
+  if (requirements.clearance) {
+    const { level, obtainable, preferred } = requirements.clearance;
+    const held = authorization.securityClearance ? String(authorization.securityClearance).toLowerCase() : null;
+    const sufficient = held && (!level || CLEARANCE_LEVELS.indexOf(held) >= CLEARANCE_LEVELS.indexOf(level));
+    const needed = `${level ? `${level} ` : ''}security clearance`;
+
+    if (!sufficient && preferred) {
+      add(flags, 'clearance', `Prefers candidates with a ${needed}`);
+    } else if (!sufficient) {
+      add(obtainable ? flags : blockers, 'clearance', obtainable ? `Must be able to obtain a ${needed}` : `Requires an active ${needed}`);
+    }
+  }
+
+  if (requirements.relocation && !availability.relocation) {
+    const { location } = requirements.relocation;
+    if (!location || !isProfileLocation(location, profile)) {
+      add(blockers, 'relocation', `Requires relocating${location ? ` to ${location}` : ''}; profile is not open to relocation`);
+    }
+  }
+
+  if (requirements.onsite) {
+    const { daysPerWeek } = requirements.onsite;
+    const local = isProfileLocation(options.location, profile);
+    const accepted = daysPerWeek >= 5 ? preferences.onsite : preferences.hybrid || preferences.onsite;
+
+    if (!accepted && !local) {
+      add(blockers, 'onsite', `On-site ${daysPerWeek} day${daysPerWeek === 1 ? '' : 's'} a week`);
+    } else if (!local) {
+      add(flags, 'onsite', `On-site ${daysPerWeek} day${daysPerWeek === 1 ? '' : 's'} a week away from ${profile.location || 'home'}`);
+    }
+  }
+
+  return { eligible: blockers.length === 0, blockers, flags };
+}
+
+module.exports = {
+  CLEARANCE_LEVELS,
+  detectEligibilityRequirements,
+  checkEligibility
+};
@@ -11,10 +11,42 @@
 const fs = require('fs');
 const path = require('path');
 
+// Lower numbers are more severe; messages above the active level are dropped
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Shared by every Logger instance; see Logger.configure()
+const loggerSettings = {
+  level: LOG_LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] !== undefined
+    ? process.env.LOG_LEVEL.toLowerCase()
+    : 'info',
+  stderr: false
+};
+
 /**
  * Logger class for structured logging
  */
 class Logger {
+  /**
+   * Set the level and console stream for all loggers
+   *
+   * `stderr: true` keeps stdout free for command output (e.g. JSON).
+   */
+  static configure({ level, stderr } = {}) {
+    if (level !== undefined) {
+      if (LOG_LEVELS[level] === undefined) {
+        throw new Error(`Unknown log level "${level}" (use ${Object.keys(LOG_LEVELS).join(', ')})`);
+      }
+      loggerSettings.level = level;
+    }
+    if (stderr !== undefined) {
+      loggerSettings.stderr = stderr;
+    }
+  }
+
+  static getLevel() {
+    return loggerSettings.level;
+  }
+
   constructor(module = 'System') {
     this.module = module;
     this.logDir = path.join(__dirname, '..', '..', 'logs');
@@ -68,6 +100,10 @@ class Logger {
    * Core logging function
    */
   log(level, message, data = null) {
+    if (LOG_LEVELS[level.toLowerCase()] > LOG_LEVELS[loggerSettings.level]) {
+      return;
+    }
+
     const timestamp = new Date().toISOString();
     const logEntry = {
       timestamp,
@@ -88,10 +124,10 @@ class Logger {
         console.warn(consoleMessage, data || '');
         break;
       case 'DEBUG':
-        console.debug(consoleMessage, data || '');
+        (loggerSettings.stderr ? console.error : console.debug)(consoleMessage, data || '');
         break;
       default:
-        console.log(consoleMessage, data || '');
+        (loggerSettings.stderr ? console.error : console.log)(consoleMessage, data || '');
     }
 
     // File logging
@@ -164,6 +200,13 @@ class ErrorHandler {
     throw new AutomationError(`${operationName} failed after ${maxRetries} attempts`, lastError, context);
   }
 
+  /**
+   * Shorthand for handleWithRetry taking just an operation name
+   */
+  async executeWithRetry(operation, operationName, maxRetries = this.maxRetries) {
+    return this.handleWithRetry(operation, { operation: operationName }, maxRetries);
+  }
+
   /**
    * Calculate retry delay with exponential backoff
    */
@@ -252,9 +295,9 @@ class AutomationError extends Error {
  * Session Recovery Manager
  */
 class SessionRecovery {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger('SessionRecovery');
-    this.sessionBackupDir = path.join(__dirname, '..', '..', 'logs', 'sessions');
+    this.sessionBackupDir = options.backupDir || path.join(__dirname, '..', '..', 'logs', 'sessions');
     this.ensureSessionDirectory();
   }
 
@@ -328,7 +371,48 @@ class SessionRecovery {
   }
 
   /**
-   * Clean old session backups
+   * Overwrite the named checkpoint with the latest state
+   *
+   * Unlike session backups there is one file per name, replaced atomically
+   * (write, then rename) so a crash mid-write keeps the previous checkpoint.
+   */
+  saveCheckpoint(name, data) {
+    const filepath = path.join(this.sessionBackupDir, `checkpoint-${name}.json`);
+    const checkpoint = {
+      timestamp: new Date().toISOString(),
+      data,
+      version: '1.0.0'
+    };
+
+    try {
+      fs.writeFileSync(`${filepath}.tmp`, JSON.stringify(checkpoint, null, 2));
+      fs.renameSync(`${filepath}.tmp`, filepath);
+    } catch (error) {
+      this.logger.error(`Failed to save checkpoint ${name}:`, error);
+      throw new AutomationError('Checkpoint save failed', error, { checkpoint: name });
+    }
+  }
+
+  /**
+   * Latest state saved under a checkpoint name, or null when there is none
+   */
+  loadCheckpoint(name) {
+    const filepath = path.join(this.sessionBackupDir, `checkpoint-${name}.json`);
+
+    if (!fs.existsSync(filepath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf8')).data;
+    } catch (error) {
+      this.logger.error(`Failed to read checkpoint ${name}:`, error);
+      throw new AutomationError('Checkpoint restore failed', error, { checkpoint: name });
+    }
+  }
+
+  /**
+   * Clean old session backups (checkpoints are kept)
    */
   cleanOldSessions(maxAge = 7 * 24 * 60 * 60 * 1000) { // 7 days
     try {
@@ -336,7 +420,7 @@ class SessionRecovery {
       const now = Date.now();
       let cleaned = 0;
       
-      files.forEach(file => {
+      files.filter(file => file.startsWith('session-')).forEach(file => {
         const filepath = path.join(this.sessionBackupDir, file);
         const stats = fs.statSync(filepath);
         
@@ -404,6 +488,7 @@ class RateLimiter {
 }
 
 module.exports = {
+  LOG_LEVELS,
   Logger,
   ErrorHandler,
   AutomationError,
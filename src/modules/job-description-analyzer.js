@@ -3,21 +3,152 @@
  * 
  * Provides sophisticated analysis of job descriptions to extract requirements,
  * skills, company culture, and other relevant information for resume customization.
+ * This is the only job analyzer: ResumeGenerator, ApplicationSubmission, the
+ * campaign engine and the resume-customization engine all read the same
+ * versioned analysis object (see SCHEMA_VERSION below).
+ * German, Spanish and French postings are segmented with their own headings
+ * and have their wording rewritten into English (see language-packs) before
+ * the English keyword tables below are applied.
  * 
  * @author Ivo Dachev <dachevivo@gmail.com>
  * @version 1.0.0
  */
 
 const { Logger } = require('./error-handling');
+const { segmentDescription, isStructured } = require('./job-description-segmenter');
+const { SkillOntology } = require('./skill-ontology');
+const { detectEligibilityRequirements } = require('./eligibility-detector');
+const { KeywordCorpus } = require('./keyword-corpus');
+const { JobStore } = require('./job-store');
+const { detectLanguage, languagePack, translateToEnglish } = require('./language-packs');
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Version of the analysis object. Bump it whenever a field is renamed,
+ * removed or changes meaning, so stored analyses can be told apart.
+ *
+ * Schema (version 9):
+ *   schemaVersion            number, SCHEMA_VERSION
+ *   analyzedAt               ISO timestamp
+ *   language                 language of the posting: 'en'|'de'|'es'|'fr', detected from the title and description;
+ *                            every other field is extracted from its English rewrite, except the section headings,
+ *                            keyRequirements and preferredQualifications, which stay in the posting's language
+ *   sections                 [{ type, heading }] found by the segmenter, title first
+ *   basicInfo                { title, company, location, salary, posted, applicants, easyApply, remote }
+ *   jobType                  best matching skills-database job type (fullstack, frontend, backend, ai, seo, devops)
+ *   skills.required          skill-ontology skills mentioned in the title, summary, responsibilities or
+ *                            requirements sections (near "required", "must have", ... when there are no headings)
+ *   skills.preferred         the other skills-database skills mentioned, benefits and EEO text excluded
+ *   skills.ranked            required + preferred, direct name mentions first, then aliases, then keywords,
+ *                            then by section-weighted mentions
+ *   skills.categories        { [category display name]: skills }
+ *                            Each skill is { name, category, priority: 'required'|'preferred', matchedBy: 'name'|'alias'|'keyword',
+ *                            mentions, weight, sections, context } - weight sums mentions times SECTION_WEIGHTS
+ *   skills.implied           skills not mentioned but implied by mentioned ones (Next.js implies React), as
+ *                            { name, category, priority, matchedBy: 'implied', impliedBy }
+ *   extractedSkills          { technical, seo, marketing, leadership, analytics } - domain keyword lists
+ *   keywords                 every skill and industry keyword found, for ATS matching
+ *   distinctiveKeywords      words and two-word phrases of the role (boilerplate sections excluded) ranked by BM25
+ *                            against the collected postings in the job store, as
+ *                            [{ term, count, documentFrequency, tfidf, bm25 }] (max 20)
+ *   experience               { yearsRequired, seniorityLevel: 'junior'|'mid'|'senior'|'executive', specificExperience, leadership, architecture,
+ *                            skillYears, domainYears } - yearsRequired is the largest required "N+ years" of experience,
+ *                            else the largest preferred one, from the same mentions as skillYears
+ *   experience.skillYears    years asked for per skill ("5+ years of React, 3+ years with AWS"), as
+ *                            { skill, years, maxYears (ranges only), priority: 'required'|'preferred', text }
+ *   experience.domainYears   the same per domain keyword list, as { domain, keywords, years, maxYears, priority, text }
+ *   industryContext          { primary, scores, confidence }
+ *   company                  { name, size: 'startup'|'midsize'|'enterprise'|'unknown', industry }
+ *   culture                  { traits, values } - about-the-company, benefits and EEO text excluded
+ *   benefits                 benefit names (remote, flexible, learning, equity, health, retirement)
+ *   requirements             { education, certifications, preferred: { education, certifications } }
+ *   eligibility              { sponsorship, authorization, citizenship, clearance, relocation, onsite } - each null or
+ *                            { ..., text } from eligibility-detector ("no sponsorship", "US citizens only", ...)
+ *   keyRequirements          bullet points of the required qualifications sections (max 10)
+ *   preferredQualifications  bullet points of the preferred qualifications sections (max 5)
+ *   priorities               { mustHave, niceToHave } - "required: ..." and "preferred: ..." phrases
+ *   scores                   { skillMatch, experienceMatch, cultureMatch, overall }
+ *
+ * ResumeGenerator adds skillMatchScores, overallMatchScore, experienceGaps,
+ * primaryFocus and customizationLevel when it scores the analysis against the
+ * master resume.
+ */
+const SCHEMA_VERSION = 9;
+
+// How much a mention counts towards a skill's weight, by section type
+const SECTION_WEIGHTS = {
+  title: 1.5,
+  required: 1,
+  responsibilities: 0.8,
+  summary: 0.6,
+  other: 0.6,
+  preferred: 0.5,
+  about: 0.2,
+  benefits: 0,
+  eeo: 0
+};
+
+// Sections that make a skill or requirement required rather than preferred
+const REQUIRED_SECTIONS = ['title', 'summary', 'responsibilities', 'required', 'other'];
+
+// Company boilerplate that says nothing about the role itself
+const BOILERPLATE_SECTIONS = ['about', 'benefits', 'eeo'];
+
+// "5+ years", "at least 3 years", "2-4 yrs"; a range keeps its lower bound as the requirement
+const YEARS_MENTION = /(?:at\s+least|minimum(?:\s+of)?)?\s*(\d{1,2})\s*(?:(?:-|–|to)\s*(\d{1,2})\s*)?\+?\s*(?:years?|yrs?)\b/gi;
+
+// Sentence ends, and the list separators that also end the clause before a years mention
+const SENTENCE_END = /[.;!?](?=\s|$)/g;
+const CLAUSE_START = /[.;!?,•](?=\s|$)/g;
+
+// Wording that makes a years requirement preferred when the posting has no headings
+const PREFERRED_WORDING = /\b(preferred|nice to have|bonus|plus|ideally|advantage)\b/i;
+
+// A years mention without a skill or domain only counts towards yearsRequired when it is about experience
+const EXPERIENCE_WORDING = /\b(experience|exp|background|track record|at least|minimum)\b/i;
+const COMPANY_AGE_WORDING = /\b(ago|old|founded|in business)\b/i;
+
+/**
+ * End of the last match of a global pattern in a text, or 0
+ */
+function lastMatchEnd(text, pattern) {
+  const matches = [...text.matchAll(pattern)];
+  return matches.length > 0 ? matches[matches.length - 1].index + 1 : 0;
+}
+
+/**
+ * Start of the first match of a global pattern in a text, or its length
+ */
+function firstMatchStart(text, pattern) {
+  const match = [...text.matchAll(pattern)][0];
+  return match ? match.index : text.length;
+}
+
+// How many distinctive keywords an analysis keeps
+const MAX_DISTINCTIVE_KEYWORDS = 20;
+
 class JobDescriptionAnalyzer {
-  constructor() {
+  /**
+   * options.corpus is a KeywordCorpus; without it one is built from
+   * options.jobStore (default data/job-store.json) on first use.
+   */
+  constructor(options = {}) {
     this.logger = new Logger('JobDescriptionAnalyzer');
+    this.corpus = options.corpus || null;
+    this.jobStore = options.jobStore || null;
     this.skillsDatabase = this.loadSkillsDatabase();
+    this.ontology = new SkillOntology({ database: this.skillsDatabase });
     this.companyKeywords = this.loadCompanyKeywords();
     this.experiencePatterns = this.loadExperiencePatterns();
+    this.domainKeywords = this.loadDomainKeywords();
+  }
+
+  /**
+   * Whether an analysis object was produced with the current schema
+   */
+  static isCurrent(analysis) {
+    return Boolean(analysis) && analysis.schemaVersion === SCHEMA_VERSION;
   }
 
   /**
@@ -43,10 +174,11 @@ class JobDescriptionAnalyzer {
         innovative: ['innovative', 'cutting-edge', 'disruptive', 'pioneering', 'breakthrough'],
         collaborative: ['collaborative', 'team-oriented', 'cross-functional', 'partnership', 'teamwork'],
         fastPaced: ['fast-paced', 'dynamic', 'agile', 'rapid', 'quick-moving'],
-        datadriven: ['data-driven', 'analytics', 'metrics', 'evidence-based', 'quantitative'],
+        datadriven: ['data-driven', 'analytics', 'analytical', 'metrics', 'evidence-based', 'quantitative'],
         customerFocused: ['customer-focused', 'user-centric', 'client-oriented', 'customer-first'],
         growth: ['growth', 'scaling', 'expansion', 'development', 'advancement']
       },
+      values: ['integrity', 'innovation', 'excellence', 'customer-focused', 'diversity', 'inclusion', 'sustainability', 'quality'],
       benefits: {
         remote: ['remote', 'work from home', 'distributed', 'flexible location'],
         flexible: ['flexible hours', 'work-life balance', 'flexible schedule', 'autonomy'],
@@ -56,9 +188,16 @@ class JobDescriptionAnalyzer {
         retirement: ['401k', 'retirement', 'pension', 'savings plan']
       },
       companySize: {
-        startup: ['startup', 'early-stage', 'seed', 'series a', 'series b'],
-        midsize: ['mid-size', 'growing', 'established', '100-500', '500-1000'],
+        startup: ['startup', 'early-stage', 'seed', 'series a', 'series b', 'small team'],
+        midsize: ['mid-size', 'growing company', 'established', '100-500', '500-1000'],
         enterprise: ['enterprise', 'fortune 500', 'large corporation', '1000+', 'multinational']
+      },
+      industry: {
+        technology: ['software', 'saas', 'tech', 'startup', 'fintech', 'edtech', 'healthtech', 'ai', 'machine learning', 'artificial intelligence'],
+        marketing: ['agency', 'advertising', 'media', 'publishing', 'ecommerce', 'retail', 'consumer goods', 'brand'],
+        finance: ['financial services', 'banking', 'investment', 'insurance', 'accounting', 'fintech'],
+        healthcare: ['healthcare', 'medical', 'pharmaceutical', 'biotech', 'hospital', 'clinic'],
+        consulting: ['consulting', 'advisory', 'professional services', 'strategy', 'management consulting']
       }
     };
   }
@@ -68,43 +207,78 @@ class JobDescriptionAnalyzer {
    */
   loadExperiencePatterns() {
     return {
-      years: [
-        /(\d+)\+?\s*years?\s*(of\s*)?(experience|exp)/gi,
-        /(\d+)\+?\s*year\s*(of\s*)?(experience|exp)/gi,
-        /minimum\s*(\d+)\s*years?/gi,
-        /at\s*least\s*(\d+)\s*years?/gi
-      ],
       seniority: {
-        junior: ['junior', 'entry-level', 'associate', 'graduate', 'new grad'],
-        mid: ['mid-level', 'intermediate', 'experienced', '3-5 years', '2-4 years'],
+        junior: ['junior', 'entry-level', 'entry level', 'associate', 'graduate', 'new grad', '0-2 years'],
+        mid: ['mid-level', 'mid level', 'intermediate', 'experienced', '3-5 years', '2-4 years', '2-5 years'],
         senior: ['senior', 'lead', 'principal', 'staff', 'expert', '5+ years', '7+ years'],
-        executive: ['director', 'vp', 'head of', 'chief', 'executive']
+        executive: ['director', 'vp', 'vice president', 'head of', 'chief', 'executive', '10+ years']
       },
       leadership: ['leadership', 'team lead', 'manage', 'mentor', 'supervise', 'direct'],
       architecture: ['architecture', 'design', 'system design', 'technical design', 'scalability']
     };
   }
 
+  /**
+   * Load the domain keyword lists used by the resume-customization templates
+   */
+  loadDomainKeywords() {
+    return {
+      technical: ['javascript', 'python', 'react', 'node.js', 'aws', 'docker', 'kubernetes', 'sql', 'mongodb', 'api', 'rest', 'graphql', 'git', 'ci/cd', 'devops', 'microservices', 'cloud', 'azure', 'gcp'],
+      seo: ['seo', 'sem', 'google analytics', 'search engine optimization', 'keyword research', 'content optimization', 'link building', 'serp', 'organic traffic', 'google ads', 'ppc', 'conversion optimization', 'a/b testing', 'google search console', 'technical seo'],
+      marketing: ['digital marketing', 'content marketing', 'social media', 'email marketing', 'marketing automation', 'lead generation', 'conversion rate', 'roi', 'kpi', 'campaign management', 'brand management', 'market research', 'customer acquisition'],
+      leadership: ['team leadership', 'project management', 'strategic planning', 'budget management', 'stakeholder management', 'cross-functional', 'mentoring', 'coaching', 'performance management', 'agile', 'scrum', 'kanban'],
+      analytics: ['data analysis', 'reporting', 'dashboard', 'metrics', 'kpi', 'excel', 'tableau', 'power bi', 'sql', 'python', 'r', 'statistics', 'data visualization', 'business intelligence']
+    };
+  }
+
   /**
    * Comprehensive job description analysis
    */
   async analyzeJobDescription(jobData) {
+    return this.analyze(jobData);
+  }
+
+  /**
+   * Analyze a job and expose the overall score as matchScore
+   */
+  async analyzeJob(jobData) {
+    const analysis = this.analyze(jobData);
+    return { ...analysis, matchScore: analysis.scores.overall };
+  }
+
+  /**
+   * Synchronous analysis returning the SCHEMA_VERSION shape
+   */
+  analyze(jobData) {
     try {
       this.logger.info(`Analyzing job description for: ${jobData.title}`);
       
-      const jobText = this.prepareJobText(jobData);
+      const language = this.detectJobLanguage(jobData);
+      const jobText = this.prepareJobText(jobData, language);
+      const sections = this.segmentJob(jobData, language);
+      const industryContext = this.identifyIndustry(jobText);
       
       const analysis = {
-        basicInfo: this.extractBasicInfo(jobData),
-        skills: this.extractSkills(jobText),
-        experience: this.extractExperienceRequirements(jobText),
-        company: this.analyzeCompanyInfo(jobText, jobData.company),
+        schemaVersion: SCHEMA_VERSION,
+        analyzedAt: new Date().toISOString(),
+        language,
+        sections: sections.map(({ type, heading }) => ({ type, heading })),
+        basicInfo: this.extractBasicInfo(jobData, language),
         jobType: this.determineJobType(jobText),
-        priorities: this.determinePriorities(jobText),
-        culture: this.analyzeCulture(jobText),
+        skills: this.extractSkills(jobText, sections),
+        extractedSkills: this.extractSkillDomains(jobText),
+        keywords: this.extractKeywords(jobText),
+        distinctiveKeywords: this.extractDistinctiveKeywords(sections),
+        experience: this.extractExperienceRequirements(jobText, sections),
+        industryContext,
+        company: this.analyzeCompanyInfo(jobText, jobData.company, industryContext.primary),
+        culture: this.analyzeCulture(this.sectionText(sections, type => !BOILERPLATE_SECTIONS.includes(type))),
         benefits: this.extractBenefits(jobText),
-        requirements: this.extractRequirements(jobText),
-        preferences: this.extractPreferences(jobText)
+        requirements: this.extractRequirements(jobText, sections),
+        eligibility: detectEligibilityRequirements(jobText),
+        keyRequirements: this.extractKeyRequirements(sections),
+        preferredQualifications: this.extractPreferredQualifications(sections),
+        priorities: this.determinePriorities(jobText)
       };
       
       // Calculate overall scores
@@ -121,9 +295,16 @@ class JobDescriptionAnalyzer {
   }
 
   /**
-   * Prepare job text for analysis
+   * Language of the posting, from its title and description
    */
-  prepareJobText(jobData) {
+  detectJobLanguage(jobData) {
+    return detectLanguage(`${jobData.title || ''}\n${jobData.description || ''}`);
+  }
+
+  /**
+   * Prepare job text for analysis, rewritten into English
+   */
+  prepareJobText(jobData, language = 'en') {
     let text = '';
     
     if (jobData.title) text += jobData.title + ' ';
@@ -131,13 +312,42 @@ class JobDescriptionAnalyzer {
     if (jobData.company) text += jobData.company + ' ';
     if (jobData.requirements) text += jobData.requirements + ' ';
     
-    return text.toLowerCase();
+    return translateToEnglish(text, language).toLowerCase();
+  }
+
+  /**
+   * Split the posting into sections, with the title as a section of its own.
+   * Section text is rewritten into English; headings and bullets are kept as posted.
+   */
+  segmentJob(jobData, language = 'en') {
+    const pack = languagePack(language);
+    const sections = segmentDescription(jobData.description, pack ? { headingPatterns: pack.headings, eeoStatement: pack.eeoStatement } : {});
+
+    if (jobData.title) {
+      sections.unshift({ type: 'title', heading: null, text: String(jobData.title), bullets: [] });
+    }
+    if (jobData.requirements) {
+      sections.push({ type: 'required', heading: null, text: String(jobData.requirements), bullets: [] });
+    }
+
+    return pack ? sections.map(section => ({ ...section, text: translateToEnglish(section.text, language) })) : sections;
+  }
+
+  /**
+   * Lowercased text of the sections whose type passes the filter
+   */
+  sectionText(sections, filter) {
+    return sections
+      .filter(section => filter(section.type))
+      .map(section => section.text)
+      .join('\n')
+      .toLowerCase();
   }
 
   /**
    * Extract basic job information
    */
-  extractBasicInfo(jobData) {
+  extractBasicInfo(jobData, language = 'en') {
     return {
       title: jobData.title,
       company: jobData.company,
@@ -146,111 +356,132 @@ class JobDescriptionAnalyzer {
       posted: jobData.posted,
       applicants: jobData.applicants,
       easyApply: jobData.easyApply,
-      remote: this.isRemoteJob(jobData)
+      remote: this.isRemoteJob(jobData, language)
     };
   }
 
   /**
    * Check if job is remote
    */
-  isRemoteJob(jobData) {
-    const text = `${jobData.title} ${jobData.location} ${jobData.description || ''}`.toLowerCase();
+  isRemoteJob(jobData, language = 'en') {
+    const text = translateToEnglish(`${jobData.title} ${jobData.location} ${jobData.description || ''}`, language).toLowerCase();
     return text.includes('remote') || text.includes('work from home') || text.includes('distributed');
   }
 
   /**
-   * Extract required and preferred skills
+   * Extract required and preferred skills, weighted by the section they appear in
    */
-  extractSkills(jobText) {
+  extractSkills(jobText, sections = null) {
+    const segments = sections || [{ type: 'summary', heading: null, text: jobText, bullets: [] }];
+    const scans = segments.map(section => ({ section, mentions: this.ontology.scan(section.text) }));
     const skills = {
       required: [],
       preferred: [],
+      ranked: [],
+      implied: [],
       categories: {}
     };
     
-    // Analyze each skill category
-    Object.entries(this.skillsDatabase.skillCategories).forEach(([categoryKey, category]) => {
-      const categorySkills = [];
+    // Analyze each skill of the ontology, category by category
+    this.ontology.skills.forEach(({ name: skillName, category }) => {
+      const skillInfo = this.analyzeSkillMention(jobText, skillName, scans, segments);
       
-      Object.entries(category.skills).forEach(([skillName, skillData]) => {
-        const skillInfo = this.analyzeSkillMention(jobText, skillName, skillData);
+      if (skillInfo.mentioned) {
+        const skill = {
+          name: skillName,
+          category: category,
+          priority: skillInfo.priority,
+          matchedBy: skillInfo.matchedBy,
+          mentions: skillInfo.mentions,
+          weight: skillInfo.weight,
+          sections: skillInfo.sections,
+          context: skillInfo.context
+        };
         
-        if (skillInfo.mentioned) {
-          const skill = {
-            name: skillName,
-            category: category.displayName,
-            priority: skillInfo.priority,
-            mentions: skillInfo.mentions,
-            context: skillInfo.context
-          };
-          
-          if (skillInfo.priority === 'required') {
-            skills.required.push(skill);
-          } else {
-            skills.preferred.push(skill);
-          }
-          
-          categorySkills.push(skill);
+        if (skillInfo.priority === 'required') {
+          skills.required.push(skill);
+        } else {
+          skills.preferred.push(skill);
         }
-      });
-      
-      if (categorySkills.length > 0) {
-        skills.categories[category.displayName] = categorySkills;
+        
+        skills.categories[category] = skills.categories[category] || [];
+        skills.categories[category].push(skill);
       }
     });
     
-    // Sort by priority and mentions
-    skills.required.sort((a, b) => b.mentions - a.mentions);
-    skills.preferred.sort((a, b) => b.mentions - a.mentions);
+    // Sort by priority and section-weighted mentions
+    skills.required.sort((a, b) => b.weight - a.weight || b.mentions - a.mentions);
+    skills.preferred.sort((a, b) => b.weight - a.weight || b.mentions - a.mentions);
     
+    // Skills named outright come before those only found through an alias or keyword
+    const strength = { name: 3, alias: 2, keyword: 1 };
+    skills.ranked = [...skills.required, ...skills.preferred]
+      .sort((a, b) => strength[b.matchedBy] - strength[a.matchedBy] || b.weight - a.weight || b.mentions - a.mentions);
+
+    skills.implied = this.extractImpliedSkills(skills.ranked);
+
     return skills;
   }
 
   /**
-   * Analyze skill mention in job text
+   * Skills not mentioned but implied by mentioned ones (Next.js implies React and JavaScript)
+   */
+  extractImpliedSkills(rankedSkills) {
+    const mentioned = new Set(rankedSkills.map(skill => skill.name));
+    const implied = new Map();
+    
+    rankedSkills.forEach(skill => {
+      this.ontology.ancestors(skill.name)
+        .filter(name => !mentioned.has(name))
+        .forEach(name => {
+          const entry = implied.get(name) || { name, category: (this.ontology.get(name) || {}).category, priority: 'preferred', matchedBy: 'implied', impliedBy: [] };
+          entry.impliedBy.push(skill.name);
+          if (skill.priority === 'required') {
+            entry.priority = 'required';
+          }
+          implied.set(name, entry);
+        });
+    });
+    
+    return Array.from(implied.values());
+  }
+
+  /**
+   * Analyze skill mention in job text and in each section
    */
-  analyzeSkillMention(jobText, skillName, skillData) {
-    let mentions = 0;
+  analyzeSkillMention(jobText, skillName, scans, sections) {
     let priority = 'preferred';
     let context = [];
     
-    // Check main skill name
-    const skillRegex = new RegExp(`\\b${skillName.toLowerCase()}\\b`, 'gi');
-    const skillMatches = jobText.match(skillRegex);
-    if (skillMatches) {
-      mentions += skillMatches.length;
-    }
-    
-    // Check aliases
-    skillData.aliases.forEach(alias => {
-      const aliasRegex = new RegExp(`\\b${alias.toLowerCase()}\\b`, 'gi');
-      const aliasMatches = jobText.match(aliasRegex);
-      if (aliasMatches) {
-        mentions += aliasMatches.length;
+    // Benefits and EEO text weigh nothing, so a skill only mentioned there is dropped
+    const found = scans
+      .filter(({ section, mentions }) => mentions[skillName] && SECTION_WEIGHTS[section.type] > 0)
+      .map(({ section, mentions }) => ({ section, ...mentions[skillName] }));
+    const mentions = found.reduce((sum, entry) => sum + entry.mentions, 0);
+    const weight = found.reduce((sum, entry) => sum + entry.mentions * SECTION_WEIGHTS[entry.section.type], 0);
+    const strength = ['name', 'alias', 'keyword'];
+    const matchedBy = strength.find(kind => found.some(entry => entry.matchedBy === kind)) || null;
+    
+    if (isStructured(sections)) {
+      // Headings tell where the skill is asked for
+      if (found.some(entry => REQUIRED_SECTIONS.includes(entry.section.type))) {
+        priority = 'required';
       }
-    });
-    
-    // Check keywords
-    skillData.keywords.forEach(keyword => {
-      if (jobText.includes(keyword.toLowerCase())) {
-        mentions += 0.5; // Keywords count as half mentions
-      }
-    });
-    
-    // Determine priority based on context
-    if (mentions > 0) {
+      context = [...new Set(found.map(entry => entry.section.heading).filter(Boolean))];
+    } else if (mentions > 0) {
+      // Determine priority based on context
       const requiredContext = ['required', 'must have', 'essential', 'mandatory', 'need'];
       const preferredContext = ['preferred', 'nice to have', 'bonus', 'plus', 'advantage'];
       
       requiredContext.forEach(ctx => {
-        if (jobText.includes(ctx) && jobText.includes(skillName.toLowerCase())) {
+        if (jobText.includes(ctx) && this.ontology.has(jobText, skillName)) {
           priority = 'required';
           context.push(ctx);
         }
       });
       
       preferredContext.forEach(ctx => {
-        if (jobText.includes(ctx) && jobText.includes(skillName.toLowerCase())) {
+        if (jobText.includes(ctx) && this.ontology.has(jobText, skillName)) {
           if (priority !== 'required') priority = 'preferred';
           context.push(ctx);
         }
@@ -260,34 +491,74 @@ class JobDescriptionAnalyzer {
     return {
       mentioned: mentions > 0,
       mentions: Math.round(mentions),
+      weight: Math.round(weight * 10) / 10,
+      sections: [...new Set(found.map(entry => entry.section.type))],
       priority: priority,
+      matchedBy: matchedBy,
       context: context
     };
   }
 
+  /**
+   * Group domain keywords (technical, SEO, marketing, leadership, analytics) found in the text
+   */
+  extractSkillDomains(jobText) {
+    const domains = {};
+
+    Object.entries(this.domainKeywords).forEach(([domain, keywords]) => {
+      domains[domain] = keywords.filter(keyword => this.ontology.has(jobText, keyword));
+    });
+
+    return domains;
+  }
+
+  /**
+   * Extract all relevant keywords for matching
+   */
+  extractKeywords(jobText) {
+    const keywords = new Set();
+
+    [...Object.values(this.domainKeywords), ...Object.values(this.companyKeywords.industry)].flat().forEach(keyword => {
+      if (this.ontology.has(jobText, keyword)) {
+        keywords.add(keyword);
+      }
+    });
+
+    return Array.from(keywords);
+  }
+
+  /**
+   * Keywords of the role ranked by how distinctive they are across collected postings
+   */
+  extractDistinctiveKeywords(sections) {
+    const roleText = this.sectionText(sections, type => !BOILERPLATE_SECTIONS.includes(type));
+    return this.getCorpus().scoreTerms(roleText, { limit: MAX_DISTINCTIVE_KEYWORDS });
+  }
+
+  /**
+   * Keyword corpus of the job store, built once per analyzer
+   */
+  getCorpus() {
+    if (!this.corpus) {
+      this.corpus = KeywordCorpus.fromJobStore(this.jobStore || new JobStore());
+      this.logger.info(`Keyword corpus built from ${this.corpus.documentCount} stored postings`);
+    }
+    return this.corpus;
+  }
+
   /**
    * Extract experience requirements
    */
-  extractExperienceRequirements(jobText) {
+  extractExperienceRequirements(jobText, sections = null) {
+    const segments = sections || [{ type: 'summary', heading: null, text: jobText, bullets: [] }];
     const requirements = {
-      yearsRequired: 0,
       seniorityLevel: 'mid',
       specificExperience: [],
       leadership: false,
-      architecture: false
+      architecture: false,
+      ...this.extractYearsBySubject(segments)
     };
     
-    // Extract years of experience
-    this.experiencePatterns.years.forEach(pattern => {
-      const matches = jobText.match(pattern);
-      if (matches) {
-        const years = parseInt(matches[1]);
-        if (years > requirements.yearsRequired) {
-          requirements.yearsRequired = years;
-        }
-      }
-    });
-    
     // Determine seniority level
     Object.entries(this.experiencePatterns.seniority).forEach(([level, keywords]) => {
       keywords.forEach(keyword => {
@@ -317,14 +588,135 @@ class JobDescriptionAnalyzer {
   }
 
   /**
-   * Analyze company information and culture
+   * Years asked for overall, per skill and per domain: "5+ years of React, 3+ years with AWS".
+   * A skill named more than once keeps its highest requirement, required before preferred;
+   * yearsRequired is the largest required mention, else the largest preferred one.
    */
-  analyzeCompanyInfo(jobText, companyName) {
+  extractYearsBySubject(sections) {
+    const structured = isStructured(sections);
+    const skillYears = new Map();
+    const domainYears = new Map();
+    const overall = { required: 0, preferred: 0 };
+
+    const keep = (map, key, entry) => {
+      const current = map.get(key);
+      const stronger = !current ||
+        (entry.priority === 'required' && current.priority === 'preferred') ||
+        (entry.priority === current.priority && entry.years > current.years);
+      if (stronger) {
+        map.set(key, entry);
+      }
+    };
+
+    sections
+      .filter(section => section.type !== 'title' && !BOILERPLATE_SECTIONS.includes(section.type))
+      .forEach(section => {
+        section.text.split('\n').forEach(line => {
+          this.findYearsMentions(line).forEach(mention => {
+            const priority = (structured ? section.type === 'preferred' : PREFERRED_WORDING.test(mention.text)) ? 'preferred' : 'required';
+            const requirement = { years: mention.years, ...(mention.maxYears && { maxYears: mention.maxYears }), priority, text: mention.text };
+
+            mention.skills.forEach(skill => keep(skillYears, skill, { skill, ...requirement }));
+            mention.domains.forEach(({ domain, keywords }) => keep(domainYears, domain, { domain, keywords, ...requirement }));
+
+            const aboutExperience = mention.skills.length > 0 || mention.domains.length > 0 || EXPERIENCE_WORDING.test(mention.text);
+            if (aboutExperience && !COMPANY_AGE_WORDING.test(mention.text)) {
+              overall[priority] = Math.max(overall[priority], mention.years);
+            }
+          });
+        });
+      });
+
+    return {
+      yearsRequired: overall.required || overall.preferred,
+      skillYears: Array.from(skillYears.values()),
+      domainYears: Array.from(domainYears.values())
+    };
+  }
+
+  /**
+   * Years mentions of one line with the skills and domains they apply to. The
+   * subject follows the years ("5+ years of React") unless the years stand in
+   * parentheses or after a colon or dash ("React (3+ years)", "AWS: 2 years").
+   */
+  findYearsMentions(line) {
+    const matches = [...line.matchAll(YEARS_MENTION)];
+
+    return matches.map((match, index) => {
+      const start = match.index;
+      const end = start + match[0].length;
+      const previousEnd = index > 0 ? matches[index - 1].index + matches[index - 1][0].length : 0;
+      const nextStart = index + 1 < matches.length ? matches[index + 1].index : line.length;
+
+      const rest = line.slice(end, nextStart);
+      const after = rest.slice(0, firstMatchStart(rest, SENTENCE_END));
+      const lead = line.slice(previousEnd, start);
+      const before = lead.slice(lastMatchEnd(lead, CLAUSE_START));
+
+      const trailing = /^\s*\)/.test(rest) || /[(:–-]\s*$/.test(before);
+      const clauses = trailing ? [before, after] : [after, before];
+      const subject = clauses
+        .map(clause => ({ skills: this.findSubjectSkills(clause), domains: this.findSubjectDomains(clause) }))
+        .find(found => found.skills.length > 0 || found.domains.length > 0) || { skills: [], domains: [] };
+
+      const sentenceStart = lastMatchEnd(line.slice(0, start), SENTENCE_END);
+      const sentenceEnd = end + firstMatchStart(line.slice(end), SENTENCE_END);
+
+      return {
+        years: parseInt(match[1], 10),
+        maxYears: match[2] ? parseInt(match[2], 10) : null,
+        text: line.slice(sentenceStart, sentenceEnd + 1).replace(/^[\s•*-]+/, '').trim(),
+        ...subject
+      };
+    });
+  }
+
+  /**
+   * Skills named outright or by an alias in a clause; keywords are too loose to carry years
+   */
+  findSubjectSkills(clause) {
+    return Object.entries(this.ontology.scan(clause))
+      .filter(([, found]) => found.matchedBy !== 'keyword')
+      .map(([name]) => name);
+  }
+
+  /**
+   * Domains whose keywords occur in a clause, with the keywords found
+   */
+  findSubjectDomains(clause) {
+    return Object.entries(this.domainKeywords)
+      .map(([domain, keywords]) => ({ domain, keywords: keywords.filter(keyword => this.ontology.has(clause, keyword)) }))
+      .filter(found => found.keywords.length > 0);
+  }
+
+  /**
+   * Identify industry context
+   */
+  identifyIndustry(jobText) {
+    const scores = {};
+
+    Object.entries(this.companyKeywords.industry).forEach(([industry, keywords]) => {
+      scores[industry] = keywords.filter(keyword => jobText.includes(keyword)).length;
+    });
+
+    // Ties go to the first industry listed, technology
+    const primary = Object.keys(scores).reduce((a, b) => (scores[a] >= scores[b] ? a : b));
+
+    return {
+      primary,
+      scores,
+      confidence: scores[primary] / 5
+    };
+  }
+
+  /**
+   * Analyze company information
+   */
+  analyzeCompanyInfo(jobText, companyName, industry) {
     const analysis = {
       name: companyName,
       size: 'unknown',
-      culture: [],
-      industry: 'technology'
+      industry: industry || 'technology'
     };
     
     // Determine company size
@@ -336,15 +728,6 @@ class JobDescriptionAnalyzer {
       });
     });
     
-    // Analyze culture keywords
-    Object.entries(this.companyKeywords.culture).forEach(([trait, keywords]) => {
-      keywords.forEach(keyword => {
-        if (jobText.includes(keyword)) {
-          analysis.culture.push(trait);
-        }
-      });
-    });
-    
     return analysis;
   }
 
@@ -358,19 +741,19 @@ class JobDescriptionAnalyzer {
       let score = 0;
       
       mapping.keywords.forEach(keyword => {
-        if (jobText.includes(keyword)) {
+        if (this.ontology.has(jobText, keyword)) {
           score += 2;
         }
       });
       
       mapping.primarySkills.forEach(skill => {
-        if (jobText.includes(skill.toLowerCase())) {
+        if (this.ontology.has(jobText, skill)) {
           score += 3;
         }
       });
       
       mapping.secondarySkills.forEach(skill => {
-        if (jobText.includes(skill.toLowerCase())) {
+        if (this.ontology.has(jobText, skill)) {
           score += 1;
         }
       });
@@ -389,138 +772,103 @@ class JobDescriptionAnalyzer {
    * Determine skill and requirement priorities
    */
   determinePriorities(jobText) {
-    const priorities = {
-      mustHave: [],
-      important: [],
-      niceToHave: []
+    const collect = patterns => patterns.flatMap(pattern => (jobText.match(pattern) || []).map(match => match.trim()));
+
+    return {
+      mustHave: collect([
+        /required:?\s*([^.]+)/gi,
+        /must have:?\s*([^.]+)/gi,
+        /essential:?\s*([^.]+)/gi
+      ]),
+      niceToHave: collect([
+        /preferred:?\s*([^.]+)/gi,
+        /nice to have:?\s*([^.]+)/gi,
+        /bonus:?\s*([^.]+)/gi,
+        /plus:?\s*([^.]+)/gi
+      ])
     };
-    
-    // Extract must-have requirements
-    const mustHavePatterns = [
-      /required:?\s*([^.]+)/gi,
-      /must have:?\s*([^.]+)/gi,
-      /essential:?\s*([^.]+)/gi
-    ];
-    
-    mustHavePatterns.forEach(pattern => {
-      const matches = jobText.match(pattern);
-      if (matches) {
-        matches.forEach(match => {
-          priorities.mustHave.push(match.trim());
-        });
-      }
-    });
-    
-    // Extract preferred requirements
-    const preferredPatterns = [
-      /preferred:?\s*([^.]+)/gi,
-      /nice to have:?\s*([^.]+)/gi,
-      /bonus:?\s*([^.]+)/gi
-    ];
-    
-    preferredPatterns.forEach(pattern => {
-      const matches = jobText.match(pattern);
-      if (matches) {
-        matches.forEach(match => {
-          priorities.niceToHave.push(match.trim());
-        });
-      }
-    });
-    
-    return priorities;
   }
 
   /**
    * Analyze company culture indicators
    */
   analyzeCulture(jobText) {
-    const culture = {
-      traits: [],
-      values: [],
-      workStyle: []
+    const traits = Object.entries(this.companyKeywords.culture)
+      .filter(([, keywords]) => keywords.some(keyword => jobText.includes(keyword)))
+      .map(([trait]) => trait);
+
+    return {
+      traits,
+      values: this.companyKeywords.values.filter(value => jobText.includes(value))
     };
-    
-    Object.entries(this.companyKeywords.culture).forEach(([trait, keywords]) => {
-      keywords.forEach(keyword => {
-        if (jobText.includes(keyword)) {
-          culture.traits.push(trait);
-        }
-      });
-    });
-    
-    return culture;
   }
 
   /**
    * Extract benefits and perks
    */
   extractBenefits(jobText) {
-    const benefits = [];
-    
-    Object.entries(this.companyKeywords.benefits).forEach(([benefit, keywords]) => {
-      keywords.forEach(keyword => {
-        if (jobText.includes(keyword)) {
-          benefits.push(benefit);
-        }
-      });
-    });
-    
-    return benefits;
+    return Object.entries(this.companyKeywords.benefits)
+      .filter(([, keywords]) => keywords.some(keyword => jobText.includes(keyword)))
+      .map(([benefit]) => benefit);
   }
 
   /**
-   * Extract hard requirements
+   * Extract hard requirements, split by the section that asks for them
    */
-  extractRequirements(jobText) {
+  extractRequirements(jobText, sections = null) {
     const requirements = {
       education: [],
       certifications: [],
-      experience: [],
-      technical: []
+      preferred: {
+        education: [],
+        certifications: []
+      }
+    };
+    const structured = Boolean(sections) && isStructured(sections);
+    const requiredText = structured ? this.sectionText(sections, type => REQUIRED_SECTIONS.includes(type)) : jobText;
+    const preferredText = structured ? this.sectionText(sections, type => type === 'preferred') : '';
+    
+    const classify = (group, keyword) => {
+      if (requiredText.includes(keyword)) {
+        requirements[group].push(keyword);
+      } else if (preferredText.includes(keyword)) {
+        requirements.preferred[group].push(keyword);
+      }
     };
     
     // Education requirements
     const educationKeywords = ['degree', 'bachelor', 'master', 'phd', 'computer science', 'engineering'];
-    educationKeywords.forEach(keyword => {
-      if (jobText.includes(keyword)) {
-        requirements.education.push(keyword);
-      }
-    });
+    educationKeywords.forEach(keyword => classify('education', keyword));
     
     // Certification requirements
     const certKeywords = ['certified', 'certification', 'aws', 'azure', 'google cloud', 'kubernetes'];
-    certKeywords.forEach(keyword => {
-      if (jobText.includes(keyword)) {
-        requirements.certifications.push(keyword);
-      }
-    });
+    certKeywords.forEach(keyword => classify('certifications', keyword));
     
     return requirements;
   }
 
   /**
-   * Extract preferences (nice-to-have)
+   * Bullet points of every section of a type
    */
-  extractPreferences(jobText) {
-    const preferences = [];
-    
-    const preferencePatterns = [
-      /preferred:?\s*([^.]+)/gi,
-      /nice to have:?\s*([^.]+)/gi,
-      /bonus:?\s*([^.]+)/gi,
-      /plus:?\s*([^.]+)/gi
-    ];
-    
-    preferencePatterns.forEach(pattern => {
-      const matches = jobText.match(pattern);
-      if (matches) {
-        matches.forEach(match => {
-          preferences.push(match.trim());
-        });
-      }
-    });
-    
-    return preferences;
+  sectionBullets(sections, type, limit) {
+    return sections
+      .filter(section => section.type === type)
+      .flatMap(section => section.bullets)
+      .slice(0, limit);
+  }
+
+  /**
+   * Extract key requirements (top 10 bullet points)
+   */
+  extractKeyRequirements(sections) {
+    return this.sectionBullets(sections, 'required', 10);
+  }
+
+  /**
+   * Extract preferred qualifications (top 5 bullet points)
+   */
+  extractPreferredQualifications(sections) {
+    return this.sectionBullets(sections, 'preferred', 5);
   }
 
   /**
@@ -557,4 +905,6 @@ class JobDescriptionAnalyzer {
   }
 }
 
+JobDescriptionAnalyzer.SCHEMA_VERSION = SCHEMA_VERSION;
+
 module.exports = JobDescriptionAnalyzer;
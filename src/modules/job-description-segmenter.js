@@ -0,0 +1,179 @@
+/**
+ * Job Description Segmenter - Split Postings Into Sections
+ *
+ * Splits a job description into responsibilities, required and preferred
+ * qualifications, benefits, about-the-company and EEO sections using heading
+ * and bullet heuristics, so the analyzer can tell a skill listed under
+ * "Nice to have" from one under "Requirements" and skip company boilerplate.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+// Section types in the order a posting usually lists them; summary is the text before the first heading
+const SECTION_TYPES = ['summary', 'responsibilities', 'required', 'preferred', 'benefits', 'about', 'eeo', 'other'];
+
+// Heading patterns, checked in order: "Preferred Qualifications" must win over "Qualifications"
+const HEADING_PATTERNS = [
+  ['eeo', /equal (employment )?opportunity|\beeo\b|diversity|inclusion|accommodation/],
+  ['preferred', /preferred|nice[ -]to[ -]have|bonus|\bplus\b|desired|good to have|ideally/],
+  ['benefits', /benefit|perks|what we offer|we offer|compensation|salary|pay range|why join|why you('|’)ll love/],
+  ['required', /require|qualification|must[ -]have|what you('|’)ll (need|bring)|what we('|’)re looking for|who you are|about you|skills|experience|you have|you bring/],
+  ['responsibilities', /responsibilit|what you('|’)ll do|what you will do|duties|day[ -]to[ -]day|in this role|your role|your impact|you will/],
+  ['summary', /about the (role|job|position|opportunity)|the role|role overview|position overview|job (description|summary)|overview/],
+  ['about', /about (us|the company|the team|[a-z0-9&.' -]{2,40})$|who we are|our (company|mission|story|culture)|company (description|overview)/]
+];
+
+// Sentences that mark an EEO statement even without a heading
+const EEO_STATEMENT = /equal (employment )?opportunity employer|without regard to|reasonable accommodation|protected veteran/;
+
+const BULLET = /^(•|·|▪|◦|\*|-|–|\d+[.)])\s*/;
+
+const MAX_HEADING_WORDS = 8;
+
+// Known headings may stand alone without a colon when they are this short
+const MAX_BARE_HEADING_WORDS = 5;
+
+/**
+ * Section type for a heading, or null if it is not a known heading
+ *
+ * `localized` are [type, pattern] headings of the posting's language, checked
+ * before the English ones.
+ */
+function classifyHeading(heading, localized = []) {
+  const text = String(heading || '')
+    .toLowerCase()
+    .replace(/[#*_:]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!text || text.split(' ').length > MAX_HEADING_WORDS) {
+    return null;
+  }
+
+  const match = [...localized, ...HEADING_PATTERNS].find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+/**
+ * Whether a line is formatted like a heading: markdown, bold, a trailing colon or all caps
+ */
+function looksLikeHeading(line) {
+  if (/^#{1,6}\s/.test(line) || /^\*\*[^*]+\*\*:?$/.test(line)) {
+    return true;
+  }
+
+  const words = line.replace(/:$/, '').split(/\s+/);
+  return words.length <= MAX_HEADING_WORDS && (line.endsWith(':') || (/\p{Lu}/u.test(line) && line === line.toUpperCase()));
+}
+
+/**
+ * Whether a short line without punctuation, like "Benefits", can be a known heading on its own
+ */
+function isBareHeading(line) {
+  return /^\p{Lu}/u.test(line) && !/[.,;:!?]/.test(line) && line.split(/\s+/).length <= MAX_BARE_HEADING_WORDS;
+}
+
+/**
+ * Break flattened descriptions before inline bullets and sentence-initial "Heading:" labels
+ */
+function splitLines(description) {
+  return String(description || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\s+(•|·|▪)\s*/g, '\n$1 ')
+    .replace(/([.!?])[ \t]+(?=\p{Lu}[^.!?:\n]{1,60}:\s)/gu, '$1\n')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Heading and inline remainder of a "Heading: text" line, if the label is a known heading
+ */
+function splitInlineHeading(line, localized) {
+  const match = line.match(/^([^:.!?]{2,60}):\s+(.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const type = classifyHeading(match[1], localized);
+  return type ? { type, heading: match[1].trim(), rest: match[2].trim() } : null;
+}
+
+/**
+ * Split a description into ordered sections of { type, heading, text, bullets }
+ *
+ * options.headingPatterns and options.eeoStatement add the headings and EEO
+ * wording of a non-English posting (see language-packs).
+ */
+function segmentDescription(description, options = {}) {
+  const localized = options.headingPatterns || [];
+  const eeoStatement = options.eeoStatement || null;
+  const sections = [];
+  let current = null;
+
+  const open = (type, heading) => {
+    current = { type, heading, lines: [], bullets: [] };
+    sections.push(current);
+  };
+
+  const add = line => {
+    if (!current) {
+      open('summary', null);
+    }
+
+    if (BULLET.test(line)) {
+      current.bullets.push(line.replace(BULLET, '').trim());
+    }
+    current.lines.push(line);
+  };
+
+  splitLines(description).forEach(line => {
+    const plain = line.replace(/^#{1,6}\s*/, '').replace(/\*\*/g, '').trim();
+
+    if (!BULLET.test(line)) {
+      const type = classifyHeading(plain, localized);
+      if (type && (looksLikeHeading(line) || isBareHeading(plain))) {
+        open(type, plain.replace(/:$/, ''));
+        return;
+      }
+
+      const inline = splitInlineHeading(plain, localized);
+      if (inline) {
+        open(inline.type, inline.heading);
+        add(inline.rest);
+        return;
+      }
+
+      if (looksLikeHeading(line) && line.endsWith(':')) {
+        open('other', plain.replace(/:$/, ''));
+        return;
+      }
+
+      const lower = line.toLowerCase();
+      if ((EEO_STATEMENT.test(lower) || (eeoStatement && eeoStatement.test(lower))) && (!current || current.type !== 'eeo')) {
+        open('eeo', null);
+      }
+    }
+
+    add(line);
+  });
+
+  return sections
+    .filter(section => section.lines.length > 0)
+    .map(({ type, heading, lines, bullets }) => ({ type, heading, text: lines.join('\n'), bullets }));
+}
+
+/**
+ * Whether a segmentation found any heading, i.e. section weighting can be trusted
+ */
+function isStructured(sections) {
+  return sections.some(section => section.heading);
+}
+
+module.exports = {
+  SECTION_TYPES,
+  classifyHeading,
+  segmentDescription,
+  isStructured
+};
@@ -0,0 +1,180 @@
+/**
+ * Job Enrichment - Full Job Details Before Analysis
+ *
+ * Search result cards only carry title, company and location. This module
+ * opens each job detail page, expands the truncated description and merges
+ * the full posting, top card insights, hiring team and apply type into the
+ * job record. Details are cached by job ID in data/job-details.json.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./error-handling');
+const { extractJobDetails, extractJobId } = require('./snapshot-parser');
+const config = require('../config');
+
+const PLACEHOLDER_SALARY = 'Salary not specified';
+
+class JobEnrichment {
+  constructor(browser, options = {}) {
+    this.browser = browser;
+    this.logger = new Logger('JobEnrichment');
+    this.config = config.get('linkedin');
+    this.cachePath = options.cachePath || path.join(__dirname, '..', '..', 'data', 'job-details.json');
+    this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : this.config.limits.jobDetailsCacheTtl;
+    this.cache = this.loadCache();
+  }
+
+  /**
+   * Load cached job details from disk
+   */
+  loadCache() {
+    try {
+      if (fs.existsSync(this.cachePath)) {
+        return JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+      }
+    } catch (error) {
+      this.logger.warn(`Could not read ${this.cachePath}, starting with an empty cache:`, error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Write cached job details to disk
+   */
+  saveCache() {
+    const dir = path.dirname(this.cachePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.cachePath, JSON.stringify(this.cache, null, 2), 'utf8');
+  }
+
+  /**
+   * Cached details for a job ID, or null when missing or expired
+   */
+  getCached(jobId) {
+    const entry = jobId ? this.cache[jobId] : null;
+    if (!entry) {
+      return null;
+    }
+
+    const age = Date.now() - new Date(entry.fetchedAt).getTime();
+    return this.cacheTtl && age > this.cacheTtl ? null : entry;
+  }
+
+  /**
+   * Enrich a list of jobs; a job whose page fails to load is kept as it was
+   */
+  async enrichJobs(jobs, options = {}) {
+    this.logger.info(`Enriching ${jobs.length} jobs with full details...`);
+
+    const enriched = [];
+    const counts = { fetched: 0, cached: 0, failed: 0 };
+
+    for (const job of jobs) {
+      try {
+        const result = await this.enrichJob(job, options);
+        counts[result.enrichment.cached ? 'cached' : 'fetched']++;
+        enriched.push(result);
+      } catch (error) {
+        this.logger.warn(`Could not enrich ${job.title} at ${job.company}:`, error.message);
+        counts.failed++;
+        enriched.push({ ...job, enrichment: { enrichedAt: null, cached: false, error: error.message } });
+      }
+    }
+
+    this.logger.info(`✅ Enriched jobs: ${counts.fetched} fetched, ${counts.cached} cached, ${counts.failed} failed`);
+    return enriched;
+  }
+
+  /**
+   * Enrich one job from the cache or its detail page
+   */
+  async enrichJob(job, options = {}) {
+    const { refresh = false } = options;
+    const jobId = job.jobId || extractJobId(job.url);
+
+    const cached = refresh ? null : this.getCached(jobId);
+    if (cached) {
+      return this.mergeDetails(job, cached.details, { enrichedAt: cached.fetchedAt, cached: true });
+    }
+
+    const url = job.url || `${this.config.baseUrl}/jobs/view/${jobId}`;
+    const details = await this.fetchJobDetails(url);
+    const fetchedAt = new Date().toISOString();
+    const cacheId = jobId || details.jobId;
+
+    if (cacheId) {
+      this.cache[cacheId] = { fetchedAt, details };
+      this.saveCache();
+    }
+
+    return this.mergeDetails(job, details, { enrichedAt: fetchedAt, cached: false });
+  }
+
+  /**
+   * Open a job detail page, expand the description and parse it
+   */
+  async fetchJobDetails(url) {
+    await this.browser.navigate(url, { waitTime: this.config.delays.pageLoad });
+
+    let details = extractJobDetails(await this.browser.getPageSnapshot());
+
+    if (details.refs.seeMore) {
+      try {
+        await this.browser.click(this.config.selectors.seeMoreButton, {
+          element: 'See more description button',
+          ref: details.refs.seeMore,
+          retries: 1
+        });
+        details = extractJobDetails(await this.browser.getPageSnapshot());
+      } catch (error) {
+        // The first paragraph is still better than nothing
+        this.logger.warn(`Could not expand the description on ${url}:`, error.message);
+      }
+    }
+
+    if (!details.description) {
+      throw new Error(`No job description found on ${url}`);
+    }
+
+    // Element refs only mean something on the page they came from
+    const { refs, ...stored } = details;
+    return stored;
+  }
+
+  /**
+   * Merge fetched details into a job record without losing search fields
+   */
+  mergeDetails(job, details, enrichment) {
+    const merged = {
+      ...job,
+      jobId: job.jobId || details.jobId,
+      description: details.description || job.description,
+      seniority: details.seniority || job.seniority || null,
+      employmentType: details.employmentType || job.employmentType || null,
+      workplaceType: details.workplaceType || job.workplaceType || null,
+      industry: details.industry || job.industry || null,
+      companySize: details.companySize || job.companySize || null,
+      hiringTeam: details.hiringTeam || [],
+      applyType: details.applyType || job.applyType || null,
+      applyUrl: details.applyUrl || job.applyUrl || null,
+      enrichment
+    };
+
+    if (details.salary && (!job.salary || job.salary === PLACEHOLDER_SALARY)) {
+      merged.salary = details.salary;
+    }
+    if (details.applyType) {
+      merged.easyApply = details.applyType === 'easyApply';
+    }
+
+    return merged;
+  }
+}
+
+module.exports = JobEnrichment;
@@ -0,0 +1,543 @@
+/**
+ * Job Import - Offline Job Ingestion
+ *
+ * Reads postings collected outside the browser (CSV or JSON exports, RSS and
+ * Atom job-alert feeds, saved job detail pages) and normalizes them into the
+ * JobSearch job shape, so analysis and resume generation can run without a
+ * live LinkedIn session.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Logger } = require('./error-handling');
+const { extractJobId } = require('./snapshot-parser');
+const {
+  decodeEntities,
+  htmlToText,
+  formatPosted,
+  formatSalaryRange,
+  inferWorkplaceType
+} = require('./job-sources/normalize');
+
+const FORMATS_BY_EXTENSION = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.rss': 'feed',
+  '.atom': 'feed',
+  '.xml': 'feed',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+// Column and property names seen in spreadsheets, exports and job-alert feeds
+const FIELD_ALIASES = {
+  title: ['title', 'job title', 'position', 'role', 'job'],
+  company: ['company', 'company name', 'employer', 'organization', 'hiring organization'],
+  location: ['location', 'job location', 'city'],
+  salary: ['salary', 'compensation', 'pay', 'salary range', 'pay range'],
+  url: ['url', 'link', 'job url', 'job link', 'apply url', 'posting url'],
+  description: ['description', 'job description', 'details', 'summary'],
+  posted: ['posted', 'date posted', 'posted at', 'date', 'published', 'posted date'],
+  employmentType: ['employment type', 'job type', 'type'],
+  workplaceType: ['workplace type', 'workplace', 'remote'],
+  easyApply: ['easy apply', 'easyapply']
+};
+
+const EMPLOYMENT_TYPES = {
+  FULL_TIME: 'Full-time',
+  PART_TIME: 'Part-time',
+  CONTRACTOR: 'Contract',
+  TEMPORARY: 'Temporary',
+  INTERN: 'Internship',
+  VOLUNTEER: 'Volunteer'
+};
+
+const SALARY_UNITS = {
+  YEAR: 'yr',
+  MONTH: 'mo',
+  WEEK: 'wk',
+  DAY: 'day',
+  HOUR: 'hr'
+};
+
+/**
+ * Parse CSV text into rows (RFC 4180 quoting, embedded newlines allowed)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Map a record's keys onto job fields using FIELD_ALIASES
+ */
+function pickFields(record) {
+  // "Job Title", "job_title" and "jobTitle" all become "job title"
+  const byKey = {};
+  for (const [key, value] of Object.entries(record)) {
+    byKey[key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().replace(/[_-]+/g, ' ').trim()] = value;
+  }
+
+  const fields = {};
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const alias = aliases.find(name => byKey[name] !== undefined && byKey[name] !== null && byKey[name] !== '');
+    if (alias) {
+      fields[field] = byKey[alias];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Inner contents of every <tag>...</tag> in an XML document
+ */
+function xmlBlocks(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+  const blocks = [];
+  let match;
+  while ((match = pattern.exec(xml))) {
+    blocks.push(match[1]);
+  }
+  return blocks;
+}
+
+/**
+ * Text of the first matching child element (CDATA unwrapped, entities decoded)
+ */
+function xmlText(block, tags) {
+  for (const tag of tags) {
+    const [inner] = xmlBlocks(block, tag);
+    if (inner !== undefined) {
+      const cdata = inner.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+      return cdata ? cdata[1].trim() : decodeEntities(inner).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Atom <link href="..."> (prefers rel="alternate")
+ */
+function atomLink(block) {
+  const links = block.match(/<link\b[^>]*>/gi) || [];
+  const preferred = links.find(link => !/rel=["'](?!alternate)/i.test(link)) || links[0];
+  const href = preferred && preferred.match(/href=["']([^"']+)["']/i);
+  return href ? decodeEntities(href[1]) : null;
+}
+
+/**
+ * Find schema.org JobPosting objects in a JSON-LD document
+ */
+function findJobPostings(data) {
+  if (Array.isArray(data)) {
+    return data.flatMap(findJobPostings);
+  }
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+  if (data['@graph']) {
+    return findJobPostings(data['@graph']);
+  }
+
+  const types = [].concat(data['@type'] || []);
+  return types.includes('JobPosting') ? [data] : [];
+}
+
+/**
+ * Whether a value reads as "yes" in a spreadsheet cell
+ */
+function isTruthy(value) {
+  return value === true || /^(?:true|yes|y|1)$/i.test(String(value || '').trim());
+}
+
+class JobImporter {
+  constructor() {
+    this.logger = new Logger('JobImporter');
+  }
+
+  /**
+   * Import several files; a file that fails to parse does not stop the rest
+   * @param {Array<string>} filePaths - Files to import
+   * @returns {Promise<object>} - { jobs, errors } with jobs de-duplicated by ID
+   */
+  async importFiles(filePaths) {
+    const jobs = new Map();
+    const errors = [];
+
+    for (const filePath of filePaths) {
+      try {
+        for (const job of await this.importFile(filePath)) {
+          if (!jobs.has(job.id)) {
+            jobs.set(job.id, job);
+          }
+        }
+      } catch (error) {
+        this.logger.warn(`Could not import ${filePath}:`, error.message);
+        errors.push({ file: filePath, error: error.message });
+      }
+    }
+
+    this.logger.info(`✅ Imported ${jobs.size} jobs from ${filePaths.length - errors.length} files`);
+    return { jobs: [...jobs.values()], errors };
+  }
+
+  /**
+   * Expand directories into the files they contain
+   */
+  expandPaths(inputs) {
+    return inputs.flatMap(input => {
+      if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+        return fs.readdirSync(input)
+          .map(name => path.join(input, name))
+          .filter(file => fs.statSync(file).isFile());
+      }
+      return [input];
+    });
+  }
+
+  /**
+   * Import one file, detecting its format from the extension or content
+   */
+  async importFile(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const format = this.detectFormat(filePath, content);
+    const origin = path.basename(filePath);
+
+    this.logger.info(`Importing ${origin} as ${format}...`);
+
+    switch (format) {
+      case 'csv':
+        return this.parseCsvJobs(content, origin);
+      case 'json':
+        return this.parseJsonJobs(content, origin);
+      case 'feed':
+        return this.parseFeedJobs(content, origin);
+      case 'html':
+        return this.parseHtmlJobs(content, origin);
+      default:
+        throw new Error(`Unrecognized job file format: ${origin}`);
+    }
+  }
+
+  /**
+   * Pick the parser for a file
+   */
+  detectFormat(filePath, content) {
+    const byExtension = FORMATS_BY_EXTENSION[path.extname(filePath).toLowerCase()];
+    if (byExtension) {
+      return byExtension;
+    }
+
+    const head = content.trimStart().slice(0, 500).toLowerCase();
+    if (head.startsWith('{') || head.startsWith('[')) return 'json';
+    if (/<rss\b|<feed\b/.test(head)) return 'feed';
+    if (/<!doctype html|<html\b/.test(head)) return 'html';
+    return 'csv';
+  }
+
+  /**
+   * CSV with a header row
+   */
+  parseCsvJobs(content, origin) {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) {
+      return [];
+    }
+
+    return rows
+      .map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), (cells[index] || '').trim()])))
+      .map(record => this.fromRecord(record, origin))
+      .filter(Boolean);
+  }
+
+  /**
+   * JSON array, { jobs: [...] } wrapper or schema.org JobPosting objects
+   */
+  parseJsonJobs(content, origin) {
+    const data = JSON.parse(content);
+    const postings = findJobPostings(data);
+    if (postings.length > 0) {
+      return postings.map(posting => this.fromJobPosting(posting, origin));
+    }
+
+    const records = Array.isArray(data) ? data : (data.jobs || data.results || data.items || []);
+    return records.map(record => this.fromRecord(record, origin)).filter(Boolean);
+  }
+
+  /**
+   * RSS 2.0 <item>s and Atom <entry>s
+   */
+  parseFeedJobs(content, origin) {
+    const items = xmlBlocks(content, 'item');
+    const atom = items.length === 0;
+
+    return (atom ? xmlBlocks(content, 'entry') : items).map(block => {
+      const heading = xmlText(block, ['title']) || '';
+      const company = xmlText(block, ['company', 'job:company', 'source', 'author']);
+      const named = company ? null : this.splitFeedTitle(heading);
+      const description = xmlText(block, atom ? ['content', 'summary'] : ['content:encoded', 'description']);
+
+      return this.normalize({
+        title: named ? named.title : heading,
+        company: company ? htmlToText(company) : named && named.company,
+        location: xmlText(block, ['location', 'job:location']) || (named && named.location),
+        salary: xmlText(block, ['salary', 'job:salary']),
+        employmentType: xmlText(block, ['job_type', 'jobtype', 'job:type']),
+        url: atom ? atomLink(block) : (xmlText(block, ['link']) || xmlText(block, ['guid'])),
+        description: htmlToText(description),
+        posted: xmlText(block, atom ? ['published', 'updated'] : ['pubDate', 'dc:date'])
+      }, origin);
+    }).filter(Boolean);
+  }
+
+  /**
+   * Job-alert feeds pack everything into the title:
+   * "Senior Engineer at Acme", "Senior Engineer - Acme - Remote"
+   */
+  splitFeedTitle(heading) {
+    const atMatch = heading.match(/^(.+?)\s+at\s+(.+?)(?:\s+\((.+)\))?$/);
+    if (atMatch) {
+      return { title: atMatch[1], company: atMatch[2], location: atMatch[3] || null };
+    }
+
+    const parts = heading.split(/\s+[-–|]\s+/);
+    if (parts.length >= 2) {
+      return { title: parts[0], company: parts[1], location: parts[2] || null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Saved job detail page: JSON-LD JobPosting when present, page markup otherwise
+   */
+  parseHtmlJobs(content, origin) {
+    const postings = [];
+    const scripts = content.match(/<script[^>]*type=["']application\/ld\+json["'][^>]*>[\s\S]*?<\/script>/gi) || [];
+
+    for (const script of scripts) {
+      try {
+        postings.push(...findJobPostings(JSON.parse(script.replace(/^<script[^>]*>|<\/script>$/gi, ''))));
+      } catch (error) {
+        this.logger.debug(`Skipping unreadable JSON-LD block in ${origin}`);
+      }
+    }
+
+    const canonicalUrl = this.pageUrl(content);
+    if (postings.length > 0) {
+      return postings.map(posting => this.fromJobPosting({ url: canonicalUrl, ...posting }, origin));
+    }
+
+    const job = this.fromPageMarkup(content, canonicalUrl, origin);
+    return job ? [job] : [];
+  }
+
+  /**
+   * Canonical URL of a saved page
+   */
+  pageUrl(html) {
+    const canonical = html.match(/<link[^>]+rel=["']canonical["'][^>]*>/i);
+    const ogUrl = html.match(/<meta[^>]+property=["']og:url["'][^>]*>/i);
+    const tag = canonical || ogUrl;
+    const value = tag && tag[0].match(/(?:href|content)=["']([^"']+)["']/i);
+    return value ? decodeEntities(value[1]) : null;
+  }
+
+  /**
+   * Read a page without structured data: title tag, first heading and the
+   * "About the job" section (LinkedIn and mock-job-board layouts)
+   */
+  fromPageMarkup(html, url, origin) {
+    const pageTitle = htmlToText((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '');
+    const heading = htmlToText((html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i) || [])[1] || '');
+
+    let title = heading;
+    let company = null;
+    let location = null;
+
+    // LinkedIn: "Acme hiring Senior Engineer in Austin, TX | LinkedIn"
+    const hiring = pageTitle.match(/^(.+?) hiring (.+?)(?: in (.+?))? \| LinkedIn$/);
+    if (hiring) {
+      [, company, title, location] = hiring;
+    } else {
+      // "Senior Engineer | Acme | LinkedIn"
+      const parts = pageTitle.split(' | ');
+      title = title || parts[0];
+      company = parts.length > 2 ? parts[1] : null;
+    }
+
+    const classText = names => {
+      const match = html.match(new RegExp(`<[^>]+class=["'][^"']*\\b(?:${names})\\b[^"']*["'][^>]*>([\\s\\S]*?)<\\/`, 'i'));
+      return match ? htmlToText(match[1]) : null;
+    };
+    company = company || classText('company|topcard__org-name-link');
+    // "Sacramento, CA (Hybrid) · 5 days ago · 43 applicants" -> location only
+    location = location || (classText('location|topcard__flavor--bullet') || '').split(' · ')[0] || null;
+    const jobIdMatch = html.match(/data-job-id=["'](\d{6,})["']/);
+
+    const section = html.match(/<h2[^>]*>\s*About the job\s*<\/h2>([\s\S]*?)(?:<\/section>|<h2\b)/i) ||
+      html.match(/<div[^>]+class=["'][^"']*\b(?:show-more-less-html__markup|description__text|jobs-description)[^"']*["'][^>]*>([\s\S]*?)<\/div>/i);
+    const description = section
+      ? htmlToText(section[1].replace(/<button[\s\S]*?<\/button>/gi, ''))
+      : null;
+
+    return this.normalize({ title, company, location, url, description, jobId: jobIdMatch && jobIdMatch[1] }, origin);
+  }
+
+  /**
+   * schema.org JobPosting (JSON-LD)
+   */
+  fromJobPosting(posting, origin) {
+    const organization = [].concat(posting.hiringOrganization || [])[0] || {};
+    const places = [].concat(posting.jobLocation || []);
+    const location = places
+      .map(place => {
+        const address = (place && place.address) || {};
+        return [address.addressLocality, address.addressRegion, address.addressCountry && (address.addressCountry.name || address.addressCountry)]
+          .filter(value => typeof value === 'string' && value)
+          .join(', ');
+      })
+      .filter(Boolean)
+      .join('; ');
+
+    const remote = [].concat(posting.jobLocationType || []).includes('TELECOMMUTE');
+    const salary = posting.baseSalary || {};
+    const value = salary.value || {};
+    const employmentTypes = [].concat(posting.employmentType || []);
+
+    return this.normalize({
+      title: posting.title,
+      company: typeof organization === 'string' ? organization : organization.name,
+      location: location || (remote ? 'Remote' : null),
+      workplaceType: remote ? 'Remote' : null,
+      salary: formatSalaryRange(
+        value.minValue || value.value || (typeof value === 'number' ? value : null),
+        value.maxValue,
+        salary.currency || value.currency || 'USD',
+        SALARY_UNITS[value.unitText || salary.unitText]
+      ),
+      employmentType: employmentTypes.map(type => EMPLOYMENT_TYPES[type] || type).join(', ') || null,
+      url: posting.url,
+      description: htmlToText(posting.description),
+      posted: posting.datePosted
+    }, origin);
+  }
+
+  /**
+   * Flat CSV row or JSON object
+   */
+  fromRecord(record, origin) {
+    if (!record || typeof record !== 'object') {
+      return null;
+    }
+
+    const fields = pickFields(record);
+    const description = fields.description && /<[a-z][^>]*>/i.test(fields.description)
+      ? htmlToText(fields.description)
+      : fields.description;
+
+    return this.normalize({ ...fields, description, easyApply: isTruthy(fields.easyApply) }, origin);
+  }
+
+  /**
+   * Build a job record in the shape JobSearch produces for LinkedIn results
+   */
+  normalize(fields, origin) {
+    const title = String(fields.title || '').trim();
+    if (!title) {
+      return null;
+    }
+
+    const company = String(fields.company || '').trim() || 'Unknown Company';
+    let location = String(fields.location || '').trim() || 'Location not specified';
+    // A "Remote" column holds yes/no, a "Workplace type" column the type itself
+    let workplaceType = fields.workplaceType ? String(fields.workplaceType).trim() : null;
+    if (isTruthy(workplaceType)) {
+      workplaceType = 'Remote';
+    } else if (/^(?:false|no|n|0)$/i.test(workplaceType || '')) {
+      workplaceType = null;
+    }
+    workplaceType = workplaceType || inferWorkplaceType(location);
+    if (workplaceType && !location.toLowerCase().includes(workplaceType.toLowerCase())) {
+      location = `${location} (${workplaceType})`;
+    }
+
+    const postedTime = fields.posted ? Date.parse(fields.posted) : NaN;
+    const postedAt = Number.isFinite(postedTime) ? new Date(postedTime).toISOString() : null;
+    const url = fields.url ? String(fields.url).trim() : null;
+    const jobId = extractJobId(url) || fields.jobId || null;
+
+    return {
+      id: jobId ? `job-${jobId}` : `import-${this.fingerprint(url || `${title}|${company}|${location}`)}`,
+      jobId,
+      source: 'import',
+      sourceFile: origin,
+      title,
+      company,
+      location,
+      salary: fields.salary ? String(fields.salary).trim() : 'Salary not specified',
+      posted: postedAt ? formatPosted(postedAt) : (fields.posted ? String(fields.posted).trim() : 'Recently posted'),
+      postedAt,
+      applicants: 'Applicant count not available',
+      easyApply: Boolean(fields.easyApply),
+      promoted: false,
+      description: fields.description ? String(fields.description).trim() : 'Job description not available',
+      employmentType: fields.employmentType || null,
+      workplaceType: workplaceType || null,
+      url
+    };
+  }
+
+  /**
+   * Short stable hash for jobs without a LinkedIn job ID
+   */
+  fingerprint(value) {
+    return crypto.createHash('sha1').update(value.toLowerCase()).digest('hex').slice(0, 12);
+  }
+}
+
+module.exports = JobImporter;
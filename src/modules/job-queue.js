@@ -0,0 +1,418 @@
+/**
+ * Job Queue - Durable Staged Processing of Job Postings
+ *
+ * Moves each queued job through the stages enrich → analyze →
+ * generate-resume → review → apply → track. Every stage has its own
+ * handler, concurrency limit, minimum delay between starts and retry
+ * policy; a job that keeps failing a stage goes to the dead letter list
+ * instead of blocking the rest. The whole queue is checkpointed through
+ * SessionRecovery after every change, so a crashed or interrupted batch
+ * picks up where it stopped.
+ *
+ * Handlers receive the queue item and may return:
+ *   - any value: stored in item.results[stage]; { job } replaces item.job
+ *   - { skip: 'reason' }: the job leaves the queue as skipped
+ *   - { hold: 'reason' }: the job waits (e.g. for review) until release()
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { Logger, SessionRecovery } = require('./error-handling');
+const { canonicalId } = require('./job-store');
+
+const STAGES = ['enrich', 'analyze', 'generate-resume', 'review', 'apply', 'track'];
+
+const DEFAULT_STAGE_OPTIONS = {
+  concurrency: 1,
+  delay: 0,
+  maxAttempts: 3,
+  backoff: { initial: 30000, factor: 2, max: 600000 }
+};
+
+// Browser-bound stages share one page; analysis and resumes are local work.
+// A failed submit may still have reached the board, so apply is never retried
+// on its own: the job goes to dead letters until `queue retry`.
+const STAGE_DEFAULTS = {
+  enrich: { delay: 2000 },
+  analyze: { concurrency: 4 },
+  'generate-resume': { concurrency: 2 },
+  apply: { delay: 5000, maxAttempts: 1 },
+  track: { concurrency: 4 }
+};
+
+// Statuses a job can no longer leave without release() or retry()
+const FINAL_STATUSES = ['done', 'skipped', 'dead'];
+
+class JobQueue {
+  constructor(options = {}) {
+    this.logger = new Logger('JobQueue');
+    this.name = options.name || 'applications';
+    this.checkpoints = options.checkpoints || new SessionRecovery({
+      backupDir: path.join(__dirname, '..', '..', 'data', 'queue')
+    });
+    this.handlers = options.handlers || {};
+    this.stageOptions = STAGES.reduce((all, stage) => {
+      const overrides = (options.stages || {})[stage] || {};
+      all[stage] = {
+        ...DEFAULT_STAGE_OPTIONS,
+        ...STAGE_DEFAULTS[stage],
+        ...overrides,
+        backoff: { ...DEFAULT_STAGE_OPTIONS.backoff, ...overrides.backoff }
+      };
+      return all;
+    }, {});
+    this.now = options.now || (() => Date.now());
+    this.stopped = false;
+    this.pausedStages = new Set();
+    this.items = this.restore();
+  }
+
+  /**
+   * Load items from the checkpoint; work cut off by a crash is run again
+   */
+  restore() {
+    const saved = this.checkpoints.loadCheckpoint(this.name);
+    const items = saved ? saved.items : [];
+
+    const interrupted = items.filter(item => item.status === 'running');
+    interrupted.forEach(item => {
+      item.status = 'pending';
+      item.history.push({ stage: item.stage, status: 'interrupted', at: new Date(this.now()).toISOString() });
+    });
+
+    if (interrupted.length > 0) {
+      this.logger.warn(`Resuming ${interrupted.length} jobs interrupted mid-stage`);
+    }
+    return items;
+  }
+
+  checkpoint() {
+    this.checkpoints.saveCheckpoint(this.name, { version: 1, items: this.items });
+  }
+
+  /**
+   * Add jobs at a stage (default: the first). Jobs already queued are left
+   * alone unless requeue is set, which puts them back at the stage with fresh
+   * attempts; jobs without an ID cannot be queued and are logged.
+   */
+  enqueue(jobs, { stage = STAGES[0], requeue = false } = {}) {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown stage "${stage}" (use ${STAGES.join(', ')})`);
+    }
+
+    const added = [];
+    let unidentified = 0;
+    jobs.forEach(job => {
+      const key = canonicalId(job);
+      if (!key) {
+        unidentified++;
+        this.logger.warn(`Not queueing ${job.title || 'a job'} at ${job.company || 'an unknown company'}: no job ID or URL`);
+        return;
+      }
+
+      const existing = this.get(key);
+      if (existing) {
+        if (requeue && existing.status !== 'running') {
+          Object.assign(existing, { job, stage, status: 'pending', attempts: 0, nextAttemptAt: null, lastError: null, holdReason: null });
+          this.recordHistory(existing, 'requeued', null);
+          added.push(existing);
+        }
+        return;
+      }
+
+      const item = {
+        key,
+        job,
+        stage,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: null,
+        lastError: null,
+        holdReason: null,
+        results: {},
+        history: [],
+        enqueuedAt: new Date(this.now()).toISOString(),
+        updatedAt: null
+      };
+      this.items.push(item);
+      added.push(item);
+    });
+
+    this.checkpoint();
+    const ignored = jobs.length - added.length - unidentified;
+    this.logger.info(`Queued ${added.length} jobs at ${stage} (${ignored} already queued, ${unidentified} without an ID)`);
+    return added;
+  }
+
+  get(key) {
+    return this.items.find(item => item.key === key) || null;
+  }
+
+  /**
+   * Items filtered by status and/or stage
+   */
+  list({ status = null, stage = null } = {}) {
+    return this.items.filter(item => (!status || item.status === status) && (!stage || item.stage === stage));
+  }
+
+  /**
+   * Process pending jobs until none are left or runnable
+   *
+   * With waitForRetries (default) the queue waits out retry backoff;
+   * otherwise it returns as soon as only delayed retries remain. Stops
+   * starting new work after stop().
+   */
+  async process({ waitForRetries = true, stages = STAGES } = {}) {
+    this.stopped = false;
+    this.pausedStages = new Set();
+    const running = new Map();
+    const lastStart = {};
+
+    for (;;) {
+      if (!this.stopped) {
+        stages.forEach(stage => {
+          if (this.pausedStages.has(stage) || !this.handlers[stage]) {
+            return;
+          }
+
+          const options = this.stageOptions[stage];
+          const active = [...running.values()].filter(task => task.stage === stage).length;
+          const ready = this.list({ status: 'pending', stage })
+            .filter(item => !item.nextAttemptAt || new Date(item.nextAttemptAt).getTime() <= this.now())
+            .slice(0, options.concurrency - active);
+
+          for (const item of ready) {
+            if (options.delay > 0 && lastStart[stage] !== undefined && this.now() - lastStart[stage] < options.delay) {
+              break;
+            }
+            lastStart[stage] = this.now();
+            running.set(item.key, { stage, promise: this.runStage(item).then(() => item.key) });
+          }
+        });
+      }
+
+      const waitFor = this.stopped ? null : this.pollDelay(stages, lastStart, running, waitForRetries);
+
+      if (running.size > 0) {
+        // Wake up when a task finishes, or when a retry or stage delay comes due
+        let timer = null;
+        const wakeUp = waitFor === null ? [] : [new Promise(resolve => {
+          timer = setTimeout(resolve, waitFor, null);
+        })];
+        const finished = await Promise.race([...[...running.values()].map(task => task.promise), ...wakeUp]);
+        clearTimeout(timer);
+        if (finished) {
+          running.delete(finished);
+        }
+        continue;
+      }
+
+      if (waitFor === null) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, waitFor));
+    }
+
+    return this.getStats();
+  }
+
+  /**
+   * Milliseconds until more work may start, or null when nothing is left
+   */
+  pollDelay(stages, lastStart, running, waitForRetries = true) {
+    const busy = stage => [...running.values()].filter(task => task.stage === stage).length >= this.stageOptions[stage].concurrency;
+    const pending = this.items.filter(item =>
+      item.status === 'pending' && stages.includes(item.stage) && this.handlers[item.stage] &&
+      !this.pausedStages.has(item.stage) && !busy(item.stage)
+    );
+    if (pending.length === 0) {
+      return null;
+    }
+
+    const now = this.now();
+    const startTimes = pending.map(item => {
+      const retryAt = item.nextAttemptAt ? new Date(item.nextAttemptAt).getTime() : now;
+      const delayUntil = lastStart[item.stage] !== undefined ? lastStart[item.stage] + this.stageOptions[item.stage].delay : now;
+      return Math.max(retryAt, delayUntil);
+    });
+    const soonest = Math.min(...startTimes);
+
+    if (!waitForRetries && pending.every(item => item.nextAttemptAt && new Date(item.nextAttemptAt).getTime() > now)) {
+      return null;
+    }
+    return Math.max(10, soonest - now);
+  }
+
+  /**
+   * Run one stage for one item and record the outcome
+   */
+  async runStage(item) {
+    const { stage } = item;
+    const startedAt = new Date(this.now()).toISOString();
+    item.status = 'running';
+    item.attempts += 1;
+    this.checkpoint();
+
+    try {
+      const result = (await this.handlers[stage](item)) || {};
+
+      if (result.job) {
+        item.job = result.job;
+      }
+      if (result.skip) {
+        this.finish(item, 'skipped', { reason: result.skip });
+        item.results[stage] = { skipped: result.skip };
+      } else if (result.hold) {
+        item.status = 'held';
+        item.holdReason = result.hold;
+        this.recordHistory(item, 'held', startedAt, { reason: result.hold });
+      } else {
+        const { job, ...stored } = result;
+        item.results[stage] = stored;
+        this.advance(item, startedAt);
+      }
+
+    } catch (error) {
+      this.fail(item, error, startedAt);
+    }
+
+    item.updatedAt = new Date(this.now()).toISOString();
+    this.checkpoint();
+  }
+
+  /**
+   * Move an item to the next stage, or mark it done after the last
+   */
+  advance(item, startedAt) {
+    this.recordHistory(item, 'completed', startedAt);
+    const next = STAGES[STAGES.indexOf(item.stage) + 1];
+
+    Object.assign(item, { attempts: 0, nextAttemptAt: null, lastError: null, holdReason: null });
+    if (next) {
+      item.stage = next;
+      item.status = 'pending';
+    } else {
+      item.status = 'done';
+    }
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the item
+   */
+  fail(item, error, startedAt) {
+    const options = this.stageOptions[item.stage];
+    item.lastError = error.message;
+
+    // Quota errors say nothing about this job: wait for the next run instead
+    if (error.context && error.context.quotaExceeded) {
+      item.attempts -= 1;
+      item.status = 'pending';
+      this.pausedStages.add(item.stage);
+      this.recordHistory(item, 'paused', startedAt, { error: error.message });
+      this.logger.warn(`Pausing ${item.stage}: ${error.message}`);
+      return;
+    }
+
+    if (item.attempts >= options.maxAttempts) {
+      this.finish(item, 'dead', { error: error.message });
+      this.logger.error(`${item.job.title} at ${item.job.company} failed ${item.stage} ${item.attempts} times, moved to dead letters:`, error);
+      return;
+    }
+
+    const { initial, factor, max } = options.backoff;
+    const delay = Math.min(max, initial * Math.pow(factor, item.attempts - 1));
+    item.status = 'pending';
+    item.nextAttemptAt = new Date(this.now() + delay).toISOString();
+    this.recordHistory(item, 'failed', startedAt, { error: error.message, retryInMs: delay });
+    this.logger.warn(`${item.stage} failed for ${item.job.title} (attempt ${item.attempts}/${options.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+  }
+
+  finish(item, status, details = {}) {
+    item.status = status;
+    item.nextAttemptAt = null;
+    this.recordHistory(item, status, null, details);
+  }
+
+  recordHistory(item, status, startedAt, details = {}) {
+    item.history.push({ stage: item.stage, status, startedAt, at: new Date(this.now()).toISOString(), ...details });
+  }
+
+  /**
+   * Let a held job continue (e.g. after review)
+   */
+  release(key) {
+    const item = this.requireItem(key, ['held']);
+    this.advance(item, null);
+    item.updatedAt = new Date(this.now()).toISOString();
+    this.checkpoint();
+    return item;
+  }
+
+  /**
+   * Take a held or pending job out of the queue
+   */
+  skip(key, reason = 'Skipped by user') {
+    const item = this.requireItem(key, ['held', 'pending']);
+    this.finish(item, 'skipped', { reason });
+    item.updatedAt = new Date(this.now()).toISOString();
+    this.checkpoint();
+    return item;
+  }
+
+  /**
+   * Give dead-lettered jobs a fresh set of attempts at the stage they failed
+   */
+  retry(keys = null) {
+    const dead = this.list({ status: 'dead' }).filter(item => !keys || keys.includes(item.key));
+    dead.forEach(item => {
+      Object.assign(item, { status: 'pending', attempts: 0, nextAttemptAt: null });
+      this.recordHistory(item, 'retried', null);
+    });
+    this.checkpoint();
+    return dead;
+  }
+
+  /**
+   * Drop finished items (done and skipped by default) from the queue
+   */
+  clear(statuses = ['done', 'skipped']) {
+    const before = this.items.length;
+    this.items = this.items.filter(item => !statuses.includes(item.status));
+    this.checkpoint();
+    return before - this.items.length;
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+
+  requireItem(key, statuses) {
+    const item = this.get(key);
+    if (!item) {
+      throw new Error(`Job "${key}" is not queued`);
+    }
+    if (!statuses.includes(item.status)) {
+      throw new Error(`Job "${key}" is ${item.status}, expected ${statuses.join(' or ')}`);
+    }
+    return item;
+  }
+
+  /**
+   * Item counts by status and, for unfinished items, by stage
+   */
+  getStats() {
+    const stats = { total: this.items.length, byStatus: {}, byStage: {} };
+
+    this.items.forEach(item => {
+      stats.byStatus[item.status] = (stats.byStatus[item.status] || 0) + 1;
+      if (!FINAL_STATUSES.includes(item.status)) {
+        stats.byStage[item.stage] = (stats.byStage[item.stage] || 0) + 1;
+      }
+    });
+    return stats;
+  }
+}
+
+module.exports = { JobQueue, STAGES };
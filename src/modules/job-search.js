@@ -10,6 +10,13 @@
 
 const BrowserAutomation = require('./browser-automation');
 const { Logger } = require('./error-handling');
+const { extractJobCards } = require('./snapshot-parser');
+const SearchCursorStore = require('./search-cursor-store');
+const JobEnrichment = require('./job-enrichment');
+const { fetchFromSources } = require('./job-sources');
+const { parseCompensation, meetsSalaryPreferences } = require('./compensation-parser');
+const { detectEligibilityRequirements, checkEligibility } = require('./eligibility-detector');
+const { detectRedFlags } = require('./red-flag-detector');
 const config = require('../config');
 
 class JobSearch {
@@ -19,8 +26,12 @@ class JobSearch {
     this.config = config.get('linkedin');
     this.profileConfig = config.get('profile');
     this.searchFilters = config.get('searchFilters');
+    this.jobSourcesConfig = config.get('jobSources');
+    this.currencyRates = config.get('currencyRates');
     this.searchResults = [];
     this.currentSearch = null;
+    this.cursorStore = new SearchCursorStore();
+    this.enrichment = new JobEnrichment(this.browser);
   }
 
   /**
@@ -47,6 +58,11 @@ class JobSearch {
 
   /**
    * Perform automated job search with filters
+   *
+   * Pages through results up to limits.maxSearchResults. With
+   * `incremental: true` only postings newer than the last successful run of
+   * the same saved search are returned. An interrupted run resumes from the
+   * page it reached.
    */
   async searchJobs(searchCriteria = {}) {
     try {
@@ -56,26 +72,48 @@ class JobSearch {
       const criteria = this.buildSearchCriteria(searchCriteria);
       this.currentSearch = criteria;
       
-      // Navigate to LinkedIn Jobs
-      await this.browser.navigate(this.config.jobsUrl);
+      const searchKey = this.cursorStore.keyFor(criteria);
+      const cursor = this.cursorStore.get(searchKey);
+      const runStartedAt = new Date().toISOString();
+      
+      if (cursor.inProgress && cursor.searchUrl) {
+        // Resume an interrupted run at the page it reached
+        this.logger.info(`Resuming "${searchKey}" from result ${cursor.nextStart}`);
+        await this.browser.navigate(this.buildPageUrl(cursor.searchUrl, cursor.nextStart));
+        await this.browser.wait(this.config.delays.search);
+      } else {
+        // Navigate to LinkedIn Jobs
+        await this.browser.navigate(this.config.jobsUrl);
+        
+        // Apply search filters
+        await this.applySearchFilters(criteria);
+        
+        // Execute search
+        await this.executeSearch();
+      }
       
-      // Apply search filters
-      await this.applySearchFilters(criteria);
+      // Collect search results across pages
+      const collected = await this.collectSearchResults(criteria, searchKey, cursor);
       
-      // Execute search
-      await this.executeSearch();
+      const results = (criteria.incremental
+        ? collected.filter(job => this.isNewSinceLastRun(job, cursor))
+        : collected).filter(job => this.matchesSalary(job, criteria));
       
-      // Collect search results
-      const results = await this.collectSearchResults();
+      // Mock fallback results carry no LinkedIn job IDs and must not close the cursor
+      if (collected.some(job => job.jobId)) {
+        this.cursorStore.complete(searchKey, collected.map(job => job.jobId).filter(Boolean), runStartedAt);
+      }
       
       this.searchResults = results;
       
-      this.logger.info(`✅ Job search completed. Found ${results.length} positions`);
+      this.logger.info(`✅ Job search completed. Found ${results.length} positions` +
+        (criteria.incremental ? ` new since ${cursor.lastSuccessfulRunAt || 'first run'} (${collected.length} scanned)` : ''));
       
       return {
         success: true,
         criteria: criteria,
         resultsCount: results.length,
+        scannedCount: collected.length,
         results: results,
         timestamp: new Date().toISOString()
       };
@@ -86,6 +124,78 @@ class JobSearch {
     }
   }
 
+  /**
+   * Search the public ATS boards in jobSources.boards with the same criteria
+   *
+   * Board feeds list every open posting, so keywords and location are
+   * matched locally. No browser session is needed.
+   */
+  async searchJobSources(searchCriteria = {}, boards = this.jobSourcesConfig.boards) {
+    try {
+      this.logger.info(`Searching ${boards.length} job boards...`);
+
+      const criteria = this.buildSearchCriteria(searchCriteria);
+      const { jobs, errors } = await fetchFromSources(boards, {
+        requestTimeout: this.jobSourcesConfig.requestTimeout
+      });
+
+      errors.forEach(failure => this.logger.warn(`Job board ${failure.type}/${failure.board} failed:`, failure.error));
+
+      const results = jobs
+        .filter(job => this.matchesCriteria(job, criteria))
+        .slice(0, criteria.maxResults)
+        .map(job => ({ ...job, matchScore: this.calculateBasicMatchScore(job.title, job.description) }));
+
+      this.logger.info(`✅ Job board search completed. Found ${results.length} of ${jobs.length} postings`);
+
+      return {
+        success: true,
+        criteria,
+        resultsCount: results.length,
+        scannedCount: jobs.length,
+        results,
+        errors,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.logger.error('Job board search failed:', error);
+      throw new Error(`Job board search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Keyword, location and salary match for postings searched outside LinkedIn
+   */
+  matchesCriteria(job, criteria) {
+    const keywords = (Array.isArray(criteria.keywords) ? criteria.keywords : [criteria.keywords])
+      .filter(Boolean)
+      .map(keyword => keyword.toLowerCase());
+    const text = `${job.title} ${job.description}`.toLowerCase();
+    const keywordMatch = keywords.length === 0 || keywords.some(keyword => text.includes(keyword));
+
+    const location = (job.location || '').toLowerCase();
+    const place = (criteria.location || '').split(',')[0].trim().toLowerCase();
+    const remoteMatch = criteria.remote && (job.workplaceType === 'Remote' || location.includes('remote'));
+    const locationMatch = !place || remoteMatch || location.includes(place);
+
+    return keywordMatch && locationMatch && this.matchesSalary(job, criteria);
+  }
+
+  /**
+   * Whether the posted pay range overlaps salaryMin..salaryMax; unstated pay always matches
+   */
+  matchesSalary(job, criteria) {
+    return meetsSalaryPreferences(this.parseSalary(job.salary), criteria);
+  }
+
+  /**
+   * Parse a salary string into ranges, period and an annual USD range (see compensation-parser)
+   */
+  parseSalary(salary) {
+    return parseCompensation(salary, { currencyRates: this.currencyRates });
+  }
+
   /**
    * Build search criteria from input and defaults
    */
@@ -97,9 +207,12 @@ class JobSearch {
       experienceLevel: this.profileConfig.preferences.experienceLevel,
       jobType: 'Full-time',
       salaryMin: this.profileConfig.preferences.salaryMin,
+      salaryMax: this.profileConfig.preferences.salaryMax,
       datePosted: 'Past week',
       companySize: null,
-      industry: null
+      industry: null,
+      incremental: false,
+      maxResults: this.config.limits.maxSearchResults
     };
 
     return { ...defaultCriteria, ...input };
@@ -190,28 +303,70 @@ class JobSearch {
   }
 
   /**
-   * Collect and parse search results
+   * Collect and parse search results, following pagination
    */
-  async collectSearchResults() {
+  async collectSearchResults(criteria = this.buildSearchCriteria({}), searchKey = null, cursor = null) {
     try {
       this.logger.info('Collecting search results...');
 
-      // Get page snapshot to analyze results
-      const snapshot = await this.browser.getPageSnapshot();
+      const pageSize = this.config.limits.resultsPerPage || 25;
+      const maxResults = Math.min(criteria.maxResults || Infinity, this.config.limits.maxSearchResults);
+      const resuming = Boolean(cursor && cursor.inProgress && cursor.searchUrl);
+      const collected = resuming ? [...cursor.pending] : [];
+      const collectedIds = new Set(collected.map(job => job.jobId));
+      let start = resuming ? cursor.nextStart : 0;
+      let searchUrl = resuming ? cursor.searchUrl : null;
+
+      while (collected.length < maxResults) {
+        // Get page snapshot to analyze results
+        const snapshot = await this.browser.getPageSnapshot();
+        searchUrl = searchUrl || snapshot.url || this.buildSearchUrl(criteria);
+
+        // Parse actual LinkedIn search results
+        const pageResults = await this.parseLinkedInResults(snapshot);
+        const fresh = pageResults.filter(job => !collectedIds.has(job.jobId));
+
+        // An empty or repeated page means we ran past the last page
+        if (fresh.length === 0) {
+          break;
+        }
+
+        for (const job of fresh.slice(0, maxResults - collected.length)) {
+          collected.push(job);
+          collectedIds.add(job.jobId);
+        }
+
+        this.logger.info(`Page at offset ${start}: ${fresh.length} jobs (${collected.length} total)`);
+
+        // Results are newest first, so a page with nothing new means the rest is known too
+        if (criteria.incremental && cursor && fresh.every(job => !this.isNewSinceLastRun(job, cursor))) {
+          this.logger.info('Reached postings already seen in the last run, stopping pagination');
+          break;
+        }
+
+        if (pageResults.length < pageSize || collected.length >= maxResults) {
+          break;
+        }
+
+        start += pageSize;
 
-      // Parse actual LinkedIn search results
-      const realResults = await this.parseLinkedInResults(snapshot);
+        if (searchKey) {
+          this.cursorStore.checkpoint(searchKey, { nextStart: start, searchUrl, pending: collected });
+        }
+
+        await this.browser.navigate(this.buildPageUrl(searchUrl, start));
+        await this.browser.wait(this.config.delays.search);
+      }
 
       // If no real results found, fall back to mock for testing
-      if (realResults.length === 0) {
+      if (collected.length === 0) {
         this.logger.warn('No real results found, using mock results for testing');
-        const mockResults = this.generateMockResults();
-        return mockResults;
+        return this.generateMockResults();
       }
 
-      this.logger.info(`✅ Collected ${realResults.length} job results`);
+      this.logger.info(`✅ Collected ${collected.length} job results`);
 
-      return realResults;
+      return collected;
 
     } catch (error) {
       this.logger.error('Result collection failed:', error);
@@ -219,6 +374,87 @@ class JobSearch {
     }
   }
 
+  /**
+   * Build a results URL for a given offset from the first page's URL
+   */
+  buildPageUrl(searchUrl, start) {
+    const url = new URL(searchUrl);
+    if (start > 0) {
+      url.searchParams.set('start', String(start));
+    } else {
+      url.searchParams.delete('start');
+    }
+    return url.toString();
+  }
+
+  /**
+   * Build a search results URL directly from criteria
+   */
+  buildSearchUrl(criteria) {
+    const url = new URL(this.config.searchUrl);
+    const keywords = Array.isArray(criteria.keywords) ? criteria.keywords.join(' OR ') : (criteria.keywords || '');
+
+    url.searchParams.set('keywords', keywords);
+    if (criteria.location) {
+      url.searchParams.set('location', criteria.location);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Whether a job was not returned by, and not posted before, the last successful run
+   */
+  isNewSinceLastRun(job, cursor) {
+    if (cursor.seenJobIds.includes(job.jobId)) {
+      return false;
+    }
+
+    if (!cursor.lastSuccessfulRunAt) {
+      return true;
+    }
+
+    const posted = this.estimatePostedAt(job.posted);
+    if (!posted) {
+      return true;
+    }
+
+    // "3 days ago" is only accurate to the day, so allow one unit of slack
+    return posted.postedAt.getTime() + posted.precisionMs >= new Date(cursor.lastSuccessfulRunAt).getTime();
+  }
+
+  /**
+   * Turn LinkedIn's relative "posted" text into an approximate date
+   */
+  estimatePostedAt(posted, now = new Date()) {
+    const units = {
+      second: 1000,
+      minute: 60 * 1000,
+      hour: 60 * 60 * 1000,
+      day: 24 * 60 * 60 * 1000,
+      week: 7 * 24 * 60 * 60 * 1000,
+      month: 30 * 24 * 60 * 60 * 1000,
+      year: 365 * 24 * 60 * 60 * 1000
+    };
+
+    const text = String(posted || '').toLowerCase();
+    const match = text.match(/(\d+)\s+(second|minute|hour|day|week|month|year)s?\s+ago/);
+
+    if (match) {
+      const unit = units[match[2]];
+      return { postedAt: new Date(now.getTime() - parseInt(match[1], 10) * unit), precisionMs: unit };
+    }
+
+    if (/just now|today/.test(text)) {
+      return { postedAt: now, precisionMs: units.day };
+    }
+
+    if (/yesterday/.test(text)) {
+      return { postedAt: new Date(now.getTime() - units.day), precisionMs: units.day };
+    }
+
+    return null;
+  }
+
   /**
    * Parse actual LinkedIn search results from page snapshot
    */
@@ -226,37 +462,22 @@ class JobSearch {
     try {
       this.logger.info('Parsing LinkedIn search results from page snapshot...');
 
-      const results = [];
-
-      // Look for job cards in the snapshot
-      if (snapshot && snapshot.text) {
-        const pageText = snapshot.text.toLowerCase();
-
-        // Check if we're on a results page
-        if (pageText.includes('jobs') && (pageText.includes('results') || pageText.includes('easy apply'))) {
-
-          // Extract job information from snapshot
-          // This is a simplified parser - in production, we'd use more sophisticated parsing
-          const jobMatches = this.extractJobsFromSnapshot(snapshot);
-
-          for (const match of jobMatches) {
-            results.push({
-              id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-              title: match.title || 'Unknown Position',
-              company: match.company || 'Unknown Company',
-              location: match.location || 'Location not specified',
-              salary: match.salary || 'Salary not specified',
-              posted: match.posted || 'Recently posted',
-              applicants: match.applicants || 'Applicant count not available',
-              easyApply: true, // We're filtering for Easy Apply
-              promoted: match.promoted || false,
-              description: match.description || 'Job description not available',
-              matchScore: this.calculateBasicMatchScore(match.title, match.description),
-              url: match.url || `https://www.linkedin.com/jobs/view/${match.jobId || 'unknown'}`
-            });
-          }
-        }
-      }
+      const results = this.extractJobsFromSnapshot(snapshot).map(card => ({
+        id: `job-${card.jobId}`,
+        jobId: card.jobId,
+        title: card.title || 'Unknown Position',
+        company: card.company || 'Unknown Company',
+        location: card.location || 'Location not specified',
+        salary: card.salary || 'Salary not specified',
+        posted: card.posted || 'Recently posted',
+        applicants: card.applicants || 'Applicant count not available',
+        easyApply: card.easyApply,
+        promoted: card.promoted,
+        description: 'Job description not available',
+        matchScore: this.calculateBasicMatchScore(card.title, ''),
+        url: `${this.config.baseUrl}/jobs/view/${card.jobId}`,
+        refs: card.refs
+      }));
 
       this.logger.info(`Parsed ${results.length} jobs from LinkedIn results`);
       return results;
@@ -268,59 +489,14 @@ class JobSearch {
   }
 
   /**
-   * Extract job information from page snapshot
+   * Extract job cards from the page's accessibility snapshot
    */
   extractJobsFromSnapshot(snapshot) {
-    const jobs = [];
-
-    try {
-      // This is a simplified extraction - would need more sophisticated parsing for production
-      if (snapshot.text) {
-        const lines = snapshot.text.split('\n');
-        let currentJob = {};
-
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i].trim();
-
-          // Look for job titles (usually followed by company names)
-          if (line && !line.startsWith('http') && line.length > 10 && line.length < 100) {
-            // Simple heuristic to identify potential job titles
-            if (line.includes('Engineer') || line.includes('Developer') || line.includes('Manager') ||
-                line.includes('Specialist') || line.includes('Analyst') || line.includes('Director')) {
-
-              if (currentJob.title) {
-                jobs.push(currentJob);
-              }
-
-              currentJob = {
-                title: line,
-                company: lines[i + 1] ? lines[i + 1].trim() : 'Unknown Company',
-                location: 'Remote',
-                description: line
-              };
-            }
-          }
-
-          // Look for LinkedIn job URLs
-          if (line.includes('linkedin.com/jobs/view/')) {
-            const urlMatch = line.match(/linkedin\.com\/jobs\/view\/(\d+)/);
-            if (urlMatch && currentJob.title) {
-              currentJob.jobId = urlMatch[1];
-              currentJob.url = `https://www.linkedin.com/jobs/view/${urlMatch[1]}`;
-            }
-          }
-        }
-
-        // Add the last job if it exists
-        if (currentJob.title) {
-          jobs.push(currentJob);
-        }
-      }
-    } catch (error) {
-      this.logger.error('Job extraction failed:', error);
+    if (!snapshot || !snapshot.text) {
+      return [];
     }
 
-    return jobs;
+    return extractJobCards(snapshot.text);
   }
 
   /**
@@ -396,6 +572,19 @@ class JobSearch {
     ];
   }
 
+  /**
+   * Fetch full descriptions and detail page fields for search results
+   */
+  async enrichJobDetails(jobs = null, options = {}) {
+    const enriched = await this.enrichment.enrichJobs(jobs || this.searchResults, options);
+
+    if (!jobs) {
+      this.searchResults = enriched;
+    }
+
+    return enriched;
+  }
+
   /**
    * Analyze and rank job results based on profile match
    */
@@ -450,12 +639,14 @@ class JobSearch {
     factors.push({ factor: 'location', score: locationScore, weight: 0.2 });
     
     // Salary matching
-    const salaryScore = this.calculateSalaryMatch(job.salary);
+    const compensation = this.parseSalary(job.salary);
+    const salaryScore = this.calculateSalaryMatch(compensation);
     score += salaryScore * 0.25;
     factors.push({ factor: 'salary', score: salaryScore, weight: 0.25 });
     
     // Company and role quality
-    const qualityScore = this.calculateQualityScore(job);
+    const redFlags = this.detectRedFlags(job);
+    const qualityScore = this.calculateQualityScore(job, redFlags);
     score += qualityScore * 0.15;
     factors.push({ factor: 'quality', score: qualityScore, weight: 0.15 });
     
@@ -467,10 +658,21 @@ class JobSearch {
     return {
       matchScore: Math.round(score),
       matchFactors: factors,
+      compensation: compensation,
+      eligibility: this.checkEligibility(job),
+      redFlags: redFlags,
       recommendation: this.getRecommendation(score)
     };
   }
 
+  /**
+   * Work authorization, clearance, relocation and on-site constraints of a job checked against the profile
+   */
+  checkEligibility(job, requirements = null) {
+    const found = requirements || detectEligibilityRequirements(`${job.title || ''}\n${job.description || ''}`);
+    return { ...checkEligibility(found, this.profileConfig, { location: job.location }), requirements: found };
+  }
+
   /**
    * Calculate title match score
    */
@@ -489,30 +691,36 @@ class JobSearch {
   }
 
   /**
-   * Calculate location match score
+   * Calculate location match score against the profile's city and state
    */
   calculateLocationMatch(location) {
+    const [city, state] = this.profileConfig.location.split(',').map(part => part.trim());
     if (location.includes('Remote')) return 100;
-    if (location.includes('Sacramento')) return 95;
-    if (location.includes('California')) return 80;
+    if (city && location.includes(city)) return 95;
+    if (state && location.includes(state)) return 80;
     return 50;
   }
 
   /**
-   * Calculate salary match score
+   * Calculate salary match score from a salary string or parsed compensation
    */
   calculateSalaryMatch(salary) {
-    if (!salary || salary === 'Competitive') return 70;
+    const compensation = typeof salary === 'string' || !salary ? this.parseSalary(salary) : salary;
     
-    // Extract salary numbers (simplified)
-    const salaryNumbers = salary.match(/\$(\d+),?(\d+)?/g);
-    if (salaryNumbers && salaryNumbers.length > 0) {
-      const minSalary = parseInt(salaryNumbers[0].replace(/[$,]/g, ''));
-      if (minSalary >= this.profileConfig.preferences.salaryMin) {
-        return 100;
-      } else if (minSalary >= this.profileConfig.preferences.salaryMin * 0.8) {
-        return 80;
-      }
+    // Not stated, "Competitive", "DOE" or a currency missing from the rate table
+    if (!compensation.annual) return 70;
+    
+    const { salaryMin } = this.profileConfig.preferences;
+
+    // "Up to $180K" may reach the minimum, but nothing says it will
+    if (compensation.annual.min === null) {
+      return compensation.annual.max >= salaryMin ? 70 : 60;
+    }
+
+    if (compensation.annual.min >= salaryMin) {
+      return 100;
+    } else if (compensation.annual.min >= salaryMin * 0.8) {
+      return 80;
     }
     
     return 60;
@@ -521,14 +729,24 @@ class JobSearch {
   /**
    * Calculate overall quality score
    */
-  calculateQualityScore(job) {
+  calculateQualityScore(job, redFlags = this.detectRedFlags(job)) {
     let score = 70; // Base score
     
     if (job.promoted) score += 10;
     if (job.applicants && job.applicants.includes('25-50')) score += 15;
     if (job.applicants && job.applicants.includes('Over 100')) score -= 5;
     
-    return Math.min(score, 100);
+    // Scam, agency repost, ghost job and seniority red flags
+    score -= redFlags.riskScore;
+    
+    return Math.max(Math.min(score, 100), 0);
+  }
+
+  /**
+   * Scam, staffing agency, ghost job and seniority red flags of a job (see red-flag-detector)
+   */
+  detectRedFlags(job) {
+    return detectRedFlags(job, { currencyRates: this.currencyRates });
   }
 
   /**
@@ -0,0 +1,62 @@
+/**
+ * Ashby Job Source
+ *
+ * Reads a public Ashby job board through the Posting API
+ * (GET /posting-api/job-board/:board?includeCompensation=true).
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const JobSource = require('./base-source');
+const { htmlToText } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://api.ashbyhq.com';
+
+const EMPLOYMENT_TYPES = {
+  FullTime: 'Full-time',
+  PartTime: 'Part-time',
+  Intern: 'Internship',
+  Contract: 'Contract',
+  Temporary: 'Temporary'
+};
+
+const WORKPLACE_TYPES = {
+  Remote: 'Remote',
+  Hybrid: 'Hybrid',
+  OnSite: 'On-site'
+};
+
+class AshbySource extends JobSource {
+  constructor(options = {}) {
+    super('ashby', { ...options, baseUrl: options.baseUrl || DEFAULT_BASE_URL });
+  }
+
+  listingsUrl() {
+    return `${this.baseUrl}/posting-api/job-board/${encodeURIComponent(this.board)}?includeCompensation=true`;
+  }
+
+  parse(payload) {
+    return ((payload && payload.jobs) || [])
+      .filter(job => job.isListed !== false)
+      .map(job => {
+        const compensation = job.compensation || {};
+
+        return this.normalizeJob({
+          sourceId: job.id,
+          title: job.title,
+          location: job.location,
+          workplaceType: WORKPLACE_TYPES[job.workplaceType] || (job.isRemote ? 'Remote' : null),
+          employmentType: EMPLOYMENT_TYPES[job.employmentType] || job.employmentType,
+          department: job.department || job.team,
+          salary: compensation.scrapeableCompensationSalarySummary || compensation.compensationTierSummary,
+          description: job.descriptionPlain || htmlToText(job.descriptionHtml),
+          postedAt: job.publishedAt,
+          url: job.jobUrl,
+          applyUrl: job.applyUrl
+        });
+      });
+  }
+}
+
+module.exports = AshbySource;
@@ -0,0 +1,133 @@
+/**
+ * Job Source Base Class
+ *
+ * Defines the contract for public job board feeds. Each source fetches its
+ * board's JSON listing endpoint and normalizes postings into the job shape
+ * JobSearch.analyzeJobMatches consumes, so ATS boards and LinkedIn results
+ * can be ranked side by side.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const https = require('https');
+const { Logger } = require('../error-handling');
+const { formatPosted } = require('./normalize');
+
+class JobSource {
+  /**
+   * @param {string} type - Source type ('greenhouse', 'lever', ...)
+   * @param {object} options - { board, company, baseUrl, requestTimeout }
+   */
+  constructor(type, options = {}) {
+    if (!options.board) {
+      throw new Error(`${type} job source requires a board name`);
+    }
+
+    this.type = type;
+    this.board = options.board;
+    this.company = options.company || null;
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.requestTimeout = options.requestTimeout || 15000;
+    this.logger = new Logger(`JobSource:${type}`);
+  }
+
+  /**
+   * URL of the board's JSON listing endpoint
+   */
+  listingsUrl() {
+    throw new Error(`listingsUrl is not implemented by the ${this.type} job source`);
+  }
+
+  /**
+   * Turn the endpoint's response into normalized jobs
+   * @param {object|Array} payload - Parsed JSON response
+   * @returns {Array<object>}
+   */
+  parse(payload) {
+    throw new Error(`parse is not implemented by the ${this.type} job source`);
+  }
+
+  /**
+   * Fetch and normalize every posting on the board
+   */
+  async fetchJobs() {
+    const url = this.listingsUrl();
+    this.logger.info(`Fetching ${this.type} board "${this.board}": ${url}`);
+
+    const jobs = this.parse(await this.fetchJson(url));
+
+    this.logger.info(`✅ ${jobs.length} postings from ${this.type} board "${this.board}"`);
+    return jobs;
+  }
+
+  /**
+   * GET a URL and parse the JSON body
+   */
+  fetchJson(url) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const lib = target.protocol === 'https:' ? https : http;
+
+      const request = lib.get(target, { headers: { Accept: 'application/json' } }, response => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { body += chunk; });
+        response.on('end', () => {
+          if (response.statusCode >= 400) {
+            reject(new Error(`${this.type} board "${this.board}" returned HTTP ${response.statusCode}`));
+            return;
+          }
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(new Error(`${this.type} board "${this.board}" returned invalid JSON: ${error.message}`));
+          }
+        });
+      });
+
+      request.setTimeout(this.requestTimeout, () => {
+        request.destroy(new Error(`${this.type} board "${this.board}" timed out after ${this.requestTimeout}ms`));
+      });
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Build a job record in the shape JobSearch produces for LinkedIn results
+   */
+  normalizeJob(fields) {
+    const workplaceType = fields.workplaceType || null;
+    let location = fields.location || 'Location not specified';
+    if (workplaceType && !location.toLowerCase().includes(workplaceType.toLowerCase())) {
+      location = `${location} (${workplaceType})`;
+    }
+
+    return {
+      id: `${this.type}-${this.board}-${fields.sourceId}`,
+      jobId: null,
+      source: this.type,
+      sourceBoard: this.board,
+      sourceJobId: String(fields.sourceId),
+      title: fields.title || 'Unknown Position',
+      company: fields.company || this.company || this.board,
+      location,
+      salary: fields.salary || 'Salary not specified',
+      posted: formatPosted(fields.postedAt),
+      postedAt: fields.postedAt ? new Date(fields.postedAt).toISOString() : null,
+      applicants: 'Applicant count not available',
+      easyApply: false,
+      promoted: false,
+      description: fields.description || 'Job description not available',
+      department: fields.department || null,
+      employmentType: fields.employmentType || null,
+      workplaceType,
+      applyType: 'external',
+      applyUrl: fields.applyUrl || fields.url || null,
+      url: fields.url || null
+    };
+  }
+}
+
+module.exports = JobSource;
@@ -0,0 +1,45 @@
+/**
+ * Greenhouse Job Source
+ *
+ * Reads a public Greenhouse job board through the Job Board API
+ * (GET /v1/boards/:board/jobs?content=true).
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const JobSource = require('./base-source');
+const { htmlToText, inferWorkplaceType } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://boards-api.greenhouse.io';
+
+class GreenhouseSource extends JobSource {
+  constructor(options = {}) {
+    super('greenhouse', { ...options, baseUrl: options.baseUrl || DEFAULT_BASE_URL });
+  }
+
+  listingsUrl() {
+    return `${this.baseUrl}/v1/boards/${encodeURIComponent(this.board)}/jobs?content=true`;
+  }
+
+  parse(payload) {
+    return ((payload && payload.jobs) || []).map(job => {
+      const location = job.location && job.location.name;
+      const department = (job.departments || [])[0];
+
+      return this.normalizeJob({
+        sourceId: job.id,
+        title: job.title,
+        company: job.company_name,
+        location,
+        workplaceType: inferWorkplaceType(location),
+        description: htmlToText(job.content),
+        department: department && department.name,
+        postedAt: job.first_published || job.updated_at,
+        url: job.absolute_url
+      });
+    });
+  }
+}
+
+module.exports = GreenhouseSource;
@@ -0,0 +1,69 @@
+/**
+ * Job Source Registry
+ *
+ * Maps the `jobSources.boards[].type` config values to ATS feed adapters and
+ * collects postings from every configured board.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const JobSource = require('./base-source');
+const GreenhouseSource = require('./greenhouse-source');
+const LeverSource = require('./lever-source');
+const AshbySource = require('./ashby-source');
+const WorkableSource = require('./workable-source');
+
+const sources = {
+  greenhouse: GreenhouseSource,
+  lever: LeverSource,
+  ashby: AshbySource,
+  workable: WorkableSource
+};
+
+/**
+ * Create a job source from a board entry
+ * @param {object} board - { type, board, company, baseUrl }
+ * @param {object} defaults - Options shared by every board (e.g. requestTimeout)
+ * @returns {JobSource}
+ */
+function createJobSource(board, defaults = {}) {
+  const Source = sources[board.type];
+
+  if (!Source) {
+    throw new Error(`Unknown job source "${board.type}" (expected one of: ${Object.keys(sources).join(', ')})`);
+  }
+
+  return new Source({ ...defaults, ...board });
+}
+
+/**
+ * Fetch postings from several boards; a failing board does not stop the rest
+ * @param {Array<object>} boards - Board entries from jobSources.boards
+ * @param {object} defaults - Options shared by every board
+ * @returns {Promise<object>} - { jobs, errors }
+ */
+async function fetchFromSources(boards, defaults = {}) {
+  const jobs = [];
+  const errors = [];
+
+  for (const board of boards) {
+    try {
+      jobs.push(...await createJobSource(board, defaults).fetchJobs());
+    } catch (error) {
+      errors.push({ type: board.type, board: board.board, error: error.message });
+    }
+  }
+
+  return { jobs, errors };
+}
+
+module.exports = {
+  createJobSource,
+  fetchFromSources,
+  JobSource,
+  GreenhouseSource,
+  LeverSource,
+  AshbySource,
+  WorkableSource
+};
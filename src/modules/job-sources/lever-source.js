@@ -0,0 +1,74 @@
+/**
+ * Lever Job Source
+ *
+ * Reads a public Lever job site through the Postings API
+ * (GET /v0/postings/:site?mode=json).
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const JobSource = require('./base-source');
+const { htmlToText, formatSalaryRange } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://api.lever.co';
+
+const WORKPLACE_TYPES = {
+  remote: 'Remote',
+  hybrid: 'Hybrid',
+  onsite: 'On-site'
+};
+
+const SALARY_INTERVALS = {
+  'per-year-salary': 'yr',
+  'per-month-salary': 'mo',
+  'per-hour-wage': 'hr'
+};
+
+class LeverSource extends JobSource {
+  constructor(options = {}) {
+    super('lever', { ...options, baseUrl: options.baseUrl || DEFAULT_BASE_URL });
+  }
+
+  listingsUrl() {
+    return `${this.baseUrl}/v0/postings/${encodeURIComponent(this.board)}?mode=json`;
+  }
+
+  parse(payload) {
+    return (Array.isArray(payload) ? payload : []).map(posting => {
+      const categories = posting.categories || {};
+      const salaryRange = posting.salaryRange || {};
+
+      return this.normalizeJob({
+        sourceId: posting.id,
+        title: posting.text,
+        location: categories.location || (categories.allLocations || []).join(', '),
+        workplaceType: WORKPLACE_TYPES[posting.workplaceType] || null,
+        employmentType: categories.commitment,
+        department: categories.department || categories.team,
+        salary: formatSalaryRange(salaryRange.min, salaryRange.max, salaryRange.currency, SALARY_INTERVALS[salaryRange.interval]),
+        description: this.describe(posting),
+        postedAt: posting.createdAt,
+        url: posting.hostedUrl,
+        applyUrl: posting.applyUrl
+      });
+    });
+  }
+
+  /**
+   * Lever splits a posting into an intro, titled lists and a closing note
+   */
+  describe(posting) {
+    const sections = [posting.descriptionPlain || htmlToText(posting.description)];
+
+    for (const list of posting.lists || []) {
+      sections.push(`${list.text}:\n${htmlToText(list.content)}`);
+    }
+
+    sections.push(posting.additionalPlain || htmlToText(posting.additional));
+
+    return sections.map(section => (section || '').trim()).filter(Boolean).join('\n\n');
+  }
+}
+
+module.exports = LeverSource;
@@ -0,0 +1,134 @@
+/**
+ * Job Source Normalization Helpers
+ *
+ * Text and value conversions shared by the ATS feed adapters and the file
+ * importer: posting HTML to plain text, timestamps to LinkedIn-style
+ * "posted" wording and numeric pay ranges to card-style salary strings.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  hellip: '…',
+  bull: '•'
+};
+
+const UNITS = [
+  ['year', 365 * 24 * 60 * 60 * 1000],
+  ['month', 30 * 24 * 60 * 60 * 1000],
+  ['week', 7 * 24 * 60 * 60 * 1000],
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000]
+];
+
+/**
+ * Decode the HTML entities ATS feeds use
+ */
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const decoded = HTML_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Convert posting HTML to plain text, keeping paragraphs and "- " bullets
+ */
+function htmlToText(html) {
+  // Greenhouse escapes its HTML once more, so decode before stripping tags
+  let source = /&lt;\/?[a-z]/i.test(html || '') ? decodeEntities(html) : String(html || '');
+
+  // Line breaks inside markup are just whitespace; tags decide the layout
+  if (/<[a-z][^>]*>/i.test(source)) {
+    source = source.replace(/\s*\n\s*/g, ' ');
+  }
+
+  const text = source
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/li>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|ul|ol|h[1-6]|tr|section)>/gi, '\n')
+    .replace(/<(p|div|ul|ol|h[1-6]|tr|section)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+    .filter((line, index, lines) => line || (index > 0 && lines[index - 1]))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Relative "posted" text in LinkedIn's wording (JobSearch.estimatePostedAt reads it)
+ */
+function formatPosted(postedAt, now = new Date()) {
+  const time = postedAt ? new Date(postedAt).getTime() : NaN;
+  if (!Number.isFinite(time)) {
+    return 'Recently posted';
+  }
+
+  const elapsed = Math.max(now.getTime() - time, 0);
+  for (const [unit, size] of UNITS) {
+    const count = Math.floor(elapsed / size);
+    if (count >= 1) {
+      return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    }
+  }
+  return 'Just now';
+}
+
+/**
+ * Format a numeric pay range the way LinkedIn cards show it
+ */
+function formatSalaryRange(min, max, currency = 'USD', interval = 'yr') {
+  if (!min && !max) {
+    return null;
+  }
+
+  const symbol = currency === 'USD' ? '$' : `${currency} `;
+  const amount = value => `${symbol}${Math.round(value).toLocaleString('en-US')}`;
+  const suffix = interval ? `/${interval}` : '';
+
+  if (min && max && min !== max) {
+    return `${amount(min)}${suffix} - ${amount(max)}${suffix}`;
+  }
+  return `${amount(min || max)}${suffix}`;
+}
+
+/**
+ * Guess the workplace type from free-form location text
+ */
+function inferWorkplaceType(text) {
+  if (/\bremote\b/i.test(text || '')) return 'Remote';
+  if (/\bhybrid\b/i.test(text || '')) return 'Hybrid';
+  return null;
+}
+
+module.exports = {
+  decodeEntities,
+  htmlToText,
+  formatPosted,
+  formatSalaryRange,
+  inferWorkplaceType
+};
@@ -0,0 +1,57 @@
+/**
+ * Workable Job Source
+ *
+ * Reads a public Workable careers page through the widget API
+ * (GET /api/v1/widget/accounts/:account?details=true).
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const JobSource = require('./base-source');
+const { htmlToText } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://apply.workable.com';
+
+const WORKPLACE_TYPES = {
+  remote: 'Remote',
+  hybrid: 'Hybrid',
+  on_site: 'On-site'
+};
+
+class WorkableSource extends JobSource {
+  constructor(options = {}) {
+    super('workable', { ...options, baseUrl: options.baseUrl || DEFAULT_BASE_URL });
+  }
+
+  listingsUrl() {
+    return `${this.baseUrl}/api/v1/widget/accounts/${encodeURIComponent(this.board)}?details=true`;
+  }
+
+  parse(payload) {
+    const company = payload && payload.name;
+
+    return ((payload && payload.jobs) || []).map(job => {
+      const place = (job.locations || [])[0] || {};
+      const location = [job.city || place.city, job.state || place.region, job.country || place.country]
+        .filter(Boolean)
+        .join(', ');
+
+      return this.normalizeJob({
+        sourceId: job.shortcode,
+        title: job.title,
+        company,
+        location,
+        workplaceType: WORKPLACE_TYPES[job.workplace] || (job.telecommuting ? 'Remote' : null),
+        employmentType: job.employment_type,
+        department: job.department,
+        description: htmlToText([job.description, job.requirements, job.benefits].filter(Boolean).join('\n')),
+        postedAt: job.published_on || job.created_at,
+        url: job.url || job.shortlink,
+        applyUrl: job.application_url
+      });
+    });
+  }
+}
+
+module.exports = WorkableSource;
@@ -0,0 +1,360 @@
+/**
+ * Job Store - Persistent Cross-Run Job Deduplication
+ *
+ * Remembers every posting the automation has seen in data/job-store.json,
+ * keyed by canonical job ID (LinkedIn job ID, ATS board + posting ID or
+ * normalized URL) plus a content fingerprint of normalized title, company,
+ * location and description. A repost under a new ID, or the same job found
+ * by a different search, resolves to the same record, so it is only ever
+ * applied to once.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./error-handling');
+
+const STORE_VERSION = 1;
+
+// Texts the parsers use when a field is missing; they must not feed fingerprints
+const PLACEHOLDERS = new Set([
+  'job description not available',
+  'unknown position',
+  'unknown company',
+  'location not specified'
+]);
+
+// Statuses that block a job from being picked or applied to again
+const BLOCKING_STATUSES = ['applied', 'excluded'];
+
+const sha1 = text => crypto.createHash('sha1').update(text).digest('hex');
+
+/**
+ * Lowercase, strip punctuation and workplace suffixes, collapse whitespace
+ */
+function normalizeText(value) {
+  const text = String(value || '')
+    .toLowerCase()
+    .replace(/\((remote|hybrid|on-site|onsite)\)/g, ' ')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return PLACEHOLDERS.has(text) ? '' : text;
+}
+
+/**
+ * Strip query string, hash and trailing slash so tracking parameters do not split records
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Canonical ID: LinkedIn job ID, ATS posting ID or normalized URL
+ */
+function canonicalId(job) {
+  const linkedInId = job.jobId ||
+    ((job.url || '').match(/linkedin\.com\/jobs\/view\/(?:[^/?#]*-)?(\d+)/) || [])[1] ||
+    ((job.url || '').match(/[?&]currentJobId=(\d+)/) || [])[1];
+
+  if (linkedInId) {
+    return `linkedin:${linkedInId}`;
+  }
+
+  if (job.source && job.sourceJobId) {
+    return `${job.source}:${job.sourceBoard || ''}:${job.sourceJobId}`;
+  }
+
+  const url = job.url && normalizeUrl(job.url);
+  return url ? `url:${url}` : null;
+}
+
+/**
+ * Content fingerprint: survives reposts, new IDs and changed URLs
+ *
+ * Search cards have no description yet, so a card and the enriched job
+ * produce different fingerprints. Records keep every fingerprint seen.
+ */
+function fingerprint(job) {
+  const title = normalizeText(job.title);
+  const company = normalizeText(job.company);
+
+  if (!title || !company) {
+    return null;
+  }
+
+  const description = normalizeText(job.description);
+  const descriptionHash = description ? sha1(description).slice(0, 16) : '';
+
+  return sha1([title, company, normalizeText(job.location), descriptionHash].join('|')).slice(0, 20);
+}
+
+/**
+ * Legacy duplicatePreventionDatabase key ("Company|Title")
+ */
+function companyPosition(job) {
+  return `${normalizeText(job.company)}|${normalizeText(job.title)}`;
+}
+
+class JobStore {
+  constructor(filePath = path.join(__dirname, '..', '..', 'data', 'job-store.json')) {
+    this.filePath = filePath;
+    this.logger = new Logger('JobStore');
+    this.jobs = this.load();
+    this.buildIndexes();
+  }
+
+  /**
+   * Load records from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return data.jobs || {};
+      }
+    } catch (error) {
+      this.logger.warn(`Could not read ${this.filePath}, starting with an empty job store:`, error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Write records to disk
+   */
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: STORE_VERSION, jobs: this.jobs }, null, 2), 'utf8');
+  }
+
+  /**
+   * Rebuild the canonical ID, fingerprint and legacy lookup tables
+   */
+  buildIndexes() {
+    this.byId = new Map();
+    this.byFingerprint = new Map();
+    this.byCompanyPosition = new Map();
+
+    Object.values(this.jobs).forEach(record => this.indexRecord(record));
+  }
+
+  indexRecord(record) {
+    record.canonicalIds.forEach(id => this.byId.set(id, record.key));
+    record.fingerprints.forEach(print => this.byFingerprint.set(print, record.key));
+    if (record.legacyCompanyPosition) {
+      this.byCompanyPosition.set(record.legacyCompanyPosition, record.key);
+    }
+  }
+
+  /**
+   * Find the record for a job and how it matched
+   *
+   * Returns { record, matchedBy } where matchedBy is 'canonicalId',
+   * 'fingerprint' or 'companyPosition', or null when the job is new.
+   */
+  lookup(job) {
+    const id = canonicalId(job);
+    if (id && this.byId.has(id)) {
+      return { record: this.jobs[this.byId.get(id)], matchedBy: 'canonicalId' };
+    }
+
+    const print = fingerprint(job);
+    if (print && this.byFingerprint.has(print)) {
+      return { record: this.jobs[this.byFingerprint.get(print)], matchedBy: 'fingerprint' };
+    }
+
+    const legacyKey = companyPosition(job);
+    if (this.byCompanyPosition.has(legacyKey)) {
+      return { record: this.jobs[this.byCompanyPosition.get(legacyKey)], matchedBy: 'companyPosition' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a sighting of a job, merging it into an existing record when it matches
+   *
+   * A job with neither an ID nor a fingerprint cannot be matched again, so it
+   * gets a record of its own under a unique key. Does not write to disk; call
+   * save() once per batch.
+   */
+  upsert(job, { searchConfig = null } = {}) {
+    const match = this.lookup(job);
+    const now = new Date().toISOString();
+    const id = canonicalId(job);
+    const print = fingerprint(job);
+
+    if (!match && !id && !print) {
+      this.logger.warn(`Storing ${job.title || 'a job'} at ${job.company || 'an unknown company'} without an ID or fingerprint; reposts of it will not be recognized`);
+    }
+
+    const record = match ? match.record : {
+      key: id || (print ? `fingerprint:${print}` : `unidentified:${crypto.randomUUID()}`),
+      canonicalIds: [],
+      fingerprints: [],
+      title: job.title,
+      company: job.company,
+      location: job.location,
+      url: job.url,
+      status: 'seen',
+      firstSeenAt: now,
+      sightings: 0,
+      searches: []
+    };
+
+    if (id && !record.canonicalIds.includes(id)) {
+      record.canonicalIds.push(id);
+    }
+    if (print && !record.fingerprints.includes(print)) {
+      record.fingerprints.push(print);
+    }
+    if (searchConfig && !record.searches.includes(searchConfig)) {
+      record.searches.push(searchConfig);
+    }
+    if (normalizeText(job.description)) {
+      // Kept for the keyword corpus (see keyword-corpus)
+      record.description = job.description;
+    }
+    record.lastSeenAt = now;
+    record.sightings++;
+
+    this.jobs[record.key] = record;
+    this.indexRecord(record);
+
+    return { record, matchedBy: match ? match.matchedBy : null };
+  }
+
+  /**
+   * Record a batch of jobs and persist once
+   */
+  recordJobs(jobs, options = {}) {
+    const results = jobs.map(job => this.upsert(job, options));
+    this.save();
+    return results;
+  }
+
+  /**
+   * Find a record that blocks applying to this job (already applied or excluded)
+   */
+  findBlocking(job) {
+    const match = this.lookup(job);
+    return match && BLOCKING_STATUSES.includes(match.record.status) ? match : null;
+  }
+
+  /**
+   * Check whether this job, or a repost of it, was already applied to
+   */
+  hasApplied(job) {
+    const match = this.lookup(job);
+    return Boolean(match && match.record.status === 'applied');
+  }
+
+  /**
+   * Mark a job as applied to and persist
+   */
+  markApplied(job, application = {}) {
+    const { record } = this.upsert(job);
+
+    record.status = 'applied';
+    record.appliedAt = application.appliedAt || new Date().toISOString();
+    record.application = application;
+    this.save();
+
+    return record;
+  }
+
+  /**
+   * Exclude a job from applications and persist, keeping why (e.g. an eligibility blocker)
+   */
+  markExcluded(job, exclusion = {}) {
+    const { record } = this.upsert(job);
+
+    if (record.status !== 'applied') {
+      record.status = 'excluded';
+    }
+    record.excludedAt = new Date().toISOString();
+    record.exclusion = exclusion;
+    this.save();
+
+    return record;
+  }
+
+  /**
+   * Seed the store from the legacy duplicatePreventionDatabase config lists
+   *
+   * excludedJobUrls become excluded records by canonical ID;
+   * excludedCompanyPositions ("Company|Title") match on company and title
+   * only, since the list never recorded locations.
+   */
+  importExclusions({ excludedJobUrls = [], excludedCompanyPositions = [] } = {}) {
+    let imported = 0;
+
+    excludedJobUrls.forEach(url => {
+      const job = { url };
+      if (canonicalId(job) && !this.lookup(job)) {
+        const { record } = this.upsert(job);
+        record.status = 'excluded';
+        record.source = 'duplicatePreventionDatabase';
+        imported++;
+      }
+    });
+
+    excludedCompanyPositions.forEach(entry => {
+      const [company, ...titleParts] = entry.split('|');
+      const legacyKey = companyPosition({ company, title: titleParts.join('|') });
+
+      if (!this.byCompanyPosition.has(legacyKey)) {
+        const record = {
+          key: `legacy:${legacyKey}`,
+          canonicalIds: [],
+          fingerprints: [],
+          legacyCompanyPosition: legacyKey,
+          title: titleParts.join('|'),
+          company,
+          status: 'excluded',
+          source: 'duplicatePreventionDatabase',
+          firstSeenAt: new Date().toISOString(),
+          sightings: 0,
+          searches: []
+        };
+        this.jobs[record.key] = record;
+        this.indexRecord(record);
+        imported++;
+      }
+    });
+
+    if (imported > 0) {
+      this.save();
+      this.logger.info(`Imported ${imported} legacy exclusions into the job store`);
+    }
+
+    return imported;
+  }
+
+  /**
+   * Record counts by status
+   */
+  getStats() {
+    const records = Object.values(this.jobs);
+    return {
+      total: records.length,
+      seen: records.filter(record => record.status === 'seen').length,
+      applied: records.filter(record => record.status === 'applied').length,
+      excluded: records.filter(record => record.status === 'excluded').length
+    };
+  }
+}
+
+module.exports = { JobStore, canonicalId, fingerprint, normalizeText };
@@ -0,0 +1,146 @@
+/**
+ * Keyword Corpus - TF-IDF and BM25 Keywords Against Collected Postings
+ *
+ * Indexes the descriptions of every job in the job store (document
+ * frequency of each word and two-word phrase) so the keywords extracted
+ * from a posting are the ones distinctive to it rather than the ones every
+ * posting repeats ("team", "experience", "benefits"). With an empty store
+ * every term has the same IDF and the ranking falls back to term frequency.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const { JobStore } = require('./job-store');
+const { LANGUAGE_PACKS, translateToEnglish } = require('./language-packs');
+
+// Common English and job-posting filler that never makes a keyword
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'across', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'being',
+  'both', 'but', 'by', 'can', 'could', 'do', 'does', 'each', 'either', 'etc', 'every', 'for', 'from', 'get', 'had',
+  'has', 'have', 'help', 'how', 'if', 'in', 'including', 'into', 'is', 'it', 'its', 'just', 'like', 'make', 'may',
+  'more', 'most', 'must', 'new', 'no', 'not', 'of', 'on', 'one', 'or', 'other', 'our', 'out', 'over', 'own', 'per',
+  'plus', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+  'this', 'those', 'through', 'to', 'up', 'us', 'use', 'using', 'very', 'via', 'want', 'was', 'we', 'well', 'were',
+  'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'within', 'work', 'would', 'you', 'your',
+  'years', 'year', 'yrs', 'ability', 'able', 'strong', 'excellent', 'good', 'great', 'looking', 'join', 'role',
+  'position', 'candidate', 'candidates', 'ideal', 'required', 'requirements', 'preferred', 'responsibilities',
+  'qualifications', 'experience', 'experienced', 'knowledge', 'skills', 'understanding', 'familiarity', 'working'
+]);
+
+// Function words of the other supported languages, for the parts of a posting the glossary leaves untranslated
+const FOREIGN_STOPWORDS = new Set(Object.values(LANGUAGE_PACKS).flatMap(pack => pack.stopwords));
+
+// Where a phrase cannot continue: punctuation that ends a clause or list item
+const CLAUSE_BREAK = /[,;:!?()[\]\n•|"]|\.(?=\s|$)/;
+
+// A token keeps inner dots, slashes, pluses and hashes: "node.js", "ci/cd", "c++", "c#"; letters may be accented
+const TOKEN = /[\p{L}\p{N}][\p{L}\p{N}+#./-]*[\p{L}\p{N}+#]|[\p{L}\p{N}]/gu;
+
+// BM25 term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const round = value => Math.round(value * 1000) / 1000;
+const isKeyword = word => Boolean(word) && word.length > 1 && !STOPWORDS.has(word) && !FOREIGN_STOPWORDS.has(word) && !/^\d+$/.test(word);
+
+/**
+ * Words and adjacent two-word phrases of a text, stopwords and bare numbers dropped
+ */
+function extractTerms(text) {
+  const terms = [];
+
+  String(text || '').toLowerCase().split(CLAUSE_BREAK).forEach(clause => {
+    const tokens = clause.match(TOKEN) || [];
+    tokens.forEach((token, index) => {
+      if (!isKeyword(token)) {
+        return;
+      }
+      terms.push(token);
+      if (isKeyword(tokens[index + 1])) {
+        terms.push(`${token} ${tokens[index + 1]}`);
+      }
+    });
+  });
+
+  return terms;
+}
+
+/**
+ * Occurrences of each term
+ */
+function countTerms(terms) {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+class KeywordCorpus {
+  constructor() {
+    this.documentCount = 0;
+    this.totalLength = 0;
+    this.documentFrequency = new Map();
+  }
+
+  /**
+   * Corpus of the title and description of every job store record that has a
+   * description, rewritten into English like the postings the analyzer scores
+   */
+  static fromJobStore(jobStore = new JobStore()) {
+    const corpus = new KeywordCorpus();
+    Object.values(jobStore.jobs)
+      .filter(record => record.description)
+      .forEach(record => corpus.addDocument(translateToEnglish(`${record.title || ''}\n${record.description}`)));
+    return corpus;
+  }
+
+  /**
+   * Count the terms of one posting into the document frequencies
+   */
+  addDocument(text) {
+    const terms = extractTerms(text);
+    this.documentCount++;
+    this.totalLength += terms.length;
+    countTerms(terms).forEach((count, term) => {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    });
+  }
+
+  /**
+   * BM25 inverse document frequency; never negative, even for terms in every posting
+   */
+  idf(term) {
+    const frequency = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.documentCount - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  /**
+   * Terms of a text ranked by how distinctive they are for it
+   *
+   * Returns [{ term, count, documentFrequency, tfidf, bm25 }] sorted by bm25,
+   * at most `limit` long. `minCount` drops terms mentioned fewer times.
+   */
+  scoreTerms(text, { limit = 20, minCount = 1 } = {}) {
+    const terms = extractTerms(text);
+    const averageLength = this.documentCount > 0 ? this.totalLength / this.documentCount : terms.length;
+    const lengthNorm = 1 - BM25_B + BM25_B * (terms.length / (averageLength || 1));
+
+    return [...countTerms(terms)]
+      .filter(([, count]) => count >= minCount)
+      .map(([term, count]) => {
+        const documentFrequency = this.documentFrequency.get(term) || 0;
+        return {
+          term,
+          count,
+          documentFrequency,
+          tfidf: round((count / terms.length) * (Math.log((this.documentCount + 1) / (documentFrequency + 1)) + 1)),
+          bm25: round(this.idf(term) * (count * (BM25_K1 + 1)) / (count + BM25_K1 * lengthNorm))
+        };
+      })
+      // On a tie the phrase is more specific than the words in it
+      .sort((a, b) => b.bm25 - a.bm25 || b.count - a.count || b.term.length - a.term.length || a.term.localeCompare(b.term))
+      .slice(0, limit);
+  }
+}
+
+module.exports = { KeywordCorpus, extractTerms };
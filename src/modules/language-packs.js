@@ -0,0 +1,496 @@
+/**
+ * Language Packs - Detection and English Normalization of Job Postings
+ *
+ * Detects whether a posting is written in English, German, Spanish or French
+ * from its stopwords, and provides per-language section headings and a
+ * glossary that rewrites the experience, seniority, skill-domain, culture,
+ * benefit and education wording of a posting into the English terms the
+ * analyzer's keyword tables use ("mindestens 5 Jahre Berufserfahrung" becomes
+ * "at least 5 years experience"), so a German, Spanish or French posting is
+ * analyzed into the same output as its English equivalent.
+ *
+ * Glossary entries are [pattern source, English replacement], applied in
+ * order (longer phrases before the words they contain), case-insensitively
+ * and only on whole words.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Fewer stopword hits than this and the posting is treated as English
+const MIN_STOPWORD_HITS = 3;
+
+const ENGLISH_STOPWORDS = [
+  'the', 'and', 'of', 'to', 'with', 'for', 'you', 'we', 'our', 'will', 'are', 'is', 'in', 'on', 'this', 'your',
+  'be', 'have', 'as', 'an', 'or', 'who', 'what', 'from', 'at', 'by', 'team'
+];
+
+const LANGUAGE_PACKS = {
+  de: {
+    name: 'German',
+    stopwords: [
+      'und', 'der', 'die', 'das', 'mit', 'für', 'wir', 'du', 'sie', 'ist', 'ein', 'eine', 'einen', 'den', 'dem',
+      'von', 'zu', 'auf', 'im', 'bei', 'dich', 'dein', 'deine', 'unser', 'unsere', 'ihre', 'oder', 'nicht', 'auch',
+      'sowie', 'uns', 'bist', 'hast', 'wird', 'werden', 'ihr', 'ihnen'
+    ],
+    headings: [
+      ['eeo', /chancengleichheit|gleichbehandlung|diversität|vielfalt|inklusion/],
+      ['preferred', /wünschenswert|von vorteil|pluspunkte?|idealerweise|was (uns|wir) (besonders )?freu|nice[ -]to[ -]have|bonus/],
+      ['benefits', /wir bieten|was wir (dir|ihnen) bieten|das bieten wir|unser angebot|deine vorteile|ihre vorteile|benefits|vergütung|gehalt/],
+      ['required', /anforderung|voraussetzung|qualifikation|dein profil|ihr profil|was du mitbringst|was sie mitbringen|das bringst du mit|kenntnisse|erfahrung/],
+      ['responsibilities', /aufgaben|tätigkeit|verantwortlichkeit|was dich erwartet|was sie erwartet|deine rolle|ihre rolle/],
+      ['summary', /über die (stelle|rolle|position)|stellenbeschreibung|die (stelle|rolle|position)/],
+      ['about', /über uns|wer wir sind|über das unternehmen|das unternehmen|unsere (mission|geschichte|kultur)/]
+    ],
+    eeoStatement: /chancengleichheit|unabhängig von (geschlecht|herkunft|alter)|gleichbehandlung/,
+    glossary: [
+      // Experience and seniority
+      ['(\\d+)\\s*bis\\s*(\\d+)', '$1 to $2'],
+      ['jahren?', 'years'],
+      ['berufserfahrung', 'experience'],
+      ['erfahrung(?:en)?', 'experience'],
+      ['mindestens', 'at least'],
+      ['berufseinsteiger(?:in|innen)?', 'entry level'],
+      ['hochschulabsolvent(?:in|innen|en)?|absolvent(?:in|innen|en)?', 'graduate'],
+      ['teamleiter(?:in)?|teamleitung', 'team lead'],
+      ['abteilungsleiter(?:in)?|bereichsleiter(?:in)?|leiter(?:in)?', 'head of'],
+      ['geschäftsführer(?:in)?', 'chief executive'],
+      ['mitarbeiterführung|personalführung', 'team leadership'],
+      ['führungserfahrung|führungskompetenz|führung', 'leadership'],
+      ['betreu(?:en|st|t)|anleiten', 'mentor'],
+      ['entw(?:erfen|irfst|irft)', 'design'],
+      ['softwarearchitektur|architektur', 'architecture'],
+      ['systemdesign', 'system design'],
+      ['skalierbarkeit', 'scalability'],
+      // Job types
+      ['softwareentwicklung', 'software development'],
+      ['webentwicklung', 'web development'],
+      ['entwicklung', 'development'],
+      ['softwareentwickler(?:in|innen)?', 'software developer'],
+      ['webentwickler(?:in|innen)?', 'web developer'],
+      ['entwickler(?:in|innen)?', 'developer'],
+      ['softwareingenieur(?:in)?', 'software engineer'],
+      ['ingenieur(?:in|e)?', 'engineer'],
+      ['künstliche(?:n)? intelligenz', 'artificial intelligence'],
+      ['maschinelle(?:s|n)? lernen', 'machine learning'],
+      // Skill domains
+      ['projektmanagement|projektleitung', 'project management'],
+      ['datenanalysen?', 'data analysis'],
+      ['datenvisualisierung', 'data visualization'],
+      ['suchmaschinenoptimierung', 'search engine optimization'],
+      ['keyword-recherche', 'keyword research'],
+      ['linkaufbau', 'link building'],
+      ['organischer traffic', 'organic traffic'],
+      ['online-marketing|digitales marketing', 'digital marketing'],
+      ['content-marketing', 'content marketing'],
+      ['e-mail-marketing', 'email marketing'],
+      ['soziale(?:n)? medien', 'social media'],
+      ['marketing-automatisierung', 'marketing automation'],
+      ['leadgenerierung', 'lead generation'],
+      ['marktforschung', 'market research'],
+      ['kundengewinnung|neukundengewinnung', 'customer acquisition'],
+      ['kampagnenmanagement', 'campaign management'],
+      ['markenführung', 'brand management'],
+      ['strategische(?:n)? planung', 'strategic planning'],
+      ['budgetverantwortung', 'budget management'],
+      ['stakeholder-management', 'stakeholder management'],
+      ['bereichsübergreifend(?:e|en|er)?|abteilungsübergreifend(?:e|en|er)?', 'cross-functional'],
+      ['berichtswesen', 'reporting'],
+      ['statistik', 'statistics'],
+      ['conversion-optimierung', 'conversion optimization'],
+      // Culture and values
+      ['innovativ(?:e|en|er|es)?', 'innovative'],
+      ['innovation(?:en)?', 'innovation'],
+      ['teamorientiert(?:e|en|er)?', 'team-oriented'],
+      ['teamarbeit', 'teamwork'],
+      ['dynamisch(?:e|en|er|es)?', 'dynamic'],
+      ['agil(?:e|en|er|es)?', 'agile'],
+      ['datengetrieben(?:e|en|er|es)?', 'data-driven'],
+      ['kundenorientiert(?:e|en|er|es)?', 'customer-focused'],
+      ['wachstum', 'growth'],
+      ['nachhaltigkeit', 'sustainability'],
+      ['qualität', 'quality'],
+      // Benefits and company size
+      ['home[- ]?office|mobiles arbeiten|von zu hause', 'remote'],
+      ['flexible(?:n)? arbeitszeiten|gleitzeit', 'flexible hours'],
+      ['work-life-balance', 'work-life balance'],
+      ['weiterbildung(?:en)?|fortbildung(?:en)?', 'professional development'],
+      ['mitarbeiterbeteiligung|virtuelle(?:n)? anteile', 'equity'],
+      ['aktienoptionen', 'stock options'],
+      ['krankenversicherung', 'health insurance'],
+      ['betriebliche(?:n)? altersvorsorge|altersvorsorge', 'retirement'],
+      ['start-?up', 'startup'],
+      ['wachsende(?:s|n)? unternehmen', 'growing company'],
+      ['mittelständische(?:s|n)? unternehmen|mittelstand', 'mid-size'],
+      ['internationale(?:r|s|n)? konzern|multinationale(?:r|s|n)?', 'multinational'],
+      ['konzern|großunternehmen', 'enterprise'],
+      // Industries
+      ['finanzdienstleist(?:er|ungen)', 'financial services'],
+      ['versicherung(?:en)?', 'insurance'],
+      ['bank(?:en|wesen)?', 'banking'],
+      ['gesundheitswesen', 'healthcare'],
+      ['medizinische(?:n|s)?', 'medical'],
+      ['unternehmensberatung|beratung', 'consulting'],
+      ['agentur', 'agency'],
+      ['werbung', 'advertising'],
+      ['einzelhandel', 'retail'],
+      // Requirement wording
+      ['zwingend erforderlich|erforderlich|vorausgesetzt', 'required'],
+      ['voraussetzung(?:en)?', 'requirements'],
+      ['wünschenswert', 'nice to have'],
+      ['von vorteil|ein plus', 'a plus'],
+      ['idealerweise', 'ideally'],
+      // Education
+      ['abgeschlossene(?:s|n)? (?:hochschul)?studium|hochschulabschluss|studium', 'degree'],
+      ['wirtschaftsinformatik|informatik', 'computer science'],
+      ['ingenieurwesen', 'engineering'],
+      ['doktortitel|promoviert(?:e|er)?', 'phd'],
+      ['zertifizierung(?:en)?', 'certification'],
+      ['zertifiziert(?:e|er|es)?', 'certified']
+    ]
+  },
+
+  es: {
+    name: 'Spanish',
+    stopwords: [
+      'y', 'de', 'la', 'en', 'un', 'el', 'los', 'las', 'del', 'con', 'para', 'por', 'una', 'que', 'tu', 'tus', 'nuestro', 'nuestra',
+      'nuestros', 'somos', 'se', 'al', 'como', 'es', 'buscamos', 'ofrecemos', 'serás', 'tendrás', 'muy', 'más'
+    ],
+    headings: [
+      ['eeo', /igualdad de oportunidades|no discriminación|diversidad|inclusión/],
+      ['preferred', /deseable|valorable|se valorará|valoramos|un plus|idealmente|nice[ -]to[ -]have/],
+      ['benefits', /ofrecemos|qué ofrecemos|lo que ofrecemos|beneficios|ventajas|salario|remuneración/],
+      ['required', /requisitos|requerimientos|perfil|qué buscamos|lo que buscamos|lo que necesitas|habilidades|competencias|experiencia/],
+      ['responsibilities', /responsabilidades|funciones|tareas|qué harás|lo que harás|tu día a día|tu rol/],
+      ['summary', /sobre el (puesto|rol|trabajo|cargo)|descripción del (puesto|empleo|trabajo)|el puesto|el rol/],
+      ['about', /sobre nosotros|quiénes somos|sobre la empresa|la empresa|nuestra (misión|historia|cultura)/]
+    ],
+    eeoStatement: /igualdad de oportunidades|sin distinción de|no discriminación/,
+    glossary: [
+      // Experience and seniority
+      ['(\\d+)\\s*(?:a|y)\\s*(\\d+)(?=\\s*años)', '$1 to $2'],
+      ['años', 'years'],
+      ['año', 'year'],
+      ['de experiencia', 'of experience'],
+      ['experiencia', 'experience'],
+      ['al menos|como mínimo|mínimo', 'at least'],
+      ['sin experiencia', 'entry level'],
+      ['recién graduad[oa]s?', 'new grad'],
+      ['semi[- ]?s[eé]nior', 'mid-level'],
+      ['s[eé]nior', 'senior'],
+      ['j[uú]nior', 'junior'],
+      ['jefe de equipo|líder de equipo|líder técnico', 'team lead'],
+      ['jefe de', 'head of'],
+      ['directora?', 'director'],
+      ['liderazgo de equipos?', 'team leadership'],
+      ['liderazgo', 'leadership'],
+      ['gestionar|dirigir', 'manage'],
+      ['mentorizar|mentoría', 'mentor'],
+      ['supervisar', 'supervise'],
+      ['arquitectura', 'architecture'],
+      ['diseño de sistemas', 'system design'],
+      ['diseño técnico', 'technical design'],
+      ['diseñar|diseño', 'design'],
+      ['escalabilidad', 'scalability'],
+      // Job types
+      ['desarrollador(?:a|es|as)?|programador(?:a|es|as)?', 'developer'],
+      ['ingenier[oa]s?', 'engineer'],
+      ['desarrollo de software', 'software development'],
+      ['desarrollo web', 'web development'],
+      ['microservicios', 'microservices'],
+      ['inteligencia artificial', 'artificial intelligence'],
+      ['aprendizaje automático', 'machine learning'],
+      // Skill domains
+      ['gestión de proyectos', 'project management'],
+      ['análisis de datos', 'data analysis'],
+      ['visualización de datos', 'data visualization'],
+      ['optimización para motores de búsqueda|posicionamiento (?:web|orgánico|seo)', 'search engine optimization'],
+      ['investigación de palabras clave', 'keyword research'],
+      ['construcción de enlaces|linkbuilding', 'link building'],
+      ['tráfico orgánico', 'organic traffic'],
+      ['marketing digital', 'digital marketing'],
+      ['marketing de contenidos', 'content marketing'],
+      ['redes sociales', 'social media'],
+      ['automatización de marketing', 'marketing automation'],
+      ['generación de leads', 'lead generation'],
+      ['investigación de mercados?|estudios? de mercado', 'market research'],
+      ['captación de clientes', 'customer acquisition'],
+      ['gestión de campañas', 'campaign management'],
+      ['gestión de marca', 'brand management'],
+      ['planificación estratégica', 'strategic planning'],
+      ['gestión de presupuestos?', 'budget management'],
+      ['gestión de stakeholders|gestión de partes interesadas', 'stakeholder management'],
+      ['multifuncional(?:es)?|transversal(?:es)?', 'cross-functional'],
+      ['informes', 'reporting'],
+      ['cuadros? de mando', 'dashboard'],
+      ['estadística', 'statistics'],
+      ['inteligencia de negocio', 'business intelligence'],
+      ['pruebas a/b|tests a/b', 'a/b testing'],
+      ['tasa de conversión', 'conversion rate'],
+      ['optimización de (?:la )?conversión', 'conversion optimization'],
+      // Culture and values
+      ['innovador(?:a|es|as)?', 'innovative'],
+      ['innovación', 'innovation'],
+      ['colaborativ[oa]s?', 'collaborative'],
+      ['trabajo en equipo', 'teamwork'],
+      ['dinámic[oa]s?', 'dynamic'],
+      ['ágil(?:es)?', 'agile'],
+      ['orientad[oa]s? a (?:los )?datos', 'data-driven'],
+      ['orientad[oa]s? al cliente', 'customer-focused'],
+      ['crecimiento', 'growth'],
+      ['sostenibilidad', 'sustainability'],
+      ['integridad', 'integrity'],
+      ['excelencia', 'excellence'],
+      ['calidad', 'quality'],
+      // Benefits and company size
+      ['100% remoto|trabajo (?:en )?remoto|en remoto|remoto|teletrabajo', 'remote'],
+      ['horario flexible|flexibilidad horaria', 'flexible hours'],
+      ['conciliación', 'work-life balance'],
+      ['desarrollo profesional', 'professional development'],
+      ['formación', 'training'],
+      ['opciones sobre acciones', 'stock options'],
+      ['seguro médico|seguro de salud', 'health insurance'],
+      ['plan de pensiones', 'pension'],
+      ['start-?up', 'startup'],
+      ['empresa en crecimiento', 'growing company'],
+      ['gran empresa', 'large corporation'],
+      ['multinacional', 'multinational'],
+      // Industries
+      ['servicios financieros', 'financial services'],
+      ['banca', 'banking'],
+      ['seguros', 'insurance'],
+      ['inversión', 'investment'],
+      ['contabilidad', 'accounting'],
+      ['sanidad|salud', 'healthcare'],
+      ['farmacéutic[oa]s?', 'pharmaceutical'],
+      ['consultoría', 'consulting'],
+      ['agencia', 'agency'],
+      ['publicidad', 'advertising'],
+      ['comercio electrónico', 'ecommerce'],
+      ['tecnología', 'technology'],
+      // Requirement wording
+      ['imprescindible|obligatori[oa]|requerid[oa]s?', 'required'],
+      ['requisitos', 'requirements'],
+      ['deseables?|valorables?|se valorará', 'nice to have'],
+      ['un plus', 'a plus'],
+      ['idealmente', 'ideally'],
+      // Education
+      ['ingeniería informática|ciencias de la computación|informática', 'computer science'],
+      ['ingeniería', 'engineering'],
+      ['titulación universitaria|título universitario|titulación|licenciatura|grado universitario', 'degree'],
+      ['máster', 'master'],
+      ['doctorado', 'phd'],
+      ['certificación(?:es)?', 'certification'],
+      ['certificad[oa]s?', 'certified'],
+      // Last, so the phrases above keep their meaning
+      ['desarrollo', 'development']
+    ]
+  },
+
+  fr: {
+    name: 'French',
+    stopwords: [
+      'et', 'de', 'la', 'en', 'un', 'le', 'les', 'des', 'pour', 'avec', 'une', 'du', 'vous', 'nous', 'est', 'dans', 'sur', 'au', 'aux',
+      'votre', 'vos', 'notre', 'nos', 'qui', 'ce', 'sont', 'serez', 'êtes', 'être', 'ou', 'ton', 'tes'
+    ],
+    headings: [
+      ['eeo', /égalité des chances|non[- ]discrimination|diversité|inclusion|handicap/],
+      ['preferred', /souhaité|apprécié|un plus|atouts?|idéalement|bonus|nice[ -]to[ -]have/],
+      ['benefits', /nous offrons|ce que nous (offrons|proposons)|nous (vous|te) proposons|avantages|pourquoi nous rejoindre|rémunération|salaire/],
+      ['required', /profil|compétences|prérequis|qualifications?|exigences|ce que nous recherchons|vous êtes|tu es|expérience/],
+      ['responsibilities', /missions?|responsabilités|vos tâches|tes tâches|ce que (vous ferez|tu feras)|au quotidien|votre rôle|ton rôle/],
+      ['summary', /à propos du (poste|rôle)|description du poste|le poste|le rôle/],
+      ['about', /à propos de nous|qui sommes[- ]nous|l('|’)entreprise|notre (entreprise|mission|histoire|culture)|à propos/]
+    ],
+    eeoStatement: /égalité des chances|sans distinction|non[- ]discrimination/,
+    glossary: [
+      // Experience and seniority
+      ['(\\d+)\\s*à\\s*(\\d+)(?=\\s*(?:ans|années))', '$1 to $2'],
+      ['ans|années', 'years'],
+      ['an|année', 'year'],
+      ['d[\'’]expérience', 'of experience'],
+      ['expériences?', 'experience'],
+      ['au moins|minimum', 'at least'],
+      ['débutant(?:e|s|es)?', 'entry level'],
+      ['jeunes? diplômé(?:e|s|es)?', 'new grad'],
+      ['confirmé(?:e|s|es)?', 'experienced'],
+      ['chef d[\'’]équipe|responsable d[\'’]équipe|lead technique', 'team lead'],
+      ['directeur|directrice', 'director'],
+      ['management d[\'’]équipe', 'team leadership'],
+      ['encadrer|encadrement', 'mentor'],
+      ['manager une équipe', 'manage'],
+      ['mentorat', 'mentoring'],
+      ['superviser', 'supervise'],
+      ['conception de systèmes', 'system design'],
+      ['conception technique', 'technical design'],
+      ['concevoir|conception', 'design'],
+      ['scalabilité|évolutivité', 'scalability'],
+      // Job types
+      ['développeur(?:se)?s?', 'developer'],
+      ['ingénieur(?:e)?s?', 'engineer'],
+      ['développement logiciel', 'software development'],
+      ['développement web', 'web development'],
+      ['intelligence artificielle', 'artificial intelligence'],
+      ['apprentissage automatique', 'machine learning'],
+      // Skill domains
+      ['gestion de projets?', 'project management'],
+      ['analyse de données', 'data analysis'],
+      ['visualisation de données', 'data visualization'],
+      ['optimisation pour les moteurs de recherche|référencement naturel|référencement', 'search engine optimization'],
+      ['recherche de mots[- ]clés', 'keyword research'],
+      ['netlinking', 'link building'],
+      ['trafic organique', 'organic traffic'],
+      ['marketing digital', 'digital marketing'],
+      ['marketing de contenu', 'content marketing'],
+      ['réseaux sociaux', 'social media'],
+      ['emailing', 'email marketing'],
+      ['automatisation marketing', 'marketing automation'],
+      ['génération de leads', 'lead generation'],
+      ['études? de marché', 'market research'],
+      ['acquisition client', 'customer acquisition'],
+      ['gestion de campagnes?', 'campaign management'],
+      ['gestion de (?:la )?marque', 'brand management'],
+      ['planification stratégique', 'strategic planning'],
+      ['gestion (?:du )?budgét?(?:aire)?', 'budget management'],
+      ['gestion des parties prenantes', 'stakeholder management'],
+      ['transverses?|transversal(?:e|es|aux)?', 'cross-functional'],
+      ['tableaux? de bord', 'dashboard'],
+      ['statistiques?', 'statistics'],
+      ['informatique décisionnelle', 'business intelligence'],
+      ['tests a/b', 'a/b testing'],
+      ['taux de conversion', 'conversion rate'],
+      // Culture and values
+      ['innovant(?:e|s|es)?', 'innovative'],
+      ['collaboratif|collaborative', 'collaborative'],
+      ['travail d[\'’]équipe|esprit d[\'’]équipe', 'teamwork'],
+      ['dynamiques?', 'dynamic'],
+      ['agiles?', 'agile'],
+      ['orienté(?:e|s|es)? données|piloté(?:e|s|es)? par les données', 'data-driven'],
+      ['orienté(?:e|s|es)? client', 'customer-focused'],
+      ['croissance', 'growth'],
+      ['développement durable|durabilité', 'sustainability'],
+      ['diversité', 'diversity'],
+      ['intégrité', 'integrity'],
+      ['qualité', 'quality'],
+      // Benefits and company size
+      ['télétravail|à distance', 'remote'],
+      ['horaires flexibles|horaires aménagés', 'flexible hours'],
+      ['équilibre vie pro(?:fessionnelle)?[ /-]+vie perso(?:nnelle)?', 'work-life balance'],
+      ['développement professionnel', 'professional development'],
+      ['formations?', 'training'],
+      ['actions gratuites|bspce|stock[- ]options', 'stock options'],
+      ['mutuelle', 'health insurance'],
+      ['épargne retraite|retraite', 'retirement'],
+      ['start-?up', 'startup'],
+      ['scale-?up', 'growing company'],
+      ['pme|eti', 'mid-size'],
+      ['grand groupe|grande entreprise', 'large corporation'],
+      ['multinationale', 'multinational'],
+      // Industries
+      ['services financiers', 'financial services'],
+      ['banques?|bancaires?', 'banking'],
+      ['assurances?', 'insurance'],
+      ['investissement', 'investment'],
+      ['comptabilité', 'accounting'],
+      ['santé', 'healthcare'],
+      ['médica(?:l|le|ux|les)', 'medical'],
+      ['pharmaceutiques?', 'pharmaceutical'],
+      ['hôpital', 'hospital'],
+      ['cabinet de conseil|conseil', 'consulting'],
+      ['agence', 'agency'],
+      ['publicité', 'advertising'],
+      ['médias', 'media'],
+      ['commerce en ligne', 'ecommerce'],
+      ['logiciels?', 'software'],
+      // Requirement wording
+      ['requis(?:e|es)?|obligatoires?|indispensables?|exigé(?:e|s|es)?', 'required'],
+      ['prérequis', 'requirements'],
+      ['souhaité(?:e|s|es)?|apprécié(?:e|s|es)?|souhaitables?', 'nice to have'],
+      ['un plus|un atout', 'a plus'],
+      ['idéalement', 'ideally'],
+      // Education
+      ['école d[\'’]ingénieurs?', 'engineering degree'],
+      ['diplôme|bac ?\\+ ?[2-5]', 'degree'],
+      ['licence', 'bachelor'],
+      ['doctorat', 'phd'],
+      ['informatique', 'computer science'],
+      ['ingénierie', 'engineering'],
+      ['certifié(?:e|s|es)?', 'certified'],
+      // Last, so the phrases above keep their meaning
+      ['développement', 'development']
+    ]
+  }
+};
+
+const LANGUAGES = [DEFAULT_LANGUAGE, ...Object.keys(LANGUAGE_PACKS)];
+
+const STOPWORD_SETS = {
+  [DEFAULT_LANGUAGE]: new Set(ENGLISH_STOPWORDS),
+  ...Object.fromEntries(Object.entries(LANGUAGE_PACKS).map(([code, pack]) => [code, new Set(pack.stopwords)]))
+};
+
+// Compiled glossaries, built on first use
+const compiled = {};
+
+/**
+ * Language code of a text: the language with the most stopwords in it, English on a tie or too few hits
+ */
+function detectLanguage(text) {
+  const words = String(text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  const hits = Object.fromEntries(LANGUAGES.map(code => [code, words.filter(word => STOPWORD_SETS[code].has(word)).length]));
+  const best = LANGUAGES.reduce((a, b) => (hits[b] > hits[a] ? b : a));
+
+  return hits[best] >= MIN_STOPWORD_HITS ? best : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Language pack of a language code, or null for English and unknown codes
+ */
+function languagePack(language) {
+  return LANGUAGE_PACKS[language] || null;
+}
+
+/**
+ * Glossary of a language as whole-word, case-insensitive patterns
+ */
+function glossaryPatterns(language) {
+  if (!compiled[language]) {
+    compiled[language] = languagePack(language).glossary.map(([source, english]) => [
+      new RegExp(`(?<![\\p{L}\\p{N}])(?:${source})(?![\\p{L}\\p{N}])`, 'giu'),
+      english
+    ]);
+  }
+  return compiled[language];
+}
+
+/**
+ * Rewrite the glossary phrases of a text into English; English text is returned as is
+ */
+function translateToEnglish(text, language = detectLanguage(text)) {
+  const value = String(text || '');
+  if (!languagePack(language)) {
+    return value;
+  }
+
+  return glossaryPatterns(language).reduce((result, [pattern, english]) => result.replace(pattern, english), value);
+}
+
+/**
+ * Section heading patterns of a language, for the segmenter
+ */
+function headingPatterns(language) {
+  const pack = languagePack(language);
+  return pack ? pack.headings : [];
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_PACKS,
+  detectLanguage,
+  languagePack,
+  translateToEnglish,
+  headingPatterns
+};
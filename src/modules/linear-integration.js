@@ -200,7 +200,7 @@ class LinearIntegration {
 - **Automation System**: browseruse-resume v1.0.0
 - **Browser Automation**: browsermcp MCP server
 - **Resume Generation**: Puppeteer PDF with graceful fallback
-- **Master Data**: ivo-dachev-master-updated.json
+- **Master Data**: config/candidate-profile.json
 
 ---
 *This issue was automatically created by the LinkedIn automation workflow system.*`;
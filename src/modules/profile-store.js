@@ -0,0 +1,177 @@
+/**
+ * Profile Store - The Candidate Profile Shared by Every Module
+ *
+ * Loads config/candidate-profile.json, the one place the candidate's contact
+ * details, work history, education, certifications, skills and preferences
+ * are kept, and validates it against config/candidate-profile.schema.json.
+ * Resume generators, the Easy Apply form filler, cover letters, job matching
+ * and eligibility checks all read from it, so a fact changed there shows up
+ * everywhere. A profile with a missing or malformed required field fails to
+ * load instead of silently falling back to stale values.
+ *
+ * The validator covers the JSON Schema keywords the profile schema uses:
+ * type, required, properties, additionalProperties, items, enum, minimum,
+ * maximum, minLength, minItems, pattern and local $ref.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_DIR = path.join(__dirname, '..', '..', 'config');
+const DEFAULT_PROFILE = path.join(CONFIG_DIR, 'candidate-profile.json');
+const DEFAULT_SCHEMA = path.join(CONFIG_DIR, 'candidate-profile.schema.json');
+
+const typeOf = value => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Resolve a local "#/definitions/name" reference
+ */
+function resolveRef(ref, root) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) {
+    throw new Error(`Unresolvable schema reference ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Validate a value against a schema node, collecting "path: problem" strings
+ */
+function validateNode(value, schema, at, root, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), at, root, errors);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${at}: must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must not be ${schema.minLength === 1 ? 'empty' : `shorter than ${schema.minLength} characters`}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: does not look valid`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: needs at least ${schema.minItems} ${schema.minItems === 1 ? 'entry' : 'entries'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${at}[${index}]`, root, errors));
+    }
+  } else if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${at}.${key}: is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (child === undefined || child === null) {
+        return;
+      }
+      const childSchema = (schema.properties || {})[key] || (typeOf(schema.additionalProperties) === 'object' ? schema.additionalProperties : null);
+      if (childSchema) {
+        validateNode(child, childSchema, `${at}.${key}`, root, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a profile against the schema
+ *
+ * Returns { valid, errors } where each error reads "profile.path: problem".
+ */
+function validateProfile(profile, schema = JSON.parse(fs.readFileSync(DEFAULT_SCHEMA, 'utf8'))) {
+  const errors = [];
+  validateNode(profile, schema, 'profile', schema, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Read and validate a profile file; throws when it is missing or invalid
+ */
+function loadProfile(file = DEFAULT_PROFILE, schemaFile = DEFAULT_SCHEMA) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Candidate profile not found at ${file}`);
+  }
+
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Candidate profile ${file} is not valid JSON: ${error.message}`);
+  }
+
+  const { valid, errors } = validateProfile(profile, JSON.parse(fs.readFileSync(schemaFile, 'utf8')));
+  if (!valid) {
+    throw new Error(`Candidate profile ${file} is invalid:\n  ${errors.join('\n  ')}`);
+  }
+
+  return profile;
+}
+
+/**
+ * The profile in the master resume layout ResumeGenerator and its templates use
+ */
+function toMasterResume(profile) {
+  const links = profile.links || {};
+
+  return {
+    personalInfo: {
+      name: profile.name,
+      title: profile.title,
+      email: profile.email,
+      phone: profile.phone,
+      location: profile.location,
+      linkedin: links.linkedin,
+      github: links.github,
+      website: links.website,
+      openToWork: Boolean(profile.linkedinProfile && profile.linkedinProfile.openToWork),
+      experience: `${profile.yearsOfExperience}+ years`
+    },
+    workExperience: profile.workHistory,
+    technicalSkills: profile.skills.technical,
+    education: profile.education,
+    certifications: profile.certifications
+  };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  DEFAULT_SCHEMA,
+  loadProfile,
+  validateProfile,
+  toMasterResume
+};
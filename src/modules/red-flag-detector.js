@@ -0,0 +1,210 @@
+/**
+ * Red Flag Detector - Scam, Agency Repost and Ghost Job Signals
+ *
+ * Scores postings for signs that applying is a waste: scam signals
+ * (requests for payment, interviews over personal messaging apps, personal
+ * email contacts, a vague company, unrealistic pay), staffing agencies
+ * reposting a client's job, "ghost jobs" left open for weeks with thousands
+ * of applicants, and titles whose seniority contradicts the experience asked
+ * for. The risk score lowers JobSearch quality scores and the campaign
+ * quality filters reject jobs above a configured risk or with given signals.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const { parseCompensation } = require('./compensation-parser');
+
+// Risk points per flag severity; the risk score is their sum, capped at 100
+const SEVERITY_WEIGHTS = {
+  low: 10,
+  medium: 20,
+  high: 35
+};
+
+// Used by the quality filters when a campaign does not configure redFlags
+const DEFAULT_RED_FLAG_FILTERS = {
+  maxRiskScore: 50,
+  excludeSignals: ['payment', 'messagingApp']
+};
+
+const PAYMENT_PATTERNS = [
+  /\b(?:application|registration|training|onboarding|processing|background check|starter kit) fee\b/,
+  /\b(?:you will|you'll|must|required to|need to|have to) (?:first )?(?:pay|purchase|buy)\b[^.;\n]{0,40}\b(?:equipment|software|training|kit|laptop|check|materials|certification)\b/,
+  /\bupfront (?:payment|fee|cost|investment)\b/,
+  /\b(?:wire transfer|gift cards?|cashier'?s check|money order)\b/,
+  /\bdeposit (?:a |the )?(?:check|cheque)\b/
+];
+
+const MESSAGING_APPS = '(?:whatsapp|telegram|signal|wickr|kik|google hangouts|hangouts|wechat|viber)';
+const MESSAGING_PATTERN = new RegExp(`\\b(?:contact|message|text|reach|chat with|add|interview(?:s|ed)?(?: (?:is|are|will be))?(?: (?:conducted|held|done))?|apply) (?:us |me )?(?:on|via|over|through|at|using)?\\s?${MESSAGING_APPS}\\b|\\b${MESSAGING_APPS}\\s*(?:[:@+]|number|id\\b)`);
+
+// Anti-fraud notices ("we never charge an application fee") name the same
+// things as scams; a match whose clause negates it is not a signal
+const NEGATION_PATTERN = /\b(?:never|do not|don't|does not|doesn't|will not|won't)\b/;
+const CLAUSE_BOUNDARIES = ['.', ';', ':', '!', '?', ',', '\n'];
+
+const PERSONAL_EMAIL_PATTERN = /\b[\w.+-]+@(?:gmail|yahoo|hotmail|outlook|aol|icloud|protonmail|proton)\.[a-z.]{2,6}\b/;
+
+const VAGUE_COMPANY_PATTERN = /^(?:unknown company|confidential|company confidential|confidential company|private|private company|undisclosed|hiring company|stealth|n\/a|-)?$/;
+
+const AGENCY_NAME_PATTERN = /\b(?:staffing|recruit(?:ing|ment|ers)|talent (?:solutions|partners|group)|personnel|workforce solutions|search partners|robert half|teksystems|insight global|randstad|kforce|adecco|apex systems|cybercoders|aerotek|manpower|jobot|hays)\b/;
+const AGENCY_TEXT_PATTERN = /\b(?:our client|on behalf of (?:our|a|the) client|client of ours|c2c|corp[\s-]to[\s-]corp|w2 only)\b/;
+
+const JUNIOR_TITLE = /\b(?:intern(?:ship)?|junior|jr\.?|entry[\s-]level|graduate|new grad)\b/;
+const SENIOR_TITLE = /\b(?:senior|sr\.?|staff|principal|lead|head of|director|architect|vp)\b/;
+const ENTRY_LEVEL_TEXT = /\bentry[\s-]level\b|\bno (?:prior )?experience (?:required|necessary|needed)\b|\bnew grad(?:uate)?s?\b|\b0\s*(?:-|–|to)\s*[12] years?\b/;
+const YEARS_REQUIRED = /\b(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*\+?\s*)?years?\b[^.;\n]{0,40}\bexperience\b/g;
+const EARNINGS_PATTERN = /\b(?:earn|make|making|earning)\b[^.;\n]{0,20}[$€£]\s?\d[^.;\n]*/;
+
+// Junior titles asking for this many years, and annual pay no posting of any level plausibly offers
+const JUNIOR_MAX_YEARS = 4;
+const UNREALISTIC_ANNUAL = 500000;
+const UNREALISTIC_JUNIOR_ANNUAL = 150000;
+
+// Ghost jobs: open this long with this many applicants; stale when only old
+const GHOST_JOB_DAYS = 30;
+const GHOST_JOB_APPLICANTS = 1000;
+const STALE_POSTING_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGE_UNITS_IN_DAYS = { hour: 1 / 24, day: 1, week: 7, month: 30, year: 365 };
+
+/**
+ * Sentence around a match, for showing why a flag was raised
+ */
+function excerpt(text, match) {
+  const before = text.lastIndexOf('.', match.index);
+  const after = text.indexOf('.', match.index + match[0].length);
+  return text.slice(before + 1, after === -1 ? undefined : after + 1).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * First match of a pattern that is not negated earlier in its clause, or null
+ */
+function affirmedMatch(text, pattern) {
+  const matches = [...text.matchAll(new RegExp(pattern.source, 'g'))];
+
+  return matches.find(match => {
+    const before = text.slice(0, match.index);
+    const clauseStart = Math.max(...CLAUSE_BOUNDARIES.map(mark => before.lastIndexOf(mark))) + 1;
+    return !NEGATION_PATTERN.test(before.slice(clauseStart));
+  }) || null;
+}
+
+/**
+ * Days since a job was posted, from postedAt/postedDate or LinkedIn's relative "posted" text, or null
+ */
+function postingAgeDays(job, now) {
+  const date = job.postedAt || job.postedDate;
+  if (date && !Number.isNaN(new Date(date).getTime())) {
+    return (now.getTime() - new Date(date).getTime()) / DAY_MS;
+  }
+
+  const match = String(job.posted || '').toLowerCase().match(/(\d+)\s+(hour|day|week|month|year)s?\s+ago/);
+  return match ? parseInt(match[1], 10) * AGE_UNITS_IN_DAYS[match[2]] : null;
+}
+
+/**
+ * Applicant count from "Over 1,000 applicants" or "25-50 applicants" (the upper figure), or null
+ */
+function applicantCount(applicants) {
+  const counts = (String(applicants || '').match(/\d[\d,]*/g) || []).map(count => parseInt(count.replace(/,/g, ''), 10));
+  return counts.length > 0 ? Math.max(...counts) : null;
+}
+
+/**
+ * Highest years of experience a "N+ years ... experience" sentence asks for, with its match, or null
+ */
+function maxYearsRequired(text) {
+  const years = [...text.matchAll(YEARS_REQUIRED)].map(match => ({ years: parseInt(match[1], 10), match }));
+  return years.length > 0 ? years.reduce((highest, entry) => (entry.years > highest.years ? entry : highest)) : null;
+}
+
+/**
+ * Red flags of a posting
+ *
+ * Returns { riskScore, flags } where each flag is { type, category, severity,
+ * reason, text }, category being 'scam', 'agency', 'ghost' or 'seniority'.
+ * Options: now (for posting age) and currencyRates (for the pay check).
+ */
+function detectRedFlags(job, options = {}) {
+  const now = options.now || new Date();
+  const title = String(job.title || '').toLowerCase();
+  const company = String(job.company || '').trim().toLowerCase();
+  const description = String(job.description || '').toLowerCase();
+  const flags = [];
+  const add = (type, category, severity, reason, text = '') => flags.push({ type, category, severity, reason, text });
+
+  const payment = PAYMENT_PATTERNS.map(pattern => affirmedMatch(description, pattern)).find(Boolean);
+  if (payment) {
+    add('payment', 'scam', 'high', 'Asks the candidate to pay or handle money', excerpt(description, payment));
+  }
+
+  const messaging = affirmedMatch(description, MESSAGING_PATTERN);
+  if (messaging) {
+    add('messagingApp', 'scam', 'high', 'Moves the conversation to a personal messaging app', excerpt(description, messaging));
+  }
+
+  const email = description.match(PERSONAL_EMAIL_PATTERN);
+  if (email) {
+    add('personalEmail', 'scam', 'medium', 'Contact address is a personal email account', excerpt(description, email));
+  }
+
+  if (VAGUE_COMPANY_PATTERN.test(company)) {
+    add('vagueCompany', 'scam', 'low', 'Company is not named', job.company || '');
+  }
+
+  const junior = JUNIOR_TITLE.test(title) || ENTRY_LEVEL_TEXT.test(description);
+  const payText = job.salary && !/not specified/i.test(job.salary) ? job.salary : (description.match(EARNINGS_PATTERN) || [''])[0];
+  const compensation = parseCompensation(payText, { currencyRates: options.currencyRates });
+  if (compensation.annual && (compensation.annual.min >= UNREALISTIC_ANNUAL || (junior && compensation.annual.min >= UNREALISTIC_JUNIOR_ANNUAL))) {
+    add('unrealisticPay', 'scam', 'medium', `Pay of ${compensation.annual.min} ${compensation.annual.currency}/year is unrealistic for the role`, compensation.text);
+  }
+
+  const agencyText = description.match(AGENCY_TEXT_PATTERN);
+  if (AGENCY_NAME_PATTERN.test(company) || agencyText) {
+    add('staffingAgency', 'agency', 'low', 'Posted by a staffing agency on behalf of a client', agencyText ? excerpt(description, agencyText) : job.company);
+  }
+
+  const ageDays = postingAgeDays(job, now);
+  const applicants = applicantCount(job.applicants);
+  if (ageDays !== null && ageDays >= GHOST_JOB_DAYS && applicants !== null && applicants >= GHOST_JOB_APPLICANTS) {
+    add('ghostJob', 'ghost', 'high', `Open ${Math.round(ageDays)} days with ${applicants}+ applicants`, `${job.posted || job.postedAt || job.postedDate}, ${job.applicants}`);
+  } else if (ageDays !== null && ageDays >= STALE_POSTING_DAYS) {
+    add('stalePosting', 'ghost', 'low', `Posted ${Math.round(ageDays)} days ago`, String(job.posted || job.postedAt || job.postedDate));
+  }
+
+  const required = maxYearsRequired(description);
+  if (JUNIOR_TITLE.test(title) && SENIOR_TITLE.test(title)) {
+    add('seniorityMismatch', 'seniority', 'medium', 'Title mixes junior and senior levels', job.title);
+  } else if (JUNIOR_TITLE.test(title) && required && required.years > JUNIOR_MAX_YEARS) {
+    add('seniorityMismatch', 'seniority', 'medium', `Junior title asks for ${required.years}+ years of experience`, excerpt(description, required.match));
+  } else if (SENIOR_TITLE.test(title) && ENTRY_LEVEL_TEXT.test(description)) {
+    add('seniorityMismatch', 'seniority', 'medium', 'Senior title described as an entry-level role', excerpt(description, description.match(ENTRY_LEVEL_TEXT)));
+  }
+
+  const riskScore = Math.min(flags.reduce((sum, flag) => sum + SEVERITY_WEIGHTS[flag.severity], 0), 100);
+  return { riskScore, flags };
+}
+
+/**
+ * Reason detected red flags fail a { maxRiskScore, excludeSignals } quality filter, or null
+ */
+function redFlagRejection(redFlags, filters = DEFAULT_RED_FLAG_FILTERS) {
+  const excluded = redFlags.flags.find(flag => (filters.excludeSignals || []).includes(flag.type));
+  if (excluded) {
+    return `Red flag: ${excluded.reason}`;
+  }
+  if (typeof filters.maxRiskScore === 'number' && redFlags.riskScore > filters.maxRiskScore) {
+    return 'Red flag risk too high';
+  }
+  return null;
+}
+
+module.exports = {
+  SEVERITY_WEIGHTS,
+  DEFAULT_RED_FLAG_FILTERS,
+  detectRedFlags,
+  redFlagRejection
+};
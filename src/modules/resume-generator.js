@@ -11,19 +11,27 @@
 const fs = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
+const JobDescriptionAnalyzer = require('./job-description-analyzer');
+const { IMPLIED_CREDIT } = require('./skill-ontology');
+const { toMasterResume } = require('./profile-store');
 const { Logger, ErrorHandler } = require('./error-handling');
+const config = require('../config');
 
 class ResumeGenerator {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger('ResumeGenerator');
     this.errorHandler = new ErrorHandler();
     this.baseTemplatePath = path.join(__dirname, '..', '..', 'templates', 'resumes', 'base-template');
     this.generatedPath = path.join(__dirname, '..', '..', 'templates', 'resumes', 'generated');
     this.metadataPath = path.join(__dirname, '..', '..', 'templates', 'resumes', 'metadata');
 
-    // Load base data from updated master file
+    // Load base data from the candidate profile plus the requested template
+    this.profile = options.profile || config.get('profile');
+    this.template = options.template || null;
     this.masterData = this.loadMasterData();
     this.skillsDatabase = this.loadSkillsDatabase();
+    this.analyzer = options.analyzer || new JobDescriptionAnalyzer();
+    this.ontology = this.analyzer.ontology;
 
     // Ensure directories exist
     this.ensureDirectories();
@@ -31,22 +39,17 @@ class ResumeGenerator {
 
   /**
    * Load master resume data
+   *
+   * Contact details, work history, skills, education and certifications come
+   * from the candidate profile; the template only adds the professional
+   * summaries and any other writing it carries.
    */
   loadMasterData() {
     try {
-      // Try to load the updated master data file first
-      const updatedMasterPath = path.join(this.baseTemplatePath, 'ivo-dachev-master-updated.json');
-      const originalMasterPath = path.join(this.baseTemplatePath, 'ivo-dachev-master.json');
-
-      let masterPath = updatedMasterPath;
-      if (!fs.existsSync(updatedMasterPath)) {
-        this.logger.warn('Updated master data file not found, falling back to original');
-        masterPath = originalMasterPath;
-      }
-
-      const data = fs.readFileSync(masterPath, 'utf8');
-      const masterData = JSON.parse(data);
-      this.logger.info(`✅ Master resume data loaded from: ${path.basename(masterPath)}`);
+      const masterPath = path.resolve(this.baseTemplatePath, this.template || 'ivo-dachev-master-updated.json');
+      const templateData = JSON.parse(fs.readFileSync(masterPath, 'utf8'));
+      const masterData = { ...templateData, ...toMasterResume(this.profile) };
+      this.logger.info(`✅ Master resume data loaded from the candidate profile and ${path.basename(masterPath)}`);
 
       return masterData;
     } catch (error) {
@@ -88,7 +91,7 @@ class ResumeGenerator {
       this.logger.info(`Generating resume for job: ${jobData.title} at ${jobData.company}`);
       
       // Analyze job description
-      const jobAnalysis = await this.analyzeJobDescription(jobData);
+      const jobAnalysis = await this.analyzeJobDescription(jobData, options.jobAnalysis);
       
       // Generate customized content
       const customizedResume = await this.customizeResumeContent(jobAnalysis, options);
@@ -137,42 +140,34 @@ class ResumeGenerator {
   }
 
   /**
-   * Analyze job description to extract requirements
+   * Analyze job description and score it against the master resume,
+   * reusing an analysis already made with the current schema
    */
-  async analyzeJobDescription(jobData) {
+  async analyzeJobDescription(jobData, jobAnalysis = null) {
     try {
       this.logger.info('Analyzing job description...');
       
-      const jobText = `${jobData.title} ${jobData.description || ''} ${jobData.company}`.toLowerCase();
-      
-      // Extract job type
-      const jobType = this.determineJobType(jobText);
+      const analysis = JobDescriptionAnalyzer.isCurrent(jobAnalysis) ? jobAnalysis : this.analyzer.analyze(jobData);
+      const rankedSkills = analysis.skills.ranked;
       
-      // Extract required skills
-      const requiredSkills = this.extractRequiredSkills(jobText);
-      
-      // Extract experience requirements
-      const experienceRequirements = this.extractExperienceRequirements(jobText);
-      
-      // Calculate match scores
-      const skillMatchScores = this.calculateSkillMatches(requiredSkills);
+      // Calculate match scores, implied skills included
+      const skillMatchScores = this.calculateSkillMatches([...rankedSkills, ...analysis.skills.implied]);
       
       // Determine overall match score
-      const overallMatchScore = this.calculateOverallMatchScore(skillMatchScores, experienceRequirements);
+      const overallMatchScore = this.calculateOverallMatchScore(skillMatchScores, analysis.experience);
       
-      const analysis = {
-        jobType: jobType,
-        requiredSkills: requiredSkills,
-        experienceRequirements: experienceRequirements,
+      const scored = {
+        ...analysis,
         skillMatchScores: skillMatchScores,
         overallMatchScore: overallMatchScore,
-        primaryFocus: this.determinePrimaryFocus(requiredSkills, jobType),
+        experienceGaps: this.findExperienceGaps(analysis.experience),
+        primaryFocus: this.determinePrimaryFocus(rankedSkills, analysis.jobType),
         customizationLevel: this.determineCustomizationLevel(overallMatchScore)
       };
       
-      this.logger.info(`Job analysis completed. Type: ${jobType}, Match: ${overallMatchScore}%`);
+      this.logger.info(`Job analysis completed. Type: ${analysis.jobType}, Match: ${overallMatchScore}%`);
       
-      return analysis;
+      return scored;
       
     } catch (error) {
       this.logger.error('Job analysis failed:', error);
@@ -184,125 +179,16 @@ class ResumeGenerator {
    * Determine job type from job description
    */
   determineJobType(jobText) {
-    const jobTypeKeywords = this.skillsDatabase.jobTypeMapping;
-    let bestMatch = 'fullstack';
-    let highestScore = 0;
-    
-    for (const [jobType, mapping] of Object.entries(jobTypeKeywords)) {
-      let score = 0;
-      
-      mapping.keywords.forEach(keyword => {
-        if (jobText.includes(keyword)) {
-          score += 1;
-        }
-      });
-      
-      if (score > highestScore) {
-        highestScore = score;
-        bestMatch = jobType;
-      }
-    }
-    
-    return bestMatch;
+    return this.analyzer.determineJobType(jobText);
   }
 
   /**
-   * Extract required skills from job description
+   * Extract skills from job description, strongest mentions first,
+   * followed by the skills they imply (Next.js implies React)
    */
   extractRequiredSkills(jobText) {
-    const requiredSkills = [];
-    
-    // Check all skills in database
-    Object.values(this.skillsDatabase.skillCategories).forEach(category => {
-      Object.entries(category.skills).forEach(([skillName, skillData]) => {
-        // Check main skill name
-        if (jobText.includes(skillName.toLowerCase())) {
-          requiredSkills.push({
-            name: skillName,
-            category: category.displayName,
-            proficiency: skillData.proficiency,
-            priority: 'high'
-          });
-        }
-        
-        // Check aliases
-        skillData.aliases.forEach(alias => {
-          if (jobText.includes(alias.toLowerCase())) {
-            requiredSkills.push({
-              name: skillName,
-              category: category.displayName,
-              proficiency: skillData.proficiency,
-              priority: 'medium'
-            });
-          }
-        });
-        
-        // Check keywords
-        skillData.keywords.forEach(keyword => {
-          if (jobText.includes(keyword)) {
-            requiredSkills.push({
-              name: skillName,
-              category: category.displayName,
-              proficiency: skillData.proficiency,
-              priority: 'low'
-            });
-          }
-        });
-      });
-    });
-    
-    // Remove duplicates and sort by priority
-    const uniqueSkills = requiredSkills.reduce((acc, skill) => {
-      const existing = acc.find(s => s.name === skill.name);
-      if (!existing || skill.priority === 'high') {
-        acc = acc.filter(s => s.name !== skill.name);
-        acc.push(skill);
-      }
-      return acc;
-    }, []);
-    
-    return uniqueSkills.sort((a, b) => {
-      const priorityOrder = { high: 3, medium: 2, low: 1 };
-      return priorityOrder[b.priority] - priorityOrder[a.priority];
-    });
-  }
-
-  /**
-   * Extract experience requirements
-   */
-  extractExperienceRequirements(jobText) {
-    const requirements = {
-      yearsRequired: 0,
-      seniorityLevel: 'mid',
-      specificExperience: []
-    };
-    
-    // Extract years of experience
-    const yearsMatch = jobText.match(/(\d+)\+?\s*years?\s*(of\s*)?(experience|exp)/i);
-    if (yearsMatch) {
-      requirements.yearsRequired = parseInt(yearsMatch[1]);
-    }
-    
-    // Determine seniority level
-    if (jobText.includes('senior') || jobText.includes('lead') || jobText.includes('principal')) {
-      requirements.seniorityLevel = 'senior';
-    } else if (jobText.includes('junior') || jobText.includes('entry')) {
-      requirements.seniorityLevel = 'junior';
-    }
-    
-    // Extract specific experience requirements
-    const experienceKeywords = [
-      'leadership', 'team lead', 'mentoring', 'architecture', 'design',
-      'scalability', 'performance', 'optimization', 'deployment', 'ci/cd'
-    ];
-    
-    experienceKeywords.forEach(keyword => {
-      if (jobText.includes(keyword)) {
-        requirements.specificExperience.push(keyword);
-      }
-    });
-    
-    return requirements;
+    const skills = this.analyzer.extractSkills(jobText);
+    return [...skills.ranked, ...skills.implied];
   }
 
   /**
@@ -321,11 +207,16 @@ class ResumeGenerator {
           matchScore: this.calculateSkillMatchScore(skill, masterSkill)
         };
       } else {
+        // Credit a more specific skill from the master resume that implies this one
+        const impliedBy = this.ontology.descendants(skill.name).find(name => this.findSkillInMaster(name));
+        const impliedSkill = impliedBy ? this.findSkillInMaster(impliedBy) : null;
+        
         matches[skill.name] = {
           required: true,
-          proficiency: 0,
-          years: 0,
-          matchScore: 0
+          proficiency: impliedSkill ? impliedSkill.proficiency : 0,
+          years: impliedSkill ? impliedSkill.years : 0,
+          matchScore: impliedSkill ? this.calculateSkillMatchScore(skill, impliedSkill) * IMPLIED_CREDIT : 0,
+          ...(impliedBy && { impliedBy })
         };
       }
     });
@@ -334,20 +225,34 @@ class ResumeGenerator {
   }
 
   /**
-   * Find skill in master data
+   * Find skill in master data by name, alias or versioned name
    */
   findSkillInMaster(skillName) {
     const allSkills = this.masterData.technicalSkills;
+    const canonical = this.ontology.canonicalName(skillName) || skillName;
     
     for (const category of Object.values(allSkills)) {
-      if (category[skillName]) {
-        return category[skillName];
+      const name = Object.keys(category).find(key => key === skillName || this.ontology.canonicalName(key) === canonical);
+      if (name) {
+        return this.normalizeMasterSkill(name, category[name]);
       }
     }
     
     return null;
   }
 
+  /**
+   * The updated master file stores a bare proficiency score; take the years from the skills database
+   */
+  normalizeMasterSkill(name, value) {
+    if (typeof value !== 'number') {
+      return value;
+    }
+    
+    const known = this.ontology.get(this.ontology.canonicalName(name));
+    return { proficiency: value, years: (known && known.years) || 0 };
+  }
+
   /**
    * Calculate individual skill match score
    */
@@ -363,9 +268,9 @@ class ResumeGenerator {
     const experienceScore = Math.min(masterSkill.years / 5, 1) * 40;
     score += experienceScore;
     
-    // Priority bonus (20% weight)
-    const priorityBonus = requiredSkill.priority === 'high' ? 20 : 
-                         requiredSkill.priority === 'medium' ? 15 : 10;
+    // Mention bonus (20% weight): named outright, through an alias or a keyword
+    const priorityBonus = requiredSkill.matchedBy === 'name' ? 20 : 
+                         requiredSkill.matchedBy === 'alias' ? 15 : 10;
     score += priorityBonus;
     
     return Math.min(score, 100);
@@ -390,6 +295,116 @@ class ResumeGenerator {
     return Math.round(overallScore);
   }
 
+  /**
+   * Compare the years asked for per skill and per domain with the years in the
+   * skills database and the dated work history. A gap is real only when
+   * neither of them reaches the requirement.
+   */
+  findExperienceGaps(experience, now = new Date()) {
+    const history = (this.masterData.workExperience || [])
+      .map(entry => ({ text: this.describeWorkEntry(entry), period: this.getWorkPeriod(entry, now) }))
+      .filter(entry => entry.period);
+    const datedYears = mentions => this.sumWorkPeriods(history.filter(entry => mentions(entry.text)).map(entry => entry.period));
+    const databaseYears = names => Math.max(0, ...names.map(name => (this.ontology.get(this.ontology.canonicalName(name)) || {}).years || 0));
+
+    // A skill also counts through the more specific skills implying it: Angular work is TypeScript work
+    const skills = (experience.skillYears || []).map(requirement => {
+      const names = [requirement.skill, ...this.ontology.descendants(requirement.skill)];
+      return this.compareExperienceYears({ skill: requirement.skill }, requirement, databaseYears(names),
+        datedYears(text => names.some(name => this.ontology.has(text, name))));
+    });
+
+    const domains = (experience.domainYears || []).map(requirement => {
+      const keywords = this.analyzer.domainKeywords[requirement.domain] || requirement.keywords;
+      return this.compareExperienceYears({ domain: requirement.domain }, requirement, databaseYears(requirement.keywords),
+        datedYears(text => keywords.some(keyword => this.ontology.has(text, keyword))));
+    });
+
+    const gaps = [...skills, ...domains].filter(entry => entry.gap);
+    if (gaps.length > 0) {
+      this.logger.info(`Experience gaps: ${gaps.map(entry => `${entry.skill || entry.domain} (${entry.shortBy}y short)`).join(', ')}`);
+    }
+
+    return { skills, domains };
+  }
+
+  /**
+   * Gap entry for one years requirement
+   */
+  compareExperienceYears(subject, requirement, claimedYears, datedYears) {
+    const shortBy = Math.max(0, requirement.years - Math.max(claimedYears, datedYears));
+
+    return {
+      ...subject,
+      requiredYears: requirement.years,
+      priority: requirement.priority,
+      claimedYears: claimedYears,
+      datedYears: datedYears,
+      supportedByHistory: datedYears >= requirement.years,
+      gap: shortBy > 0,
+      shortBy: Math.round(shortBy * 10) / 10
+    };
+  }
+
+  /**
+   * Searchable text of a work experience entry: position, descriptions, technologies and achievements
+   */
+  describeWorkEntry(entry) {
+    const flatten = value => {
+      if (Array.isArray(value)) return value.flatMap(flatten);
+      if (value && typeof value === 'object') return Object.values(value).flatMap(flatten);
+      return value ? [String(value)] : [];
+    };
+
+    return flatten([entry.position, entry.descriptions, entry.technologies, entry.achievements]).join('\n');
+  }
+
+  /**
+   * Months covered by a work experience entry as [start, end), counted from year 0
+   */
+  getWorkPeriod(entry, now) {
+    const start = this.parseResumeMonth(entry.startDate, now);
+    const end = entry.current ? this.parseResumeMonth('Present', now) : this.parseResumeMonth(entry.endDate, now);
+
+    return start !== null && end !== null && end >= start ? [start, end + 1] : null;
+  }
+
+  /**
+   * Month number of a "YYYY-MM", "Month YYYY", "YYYY" or "Present" date, or null
+   */
+  parseResumeMonth(dateString, now) {
+    const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const value = String(dateString || '').trim();
+
+    if (/^present$/i.test(value)) {
+      return now.getFullYear() * 12 + now.getMonth();
+    }
+
+    const numeric = value.match(/^(\d{4})(?:-(\d{2}))?$/);
+    if (numeric) {
+      return parseInt(numeric[1], 10) * 12 + (numeric[2] ? parseInt(numeric[2], 10) - 1 : 0);
+    }
+
+    const named = value.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/i);
+    const month = named ? monthNames.indexOf(named[1].toLowerCase()) : -1;
+    return month >= 0 ? parseInt(named[2], 10) * 12 + month : null;
+  }
+
+  /**
+   * Years covered by work periods, overlapping periods counted once
+   */
+  sumWorkPeriods(periods) {
+    let months = 0;
+    let coveredUntil = -Infinity;
+
+    [...periods].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+      months += Math.max(0, end - Math.max(start, coveredUntil));
+      coveredUntil = Math.max(coveredUntil, end);
+    });
+
+    return Math.round((months / 12) * 10) / 10;
+  }
+
   /**
    * Determine primary focus for customization
    */
@@ -481,9 +496,10 @@ class ResumeGenerator {
     const topSkills = jobAnalysis.primaryFocus.primarySkills.slice(0, 3);
     if (topSkills.length > 0) {
       const skillsText = topSkills.join(', ');
+      // The sentence ends at a period before whitespace, not the one in ".NET"
       customizedSummary = customizedSummary.replace(
-        /expertise in [^.]+/i,
-        `expertise in ${skillsText} and modern development technologies`
+        /(expertise in ).+?(?=\.(?:\s|$))/i,
+        `$1${skillsText} and modern development technologies`
       );
     }
     
@@ -519,7 +535,7 @@ class ResumeGenerator {
    */
   customizeTechnicalSkills(jobAnalysis) {
     const skills = JSON.parse(JSON.stringify(this.masterData.technicalSkills));
-    const requiredSkills = jobAnalysis.requiredSkills.map(skill => skill.name);
+    const requiredSkills = jobAnalysis.skills.ranked.map(skill => skill.name);
     
     // Reorder skills to prioritize job requirements
     Object.keys(skills).forEach(category => {
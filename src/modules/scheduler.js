@@ -0,0 +1,472 @@
+/**
+ * Scheduler - Recurring Saved Searches and Campaigns
+ *
+ * Runs the jobs in config/schedule.json on cron expressions. Each job is a
+ * linkedin-automation command line (e.g. ["campaign", "run", "remote-nodejs"])
+ * executed in a child process. Runs falling in quiet hours are pushed to
+ * the end of them, start times get a random jitter, commands that apply
+ * are skipped while the application quota is used up, and a lock file
+ * keeps two runs from overlapping, even across scheduler processes.
+ *
+ * Last and next run times are kept in data/scheduler-state.json so a
+ * restarted scheduler neither repeats nor forgets runs.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Logger } = require('./error-handling');
+const { ApplicationQuota } = require('./application-quota');
+const config = require('../config');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const CLI_PATH = path.join(__dirname, '..', '..', 'bin', 'linkedin-automation.js');
+
+// Commands that submit applications and therefore need quota left
+const APPLYING_COMMANDS = ['apply', 'campaign'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekdays': '0 0 * * 1-5',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Expand one cron field ("*", "1-5", "*\/15", "0,30", "9-17/2") to its values
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+
+    if (to === undefined) {
+      to = stepText === undefined ? from : max;
+    }
+    if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron ${name} "${text}"`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ */
+function parseCron(expression) {
+  const source = CRON_MACROS[expression.trim()] || expression;
+  const fields = source.trim().split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression "${expression}" needs 5 fields`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: fields[2] !== '*' && fields[4] !== '*'
+  };
+}
+
+/**
+ * Whether a cron schedule fires on a date's day
+ */
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  return cron.months.has(date.getMonth() + 1) && (cron.anyDay ? dayMatch || weekdayMatch : dayMatch && weekdayMatch);
+}
+
+/**
+ * First time strictly after `after` at which a cron schedule fires
+ */
+function nextCronTime(cron, after) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + 366 * 24 * 60 * MINUTE;
+  while (date.getTime() <= limit) {
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression "${cron.expression}" never fires`);
+}
+
+/**
+ * Minutes since midnight for "HH:MM"
+ */
+function parseClock(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${text}" (use HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * End of the quiet period a date falls in, or null outside quiet hours
+ *
+ * Quiet hours may wrap midnight ({ start: "22:00", end: "07:00" }).
+ */
+function quietHoursEnd(date, quietHours) {
+  if (!quietHours) {
+    return null;
+  }
+
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const wraps = start > end;
+  const quiet = wraps ? minute >= start || minute < end : minute >= start && minute < end;
+
+  if (!quiet) {
+    return null;
+  }
+
+  const endDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(end / 60), end % 60);
+  if (wraps && minute >= start) {
+    endDate.setDate(endDate.getDate() + 1);
+  }
+  return endDate;
+}
+
+/**
+ * Exclusive lock file holding the owner's process ID
+ *
+ * A lock left behind by a process that no longer runs is taken over.
+ */
+class RunLock {
+  constructor(filePath = path.join(DATA_DIR, 'scheduler.lock')) {
+    this.filePath = filePath;
+    this.logger = new Logger('RunLock');
+  }
+
+  /**
+   * Take the lock; returns false when another live process holds it
+   */
+  acquire(owner) {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const contents = JSON.stringify({ pid: process.pid, owner, acquiredAt: new Date().toISOString() });
+    try {
+      fs.writeFileSync(this.filePath, contents, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const holder = this.holder();
+    if (holder && holder.pid !== process.pid && isRunning(holder.pid)) {
+      return false;
+    }
+
+    this.logger.warn(`Removing stale lock from process ${holder ? holder.pid : 'unknown'}`);
+    fs.rmSync(this.filePath, { force: true });
+    try {
+      fs.writeFileSync(this.filePath, contents, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Current lock contents, or null when unlocked
+   */
+  holder() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  release() {
+    const holder = this.holder();
+    if (holder && holder.pid === process.pid) {
+      fs.rmSync(this.filePath, { force: true });
+    }
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Run a linkedin-automation command line in a child process
+ */
+function runCommand(command) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI_PATH, ...command], { stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve({ exitCode: code }) : reject(new Error(`Command exited with code ${code}`))));
+  });
+}
+
+class Scheduler {
+  constructor(options = {}) {
+    const schedule = options.schedule || config.get('schedule');
+
+    this.logger = new Logger('Scheduler');
+    this.quietHours = schedule.quietHours || null;
+    this.jitterMinutes = schedule.jitterMinutes || 0;
+    this.pollInterval = schedule.pollInterval || MINUTE;
+    this.jobs = (schedule.jobs || []).map(job => this.normalizeJob(job));
+    this.statePath = options.statePath || path.join(DATA_DIR, 'scheduler-state.json');
+    this.lock = options.lock || new RunLock(options.lockPath);
+    this.quota = options.quota || new ApplicationQuota();
+    this.runner = options.runner || runCommand;
+    this.now = options.now || (() => new Date());
+    this.random = options.random || Math.random;
+    this.sleep = options.sleep || (milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds)));
+    this.state = this.loadState();
+    this.stopped = false;
+  }
+
+  /**
+   * Validate a schedule entry and parse its cron expression
+   */
+  normalizeJob(job) {
+    if (!job.id || !job.cron || !Array.isArray(job.command) || job.command.length === 0) {
+      throw new Error(`Scheduled job ${job.id || JSON.stringify(job)} needs an id, a cron expression and a command array`);
+    }
+
+    return {
+      enabled: true,
+      ...job,
+      command: job.command.map(String),
+      cronSchedule: parseCron(job.cron),
+      applies: job.applies !== undefined ? Boolean(job.applies) : APPLYING_COMMANDS.includes(job.command[0])
+    };
+  }
+
+  /**
+   * Load last/next run times from disk
+   */
+  loadState() {
+    try {
+      if (fs.existsSync(this.statePath)) {
+        return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      }
+    } catch (error) {
+      this.logger.warn(`Could not read ${this.statePath}, starting with a fresh schedule:`, error.message);
+    }
+    return { version: 1, jobs: {} };
+  }
+
+  saveState() {
+    const dir = path.dirname(this.statePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+  }
+
+  jobState(job) {
+    if (!this.state.jobs[job.id]) {
+      this.state.jobs[job.id] = { lastRunAt: null, lastStatus: null, lastError: null, nextRunAt: null, cron: job.cron };
+    }
+    return this.state.jobs[job.id];
+  }
+
+  /**
+   * Next start time after a date: cron time, plus jitter, moved out of quiet hours
+   */
+  nextRunTime(job, after) {
+    const next = nextCronTime(job.cronSchedule, after);
+    next.setTime(next.getTime() + Math.floor(this.random() * (this.jitterMinutes + 1)) * MINUTE);
+    return quietHoursEnd(next, this.quietHours) || next;
+  }
+
+  /**
+   * Fill in next run times for new jobs and jobs whose cron changed
+   */
+  planJobs() {
+    const now = this.now();
+
+    this.jobs.filter(job => job.enabled).forEach(job => {
+      const state = this.jobState(job);
+      if (!state.nextRunAt || state.cron !== job.cron) {
+        state.cron = job.cron;
+        state.nextRunAt = this.nextRunTime(job, now).toISOString();
+      }
+    });
+
+    this.saveState();
+  }
+
+  /**
+   * Run every job that is due; returns what happened to each
+   *
+   * A run missed while the scheduler was down happens once, at the next tick.
+   */
+  async tick() {
+    this.planJobs();
+    const results = [];
+
+    for (const job of this.jobs.filter(entry => entry.enabled)) {
+      const state = this.jobState(job);
+      const now = this.now();
+
+      if (new Date(state.nextRunAt) > now) {
+        continue;
+      }
+
+      const quietEnd = quietHoursEnd(now, this.quietHours);
+      if (quietEnd) {
+        state.nextRunAt = quietEnd.toISOString();
+        results.push({ id: job.id, status: 'deferred', nextRunAt: state.nextRunAt });
+        continue;
+      }
+
+      const result = await this.runJob(job, state);
+      state.nextRunAt = this.nextRunTime(job, this.now()).toISOString();
+      this.saveState();
+      results.push({ ...result, nextRunAt: state.nextRunAt });
+    }
+
+    this.saveState();
+    return results;
+  }
+
+  /**
+   * Run one job under the lock, unless its quota is used up
+   */
+  async runJob(job, state) {
+    if (job.applies && this.quota.remaining() === 0) {
+      this.logger.info(`Skipping ${job.id}: application quota reached`);
+      return this.finishRun(job, state, 'quota-reached');
+    }
+
+    if (!this.lock.acquire(job.id)) {
+      const holder = this.lock.holder();
+      this.logger.warn(`Skipping ${job.id}: ${holder ? `${holder.owner} (process ${holder.pid})` : 'another run'} is still running`);
+      return this.finishRun(job, state, 'locked');
+    }
+
+    try {
+      this.logger.info(`▶️ Running ${job.id}: linkedin-automation ${job.command.join(' ')}`);
+      await this.runner(job.command, job);
+      this.logger.info(`✅ ${job.id} finished`);
+      return this.finishRun(job, state, 'succeeded');
+    } catch (error) {
+      this.logger.error(`${job.id} failed:`, error);
+      return this.finishRun(job, state, 'failed', error.message);
+    } finally {
+      this.lock.release();
+    }
+  }
+
+  finishRun(job, state, status, error = null) {
+    Object.assign(state, { lastRunAt: this.now().toISOString(), lastStatus: status, lastError: error });
+    return { id: job.id, status, error };
+  }
+
+  /**
+   * Run due jobs until stop() is called
+   */
+  async start() {
+    this.stopped = false;
+    this.logger.info(`🕒 Scheduler started with ${this.jobs.filter(job => job.enabled).length} jobs`);
+
+    while (!this.stopped) {
+      await this.tick();
+      if (!this.stopped) {
+        await this.sleep(this.millisecondsUntilNextRun());
+      }
+    }
+
+    this.logger.info('Scheduler stopped');
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+
+  /**
+   * Time to sleep before the next due job, capped at the poll interval
+   */
+  millisecondsUntilNextRun() {
+    const nextTimes = this.jobs
+      .filter(job => job.enabled)
+      .map(job => new Date(this.jobState(job).nextRunAt).getTime());
+    const soonest = Math.min(...nextTimes, this.now().getTime() + this.pollInterval);
+    return Math.max(1000, Math.min(this.pollInterval, soonest - this.now().getTime()));
+  }
+
+  /**
+   * Jobs with their last and next runs
+   */
+  getStatus() {
+    this.planJobs();
+    return this.jobs.map(job => {
+      const state = this.jobState(job);
+      return {
+        id: job.id,
+        cron: job.cron,
+        command: job.command.join(' '),
+        enabled: job.enabled,
+        applies: job.applies,
+        nextRunAt: job.enabled ? state.nextRunAt : null,
+        lastRunAt: state.lastRunAt,
+        lastStatus: state.lastStatus,
+        lastError: state.lastError
+      };
+    });
+  }
+}
+
+module.exports = { Scheduler, RunLock, parseCron, nextCronTime, quietHoursEnd };
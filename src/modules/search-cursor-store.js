@@ -0,0 +1,124 @@
+/**
+ * Search Cursor Store - Persistent Pagination and Incremental Search State
+ *
+ * Keeps one cursor per saved search in data/search-cursors.json: where an
+ * interrupted pagination run stopped (so the next run resumes there) and
+ * which job IDs earlier successful runs already returned.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./error-handling');
+
+// Bound the seen-ID history so the file does not grow forever
+const MAX_SEEN_IDS = 5000;
+
+class SearchCursorStore {
+  constructor(filePath = path.join(__dirname, '..', '..', 'data', 'search-cursors.json')) {
+    this.filePath = filePath;
+    this.logger = new Logger('SearchCursorStore');
+    this.cursors = this.load();
+  }
+
+  /**
+   * Load cursors from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      this.logger.warn(`Could not read ${this.filePath}, starting with empty cursors:`, error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Write cursors to disk
+   */
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.filePath, JSON.stringify(this.cursors, null, 2), 'utf8');
+  }
+
+  /**
+   * Stable key for a saved search: explicit id, else keywords + location
+   */
+  keyFor(criteria) {
+    if (criteria.searchId || criteria.id) {
+      return String(criteria.searchId || criteria.id);
+    }
+
+    const keywords = Array.isArray(criteria.keywords) ? criteria.keywords.join(' OR ') : (criteria.keywords || '');
+    return `${keywords}|${criteria.location || ''}|${criteria.remote ? 'remote' : 'any'}`
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Get the cursor for a search (a fresh one if it has never run)
+   */
+  get(key) {
+    return this.cursors[key] || {
+      inProgress: false,
+      nextStart: 0,
+      searchUrl: null,
+      pending: [],
+      seenJobIds: [],
+      lastRunAt: null,
+      lastSuccessfulRunAt: null
+    };
+  }
+
+  /**
+   * Record pagination progress so an interrupted run can resume
+   */
+  checkpoint(key, { nextStart, searchUrl, pending }) {
+    this.cursors[key] = {
+      ...this.get(key),
+      inProgress: true,
+      nextStart,
+      searchUrl,
+      pending,
+      lastRunAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  /**
+   * Close a successful run: reset pagination and remember what was returned
+   */
+  complete(key, jobIds, runStartedAt) {
+    const cursor = this.get(key);
+    const seen = [...new Set([...cursor.seenJobIds, ...jobIds])].slice(-MAX_SEEN_IDS);
+
+    this.cursors[key] = {
+      ...cursor,
+      inProgress: false,
+      nextStart: 0,
+      pending: [],
+      seenJobIds: seen,
+      lastRunAt: new Date().toISOString(),
+      lastSuccessfulRunAt: runStartedAt
+    };
+    this.save();
+  }
+
+  /**
+   * Forget a search entirely (next run starts from page one with no history)
+   */
+  reset(key) {
+    delete this.cursors[key];
+    this.save();
+  }
+}
+
+module.exports = SearchCursorStore;
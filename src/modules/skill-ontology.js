@@ -0,0 +1,330 @@
+/**
+ * Skill Ontology - Token-Aware Skill Matching With Implied Skills
+ *
+ * Builds one skill graph from skills-database.json and skill-ontology.json:
+ * names, aliases and keywords matched on token boundaries ("Java" never
+ * matches inside "JavaScript", "Go" never inside "Google"), version-insensitive
+ * names ("Python 3.11", "Vue3"), ambiguity rules for short or common words
+ * that only count with a context cue nearby, and parent relations so that
+ * Next.js implies React implies JavaScript.
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./error-handling');
+
+const BASE_TEMPLATE_PATH = path.join(__dirname, '..', '..', 'templates', 'resumes', 'base-template');
+
+// Share of a skill's credit given when it is only implied by a more specific skill
+const IMPLIED_CREDIT = 0.8;
+
+// Characters around an ambiguous match searched for context cues
+const CONTEXT_WINDOW = 40;
+
+// What may separate an ambiguous term from a named skill in the same list: "Python, Go and Rust"
+const LIST_SEPARATOR = /^[\s,;/&|()]*(and|or)?[\s,;/&|()]*$/;
+
+// "ES6" and "GA4" are names of their own; only longer bases lose their version ("Python3")
+const MIN_VERSIONED_BASE = 3;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Lowercase and collapse whitespace
+ */
+function normalizeTerm(term) {
+  return String(term || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Drop a trailing version: "python 3.11" -> "python", "angular2+" -> "angular"
+ */
+function stripVersion(term) {
+  const match = term.match(/^(.*?)[\s-]?v?\d+(\.\d+)*(\.x|\+)?$/);
+  return match && match[1].trim().length >= MIN_VERSIONED_BASE ? match[1].trim() : term;
+}
+
+/**
+ * Regex matching a term on token boundaries, with an optional version after it
+ * and, with `jsSuffix`, an optional ".js" ("Angular.js")
+ */
+function termPattern(term, jsSuffix = false) {
+  const base = stripVersion(normalizeTerm(term));
+  const body = base
+    .split(' ')
+    .map(word => escapeRegExp(word).replace(/-/g, '[\\s-]?'))
+    .join('[\\s-]+');
+
+  const version = base.length >= MIN_VERSIONED_BASE ? '(?:[\\s-]?v?\\d+(?:\\.\\d+)*(?:\\.x|\\+)?)?' : '';
+
+  // "js" must not match inside "node.js", nor "node" at the start of it
+  return new RegExp(`(?<![a-z0-9#+]|[a-z0-9]\\.)${body}${jsSuffix ? '(?:\\.js)?' : ''}${version}(?![a-z0-9#+]|\\.[a-z0-9])`, 'g');
+}
+
+class SkillOntology {
+  constructor(options = {}) {
+    this.logger = new Logger('SkillOntology');
+    this.database = options.database || this.loadJson(options.databasePath || path.join(BASE_TEMPLATE_PATH, 'skills-database.json'), { skillCategories: {} });
+    this.definition = options.ontology || this.loadJson(options.ontologyPath || path.join(BASE_TEMPLATE_PATH, 'skill-ontology.json'), {});
+    this.ambiguous = this.compileAmbiguityRules(this.definition.ambiguous || {});
+    this.skills = this.buildSkills();
+    this.byName = new Map(this.skills.map(skill => [skill.name, skill]));
+    this.lookup = this.buildLookup();
+    this.patterns = new Map();
+  }
+
+  /**
+   * Read a JSON file, falling back to a default when it is missing
+   */
+  loadJson(filePath, fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      this.logger.error(`Failed to load ${path.basename(filePath)}:`, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Precompile the context cues of each ambiguous term
+   */
+  compileAmbiguityRules(rules) {
+    return new Map(Object.entries(rules).map(([term, cues]) => [normalizeTerm(term), cues.map(termPattern)]));
+  }
+
+  /**
+   * Database skills plus the ontology's own, each with its parents and match terms
+   */
+  buildSkills() {
+    const skills = [];
+    const categories = this.database.skillCategories || {};
+
+    Object.entries(categories).forEach(([categoryKey, category]) => {
+      Object.entries(category.skills || {}).forEach(([name, data]) => {
+        skills.push({ name, categoryKey, category: category.displayName, ...data });
+      });
+    });
+
+    Object.entries(this.definition.skills || {}).forEach(([name, data]) => {
+      const category = categories[data.categoryKey] || {};
+      skills.push({ name, category: category.displayName || data.categoryKey, ...data });
+    });
+
+    // Which skill each name and alias belongs to, so keywords cannot claim another skill's name
+    const owners = new Map();
+    skills.forEach(skill => {
+      [skill.name, ...(skill.aliases || [])].forEach(term => owners.set(stripVersion(normalizeTerm(term)), skill.name));
+    });
+
+    const implies = this.definition.implies || {};
+    return skills.map(skill => ({
+      ...skill,
+      aliases: skill.aliases || [],
+      keywords: skill.keywords || [],
+      parents: implies[skill.name] || [],
+      terms: this.buildTerms(skill, owners)
+    }));
+  }
+
+  /**
+   * Match terms of a skill, strongest first and without duplicates after version stripping
+   *
+   * A keyword that is another skill's name or alias is dropped: "React" is
+   * React, not evidence of JavaScript; such relations belong in `implies`.
+   */
+  buildTerms(skill, owners = new Map()) {
+    const keys = [];
+    const seen = new Set();
+
+    [['name', [skill.name]], ['alias', skill.aliases || []], ['keyword', skill.keywords || []]].forEach(([kind, list]) => {
+      list.forEach(term => {
+        const key = stripVersion(normalizeTerm(term));
+        if (!key || seen.has(key) || (kind === 'keyword' && owners.has(key) && owners.get(key) !== skill.name)) {
+          return;
+        }
+        seen.add(key);
+        keys.push([kind, key]);
+      });
+    });
+
+    // "Angular.js" reads as Angular unless the skill already has a ".js" term of its own
+    return keys.map(([kind, key]) => {
+      const jsSuffix = kind !== 'keyword' && !key.endsWith('js') && !seen.has(`${key}.js`);
+      return { kind, term: key, pattern: termPattern(key, jsSuffix), cues: this.ambiguous.get(key) || null };
+    });
+  }
+
+  /**
+   * Name and alias lookup table, with and without versions
+   */
+  buildLookup() {
+    const lookup = new Map();
+
+    this.skills.forEach(skill => {
+      [skill.name, ...skill.aliases].forEach(term => {
+        const normalized = normalizeTerm(term);
+        [normalized, stripVersion(normalized)].forEach(key => {
+          if (!lookup.has(key)) {
+            lookup.set(key, skill.name);
+          }
+        });
+      });
+    });
+
+    return lookup;
+  }
+
+  /**
+   * Skill entry by canonical name
+   */
+  get(name) {
+    return this.byName.get(name) || null;
+  }
+
+  /**
+   * Canonical skill name for a name, alias or versioned name, or null
+   */
+  canonicalName(term) {
+    const normalized = normalizeTerm(term);
+    return this.lookup.get(normalized) || this.lookup.get(stripVersion(normalized)) || this.lookup.get(normalized.replace(/\.js$/, '')) || null;
+  }
+
+  /**
+   * Skills implied by a skill, nearest first: Next.js -> [React, JavaScript]
+   */
+  ancestors(name) {
+    const result = [];
+    const queue = [...((this.get(this.canonicalName(name) || name) || {}).parents || [])];
+
+    while (queue.length > 0) {
+      const parent = queue.shift();
+      if (!result.includes(parent)) {
+        result.push(parent);
+        queue.push(...((this.get(parent) || {}).parents || []));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Skills that imply a skill, directly or through others: JavaScript -> [React, Next.js, ...]
+   */
+  descendants(name) {
+    const target = this.canonicalName(name) || name;
+    return this.skills.filter(skill => this.ancestors(skill.name).includes(target)).map(skill => skill.name);
+  }
+
+  /**
+   * Canonical names of a skill list, and the skills they imply mapped to the skill implying them
+   */
+  expand(names) {
+    const direct = new Set(names.map(name => this.canonicalName(name)).filter(Boolean));
+    const implied = new Map();
+
+    direct.forEach(name => {
+      this.ancestors(name).forEach(parent => {
+        if (!direct.has(parent) && !implied.has(parent)) {
+          implied.set(parent, name);
+        }
+      });
+    });
+
+    return { direct, implied };
+  }
+
+  /**
+   * Whether a term occurs in the text on token boundaries, honouring ambiguity rules
+   */
+  has(text, term) {
+    const key = stripVersion(normalizeTerm(term));
+    if (!this.patterns.has(key)) {
+      this.patterns.set(key, termPattern(key));
+    }
+
+    const lower = String(text || '').toLowerCase();
+    const cues = this.ambiguous.get(key);
+    return [...lower.matchAll(this.patterns.get(key))].some(match => !cues || this.hasCue(lower, match.index, match.index + match[0].length, cues));
+  }
+
+  /**
+   * Whether two skill names mean the same skill, or one contains the other as whole tokens
+   */
+  termsMatch(first, second) {
+    const canonical = this.canonicalName(first);
+    if (canonical && canonical === this.canonicalName(second)) {
+      return true;
+    }
+    return this.has(first, second) || this.has(second, first);
+  }
+
+  /**
+   * Whether a context cue occurs around a match
+   */
+  hasCue(text, start, end, cues) {
+    const window = text.slice(Math.max(0, start - CONTEXT_WINDOW), end + CONTEXT_WINDOW);
+    return cues.some(cue => {
+      cue.lastIndex = 0;
+      return cue.test(window);
+    });
+  }
+
+  /**
+   * Whether only list separators stand between two matches
+   */
+  isListed(text, first, second) {
+    const between = first.end <= second.start ? text.slice(first.end, second.start) : text.slice(second.end, first.start);
+    return LIST_SEPARATOR.test(between);
+  }
+
+  /**
+   * Mentions per skill in a text: { [name]: { mentions, matchedBy } }. Names and
+   * aliases count per occurrence, each keyword found counts half. An ambiguous
+   * term only counts with a cue nearby or listed next to another named skill.
+   */
+  scan(text) {
+    const lower = String(text || '').toLowerCase();
+    const hits = [];
+
+    this.skills.forEach(skill => {
+      skill.terms.forEach(entry => {
+        for (const match of lower.matchAll(entry.pattern)) {
+          hits.push({ skill: skill.name, ...entry, start: match.index, end: match.index + match[0].length });
+        }
+      });
+    });
+
+    const anchors = hits.filter(hit => !hit.cues && hit.kind !== 'keyword');
+    const accepted = hits.filter(hit => !hit.cues ||
+      this.hasCue(lower, hit.start, hit.end, hit.cues) ||
+      anchors.some(anchor => anchor.skill !== hit.skill && this.isListed(lower, hit, anchor)));
+
+    const strength = ['name', 'alias', 'keyword'];
+    const result = {};
+    accepted.forEach(hit => {
+      const entry = result[hit.skill] || (result[hit.skill] = { mentions: 0, matchedBy: hit.kind, keywords: new Set() });
+
+      if (hit.kind !== 'keyword') {
+        entry.mentions += 1;
+      } else if (!entry.keywords.has(hit.term)) {
+        entry.keywords.add(hit.term);
+        entry.mentions += 0.5;
+      }
+      if (strength.indexOf(hit.kind) < strength.indexOf(entry.matchedBy)) {
+        entry.matchedBy = hit.kind;
+      }
+    });
+
+    Object.values(result).forEach(entry => delete entry.keywords);
+    return result;
+  }
+}
+
+module.exports = {
+  SkillOntology,
+  IMPLIED_CREDIT,
+  normalizeTerm
+};
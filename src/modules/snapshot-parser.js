@@ -0,0 +1,656 @@
+/**
+ * Snapshot Parser - browsermcp Accessibility Snapshot Parsing
+ *
+ * Parses the YAML/ARIA outline returned by browser_snapshot into a node tree
+ * and extracts structured job cards from LinkedIn search result pages and
+ * the full posting from job detail pages.
+ * Element refs are kept on every node so callers can click what they parsed.
+ *
+ * Snapshot lines look like:
+ *   - listitem [ref=s1e210]:
+ *     - link "Senior Full Stack Engineer" [ref=s1e214]:
+ *       - /url: /jobs/view/4100000001/
+ *     - generic [ref=s1e220]: Northwind Labs
+ *     - text: United States (Remote)
+ *
+ * @author Ivo Dachev <dachevivo@gmail.com>
+ * @version 1.0.0
+ */
+
+const JOB_ID_PATTERNS = [
+  /\/jobs\/view\/(?:[^/?#]*-)?(\d{6,})/,
+  /[?&]currentJobId=(\d{6,})/
+];
+
+const CARD_ROLES = ['listitem', 'article'];
+
+const PATTERNS = {
+  salary: /\$\s?\d[\d,.]*\s?[KkMm]?(?:\/(?:yr|hr|year|hour))?(?:\s*[-–]\s*\$\s?\d[\d,.]*\s?[KkMm]?(?:\/(?:yr|hr|year|hour))?)?|\b(?:annually|per year|per hour|\/yr|\/hr)\b|^competitive$/i,
+  posted: /\b(?:\d+\s+(?:second|minute|hour|day|week|month|year)s?\s+ago|just now|today|yesterday)\b/i,
+  applicants: /\bapplicants?\b|\bbe among the first\b|\bclicked apply\b/i,
+  location: /\((?:remote|hybrid|on-site|onsite)\)|^remote$|^united states\b|,\s*[A-Z]{2}\b|\b(?:bay area|metropolitan area|greater .+ area)\b/i,
+  promoted: /^promoted$/i,
+  easyApply: /\beasy apply\b/i,
+  noise: /^(?:viewed|saved|applied|actively recruiting|new|dismiss .*|save .*|\d+ connections? work here|your profile matches .*|with verification|verified)$/i
+};
+
+// Job detail page insights ("Full-time", "51-200 employees · Software Development", ...)
+const DETAIL_PATTERNS = {
+  employmentType: /^(?:full-time|part-time|contract|temporary|internship|volunteer)$/i,
+  seniority: /^(?:internship|entry level|associate|mid-senior level|director|executive)$/i,
+  workplaceType: /^(?:remote|hybrid|on-site)$/i,
+  companySize: /^(\d[\d,]*(?:\s*[-–]\s*\d[\d,]*)?\+?)\s+employees$/i,
+  descriptionHeading: /^about the job$/i,
+  hiringTeamHeading: /^meet the hiring team$/i,
+  seeMore: /\bsee more\b|\bshow more\b/i,
+  externalApply: /^apply\b/i,
+  companyUrl: /\/company\//,
+  profileUrl: /\/in\/[^/?#]+/,
+  hirerNoise: /^(?:job poster|message|follow|connect|[•·])$|^(?:[•·]\s*)?\d+(?:st|nd|rd|th)\+?$/i
+};
+
+/**
+ * Parse a snapshot (full browser_snapshot text or just its YAML block)
+ * @param {string} text - Snapshot text
+ * @returns {object} - { url, title, root } where root is a synthetic document node
+ */
+function parseSnapshot(text) {
+  const source = String(text || '');
+  const urlMatch = source.match(/^- Page URL:\s*(.+)$/m);
+  const titleMatch = source.match(/^- Page Title:\s*(.+)$/m);
+  const yamlMatch = source.match(/```yaml\n([\s\S]*?)(?:\n```|$)/);
+  const body = yamlMatch ? yamlMatch[1] : source;
+
+  const root = { role: 'document', name: '', ref: null, url: null, attributes: {}, value: null, children: [], parent: null };
+  const stack = [{ depth: -1, node: root }];
+
+  for (const line of body.split('\n')) {
+    const match = line.match(/^(\s*)- (.*)$/);
+    if (!match || /^Page (?:URL|Title|Snapshot)\b/.test(match[2])) {
+      continue;
+    }
+
+    const depth = Math.floor(match[1].replace(/\t/g, '  ').length / 2);
+    while (stack.length > 1 && stack[stack.length - 1].depth >= depth) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1].node;
+    const content = match[2].trim();
+
+    // "/url: ..." and other "/prop: value" lines describe the parent
+    const propertyMatch = content.match(/^\/(\w+):\s*(.*)$/);
+    if (propertyMatch) {
+      parent[propertyMatch[1]] = unquote(propertyMatch[2]);
+      continue;
+    }
+
+    const node = parseNodeLine(content);
+    node.parent = parent;
+    parent.children.push(node);
+    stack.push({ depth, node });
+  }
+
+  return {
+    url: urlMatch ? urlMatch[1].trim() : null,
+    title: titleMatch ? titleMatch[1].trim() : null,
+    root
+  };
+}
+
+/**
+ * Parse one outline entry: role "name" [attr=value] [ref=x]: inline value
+ */
+function parseNodeLine(content) {
+  const node = { role: null, name: '', ref: null, url: null, attributes: {}, value: null, children: [], parent: null };
+  let rest = content;
+
+  // Bare quoted text entries ("- "Some text"") are text nodes
+  const roleMatch = rest.match(/^([A-Za-z][\w-]*)/);
+  if (roleMatch) {
+    node.role = roleMatch[1];
+    rest = rest.slice(roleMatch[0].length).trimStart();
+  } else {
+    node.role = 'text';
+  }
+
+  // The "text:" role carries its content as the inline value
+  if (node.role === 'text' && rest.startsWith(':')) {
+    node.name = unquote(rest.slice(1).trim());
+    return node;
+  }
+
+  const quoted = readQuoted(rest);
+  if (quoted) {
+    node.name = quoted.value;
+    rest = quoted.rest.trimStart();
+  }
+
+  let attributeMatch;
+  while ((attributeMatch = rest.match(/^\[([\w-]+)(?:=([^\]]*))?\]\s*/))) {
+    const [, key, value] = attributeMatch;
+    if (key === 'ref') {
+      node.ref = value;
+    } else {
+      node.attributes[key] = value === undefined ? true : value;
+    }
+    rest = rest.slice(attributeMatch[0].length);
+  }
+
+  if (rest.startsWith(':')) {
+    const inline = rest.slice(1).trim();
+    if (inline) {
+      node.value = unquote(inline);
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Read a leading double-quoted string with JSON-style escapes
+ */
+function readQuoted(text) {
+  if (!text.startsWith('"')) {
+    return null;
+  }
+
+  for (let i = 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '"') {
+      const raw = text.slice(0, i + 1);
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (error) {
+        value = raw.slice(1, -1);
+      }
+      return { value, rest: text.slice(i + 1) };
+    }
+  }
+
+  return null;
+}
+
+function unquote(value) {
+  const quoted = readQuoted(value);
+  return quoted && !quoted.rest.trim() ? quoted.value : value;
+}
+
+/**
+ * Depth-first walk over a node and its descendants
+ */
+function walk(node, visit) {
+  visit(node);
+  for (const child of node.children) {
+    walk(child, visit);
+  }
+}
+
+/**
+ * Visible text of a node: its accessible name and inline value
+ */
+function nodeTexts(node) {
+  return [node.name, node.value]
+    .filter(text => typeof text === 'string')
+    .map(text => text.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Extract the LinkedIn job ID from a URL
+ */
+function extractJobId(url) {
+  if (!url) {
+    return null;
+  }
+
+  for (const pattern of JOB_ID_PATTERNS) {
+    const match = url.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collect the job IDs linked anywhere under a node
+ */
+function jobIdsUnder(node) {
+  const ids = new Set();
+  walk(node, current => {
+    const id = extractJobId(current.url) || current.attributes['data-job-id'] || null;
+    if (id) {
+      ids.add(id);
+    }
+  });
+  return ids;
+}
+
+/**
+ * Find the card container for a job link: the nearest list item or article
+ * that holds only this job, otherwise the widest ancestor that does
+ */
+function findCardNode(link, jobId) {
+  let widest = link;
+
+  for (let node = link.parent; node && node.role !== 'document'; node = node.parent) {
+    const ids = jobIdsUnder(node);
+    if (ids.size !== 1 || !ids.has(jobId)) {
+      break;
+    }
+    if (CARD_ROLES.includes(node.role)) {
+      return node;
+    }
+    widest = node;
+  }
+
+  return widest;
+}
+
+/**
+ * Strip LinkedIn's accessibility suffixes from a title link name
+ */
+function cleanTitle(title) {
+  return title
+    .replace(/\s+with verification$/i, '')
+    .replace(/\s+\(Verified job\)$/i, '')
+    .trim();
+}
+
+/**
+ * Ref of a node or, for ref-less text entries, its closest ancestor within the card
+ */
+function nearestRef(node, card) {
+  for (let current = node; current; current = current.parent) {
+    if (current.ref) {
+      return current.ref;
+    }
+    if (current === card) {
+      break;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a possibly relative link against the page URL
+ */
+function resolveUrl(url, pageUrl) {
+  if (!url || !pageUrl) {
+    return url;
+  }
+
+  try {
+    return new URL(url, pageUrl).toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Turn a card node into structured job fields
+ */
+function buildJobCard(card, link, jobId, pageUrl) {
+  const title = cleanTitle(nodeTexts(link)[0] || '');
+  const job = {
+    jobId,
+    title,
+    company: null,
+    location: null,
+    salary: null,
+    posted: null,
+    applicants: null,
+    promoted: false,
+    easyApply: false,
+    url: resolveUrl(link.url, pageUrl),
+    refs: {
+      card: card.ref,
+      title: link.ref,
+      easyApply: null
+    }
+  };
+
+  const texts = [];
+  walk(card, node => {
+    if (node === link) {
+      return;
+    }
+    for (const text of nodeTexts(node)) {
+      texts.push({ text, node });
+    }
+  });
+
+  const seen = new Set();
+  for (const { text, node } of texts) {
+    // Cards repeat the title (link text plus a hidden heading) and nest text in wrappers
+    if (seen.has(text) || cleanTitle(text) === title || text.startsWith(title + ' ')) {
+      continue;
+    }
+    seen.add(text);
+
+    if (PATTERNS.easyApply.test(text)) {
+      job.easyApply = true;
+      job.refs.easyApply = job.refs.easyApply || nearestRef(node, card);
+    } else if (PATTERNS.promoted.test(text)) {
+      job.promoted = true;
+    } else if (!job.posted && PATTERNS.posted.test(text)) {
+      job.posted = text;
+    } else if (!job.applicants && PATTERNS.applicants.test(text)) {
+      job.applicants = text;
+    } else if (!job.salary && PATTERNS.salary.test(text)) {
+      // "$130K/yr - $160K/yr · 401(k), Medical" -> keep the pay range only
+      job.salary = text.split(' · ')[0];
+    } else if (PATTERNS.noise.test(text) || node.role === 'img' || node.role === 'button') {
+      continue;
+    } else if (!job.company && !PATTERNS.location.test(text)) {
+      job.company = text;
+    } else if (!job.location) {
+      job.location = text;
+    }
+  }
+
+  return job;
+}
+
+/**
+ * Accept snapshot text, a { text } snapshot object or a parseSnapshot() result
+ */
+function toParsed(snapshot) {
+  if (snapshot && snapshot.root) {
+    return snapshot;
+  }
+  return parseSnapshot(typeof snapshot === 'string' ? snapshot : (snapshot && snapshot.text));
+}
+
+/**
+ * Extract job cards from a search results snapshot
+ * @param {string|object} snapshot - Snapshot text, { text } object or parseSnapshot() result
+ * @returns {Array<object>} - One entry per distinct job ID, in page order
+ */
+function extractJobCards(snapshot) {
+  const parsed = toParsed(snapshot);
+  const jobs = [];
+  const seen = new Set();
+
+  walk(parsed.root, node => {
+    if (node.role !== 'link') {
+      return;
+    }
+
+    const jobId = extractJobId(node.url);
+    if (!jobId || seen.has(jobId) || nodeTexts(node).length === 0) {
+      return;
+    }
+
+    seen.add(jobId);
+    const card = findCardNode(node, jobId);
+    jobs.push(buildJobCard(card, node, jobId, parsed.url));
+  });
+
+  return jobs;
+}
+
+/**
+ * Whether a node is, or sits inside, another node
+ */
+function isWithin(node, ancestor) {
+  for (let current = node; current; current = current.parent) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Nodes following a section heading up to the next heading of the same or a
+ * higher level (any heading when levels are missing, as in Puppeteer trees)
+ */
+function sectionNodes(nodes, heading) {
+  const level = Number(heading.attributes.level) || null;
+  const section = [];
+
+  for (let i = nodes.indexOf(heading) + 1; i < nodes.length; i++) {
+    const node = nodes[i];
+    if (isWithin(node, heading)) {
+      continue;
+    }
+    if (node.role === 'heading') {
+      const nodeLevel = Number(node.attributes.level) || null;
+      if (!level || !nodeLevel || nodeLevel <= level) {
+        break;
+      }
+    }
+    section.push(node);
+  }
+
+  return section;
+}
+
+/**
+ * Whether a node is a button or inside one (text of "…see more" and friends)
+ */
+function isControl(node) {
+  return node.role === 'button' || Boolean(node.parent && node.parent.role === 'button');
+}
+
+/**
+ * Posting text under "About the job", one line per text entry
+ */
+function extractDescription(section) {
+  const lines = [];
+  let bullet = false;
+
+  for (const node of section) {
+    if (isControl(node)) {
+      continue;
+    }
+    // List items keep a "- " marker so requirement lists stay recognizable;
+    // Puppeteer trees put the item text in a child entry
+    if (node.role === 'listitem') {
+      bullet = true;
+    }
+    for (const text of nodeTexts(node)) {
+      const line = bullet ? `- ${text}` : text;
+      // Links and inline wrappers repeat their text in a child entry
+      if (/^[•·–-]$/.test(text) || line === lines[lines.length - 1] || text === lines[lines.length - 1]) {
+        continue;
+      }
+      lines.push(line);
+      bullet = false;
+    }
+  }
+
+  return lines.join('\n').trim() || null;
+}
+
+/**
+ * Members listed under "Meet the hiring team": profile link, then a headline
+ */
+function extractHiringTeam(section, pageUrl) {
+  const team = [];
+  let member = null;
+
+  for (const node of section) {
+    const texts = nodeTexts(node);
+
+    if (node.role === 'link' && DETAIL_PATTERNS.profileUrl.test(node.url || '')) {
+      const name = cleanTitle((texts[0] || '').split(/\s+[•·]\s+/)[0]);
+      if (!member || member.name !== name) {
+        member = { name, title: null, profileUrl: resolveUrl(node.url, pageUrl) };
+        team.push(member);
+      }
+      continue;
+    }
+
+    if (!member || member.title || isControl(node) || (node.parent && node.parent.role === 'link')) {
+      continue;
+    }
+
+    member.title = texts.find(text =>
+      text !== member.name &&
+      !text.startsWith(member.name + ' ') &&
+      !DETAIL_PATTERNS.hirerNoise.test(text)
+    ) || null;
+  }
+
+  return team;
+}
+
+/**
+ * Find the first heading whose text matches a pattern
+ */
+function findHeading(nodes, pattern) {
+  return nodes.find(node => node.role === 'heading' && nodeTexts(node).some(text => pattern.test(text))) || null;
+}
+
+/**
+ * Extract the full posting from a job detail page snapshot (/jobs/view/:id)
+ * @param {string|object} snapshot - Snapshot text, { text } object or parseSnapshot() result
+ * @returns {object} - Description, top card insights, hiring team, apply type and element refs
+ */
+function extractJobDetails(snapshot) {
+  const parsed = toParsed(snapshot);
+  const nodes = [];
+  walk(parsed.root, node => nodes.push(node));
+
+  const details = {
+    jobId: extractJobId(parsed.url),
+    title: null,
+    company: null,
+    description: null,
+    salary: null,
+    seniority: null,
+    employmentType: null,
+    workplaceType: null,
+    industry: null,
+    companySize: null,
+    hiringTeam: [],
+    applyType: null,
+    applyUrl: null,
+    refs: {
+      seeMore: null,
+      apply: null
+    }
+  };
+
+  const sections = new Set();
+  const descriptionHeading = findHeading(nodes, DETAIL_PATTERNS.descriptionHeading);
+  const hiringTeamHeading = findHeading(nodes, DETAIL_PATTERNS.hiringTeamHeading);
+
+  if (descriptionHeading) {
+    const section = sectionNodes(nodes, descriptionHeading);
+    section.forEach(node => sections.add(node));
+    details.description = extractDescription(section);
+  }
+
+  if (hiringTeamHeading) {
+    const section = sectionNodes(nodes, hiringTeamHeading);
+    section.forEach(node => sections.add(node));
+    details.hiringTeam = extractHiringTeam(section, parsed.url);
+  }
+
+  const titleHeading = nodes.find(node => node.role === 'heading' && node.attributes.level === '1') ||
+    nodes.find(node => node.role === 'heading' && node !== descriptionHeading && node !== hiringTeamHeading);
+  if (titleHeading) {
+    details.title = cleanTitle(nodeTexts(titleHeading)[0] || '') || null;
+  }
+
+  let afterTitle = false;
+  for (const node of nodes) {
+    if (!details.jobId && node.attributes['data-job-id']) {
+      details.jobId = node.attributes['data-job-id'];
+    }
+
+    const texts = nodeTexts(node);
+    const text = texts[0] || '';
+
+    if (node.role === 'button' || node.role === 'link') {
+      if (node.role === 'button' && !details.refs.seeMore && DETAIL_PATTERNS.seeMore.test(text)) {
+        details.refs.seeMore = node.ref;
+      } else if (!details.applyType && PATTERNS.easyApply.test(text)) {
+        details.applyType = 'easyApply';
+        details.refs.apply = node.ref;
+      } else if (!details.applyType && DETAIL_PATTERNS.externalApply.test(text)) {
+        details.applyType = 'external';
+        details.applyUrl = resolveUrl(node.url, parsed.url);
+        details.refs.apply = node.ref;
+      } else if (!details.company && node.role === 'link' && DETAIL_PATTERNS.companyUrl.test(node.url || '') && text) {
+        details.company = text.replace(/\s+logo$/i, '');
+      }
+      continue;
+    }
+
+    if (node === titleHeading) {
+      afterTitle = true;
+      continue;
+    }
+    if (sections.has(node) || isWithin(node, titleHeading) || isControl(node) || node.role === 'heading') {
+      continue;
+    }
+
+    for (const entry of texts) {
+      const parts = entry.split(/\s+[·•]\s+/);
+
+      if (!details.salary && PATTERNS.salary.test(parts[0])) {
+        details.salary = parts[0];
+        continue;
+      }
+
+      const sizePart = parts.find(part => DETAIL_PATTERNS.companySize.test(part));
+      if (sizePart && !details.companySize) {
+        details.companySize = sizePart.match(DETAIL_PATTERNS.companySize)[1].replace(/\s+/g, '');
+        details.industry = details.industry || parts.find(part => part !== sizePart) || null;
+        continue;
+      }
+
+      for (const part of parts) {
+        for (const field of ['employmentType', 'seniority', 'workplaceType']) {
+          if (!details[field] && DETAIL_PATTERNS[field].test(part)) {
+            details[field] = part;
+          }
+        }
+      }
+
+      // The line right under the title names the company when it is not a link
+      if (afterTitle && !details.company && node.parent.role !== 'link' &&
+          !PATTERNS.location.test(entry) && !PATTERNS.posted.test(entry) && parts.length === 1) {
+        details.company = entry;
+      }
+      afterTitle = false;
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Find nodes matching a role and (optionally) a name pattern
+ */
+function findNodes(snapshot, role, namePattern = null) {
+  const parsed = toParsed(snapshot);
+  const matches = [];
+
+  walk(parsed.root, node => {
+    if (node.role !== role) {
+      return;
+    }
+    if (namePattern && !nodeTexts(node).some(text => namePattern.test(text))) {
+      return;
+    }
+    matches.push(node);
+  });
+
+  return matches;
+}
+
+module.exports = {
+  parseSnapshot,
+  extractJobCards,
+  extractJobDetails,
+  extractJobId,
+  findNodes
+};
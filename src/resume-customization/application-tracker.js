@@ -6,6 +6,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
+const { parseCompensation } = require('../modules/compensation-parser');
 
 class ApplicationTracker {
     constructor(linearClient) {
@@ -35,6 +37,7 @@ class ApplicationTracker {
                 url: applicationData.jobUrl,
                 description: applicationData.jobDescription,
                 salary: applicationData.salary,
+                compensation: applicationData.compensation || parseCompensation(applicationData.salary, { currencyRates: config.get('currencyRates') }),
                 location: applicationData.location,
                 requirements: applicationData.jobAnalysis?.keyRequirements || [],
                 extractedSkills: applicationData.jobAnalysis?.extractedSkills || {},
@@ -129,6 +132,25 @@ class ApplicationTracker {
         }
     }
 
+    /**
+     * " (≈ USD 120,000 - 150,000/yr)" for a salary that is not already annual in the base currency
+     */
+    formatAnnualCompensation(compensation) {
+        if (!compensation || !compensation.annual) {
+            return '';
+        }
+        if (compensation.period === 'year' && compensation.currency === compensation.annual.currency) {
+            return '';
+        }
+
+        const { min, max, currency } = compensation.annual;
+        const amount = value => value.toLocaleString('en-US');
+        if (min === null) {
+            return ` (≈ up to ${currency} ${amount(max)}/yr)`;
+        }
+        return ` (≈ ${currency} ${min === max ? amount(min) : `${amount(min)} - ${amount(max)}`}/yr)`;
+    }
+
     /**
      * Generate comprehensive Linear issue description
      */
@@ -144,7 +166,7 @@ class ApplicationTracker {
 **Position**: ${job.title}  
 **Company**: ${job.company}  
 **Location**: ${job.location}  
-**Salary**: ${job.salary || 'Not specified'}  
+**Salary**: ${job.salary || 'Not specified'}${this.formatAnnualCompensation(job.compensation)}  
 **Application Date**: ${new Date(trackingEntry.timestamp).toLocaleDateString()}  
 
 ## 📄 Resume Details
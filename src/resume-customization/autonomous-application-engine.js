@@ -4,7 +4,7 @@
  * Maintains 15-second processing speed while adding intelligent customization
  */
 
-const JobDescriptionAnalyzer = require('./job-description-analyzer');
+const JobDescriptionAnalyzer = require('../modules/job-description-analyzer');
 const DynamicResumeGenerator = require('./dynamic-resume-generator');
 const ResumeJobMatcher = require('./resume-job-matcher');
 const ApplicationTracker = require('./application-tracker');
@@ -118,15 +118,11 @@ class AutonomousApplicationEngine {
      * Analyze job description and extract requirements
      */
     async analyzeJobDescription(jobData) {
-        const analysis = this.jobAnalyzer.analyzeJobDescription(
-            jobData.description,
-            jobData.title,
-            jobData.company
-        );
+        const analysis = await this.jobAnalyzer.analyzeJobDescription(jobData);
         
         console.log(`   ✓ Extracted ${Object.values(analysis.extractedSkills).flat().length} skills`);
         console.log(`   ✓ Industry: ${analysis.industryContext.primary} (${Math.round(analysis.industryContext.confidence * 100)}% confidence)`);
-        console.log(`   ✓ Experience Level: ${analysis.experienceLevel}`);
+        console.log(`   ✓ Experience Level: ${analysis.experience.seniorityLevel}`);
         
         return analysis;
     }
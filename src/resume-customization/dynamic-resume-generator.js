@@ -6,82 +6,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
 
 class DynamicResumeGenerator {
-    constructor() {
-        this.baseProfile = {
-            name: "Ivo Dachev",
-            email: "dachevivo@gmail.com",
-            phone: "+1 (650) 222-7923",
-            location: "San Francisco Bay Area",
-            linkedin: "linkedin.com/in/ivodachev",
-            
-            // Core experience areas
-            experience: {
-                technical: {
-                    years: 15,
-                    skills: ['JavaScript', 'Python', 'React', 'Node.js', 'AWS', 'Docker', 'Kubernetes', 'SQL', 'MongoDB', 'API Development', 'Microservices', 'Cloud Architecture'],
-                    achievements: [
-                        'Led development of scalable web applications serving 100K+ users',
-                        'Architected cloud infrastructure reducing costs by 40%',
-                        'Implemented CI/CD pipelines improving deployment efficiency by 60%',
-                        'Built RESTful APIs and GraphQL services for enterprise applications'
-                    ]
-                },
-                seo: {
-                    years: 5,
-                    skills: ['SEO Strategy', 'Google Analytics', 'Search Console', 'Keyword Research', 'Content Optimization', 'Technical SEO', 'Link Building', 'PPC Campaigns', 'Conversion Optimization'],
-                    achievements: [
-                        'Increased organic traffic by 300% through comprehensive SEO strategy',
-                        'Improved search rankings for 50+ target keywords to first page',
-                        'Optimized website performance achieving 95+ PageSpeed scores',
-                        'Managed $50K+ monthly PPC budgets with 4.2x ROAS'
-                    ]
-                },
-                leadership: {
-                    years: 10,
-                    skills: ['Team Leadership', 'Project Management', 'Strategic Planning', 'Agile/Scrum', 'Stakeholder Management', 'Budget Management', 'Performance Management', 'Mentoring'],
-                    achievements: [
-                        'Led cross-functional teams of 8-12 engineers and designers',
-                        'Managed $2M+ annual project budgets with 95% on-time delivery',
-                        'Mentored 20+ junior developers advancing 80% to senior roles',
-                        'Implemented agile processes reducing development cycles by 30%'
-                    ]
-                },
-                marketing: {
-                    years: 3,
-                    skills: ['Digital Marketing', 'Content Strategy', 'Email Marketing', 'Social Media', 'Marketing Automation', 'Lead Generation', 'Analytics', 'A/B Testing'],
-                    achievements: [
-                        'Developed content marketing strategy generating 500+ qualified leads monthly',
-                        'Created email campaigns with 25% open rates and 8% CTR',
-                        'Launched social media campaigns reaching 100K+ impressions',
-                        'Implemented marketing automation workflows improving conversion by 35%'
-                    ]
-                }
-            },
-            
-            education: [
-                {
-                    degree: "Master of Science in Computer Science",
-                    school: "Stanford University",
-                    year: "2010",
-                    relevant: ['technical', 'leadership']
-                },
-                {
-                    degree: "Bachelor of Science in Engineering",
-                    school: "UC Berkeley",
-                    year: "2008",
-                    relevant: ['technical', 'analytics']
-                }
-            ],
-            
-            certifications: [
-                { name: "AWS Solutions Architect Professional", relevant: ['technical'] },
-                { name: "Google Analytics Certified", relevant: ['seo', 'marketing', 'analytics'] },
-                { name: "Google Ads Certified", relevant: ['seo', 'marketing'] },
-                { name: "Scrum Master Certified", relevant: ['leadership', 'technical'] }
-            ]
-        };
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.profile] - Candidate profile, defaults to the profile store's
+     */
+    constructor(options = {}) {
+        this.profile = options.profile || config.get('profile');
         
         this.resumeTemplates = {
             technical: this.getTechnicalTemplate(),
@@ -116,8 +49,8 @@ class DynamicResumeGenerator {
                 version: resumeVersion,
                 templateType,
                 generationTime,
-                jobTitle: jobAnalysis.jobTitle,
-                company: jobAnalysis.company,
+                jobTitle: jobAnalysis.basicInfo.title,
+                company: jobAnalysis.basicInfo.company,
                 timestamp: new Date().toISOString(),
                 customizations: this.getCustomizationSummary(templateType, jobAnalysis)
             }
@@ -172,11 +105,11 @@ class DynamicResumeGenerator {
      * Generate customized professional summary
      */
     generateCustomizedSummary(templateType, jobAnalysis) {
-        const experienceYears = this.baseProfile.experience[templateType]?.years || 15;
-        const relevantSkills = jobAnalysis.extractedSkills[templateType] || [];
+        const experienceYears = this.profile.skills.expertise[templateType]?.years || this.profile.yearsOfExperience;
+        const relevantSkills = this.rankByDistinctiveness(jobAnalysis.extractedSkills[templateType] || [], jobAnalysis);
         const industryContext = jobAnalysis.industryContext.primary;
         
-        let summary = `Experienced ${experienceYears}+ year ${this.getJobTitleVariant(jobAnalysis.jobTitle)} `;
+        let summary = `Experienced ${experienceYears}+ year ${this.getJobTitleVariant(jobAnalysis.basicInfo.title)} `;
         
         if (templateType === 'seo') {
             summary += `with proven track record in search engine optimization, digital marketing, and organic growth. `;
@@ -203,12 +136,20 @@ class DynamicResumeGenerator {
         return summary;
     }
 
+    /**
+     * Order skills by their BM25 weight among the posting's distinctive keywords, unweighted ones last
+     */
+    rankByDistinctiveness(skills, jobAnalysis) {
+        const weights = new Map((jobAnalysis.distinctiveKeywords || []).map(keyword => [keyword.term, keyword.bm25]));
+        return [...skills].sort((a, b) => (weights.get(b.toLowerCase()) || 0) - (weights.get(a.toLowerCase()) || 0));
+    }
+
     /**
      * Generate customized experience section
      */
     generateCustomizedExperience(templateType, jobAnalysis) {
-        const relevantExperience = this.baseProfile.experience[templateType] || this.baseProfile.experience.technical;
-        const achievements = relevantExperience.achievements.slice(0, 3);
+        const relevantExperience = this.expertise(templateType);
+        const achievements = (relevantExperience.achievements || []).slice(0, 3);
         
         // Customize achievements based on job requirements
         const customizedAchievements = achievements.map(achievement => {
@@ -216,7 +157,7 @@ class DynamicResumeGenerator {
         });
 
         return {
-            title: `Senior ${this.getJobTitleVariant(jobAnalysis.jobTitle)}`,
+            title: `Senior ${this.getJobTitleVariant(jobAnalysis.basicInfo.title)}`,
             company: "Various Technology Companies",
             duration: `${relevantExperience.years} years`,
             achievements: customizedAchievements,
@@ -233,7 +174,7 @@ class DynamicResumeGenerator {
      */
     generateCustomizedSkills(templateType, jobAnalysis) {
         const allSkills = Object.values(jobAnalysis.extractedSkills).flat();
-        const profileSkills = this.baseProfile.experience[templateType]?.skills || [];
+        const profileSkills = this.profile.skills.expertise[templateType]?.skills || [];
         
         // Prioritize skills that appear in both job requirements and profile
         const matchedSkills = profileSkills.filter(skill => 
@@ -256,7 +197,7 @@ class DynamicResumeGenerator {
      * Generate customized achievements
      */
     generateCustomizedAchievements(templateType, jobAnalysis) {
-        const baseAchievements = this.baseProfile.experience[templateType]?.achievements || [];
+        const baseAchievements = this.profile.skills.expertise[templateType]?.achievements || [];
         
         return baseAchievements.map(achievement => 
             this.tailorAchievementToJob(achievement, jobAnalysis)
@@ -296,8 +237,8 @@ class DynamicResumeGenerator {
      */
     generateResumeVersion(jobAnalysis) {
         const date = new Date().toISOString().split('T')[0];
-        const company = jobAnalysis.company.replace(/[^a-zA-Z0-9]/g, '');
-        const title = jobAnalysis.jobTitle.replace(/[^a-zA-Z0-9]/g, '').substring(0, 20);
+        const company = jobAnalysis.basicInfo.company.replace(/[^a-zA-Z0-9]/g, '');
+        const title = jobAnalysis.basicInfo.title.replace(/[^a-zA-Z0-9]/g, '').substring(0, 20);
         return `${title}_${company}_${date}`;
     }
 
@@ -309,7 +250,7 @@ class DynamicResumeGenerator {
             `Used ${templateType} template for optimal job alignment`,
             `Emphasized ${jobAnalysis.extractedSkills[templateType]?.length || 0} relevant skills`,
             `Tailored for ${jobAnalysis.industryContext.primary} industry`,
-            `Customized for ${jobAnalysis.experienceLevel} level position`
+            `Customized for ${jobAnalysis.experience.seniorityLevel} level position`
         ];
     }
 
@@ -320,26 +261,37 @@ class DynamicResumeGenerator {
     getLeadershipTemplate() { return { type: 'leadership', focus: 'team management' }; }
     getHybridTemplate() { return { type: 'hybrid', focus: 'multi-disciplinary' }; }
 
+    /**
+     * Years, skills and achievements of the profile for a template, technical when it has none
+     */
+    expertise(templateType) {
+        const { expertise } = this.profile.skills;
+        return expertise[templateType] || expertise.technical;
+    }
+
+    /**
+     * Whether a profile entry is tagged for the template; untagged entries go on every resume
+     */
+    isRelevant(entry, templateType) {
+        return !entry.relevant || entry.relevant.includes(templateType) || templateType === 'hybrid';
+    }
+
     generateHeader() {
         return {
-            name: this.baseProfile.name,
-            email: this.baseProfile.email,
-            phone: this.baseProfile.phone,
-            location: this.baseProfile.location,
-            linkedin: this.baseProfile.linkedin
+            name: this.profile.name,
+            email: this.profile.email,
+            phone: this.profile.phone,
+            location: this.profile.location,
+            linkedin: (this.profile.links || {}).linkedin
         };
     }
 
     generateEducation(templateType) {
-        return this.baseProfile.education.filter(edu => 
-            edu.relevant.includes(templateType) || templateType === 'hybrid'
-        );
+        return this.profile.education.filter(edu => this.isRelevant(edu, templateType));
     }
 
     generateCertifications(templateType) {
-        return this.baseProfile.certifications.filter(cert => 
-            cert.relevant.includes(templateType) || templateType === 'hybrid'
-        );
+        return this.profile.certifications.filter(cert => this.isRelevant(cert, templateType));
     }
 }
 
@@ -4,8 +4,12 @@
  * Provides detailed scoring and improvement recommendations
  */
 
+const { SkillOntology, IMPLIED_CREDIT } = require('../modules/skill-ontology');
+
 class ResumeJobMatcher {
     constructor() {
+        this.ontology = new SkillOntology();
+        
         this.matchThreshold = {
             minimum: 80,
             target: 90,
@@ -71,11 +75,16 @@ class ResumeJobMatcher {
 
         if (jobSkills.length === 0) return 0.5; // Default if no skills extracted
 
-        // Calculate exact matches
-        const exactMatches = jobSkills.filter(jobSkill => 
-            resumeSkills.some(resumeSkill => 
-                resumeSkill.includes(jobSkill) || jobSkill.includes(resumeSkill)
-            )
+        // Calculate exact matches on whole tokens, so "java" does not match "javascript"
+        const isExactMatch = jobSkill => resumeSkills.some(resumeSkill => 
+            this.ontology.termsMatch(resumeSkill, jobSkill)
+        );
+        const exactMatches = jobSkills.filter(isExactMatch).length;
+
+        // Credit skills implied by more specific resume skills (React implies JavaScript)
+        const { implied } = this.ontology.expand(resumeSkills);
+        const impliedMatches = jobSkills.filter(jobSkill => 
+            !isExactMatch(jobSkill) && implied.has(this.ontology.canonicalName(jobSkill))
         ).length;
 
         // Calculate partial matches (similar skills)
@@ -85,7 +94,7 @@ class ResumeJobMatcher {
             )
         ).length;
 
-        const matchScore = (exactMatches * 1.0 + partialMatches * 0.5) / jobSkills.length;
+        const matchScore = (exactMatches * 1.0 + impliedMatches * IMPLIED_CREDIT + partialMatches * 0.5) / jobSkills.length;
         return Math.min(matchScore, 1.0);
     }
 
@@ -93,12 +102,12 @@ class ResumeJobMatcher {
      * Calculate experience relevance score
      */
     calculateExperienceRelevance(resumeData, jobAnalysis) {
-        const experienceLevel = jobAnalysis.experienceLevel;
+        const experienceLevel = jobAnalysis.experience.seniorityLevel;
         const resumeExperience = resumeData.experience;
 
         // Map experience levels to years
         const experienceMapping = {
-            entry: { min: 0, max: 2 },
+            junior: { min: 0, max: 2 },
             mid: { min: 2, max: 5 },
             senior: { min: 5, max: 10 },
             executive: { min: 10, max: 20 }
@@ -144,9 +153,22 @@ class ResumeJobMatcher {
 
     /**
      * Calculate keyword density score
+     *
+     * Share of the posting's distinctive keywords (weighted by BM25) the
+     * resume uses; analyses without them fall back to the plain keyword list.
      */
     calculateKeywordDensity(resumeData, jobAnalysis) {
         const resumeText = JSON.stringify(resumeData).toLowerCase();
+        const distinctive = jobAnalysis.distinctiveKeywords || [];
+
+        if (distinctive.length > 0) {
+            const total = distinctive.reduce((sum, keyword) => sum + keyword.bm25, 0);
+            const matched = distinctive
+                .filter(keyword => this.containsTerm(resumeText, keyword.term))
+                .reduce((sum, keyword) => sum + keyword.bm25, 0);
+            return total > 0 ? matched / total : 0.5;
+        }
+
         const jobKeywords = jobAnalysis.keywords.map(k => k.toLowerCase());
         
         if (jobKeywords.length === 0) return 0.5;
@@ -158,6 +180,14 @@ class ResumeJobMatcher {
         return keywordMatches / jobKeywords.length;
     }
 
+    /**
+     * Whether a text contains a term as whole words ("go" is not in "google")
+     */
+    containsTerm(text, term) {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+    }
+
     /**
      * Calculate achievements relevance score
      */
@@ -8,13 +8,17 @@
 async function testMCPConnection() {
   console.log('🔧 Testing MCP Connection to browsermcp server...');
   
+  const { use_tool_toolbox, connect, closeAll } = require('./mcp-integration/toolbox-client');
+
   try {
+    // Test 0: Start the server and complete the MCP handshake
+    console.log('\n📋 Test 0: MCP handshake');
+    const { serverInfo, tools } = await connect('browsermcp');
+    console.log('✅ Connected:', serverInfo, `(${tools.join(', ')})`);
+
     // Test 1: Try to navigate to LinkedIn
     console.log('\n📋 Test 1: Navigation to LinkedIn');
 
-    // Use the MCP integration client
-    const { use_tool_toolbox } = require('./mcp-integration/toolbox-client');
-
     const navResult = await use_tool_toolbox('browsermcp', {
       name: 'browser_navigate_browsermcp',
       arguments: { url: 'https://www.linkedin.com/jobs/' }
@@ -53,6 +57,8 @@ async function testMCPConnection() {
     }
     
     return false;
+  } finally {
+    await closeAll();
   }
 }
 
@@ -0,0 +1,109 @@
+/**
+ * Stub MCP Server - stdio JSON-RPC for the McpClient tests
+ *
+ * Answers initialize and tools/list, then misbehaves on purpose depending on
+ * the tool called:
+ *   echo         - returns the text argument
+ *   split        - writes the response in pieces, splitting a multi-byte character
+ *   burst        - writes a log line, a notification and the response in one chunk
+ *   fail         - answers with a JSON-RPC error
+ *   tool_error   - answers with a result flagged isError
+ *   hang         - never answers
+ *   ping_client  - pings the client and answers with the client's reply
+ *   die          - exits mid-request; with STUB_STATE_FILE set, only the first time
+ */
+
+const fs = require('fs');
+
+const TOOLS = ['echo', 'split', 'burst', 'fail', 'tool_error', 'hang', 'ping_client', 'die']
+  .map(name => ({ name, description: `Stub ${name} tool`, inputSchema: { type: 'object' } }));
+
+let buffer = '';
+let pingReply = null;
+
+const write = message => process.stdout.write(JSON.stringify(message) + '\n');
+const text = value => ({ content: [{ type: 'text', text: value }] });
+
+function callTool(id, name, args) {
+  switch (name) {
+    case 'echo':
+      return write({ jsonrpc: '2.0', id, result: text(args.text) });
+
+    case 'split': {
+      const frame = Buffer.from(JSON.stringify({ jsonrpc: '2.0', id, result: text('split ✅ done') }) + '\n');
+      const cut = frame.indexOf(Buffer.from('✅')) + 1;
+      process.stdout.write(frame.subarray(0, 12));
+      setTimeout(() => process.stdout.write(frame.subarray(12, cut)), 20);
+      setTimeout(() => process.stdout.write(frame.subarray(cut)), 40);
+      return undefined;
+    }
+
+    case 'burst':
+      return process.stdout.write([
+        'stub server log line, not JSON-RPC',
+        JSON.stringify({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } }),
+        '',
+        JSON.stringify({ jsonrpc: '2.0', id, result: text('burst') })
+      ].join('\n') + '\n');
+
+    case 'fail':
+      return write({ jsonrpc: '2.0', id, error: { code: -32602, message: 'Invalid selector', data: { selector: args.selector } } });
+
+    case 'tool_error':
+      return write({ jsonrpc: '2.0', id, result: { ...text('Element not found'), isError: true } });
+
+    case 'hang':
+      return undefined;
+
+    case 'ping_client':
+      pingReply = reply => write({ jsonrpc: '2.0', id, result: text(JSON.stringify(reply)) });
+      return write({ jsonrpc: '2.0', id: 'server-1', method: 'ping' });
+
+    case 'die': {
+      const stateFile = process.env.STUB_STATE_FILE;
+      if (!stateFile || !fs.existsSync(stateFile)) {
+        if (stateFile) {
+          fs.writeFileSync(stateFile, String(process.pid));
+        }
+        return process.exit(3);
+      }
+      return write({ jsonrpc: '2.0', id, result: text(`survived in ${process.pid}`) });
+    }
+
+    default:
+      return write({ jsonrpc: '2.0', id, error: { code: -32601, message: `Unknown tool: ${name}` } });
+  }
+}
+
+function handle(message) {
+  if (message.id === 'server-1' && pingReply) {
+    pingReply(message);
+    pingReply = null;
+    return;
+  }
+
+  switch (message.method) {
+    case 'initialize':
+      return write({ jsonrpc: '2.0', id: message.id, result: { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'stub', version: String(process.pid) } } });
+    case 'tools/list':
+      return write({ jsonrpc: '2.0', id: message.id, result: { tools: TOOLS } });
+    case 'tools/call':
+      return callTool(message.id, message.params.name, message.params.arguments || {});
+    default:
+      return undefined;
+  }
+}
+
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => {
+  buffer += chunk;
+  let index;
+  while ((index = buffer.indexOf('\n')) !== -1) {
+    const line = buffer.slice(0, index);
+    buffer = buffer.slice(index + 1);
+    if (line.trim()) {
+      handle(JSON.parse(line));
+    }
+  }
+});
+process.stdin.on('end', () => process.exit(0));
@@ -0,0 +1,217 @@
+/**
+ * Mock Job Board Integration Tests
+ * 
+ * Exercises the bundled LinkedIn stand-in over HTTP (search filtering,
+ * selector coverage and application recording), then drives the real
+ * JobSearch and ApplicationSubmission against it and checks what they store.
+ * The flows run in jsdom through DomDriver; set MOCK_BOARD_DRIVER=puppeteer
+ * to run them in Chromium.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const JobSearch = require('../../src/modules/job-search');
+const ApplicationSubmission = require('../../src/modules/application-submission');
+const SearchCursorStore = require('../../src/modules/search-cursor-store');
+const { JobStore } = require('../../src/modules/job-store');
+const { ApplicationQuota } = require('../../src/modules/application-quota');
+const { createDriver } = require('../../src/modules/browser-drivers');
+const { createMockJobBoard, searchJobs, loadJobs } = require('../../mock-job-board/server');
+const { useBoard } = require('../../mock-job-board/record-cassette');
+const DomDriver = require('../../mock-job-board/dom-driver');
+
+const FLOW_TIMEOUT = 60000;
+
+/**
+ * Connect a browser driver for the board and hand it to a BrowserAutomation
+ */
+async function attachDriver(browser) {
+  const browserConfig = config.get('browsermcp');
+  const driver = process.env.MOCK_BOARD_DRIVER === 'puppeteer'
+    ? createDriver('puppeteer', browserConfig)
+    : new DomDriver(browserConfig);
+
+  await driver.connect();
+  Object.assign(browser, { driver, isConnected: true });
+  return driver;
+}
+
+describe('Mock job board', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = createMockJobBoard();
+    server.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  test('should match OR-joined keywords and keep remote roles for any location', () => {
+    const jobs = loadJobs();
+    const results = searchJobs(jobs, { keywords: 'Full Stack Engineer OR SEO Specialist', location: 'Austin, TX' });
+    const titles = results.map(job => job.title);
+
+    expect(titles).toContain('Senior Full Stack Engineer');
+    expect(titles).toContain('Search Engine Optimization Specialist');
+    expect(titles).toContain('Full Stack Engineer (Node.js/React)');
+    expect(titles).not.toContain('Full Stack Developer');
+  });
+
+  test('should render the configured LinkedIn selectors', async () => {
+    const selectors = config.get('linkedin').selectors;
+
+    const jobsPage = await (await fetch(`${baseUrl}/jobs`)).text();
+    expect(jobsPage).toContain('aria-label="Search by title, skill, or company"');
+    expect(jobsPage).toContain('aria-label="City, state, or zip code"');
+    expect(jobsPage).toContain('data-test-id="jobs-tab"');
+
+    const results = await (await fetch(`${baseUrl}/jobs/search?keywords=React`)).text();
+    expect(results).toMatch(/\d+ results/);
+    expect(results).toContain('data-job-id="4100000001"');
+
+    const view = await (await fetch(`${baseUrl}/jobs/view/4100000001`)).text();
+    expect(view).toContain('aria-label="Easy Apply to Senior Full Stack Engineer at Northwind Labs"');
+    expect(view).toContain(`aria-label="${selectors.submitButton.match(/"(.+)"/)[1]}"`);
+    expect(view).toContain(`aria-label="${selectors.nextButton.match(/"(.+)"/)[1]}"`);
+    expect(view).toContain(`aria-label="${selectors.reviewButton.match(/"(.+)"/)[1]}"`);
+  });
+
+  test('should record Easy Apply submissions and reject external-apply jobs', async () => {
+    const submitted = await fetch(`${baseUrl}/api/jobs/4100000002/applications`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ phoneNumber: '(650) 222-7923', resume: { name: 'resume.pdf' } })
+    });
+    expect(submitted.status).toBe(201);
+
+    const rejected = await fetch(`${baseUrl}/api/jobs/4100000008/applications`, { method: 'POST', body: '{}' });
+    expect(rejected.status).toBe(404);
+
+    const applications = await (await fetch(`${baseUrl}/api/applications`)).json();
+    expect(applications).toHaveLength(1);
+    expect(applications[0].company).toBe('Bluegrass Health');
+    expect(applications[0].answers.resume.name).toBe('resume.pdf');
+  });
+});
+
+describe('Automation against the mock job board', () => {
+  const originalLinkedInConfig = config.get('linkedin');
+  const profile = config.get('profile');
+  let server;
+  let tmpDir;
+  let jobSearch;
+  let submission;
+
+  beforeAll(done => {
+    server = createMockJobBoard();
+    server.listen(0, () => {
+      useBoard(`http://localhost:${server.address().port}`);
+      config.update('linkedin', {
+        delays: { navigation: 0, search: 0, pageLoad: 0, formFill: 0, submission: 0 }
+      });
+      done();
+    });
+  });
+
+  afterAll(done => {
+    config.update('linkedin', originalLinkedInConfig);
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-board-flow-'));
+
+    jobSearch = new JobSearch();
+    jobSearch.cursorStore = new SearchCursorStore(path.join(tmpDir, 'search-cursors.json'));
+    submission = new ApplicationSubmission({
+      jobStore: new JobStore(path.join(tmpDir, 'job-store.json')),
+      quota: new ApplicationQuota({ filePath: path.join(tmpDir, 'application-quota.json') }),
+      logDir: path.join(tmpDir, 'logs')
+    });
+
+    await attachDriver(jobSearch.browser);
+    await attachDriver(submission.browser);
+  });
+
+  afterEach(async () => {
+    await jobSearch.close();
+    await submission.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('JobSearch should search through the form and store the cursor of the run', async () => {
+    const search = await jobSearch.searchJobs({
+      searchId: 'austin-fullstack',
+      keywords: ['Full Stack Engineer', 'SEO Specialist'],
+      location: 'Austin, TX'
+    });
+    const expected = searchJobs(loadJobs(), { keywords: 'Full Stack Engineer OR SEO Specialist', location: 'Austin, TX' });
+
+    expect(search.scannedCount).toBe(expected.length);
+    expect(search.results.map(job => job.jobId)).toEqual(expect.arrayContaining(['4100000001', '4100000003']));
+    expect(search.results.find(job => job.jobId === '4100000001')).toEqual(expect.objectContaining({
+      title: 'Senior Full Stack Engineer',
+      company: 'Northwind Labs',
+      easyApply: true,
+      url: `${config.get('linkedin').baseUrl}/jobs/view/4100000001`
+    }));
+
+    const cursor = new SearchCursorStore(path.join(tmpDir, 'search-cursors.json')).get('austin-fullstack');
+    expect(cursor.inProgress).toBe(false);
+    expect(cursor.seenJobIds.sort()).toEqual(expected.map(job => job.id).sort());
+  }, FLOW_TIMEOUT);
+
+  test('ApplicationSubmission should walk the Easy Apply modal and store the application', async () => {
+    const { results } = await jobSearch.searchJobs({ searchId: 'remote-fullstack', keywords: ['Senior Full Stack Engineer'] });
+    const job = results.find(result => result.jobId === '4100000001');
+    const resumePath = path.join(tmpDir, 'resume.pdf');
+    fs.writeFileSync(resumePath, '%PDF-1.4\n');
+
+    const result = await submission.submitApplication(job, {
+      generatedResume: { success: true, resumePath, matchScore: 88 }
+    });
+
+    expect(result.applicationData.submissionResult.verified).toBe(true);
+    expect(server.applications.find(application => application.jobId === '4100000001').answers).toEqual(expect.objectContaining({
+      phoneNumber: profile.phone,
+      authorizedToWork: 'Yes',
+      requiresSponsorship: 'No',
+      resume: expect.objectContaining({ name: 'resume.pdf', type: 'application/pdf' })
+    }));
+    expect(new JobStore(path.join(tmpDir, 'job-store.json')).findBlocking(job).record).toEqual(
+      expect.objectContaining({ status: 'applied', title: 'Senior Full Stack Engineer', application: expect.objectContaining({ resumePath }) })
+    );
+
+    // Test submissions must not count toward the real daily limit
+    const [logged] = fs.readdirSync(path.join(tmpDir, 'logs', 'applications'));
+    expect(JSON.parse(fs.readFileSync(path.join(tmpDir, 'logs', 'applications', logged), 'utf8'))).toEqual([
+      expect.objectContaining({ jobId: job.id, status: 'submitted' })
+    ]);
+  }, FLOW_TIMEOUT);
+
+  test('ApplicationSubmission should not apply where the board has no Easy Apply', async () => {
+    const applied = server.applications.length;
+    const job = {
+      id: 'job-4100000008',
+      jobId: '4100000008',
+      title: 'Full Stack Engineer (Node.js/React)',
+      company: 'Lone Star Fintech',
+      location: 'Austin, TX',
+      description: '',
+      url: `${config.get('linkedin').baseUrl}/jobs/view/4100000008`
+    };
+
+    await expect(submission.submitApplication(job)).rejects.toThrow(/Easy Apply not available for this position/);
+
+    expect(server.applications).toHaveLength(applied);
+    expect(new JobStore(path.join(tmpDir, 'job-store.json')).findBlocking(job)).toBeNull();
+  }, FLOW_TIMEOUT);
+});
@@ -4,7 +4,7 @@
  * Tests complete workflow from job analysis to LinkedIn submission
  */
 
-const JobDescriptionAnalyzer = require('../src/resume-customization/job-description-analyzer');
+const JobDescriptionAnalyzer = require('../src/modules/job-description-analyzer');
 const DynamicResumeGenerator = require('../src/resume-customization/dynamic-resume-generator');
 const ResumeJobMatcher = require('../src/resume-customization/resume-job-matcher');
 const fs = require('fs');
@@ -123,18 +123,14 @@ class LiveResumeCustomizationTest {
         console.log('-' .repeat(40));
         
         const startTime = Date.now();
-        const analysis = this.jobAnalyzer.analyzeJobDescription(
-            this.testJob.description,
-            this.testJob.title,
-            this.testJob.company
-        );
+        const analysis = this.jobAnalyzer.analyze(this.testJob);
         const analysisTime = (Date.now() - startTime) / 1000;
 
         this.testResults.jobAnalysis = {
             analysisTime,
             extractedSkills: analysis.extractedSkills,
             industryContext: analysis.industryContext,
-            experienceLevel: analysis.experienceLevel,
+            experienceLevel: analysis.experience.seniorityLevel,
             keyRequirements: analysis.keyRequirements,
             keywords: analysis.keywords,
             totalSkillsFound: Object.values(analysis.extractedSkills).flat().length
@@ -148,7 +144,7 @@ class LiveResumeCustomizationTest {
         console.log(`  - Leadership: ${analysis.extractedSkills.leadership.length} skills`);
         console.log(`  - Analytics: ${analysis.extractedSkills.analytics.length} skills`);
         console.log(`✓ Industry detected: ${analysis.industryContext.primary} (${Math.round(analysis.industryContext.confidence * 100)}% confidence)`);
-        console.log(`✓ Experience level: ${analysis.experienceLevel}`);
+        console.log(`✓ Experience level: ${analysis.experience.seniorityLevel}`);
         console.log(`✓ Key requirements: ${analysis.keyRequirements.length}`);
         console.log(`✓ Keywords for matching: ${analysis.keywords.length}\n`);
     }
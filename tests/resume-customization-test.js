@@ -3,7 +3,7 @@
  * Validates 80-90% job matching and autonomous integration
  */
 
-const JobDescriptionAnalyzer = require('../src/resume-customization/job-description-analyzer');
+const JobDescriptionAnalyzer = require('../src/modules/job-description-analyzer');
 const DynamicResumeGenerator = require('../src/resume-customization/dynamic-resume-generator');
 const ResumeJobMatcher = require('../src/resume-customization/resume-job-matcher');
 const AutonomousApplicationEngine = require('../src/resume-customization/autonomous-application-engine');
@@ -98,7 +98,7 @@ class ResumeCustomizationTest {
 
         for (const job of this.testJobs) {
             const startTime = Date.now();
-            const analysis = this.jobAnalyzer.analyzeJobDescription(job.description, job.title, job.company);
+            const analysis = this.jobAnalyzer.analyze(job);
             const analysisTime = (Date.now() - startTime) / 1000;
 
             const result = {
@@ -107,7 +107,7 @@ class ResumeCustomizationTest {
                 skillsExtracted: Object.values(analysis.extractedSkills).flat().length,
                 industryDetected: analysis.industryContext.primary,
                 industryConfidence: analysis.industryContext.confidence,
-                experienceLevel: analysis.experienceLevel,
+                experienceLevel: analysis.experience.seniorityLevel,
                 keyRequirements: analysis.keyRequirements.length,
                 keywords: analysis.keywords.length,
                 passed: this.validateJobAnalysis(analysis, job)
@@ -128,7 +128,7 @@ class ResumeCustomizationTest {
         const results = [];
 
         for (const job of this.testJobs) {
-            const analysis = this.jobAnalyzer.analyzeJobDescription(job.description, job.title, job.company);
+            const analysis = this.jobAnalyzer.analyze(job);
             
             const startTime = Date.now();
             const resumeResult = this.resumeGenerator.generateCustomizedResume(analysis);
@@ -160,7 +160,7 @@ class ResumeCustomizationTest {
         const results = [];
 
         for (const job of this.testJobs) {
-            const analysis = this.jobAnalyzer.analyzeJobDescription(job.description, job.title, job.company);
+            const analysis = this.jobAnalyzer.analyze(job);
             const resumeResult = this.resumeGenerator.generateCustomizedResume(analysis);
             
             const startTime = Date.now();
@@ -203,7 +203,7 @@ class ResumeCustomizationTest {
             
             try {
                 // Simulate full workflow
-                const analysis = this.jobAnalyzer.analyzeJobDescription(job.description, job.title, job.company);
+                const analysis = this.jobAnalyzer.analyze(job);
                 const resumeResult = this.resumeGenerator.generateCustomizedResume(analysis);
                 const matchResult = this.jobMatcher.calculateMatchScore(resumeResult.resumeContent, analysis);
                 
@@ -250,7 +250,7 @@ class ResumeCustomizationTest {
             const job = this.testJobs[0]; // Use SEO Lead job for performance testing
             
             const startTime = Date.now();
-            const analysis = this.jobAnalyzer.analyzeJobDescription(job.description, job.title, job.company);
+            const analysis = this.jobAnalyzer.analyze(job);
             const analysisTime = Date.now() - startTime;
 
             const resumeStartTime = Date.now();
@@ -345,7 +345,7 @@ class ResumeCustomizationTest {
     validateJobAnalysis(analysis, job) {
         return analysis.extractedSkills && 
                analysis.industryContext && 
-               analysis.experienceLevel && 
+               analysis.experience.seniorityLevel && 
                analysis.keyRequirements.length > 0;
     }
 
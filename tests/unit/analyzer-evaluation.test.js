@@ -0,0 +1,105 @@
+/**
+ * Analyzer Evaluation Unit Tests
+ *
+ * Covers the precision/recall/F1 and rank correlation helpers, dataset
+ * validation and the `evaluate` command, and fails when the analyzer or
+ * matcher score below the recorded baseline on the labeled dataset in
+ * tests/fixtures/evaluation.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadDataset,
+  evaluateDataset,
+  classificationScores,
+  setScores,
+  valueScores,
+  spearman
+} = require('../../src/modules/analyzer-evaluation');
+const { run } = require('../../src/cli');
+const { Logger } = require('../../src/modules/error-handling');
+
+// Scores on labeled-jobs.json when the dataset was added; raise them as the extractors improve
+const BASELINE = {
+  jobType: 1,
+  seniority: 1,
+  skills: 0.79,
+  yearsRequired: 1,
+  spearman: 0.79
+};
+
+describe('Evaluation metrics', () => {
+  test('should score sets, classes and values', () => {
+    expect(setScores([
+      { expected: ['react', 'node.js'], actual: ['react', 'jenkins'] },
+      { expected: ['python'], actual: ['python'] }
+    ])).toEqual({ precision: 0.667, recall: 0.667, f1: 0.667, tp: 2, fp: 1, fn: 1, support: 2 });
+
+    expect(classificationScores([
+      { expected: 'frontend', actual: 'frontend' },
+      { expected: 'backend', actual: 'frontend' }
+    ])).toEqual({ precision: 0.25, recall: 0.5, f1: 0.333, accuracy: 0.5, support: 2 });
+
+    expect(valueScores([
+      { expected: 5, actual: 5 },
+      { expected: 4, actual: null },
+      { expected: null, actual: 2 },
+      { expected: 3, actual: 7 }
+    ])).toEqual({ precision: 0.333, recall: 0.333, f1: 0.333, meanAbsoluteError: 2, support: 4 });
+  });
+
+  test('spearman should rank ties by their average and be undefined without spread', () => {
+    expect(spearman([1, 2, 3, 4], [0.2, 0.4, 0.6, 0.9])).toBe(1);
+    expect(spearman([1, 2, 3, 4], [0.9, 0.6, 0.4, 0.2])).toBe(-1);
+    expect(spearman([1, 1, 2, 3], [0.1, 0.3, 0.2, 0.5])).toBe(0.632);
+    expect(spearman([1, 1, 1], [0.1, 0.2, 0.3])).toBeNull();
+  });
+});
+
+describe('Labeled dataset', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evaluation-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    Logger.configure({ level: 'info', stderr: false });
+  });
+
+  test('should reject cases without an id, description or labels', () => {
+    const file = path.join(tmpDir, 'broken.json');
+    fs.writeFileSync(file, JSON.stringify({ cases: [{ id: 'a', job: { title: 'Engineer' }, expected: {} }] }));
+
+    expect(() => loadDataset(file)).toThrow('Case "a" of');
+  });
+
+  test('analyzer and matcher should not regress below the baseline', () => {
+    const report = evaluateDataset(loadDataset());
+
+    expect(report.cases).toBe(8);
+    expect(report.extractors.jobType.f1).toBeGreaterThanOrEqual(BASELINE.jobType);
+    expect(report.extractors.seniority.f1).toBeGreaterThanOrEqual(BASELINE.seniority);
+    expect(report.extractors.skills.f1).toBeGreaterThanOrEqual(BASELINE.skills);
+    expect(report.extractors.yearsRequired.f1).toBeGreaterThanOrEqual(BASELINE.yearsRequired);
+    expect(report.matchScore.spearman).toBeGreaterThanOrEqual(BASELINE.spearman);
+  });
+
+  test('the evaluate command should report each extractor and fail below --min-f1', async () => {
+    const stdout = [];
+    const stderr = [];
+    const io = { stdout: text => stdout.push(text), stderr: text => stderr.push(text) };
+
+    expect(await run(['evaluate', '--format', 'json', '--log-level', 'error'], io)).toBe(0);
+    const report = JSON.parse(stdout.join('\n'));
+    expect(Object.keys(report.extractors)).toEqual(['jobType', 'skills', 'seniority', 'yearsRequired']);
+    expect(report.misses.map(miss => miss.field)).not.toContain('yearsRequired');
+    expect(report.misses).toContainEqual(expect.objectContaining({ id: 'backend-python', field: 'skills', missing: ['graphql'] }));
+
+    expect(await run(['evaluate', '--min-f1', '0.9', '--log-level', 'error'], io)).toBe(1);
+    expect(stderr.pop()).toMatch(/below threshold: skills F1 0\.\d+$/);
+  });
+});
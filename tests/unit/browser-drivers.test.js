@@ -0,0 +1,284 @@
+/**
+ * Browser Driver Unit Tests
+ *
+ * Covers the driver registry and session modes, BrowserAutomation's
+ * primary/fallback driver selection with stubbed drivers, the Puppeteer
+ * driver against a stubbed puppeteer, and McpDriver's unsupported uploads
+ * and script evaluation.
+ */
+
+jest.mock('puppeteer', () => ({ launch: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const config = require('../../src/config');
+const BrowserAutomation = require('../../src/modules/browser-automation');
+const ApplicationSubmission = require('../../src/modules/application-submission');
+const {
+  createDriver,
+  createSessionDriver,
+  McpDriver,
+  PuppeteerDriver,
+  RecordingDriver,
+  ReplayDriver
+} = require('../../src/modules/browser-drivers');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+describe('createSessionDriver', () => {
+  const browserConfig = config.get('browsermcp');
+
+  test('should create the named driver for live sessions', () => {
+    expect(createSessionDriver('mcp', browserConfig)).toBeInstanceOf(McpDriver);
+    expect(createSessionDriver('puppeteer', { ...browserConfig, session: { mode: 'live' } })).toBeInstanceOf(PuppeteerDriver);
+    expect(() => createDriver('selenium', browserConfig)).toThrow('Unknown browser driver "selenium" (expected one of: mcp, puppeteer)');
+  });
+
+  test('should wrap the live driver when recording and replay without one', () => {
+    const session = { cassette: 'tests/fixtures/cassettes/mock-board-easy-apply.json' };
+    const recorder = createSessionDriver('puppeteer', { ...browserConfig, session: { ...session, mode: 'record' } });
+    const replay = createSessionDriver('puppeteer', { ...browserConfig, session: { ...session, mode: 'replay' } });
+
+    expect(recorder).toBeInstanceOf(RecordingDriver);
+    expect(recorder.name).toBe('puppeteer+record');
+    expect(recorder.inner).toBeInstanceOf(PuppeteerDriver);
+    expect(recorder.cassettePath).toBe(path.join(ROOT, session.cassette));
+    expect(replay).toBeInstanceOf(ReplayDriver);
+    expect(replay.cassettePath).toBe(path.join(ROOT, session.cassette));
+  });
+
+  test('should reject record and replay without a cassette, and unknown modes', () => {
+    expect(() => createSessionDriver('mcp', { session: { mode: 'replay' } }))
+      .toThrow('Session mode "replay" requires browsermcp.session.cassette');
+    expect(() => createSessionDriver('mcp', { session: { mode: 'playback', cassette: 'x.json' } }))
+      .toThrow('Unknown session mode "playback" (expected live, record or replay)');
+  });
+});
+
+describe('BrowserAutomation.initialize', () => {
+  const originalBrowserConfig = config.get('browsermcp');
+  let mcpConnect;
+  let puppeteerConnect;
+
+  beforeEach(() => {
+    mcpConnect = jest.spyOn(McpDriver.prototype, 'connect');
+    puppeteerConnect = jest.spyOn(PuppeteerDriver.prototype, 'connect');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.update('browsermcp', originalBrowserConfig);
+  });
+
+  const useDrivers = (driver, fallbackDriver, session = { mode: 'live', cassette: null }) => {
+    config.update('browsermcp', { driver, fallbackDriver, session });
+    return new BrowserAutomation();
+  };
+
+  test('should connect the primary driver when it is available', async () => {
+    mcpConnect.mockResolvedValue({ serverInfo: { name: 'browsermcp' }, tools: [{ name: 'browser_navigate' }] });
+    const browser = useDrivers('mcp', 'puppeteer');
+
+    expect(await browser.initialize()).toEqual({
+      success: true,
+      driver: 'mcp',
+      message: 'mcp connection established',
+      serverInfo: { name: 'browsermcp' },
+      tools: [{ name: 'browser_navigate' }]
+    });
+    expect(browser.driver).toBeInstanceOf(McpDriver);
+    expect(browser.isConnected).toBe(true);
+    expect(puppeteerConnect).not.toHaveBeenCalled();
+  });
+
+  test('should fall back when the primary driver fails to connect', async () => {
+    mcpConnect.mockRejectedValue(new Error('browsermcp extension not connected'));
+    puppeteerConnect.mockResolvedValue({ serverInfo: { name: 'puppeteer' }, tools: [] });
+    const browser = useDrivers('mcp', 'puppeteer');
+
+    expect((await browser.initialize()).driver).toBe('puppeteer');
+    expect(browser.driver).toBeInstanceOf(PuppeteerDriver);
+    expect(mcpConnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('should report both failures when the fallback fails too', async () => {
+    mcpConnect.mockRejectedValue(new Error('browsermcp extension not connected'));
+    puppeteerConnect.mockRejectedValue(new Error('Failed to launch the browser process'));
+    const browser = useDrivers('mcp', 'puppeteer');
+
+    await expect(browser.initialize()).rejects.toThrow(
+      'Browser initialization failed: browsermcp extension not connected; fallback puppeteer: Failed to launch the browser process'
+    );
+    expect(browser.driver).toBeNull();
+    expect(browser.isConnected).toBe(false);
+  });
+
+  test('should not retry the same driver or one that is not configured', async () => {
+    puppeteerConnect.mockRejectedValue(new Error('Failed to launch the browser process'));
+
+    await expect(useDrivers('puppeteer', 'puppeteer').initialize()).rejects.toThrow(
+      /^Browser initialization failed: Failed to launch the browser process$/
+    );
+    await expect(useDrivers('puppeteer', null).initialize()).rejects.toThrow(
+      /^Browser initialization failed: Failed to launch the browser process$/
+    );
+    expect(puppeteerConnect).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not fall back to a live browser while replaying', async () => {
+    const cassette = path.join(os.tmpdir(), 'missing-cassette.json');
+    const browser = useDrivers('mcp', 'puppeteer', { mode: 'replay', cassette });
+
+    await expect(browser.initialize()).rejects.toThrow(`Browser initialization failed: Cassette not found: ${cassette}`);
+    expect(mcpConnect).not.toHaveBeenCalled();
+    expect(puppeteerConnect).not.toHaveBeenCalled();
+  });
+});
+
+describe('PuppeteerDriver', () => {
+  let tmpDir;
+  let page;
+  let browser;
+
+  /**
+   * An element handle stub; `tag` and `type` answer the file input check
+   */
+  const element = (tag = 'INPUT', type = 'file') => ({
+    click: jest.fn(async () => {}),
+    type: jest.fn(async () => {}),
+    uploadFile: jest.fn(async () => {}),
+    dispose: jest.fn(async () => {}),
+    evaluate: jest.fn(async fn => fn({ tagName: tag, type, href: 'https://www.linkedin.com/jobs/view/4100000001/' }))
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'puppeteer-driver-'));
+    page = {
+      setViewport: jest.fn(async () => {}),
+      setUserAgent: jest.fn(async () => {}),
+      title: jest.fn(async () => 'Jobs | LinkedIn'),
+      url: jest.fn(() => 'https://www.linkedin.com/jobs/'),
+      accessibility: { snapshot: jest.fn() },
+      waitForFunction: jest.fn(),
+      waitForFileChooser: jest.fn()
+    };
+    browser = {
+      pages: jest.fn(async () => [page]),
+      version: jest.fn(async () => 'Chrome/139.0.0.0'),
+      close: jest.fn(async () => {})
+    };
+    puppeteer.launch.mockReset().mockResolvedValue(browser);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const connected = async (overrides = {}) => {
+    const driver = new PuppeteerDriver({ ...config.get('browsermcp'), ...overrides });
+    await driver.connect();
+    return driver;
+  };
+
+  test('should launch Chromium with the configured options', async () => {
+    const driver = await connected({ headless: true, puppeteer: { executablePath: '/usr/bin/chromium', userDataDir: 'session-data/profile', args: ['--no-sandbox'] } });
+
+    expect(puppeteer.launch).toHaveBeenCalledWith(expect.objectContaining({
+      headless: true,
+      executablePath: '/usr/bin/chromium',
+      userDataDir: path.join(ROOT, 'session-data', 'profile'),
+      args: ['--no-sandbox']
+    }));
+    expect(page.setViewport).toHaveBeenCalledWith({ width: 1920, height: 1080 });
+    expect(driver.connected).toBe(true);
+
+    await driver.close();
+    expect(browser.close).toHaveBeenCalled();
+    expect(driver.page).toBeNull();
+  });
+
+  test('should render the accessibility tree as a browsermcp outline with link URLs', async () => {
+    const link = element('A');
+    page.accessibility.snapshot.mockResolvedValue({
+      role: 'RootWebArea',
+      name: 'Jobs | LinkedIn',
+      children: [
+        { role: 'heading', name: 'Jobs' },
+        { role: 'link', name: 'Senior Full Stack Engineer', elementHandle: async () => link }
+      ]
+    });
+    const driver = await connected();
+
+    expect((await driver.snapshot()).text).toBe([
+      '- Page URL: https://www.linkedin.com/jobs/',
+      '- Page Title: Jobs | LinkedIn',
+      '- Page Snapshot',
+      '```yaml',
+      '- RootWebArea "Jobs | LinkedIn":',
+      '  - heading "Jobs"',
+      '  - link "Senior Full Stack Engineer":',
+      '    - /url: https://www.linkedin.com/jobs/view/4100000001/',
+      '```'
+    ].join('\n'));
+    expect(link.dispose).toHaveBeenCalled();
+  });
+
+  test('should act on the first visible match of a selector', async () => {
+    const button = element('BUTTON', 'button');
+    page.waitForFunction.mockResolvedValue({ asElement: () => button });
+    const driver = await connected();
+
+    await driver.click('button[aria-label="Continue to next step"]');
+
+    const [visibleMatch, options, selector] = page.waitForFunction.mock.calls[0];
+    expect(selector).toBe('button[aria-label="Continue to next step"]');
+    expect(options).toEqual({ timeout: 10000 });
+    expect(visibleMatch.toString()).toContain('checkVisibility');
+    expect(button.click).toHaveBeenCalled();
+  });
+
+  test('should attach files to file inputs and through the chooser of upload buttons', async () => {
+    const resumePath = path.join(tmpDir, 'resume.pdf');
+    fs.writeFileSync(resumePath, '%PDF-1.4\n');
+    const input = element('INPUT', 'file');
+    const button = element('BUTTON', 'button');
+    const chooser = { accept: jest.fn(async () => {}) };
+    page.waitForFunction.mockResolvedValueOnce({ asElement: () => input }).mockResolvedValueOnce({ asElement: () => button });
+    page.waitForFileChooser.mockResolvedValue(chooser);
+    const driver = await connected();
+
+    await driver.uploadFile('input[type="file"]', resumePath);
+    await driver.uploadFile('button[aria-label*="upload"]', resumePath);
+
+    expect(input.uploadFile).toHaveBeenCalledWith(resumePath);
+    expect(button.click).toHaveBeenCalled();
+    expect(chooser.accept).toHaveBeenCalledWith([resumePath]);
+    await expect(driver.uploadFile('input[type="file"]', path.join(tmpDir, 'missing.pdf')))
+      .rejects.toThrow(`Upload file not found: ${path.join(tmpDir, 'missing.pdf')}`);
+  });
+});
+
+describe('McpDriver unsupported operations', () => {
+  test('should reject uploads and script evaluation as unsupported', async () => {
+    const driver = new McpDriver(config.get('browsermcp'));
+
+    await expect(driver.uploadFile('input[type="file"]', '/tmp/resume.pdf')).rejects.toMatchObject({
+      code: 'DRIVER_UNSUPPORTED',
+      message: 'uploadFile is not supported by the mcp driver'
+    });
+    await expect(driver.evaluate(() => document.title)).rejects.toMatchObject({
+      code: 'DRIVER_UNSUPPORTED',
+      message: 'evaluate is not supported by the mcp driver'
+    });
+  });
+
+  test('ApplicationSubmission should leave the resume to the user instead of failing', async () => {
+    const submission = new ApplicationSubmission({ jobStore: {}, quota: {} });
+    submission.browser.driver = new McpDriver(config.get('browsermcp'));
+
+    await expect(submission.attachResume('input[type="file"]', '/tmp/resume.pdf')).resolves.toBe(false);
+    await expect(submission.browser.evaluate(() => document.title)).rejects.toMatchObject({ code: 'DRIVER_UNSUPPORTED' });
+  });
+});
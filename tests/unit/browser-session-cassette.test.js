@@ -0,0 +1,179 @@
+/**
+ * Browser Session Cassette Unit Tests
+ * 
+ * Records a session through a scripted driver, then replays it through
+ * BrowserAutomation without any browser attached, and replays the Easy
+ * Apply submission recorded from the mock job board.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const BrowserAutomation = require('../../src/modules/browser-automation');
+const ApplicationSubmission = require('../../src/modules/application-submission');
+const { JobStore } = require('../../src/modules/job-store');
+const { ApplicationQuota } = require('../../src/modules/application-quota');
+const { BrowserDriver, RecordingDriver, ReplayDriver } = require('../../src/modules/browser-drivers');
+const { CASSETTE_PATH, easyApplyJob, useBoard } = require('../../mock-job-board/record-cassette');
+
+class ScriptedDriver extends BrowserDriver {
+  constructor() {
+    super('scripted');
+    this.url = null;
+  }
+
+  async connect() {
+    this.connected = true;
+    return { serverInfo: { name: 'scripted' }, tools: [] };
+  }
+
+  async navigate(url) {
+    this.url = url;
+    return { success: true, url };
+  }
+
+  async click(selector) {
+    if (selector === '#missing') {
+      throw new Error('Element not found');
+    }
+    return { success: true, selector };
+  }
+
+  async screenshot(filename) {
+    return { filename, path: `/screenshots/${filename}` };
+  }
+
+  async snapshot() {
+    return {
+      url: this.url,
+      title: 'Jobs | LinkedIn',
+      text: '- Page Title: Jobs | LinkedIn\n- link "Senior Full-Stack Developer"',
+      mcpResult: { content: [{ type: 'text', text: 'raw payload' }] }
+    };
+  }
+}
+
+describe('Browser session cassettes', () => {
+  let cassettePath;
+  const originalBrowserConfig = config.get('browsermcp');
+
+  beforeEach(async () => {
+    cassettePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-')), 'session.json');
+
+    const recorder = new RecordingDriver(new ScriptedDriver(), cassettePath);
+    await recorder.connect();
+    await recorder.navigate('https://www.linkedin.com/jobs/search?keywords=node');
+    await recorder.snapshot();
+    await expect(recorder.click('#missing')).rejects.toThrow('Element not found');
+    await recorder.screenshot('screenshot-2026-10-01T09-00-00-000Z.png');
+    await recorder.close();
+  });
+
+  afterEach(() => {
+    config.update('browsermcp', { session: originalBrowserConfig.session });
+    fs.rmSync(path.dirname(cassettePath), { recursive: true, force: true });
+  });
+
+  test('should write every interaction with its raw MCP payload', () => {
+    const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+
+    expect(cassette.driver).toBe('scripted');
+    expect(cassette.interactions.map(i => i.operation)).toEqual(['navigate', 'snapshot', 'click', 'screenshot']);
+    expect(cassette.interactions[1].result.title).toBe('Jobs | LinkedIn');
+    expect(cassette.interactions[1].result.mcpResult).toEqual({ content: [{ type: 'text', text: 'raw payload' }] });
+    expect(cassette.interactions[2].error.message).toBe('Element not found');
+  });
+
+  test('should replay a recorded session through BrowserAutomation', async () => {
+    config.update('browsermcp', { session: { mode: 'replay', cassette: cassettePath } });
+
+    const browser = new BrowserAutomation();
+    const init = await browser.initialize();
+    expect(init.driver).toBe('replay');
+
+    await browser.navigate('https://www.linkedin.com/jobs/search?keywords=node', { retries: 1 });
+    const snapshot = await browser.getPageSnapshot();
+
+    expect(snapshot.title).toBe('Jobs | LinkedIn');
+    expect(snapshot.url).toBe('https://www.linkedin.com/jobs/search?keywords=node');
+    expect(snapshot.mcpResult).toEqual({ content: [{ type: 'text', text: 'raw payload' }] });
+    await browser.close();
+  });
+
+  test('should replay recorded errors', async () => {
+    const replay = new ReplayDriver(cassettePath);
+    await replay.connect();
+    await replay.navigate('https://www.linkedin.com/jobs/search?keywords=node');
+    await replay.snapshot();
+
+    await expect(replay.click('#missing')).rejects.toThrow('Element not found');
+    expect(replay.remaining()).toBe(1);
+  });
+
+  test('should not compare timestamped screenshot names', async () => {
+    const replay = new ReplayDriver(cassettePath);
+    await replay.connect();
+    await replay.navigate('https://www.linkedin.com/jobs/search?keywords=node');
+    await replay.snapshot();
+    await expect(replay.click('#missing')).rejects.toThrow('Element not found');
+
+    expect(await replay.screenshot('screenshot-2026-10-19T10-30-00-000Z.png')).toEqual({
+      filename: 'screenshot-2026-10-01T09-00-00-000Z.png',
+      path: '/screenshots/screenshot-2026-10-01T09-00-00-000Z.png'
+    });
+    expect(replay.remaining()).toBe(0);
+  });
+
+  test('should fail when the flow diverges from the recording', async () => {
+    const replay = new ReplayDriver(cassettePath);
+    await replay.connect();
+
+    await expect(replay.navigate('https://www.linkedin.com/feed')).rejects.toMatchObject({
+      code: 'CASSETTE_MISMATCH'
+    });
+  });
+});
+
+describe('Recorded mock job board session', () => {
+  const originalBrowserConfig = config.get('browsermcp');
+  const originalLinkedInConfig = config.get('linkedin');
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-replay-'));
+    config.update('browsermcp', { session: { mode: 'replay', cassette: CASSETTE_PATH } });
+    useBoard();
+  });
+
+  afterEach(() => {
+    config.update('browsermcp', { session: originalBrowserConfig.session });
+    config.update('linkedin', originalLinkedInConfig);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should replay the Easy Apply submission through ApplicationSubmission', async () => {
+    const jobStore = new JobStore(path.join(tmpDir, 'job-store.json'));
+    const quota = new ApplicationQuota({ filePath: path.join(tmpDir, 'application-quota.json') });
+    const submission = new ApplicationSubmission({ jobStore, quota, logDir: path.join(tmpDir, 'logs') });
+    const resumePath = path.join(tmpDir, 'resume.pdf');
+    fs.writeFileSync(resumePath, '%PDF-1.4\n');
+
+    expect((await submission.browser.initialize()).driver).toBe('replay');
+    await submission.browser.validateLinkedInSession();
+
+    const result = await submission.submitApplication(easyApplyJob(), {
+      generatedResume: { success: true, resumePath, matchScore: 88 }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.applicationData.resumeInfo).toEqual(expect.objectContaining({ resumePath, uploaded: true }));
+    expect(result.applicationData.submissionResult.verified).toBe(true);
+    expect(submission.browser.driver.remaining()).toBe(0);
+    expect(new JobStore(path.join(tmpDir, 'job-store.json')).findBlocking(easyApplyJob()).record).toEqual(
+      expect.objectContaining({ status: 'applied', company: 'Bluegrass Health', application: expect.objectContaining({ resumePath }) })
+    );
+    expect(quota.usage().today).toBe(1);
+    expect(fs.readdirSync(path.join(tmpDir, 'logs', 'applications'))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Campaign Engine Unit Tests
+ *
+ * Runs campaigns against stubbed search and submission modules to cover
+ * campaign file loading, filtering, ranking, applying to the target and
+ * resuming from saved progress. The quota test uses the real
+ * ApplicationSubmission so the error it throws is the one campaigns see.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CampaignEngine, loadCampaign, listCampaigns, normalizeCampaign } = require('../../src/modules/campaign-engine');
+const { JobStore } = require('../../src/modules/job-store');
+const { ApplicationQuota } = require('../../src/modules/application-quota');
+const ApplicationSubmission = require('../../src/modules/application-submission');
+
+const job = (jobId, title, description, overrides = {}) => ({
+  id: `job-${jobId}`,
+  jobId,
+  title,
+  company: `Company ${jobId}`,
+  location: 'United States (Remote)',
+  description,
+  easyApply: true,
+  url: `https://www.linkedin.com/jobs/view/${jobId}`,
+  ...overrides
+});
+
+const SEARCH_RESULTS = {
+  'node-remote': [
+    job('4200000001', 'Senior Node.js Engineer', 'Build REST APIs with Node.js, TypeScript and PostgreSQL.'),
+    job('4200000002', 'Node.js Developer (Contract)', 'Six month contract building Node.js services.'),
+    job('4200000003', 'Backend Engineer', 'Node.js microservices.', { easyApply: false })
+  ],
+  'node-backend': [
+    // Same job as 4200000001, found again by the second search
+    job('4200000001', 'Senior Node.js Engineer', 'Build REST APIs with Node.js, TypeScript and PostgreSQL.'),
+    job('4200000004', 'Platform Engineer', 'Go and Kubernetes only.'),
+    job('4200000005', 'Full Stack JavaScript Engineer', 'React front end and Node.js API work.')
+  ]
+};
+
+const CAMPAIGN = {
+  id: 'test-node',
+  name: 'Test Node.js Campaign',
+  target: 2,
+  searchConfigurations: [
+    { id: 'node-remote', name: 'Node.js - Remote', keywords: ['Node.js Developer'] },
+    { id: 'node-backend', name: 'Backend', keywords: ['Backend Engineer'] }
+  ],
+  searchExecutionStrategy: { minimumMatchScore: 0, delayBetweenSearches: 0, delayBetweenApplications: 0 },
+  qualityFilters: {
+    includeKeywords: ['node.js'],
+    excludeKeywords: ['contract'],
+    requiredSkillsAny: ['JavaScript', 'Node.js']
+  },
+  resume: { customizationLevel: 'high', emphasizeSkills: ['Node.js'] }
+};
+
+function stubJobSearch() {
+  return {
+    searchJobs: jest.fn(async criteria => ({ results: SEARCH_RESULTS[criteria.id] || [] })),
+    enrichJobDetails: jest.fn(async jobs => jobs)
+  };
+}
+
+function stubSubmission(failing = []) {
+  return {
+    submitApplication: jest.fn(async jobData => {
+      if (failing.includes(jobData.jobId)) {
+        throw new Error('Easy Apply not available for this position');
+      }
+      return { success: true };
+    })
+  };
+}
+
+describe('Campaign files', () => {
+  test('should load every campaign in campaigns/ with defaults filled in', () => {
+    const campaigns = listCampaigns();
+
+    expect(campaigns.map(campaign => campaign.id).sort()).toEqual(['fullstack-batch2', 'generative-ai', 'remote-nodejs']);
+    campaigns.forEach(campaign => {
+      expect(campaign.target).toBeGreaterThan(0);
+      expect(campaign.strategy.minimumMatchScore).toEqual(expect.any(Number));
+      expect(campaign.searchConfigurations.length).toBeGreaterThan(0);
+    });
+    expect(loadCampaign('remote-nodejs').resume.template).toBe('ivo-dachev-master-updated.json');
+  });
+
+  test('should accept diversified-search-strategy.json as a campaign', () => {
+    const campaign = loadCampaign(path.join(__dirname, '..', '..', 'config', 'diversified-search-strategy.json'));
+
+    expect(campaign).toMatchObject({
+      id: 'diversified-search-strategy',
+      target: 10,
+      strategy: { minimumMatchScore: 70, requireEasyApply: true }
+    });
+    expect(campaign.searchConfigurations).toHaveLength(10);
+    expect(campaign.qualityFilters.includeKeywords).toContain('full stack');
+    expect(campaign.exclusions.excludedCompanyPositions).toContain('Salt AI|Full Stack Engineer');
+  });
+
+  test('should reject campaigns without searches', () => {
+    expect(() => normalizeCampaign({ id: 'empty' })).toThrow(/has no search configurations/);
+    expect(() => loadCampaign('no-such-campaign')).toThrow(/Campaign "no-such-campaign" not found/);
+  });
+});
+
+describe('CampaignEngine', () => {
+  let tmpDir;
+  let engineOptions;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-'));
+    engineOptions = () => ({
+      progressDir: path.join(tmpDir, 'campaigns'),
+      jobStore: new JobStore(path.join(tmpDir, 'job-store.json')),
+      jobSearch: stubJobSearch(),
+      wait: jest.fn(async () => {})
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should filter and rank candidates without applying on a dry run', async () => {
+    const engine = new CampaignEngine(engineOptions());
+    const summary = await engine.run(CAMPAIGN, { dryRun: true });
+
+    expect(summary.status).toBe('ranked');
+    expect(summary.searchesExecuted).toBe(2);
+    expect(summary.ranked.map(ranked => ranked.jobId).sort()).toEqual(['4200000001', '4200000005']);
+    expect(summary.skipped).toEqual({
+      'Excluded keyword': 1,
+      'No Easy Apply': 1,
+      Duplicate: 1,
+      'Missing campaign keywords': 1
+    });
+    expect(summary.applications).toEqual([]);
+  });
+
+  test('should apply until the target is met and record every attempt', async () => {
+    const applicationSubmission = stubSubmission(['4200000005']);
+    const engine = new CampaignEngine({
+      ...engineOptions(),
+      applicationSubmission
+    });
+    const campaign = { ...CAMPAIGN, searchConfigurations: [...CAMPAIGN.searchConfigurations, { id: 'extra', keywords: ['Node.js'] }] };
+    SEARCH_RESULTS.extra = [job('4200000006', 'Node.js Engineer', 'Node.js and JavaScript services.')];
+
+    const summary = await engine.run(campaign);
+    delete SEARCH_RESULTS.extra;
+
+    expect(summary.status).toBe('completed');
+    expect(summary.submitted).toBe(2);
+    expect(summary.applications.map(application => [application.jobId, application.status])).toEqual(
+      expect.arrayContaining([['job-4200000005', 'failed']])
+    );
+    expect(applicationSubmission.submitApplication).toHaveBeenCalledWith(
+      expect.objectContaining({ jobId: '4200000001' }),
+      expect.objectContaining({ customizationLevel: 'high', emphasizeSkills: ['Node.js'] })
+    );
+
+    const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'campaigns', 'test-node.json'), 'utf8'));
+    expect(saved.status).toBe('completed');
+    expect(saved.applications).toHaveLength(3);
+  });
+
+  test('should resume an interrupted campaign from its saved progress', async () => {
+    const first = new CampaignEngine({
+      ...engineOptions(),
+      applicationSubmission: stubSubmission(),
+      wait: jest.fn(async () => {
+        throw new Error('Interrupted');
+      })
+    });
+
+    await expect(first.run(CAMPAIGN)).rejects.toThrow('Interrupted');
+
+    const options = engineOptions();
+    const applicationSubmission = stubSubmission();
+    const second = new CampaignEngine({ ...options, applicationSubmission });
+    const summary = await second.run(CAMPAIGN);
+
+    // Only the search that had not completed runs again
+    expect(options.jobSearch.searchJobs).toHaveBeenCalledTimes(1);
+    expect(options.jobSearch.searchJobs).toHaveBeenCalledWith(expect.objectContaining({ id: 'node-backend' }));
+    expect(summary.searchesExecuted).toBe(2);
+    expect(summary.submitted).toBe(2);
+  });
+
+  test('should pause when the application quota runs out and resume on the next run', async () => {
+    const options = engineOptions();
+    const quota = new ApplicationQuota({ filePath: path.join(tmpDir, 'application-quota.json'), perDay: 1 });
+    quota.record();
+    const quotaReached = new ApplicationSubmission({ jobStore: options.jobStore, quota });
+    const submitApplication = jest.spyOn(quotaReached, 'submitApplication');
+
+    const paused = await new CampaignEngine({ ...options, applicationSubmission: quotaReached }).run(CAMPAIGN);
+
+    expect(paused.status).toBe('quota-reached');
+    expect(paused.applications).toEqual([]);
+    expect(submitApplication).toHaveBeenCalledTimes(1);
+    await expect(submitApplication.mock.results[0].value).rejects.toMatchObject({
+      message: 'Daily application quota reached (1/1)',
+      context: expect.objectContaining({ quotaExceeded: true })
+    });
+
+    const applicationSubmission = stubSubmission();
+    const resumed = await new CampaignEngine({ ...engineOptions(), applicationSubmission }).run(CAMPAIGN);
+
+    expect(resumed.status).toBe('completed');
+    expect(resumed.submitted).toBe(2);
+  });
+
+  test('should skip jobs already applied to in an earlier campaign', async () => {
+    const options = engineOptions();
+    options.jobStore.markApplied(SEARCH_RESULTS['node-remote'][0]);
+
+    const summary = await new CampaignEngine(options).run(CAMPAIGN, { dryRun: true });
+
+    expect(summary.ranked.map(ranked => ranked.jobId)).toEqual(['4200000005']);
+    expect(summary.skipped['Already applied']).toBe(2);
+  });
+});
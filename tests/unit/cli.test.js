@@ -0,0 +1,149 @@
+/**
+ * CLI Unit Tests
+ *
+ * Runs the linkedin-automation subcommands in-process against fixture job
+ * files and temporary log/job store locations, covering argument parsing,
+ * table and JSON output, dry runs and error exit codes.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run } = require('../../src/cli');
+const { parseArgs } = require('../../src/cli/args');
+const { Logger } = require('../../src/modules/error-handling');
+const { JobStore } = require('../../src/modules/job-store');
+
+const IMPORTS = path.join(__dirname, '..', 'fixtures', 'imports');
+
+describe('linkedin-automation CLI', () => {
+  let tmpDir;
+  let paths;
+  let stdout;
+  let stderr;
+
+  const cli = argv => run(argv, {
+    stdout: text => stdout.push(text),
+    stderr: text => stderr.push(text),
+    paths
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    paths = {
+      logs: path.join(tmpDir, 'logs'),
+      jobStore: path.join(tmpDir, 'job-store.json'),
+      campaigns: path.join(tmpDir, 'campaigns')
+    };
+    stdout = [];
+    stderr = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    Logger.configure({ level: 'info', stderr: false });
+  });
+
+  test('should parse positionals, value flags and boolean flags', () => {
+    expect(parseArgs(['apply', 'jobs.json', '--top', '3', '--dry-run', '--min-score=70', '--', '--raw'], ['dryRun'])).toEqual({
+      positionals: ['apply', 'jobs.json', '--raw'],
+      flags: { top: '3', dryRun: true, minScore: '70' }
+    });
+    expect(() => parseArgs(['--top'])).toThrow('Option --top needs a value');
+  });
+
+  test('should print usage and fail on unknown commands', async () => {
+    expect(await cli(['--help'])).toBe(0);
+    expect(stdout.join('\n')).toContain('generate-resume');
+
+    expect(await cli(['deploy'])).toBe(1);
+    expect(stderr[0]).toContain('Unknown command "deploy"');
+  });
+
+  test('should accept global options before the command', async () => {
+    expect(await cli(['--format', 'json', '--log-level=error', 'campaign', 'list'])).toBe(0);
+    expect(JSON.parse(stdout.join('\n')).map(campaign => campaign.id)).toContain('remote-nodejs');
+
+    stdout = [];
+    expect(await cli(['--dry-run', '--help'])).toBe(0);
+    expect(stdout.join('\n')).toContain('Usage: linkedin-automation <command> [options]');
+
+    stdout = [];
+    expect(await cli(['--dry-run', 'apply', '--help'])).toBe(0);
+    expect(stdout.join('\n')).toContain('Usage: linkedin-automation apply');
+
+    expect(await cli(['--top', '3', 'apply'])).toBe(1);
+    expect(stderr[0]).toContain('Option --top must come after the command');
+  });
+
+  test('should rank job files and print JSON', async () => {
+    const code = await cli(['analyze', path.join(IMPORTS, 'saved-jobs.json'), '--format', 'json', '--log-level', 'error']);
+
+    expect(code).toBe(0);
+    const data = JSON.parse(stdout.join('\n'));
+    expect(data.allJobs.length).toBeGreaterThan(0);
+    expect(data.allJobs[0]).toEqual(expect.objectContaining({ rank: 1, matchScore: expect.any(Number) }));
+  });
+
+  test('should reject unknown output formats before running the command', async () => {
+    expect(await cli(['analyze', path.join(IMPORTS, 'saved-jobs.json'), '--format', 'yaml'])).toBe(1);
+    expect(stderr[0]).toContain('Unknown output format "yaml"');
+  });
+
+  test('should plan applications on a dry run and skip jobs already applied to', async () => {
+    const file = path.join(IMPORTS, 'saved-jobs.json');
+    await cli(['analyze', file, '--format', 'json', '--log-level', 'error']);
+    const [applied] = JSON.parse(stdout.join('\n')).allJobs;
+
+    const store = new JobStore(paths.jobStore);
+    store.markApplied(applied, { appliedAt: '2025-08-20T10:00:00.000Z' });
+
+    stdout = [];
+    const code = await cli(['apply', file, '--top', '10', '--dry-run', '--format', 'json', '--log-level', 'error']);
+
+    expect(code).toBe(0);
+    const { dryRun, applications } = JSON.parse(stdout.join('\n'));
+    expect(dryRun).toBe(true);
+    expect(applications.find(entry => entry.title === applied.title && entry.company === applied.company).status).toBe('skipped');
+    expect(applications.filter(entry => entry.status === 'planned').length).toBe(applications.length - 1);
+  });
+
+  test('should list applications from the daily logs', async () => {
+    const today = new Date().toISOString().split('T')[0];
+    fs.mkdirSync(path.join(paths.logs, 'applications'), { recursive: true });
+    fs.mkdirSync(path.join(paths.logs, 'errors'), { recursive: true });
+    fs.writeFileSync(path.join(paths.logs, 'applications', `applications-${today}.json`), JSON.stringify([
+      { jobTitle: 'Senior Node.js Engineer', company: 'Northwind Labs', url: 'https://www.linkedin.com/jobs/view/4100000001', endTime: `${today}T10:00:00.000Z` }
+    ]));
+    fs.writeFileSync(path.join(paths.logs, 'errors', `failed-applications-${today}.json`), JSON.stringify([
+      { jobTitle: 'AI Engineer', company: 'Contoso', error: 'Easy Apply not available', timestamp: `${today}T11:00:00.000Z` }
+    ]));
+
+    expect(await cli(['track', '--status', 'submitted'])).toBe(0);
+    const output = stdout.join('\n');
+    expect(output).toContain('Northwind Labs');
+    expect(output).not.toContain('Contoso');
+    expect(output).toContain('1 applications since');
+  });
+
+  test('should list campaigns that have never run', async () => {
+    expect(await cli(['campaign', 'list', '--format', 'json'])).toBe(0);
+
+    const campaigns = JSON.parse(stdout.join('\n'));
+    expect(campaigns.map(campaign => campaign.id)).toContain('remote-nodejs');
+    campaigns.forEach(campaign => expect(campaign.status).toBe('never run'));
+  });
+
+  test('should filter log output by level', () => {
+    const spy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const logger = new Logger('CliTest');
+
+    Logger.configure({ level: 'warn' });
+    logger.info('hidden');
+    logger.debug('hidden');
+    expect(spy).not.toHaveBeenCalled();
+
+    expect(() => Logger.configure({ level: 'verbose' })).toThrow();
+    spy.mockRestore();
+  });
+});
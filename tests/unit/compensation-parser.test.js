@@ -0,0 +1,90 @@
+/**
+ * Compensation Parser Unit Tests
+ *
+ * Covers salary ranges, pay periods, K/M suffixes, currency conversion with
+ * the offline rate table, base versus OTE versus equity, DOE, and the salary
+ * filtering and scoring JobSearch builds on them.
+ */
+
+const { parseCompensation, convertCurrency, meetsSalaryPreferences } = require('../../src/modules/compensation-parser');
+const JobSearch = require('../../src/modules/job-search');
+
+const currencyRates = { base: 'USD', rates: { USD: 1, EUR: 1.1, GBP: 1.25, CAD: 0.75 } };
+const parse = text => parseCompensation(text, { currencyRates });
+
+describe('parseCompensation', () => {
+  test.each([
+    ['$60/hr', { period: 'hour', base: { min: 60, max: 60 }, annual: { min: 124800, max: 124800, currency: 'USD', basis: 'base' } }],
+    ['120K–150K', { currency: 'USD', period: 'year', base: { min: 120000, max: 150000 } }],
+    ['€80.000 per annum', { currency: 'EUR', period: 'year', base: { min: 80000, max: 80000 }, annual: expect.objectContaining({ min: 88000 }) }],
+    ['$110,000/yr - $130,000/yr', { period: 'year', periodInferred: false, base: { min: 110000, max: 130000 } }],
+    ['£4,000 - £5,000 monthly', { currency: 'GBP', period: 'month', annual: expect.objectContaining({ min: 60000, max: 75000 }) }],
+    ['CA$90K - CA$110K', { currency: 'CAD', annual: expect.objectContaining({ min: 67500, max: 82500 }) }],
+    ['80,000 - 100,000 EUR', { currency: 'EUR', base: { min: 80000, max: 100000 } }]
+  ])('should read "%s"', (text, expected) => {
+    expect(parse(text)).toEqual(expect.objectContaining({ specified: true, ...expected }));
+  });
+
+  test('should read "up to" and "max" pay as a cap without a minimum', () => {
+    expect(parse('Up to $180K')).toEqual(expect.objectContaining({
+      period: 'year',
+      base: { min: null, max: 180000 },
+      annual: { min: null, max: 180000, currency: 'USD', basis: 'base' }
+    }));
+    expect(parse('$45/hr max').annual).toEqual(expect.objectContaining({ min: null, max: 93600 }));
+    expect(parse('Max. €90.000 per annum').annual).toEqual(expect.objectContaining({ min: null, max: 99000 }));
+    expect(parse('$150K - $180K max').base).toEqual({ min: 150000, max: 180000 });
+  });
+
+  test('should tell base, OTE and equity apart', () => {
+    const compensation = parse('$140k base + OTE $200k + 0.1% - 0.5% equity');
+
+    expect(compensation.base).toEqual({ min: 140000, max: 140000 });
+    expect(compensation.ote).toEqual({ min: 200000, max: 200000 });
+    expect(compensation.equity).toEqual({ percentMin: 0.1, percentMax: 0.5 });
+    expect(compensation.annual.basis).toBe('base');
+    expect(parse('OTE $200k').annual).toEqual({ min: 200000, max: 200000, currency: 'USD', basis: 'ote' });
+  });
+
+  test('should leave unstated and DOE pay without an annual range', () => {
+    expect(parse('DOE')).toEqual(expect.objectContaining({ specified: false, doe: true, annual: null }));
+    expect(parse('Competitive')).toEqual(expect.objectContaining({ competitive: true, annual: null }));
+    expect(parse('Salary not specified').specified).toBe(false);
+    expect(parse('Up to $65 per hour DOE')).toEqual(expect.objectContaining({ doe: true, period: 'hour' }));
+    expect(parse('CHF 120,000').annual).toBeNull();
+  });
+
+  test('should convert through the rate table', () => {
+    expect(convertCurrency(100, 'EUR', 'USD', currencyRates)).toBeCloseTo(110);
+    expect(convertCurrency(125, 'USD', 'GBP', currencyRates)).toBeCloseTo(100);
+    expect(convertCurrency(100, 'CHF', 'USD', currencyRates)).toBeNull();
+  });
+});
+
+describe('Salary preferences', () => {
+  test('should keep ranges overlapping salaryMin..salaryMax and unstated pay', () => {
+    const preferences = { salaryMin: 75000, salaryMax: 150000 };
+
+    expect(meetsSalaryPreferences(parse('$60,000 - $80,000'), preferences)).toBe(true);
+    expect(meetsSalaryPreferences(parse('$25/hr'), preferences)).toBe(false);
+    expect(meetsSalaryPreferences(parse('$180k - $220k'), preferences)).toBe(false);
+    expect(meetsSalaryPreferences(parse('DOE'), preferences)).toBe(true);
+    expect(meetsSalaryPreferences(parse('Up to $200K'), preferences)).toBe(true);
+    expect(meetsSalaryPreferences(parse('Up to $60K'), preferences)).toBe(false);
+  });
+
+  test('JobSearch should score and filter on the annual range', () => {
+    const jobSearch = new JobSearch();
+    jobSearch.profileConfig = { ...jobSearch.profileConfig, preferences: { ...jobSearch.profileConfig.preferences, salaryMin: 75000, salaryMax: 150000 } };
+    const criteria = jobSearch.buildSearchCriteria({ keywords: [], location: null });
+
+    expect(jobSearch.calculateSalaryMatch('$45/hr')).toBe(100);
+    expect(jobSearch.calculateSalaryMatch('€60.000')).toBe(80);
+    expect(jobSearch.calculateSalaryMatch('DOE')).toBe(70);
+    expect(jobSearch.calculateSalaryMatch('Up to $180K')).toBe(70);
+    expect(jobSearch.calculateSalaryMatch('Up to $60K')).toBe(60);
+    expect(jobSearch.calculateJobMatch({ title: 'SEO Lead', location: 'Remote', salary: '120K–150K' }).compensation.annual.min).toBe(120000);
+    expect(jobSearch.matchesCriteria({ title: 'SEO Lead', description: '', salary: '$30,000/yr' }, criteria)).toBe(false);
+    expect(jobSearch.matchesCriteria({ title: 'SEO Lead', description: '', salary: 'Competitive' }, criteria)).toBe(true);
+  });
+});
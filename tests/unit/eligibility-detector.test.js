@@ -0,0 +1,186 @@
+/**
+ * Eligibility Detector Unit Tests
+ *
+ * Covers detection of sponsorship, citizenship, clearance, relocation and
+ * on-site constraints, the check against the profile, and that
+ * ApplicationSubmission and the application pipeline exclude jobs the
+ * profile is not eligible for before applying.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectEligibilityRequirements, checkEligibility } = require('../../src/modules/eligibility-detector');
+const ApplicationSubmission = require('../../src/modules/application-submission');
+const { ApplicationPipeline } = require('../../src/modules/application-pipeline');
+const { JobStore } = require('../../src/modules/job-store');
+const { SessionRecovery } = require('../../src/modules/error-handling');
+
+const PROFILE = {
+  location: 'Sacramento, California',
+  preferences: { remote: true, hybrid: true, onsite: false },
+  workAuthorization: { authorizedToWork: true, requiresSponsorship: false },
+  availability: { relocation: false }
+};
+
+const job = overrides => ({
+  id: 'job-4300000001',
+  jobId: '4300000001',
+  title: 'Senior Software Engineer',
+  company: 'Fabrikam Defense',
+  location: 'Arlington, VA',
+  description: 'Build mission software in TypeScript. US citizens only. Active Secret clearance required. This role is on-site 5 days a week.',
+  url: 'https://www.linkedin.com/jobs/view/4300000001',
+  ...overrides
+});
+
+describe('detectEligibilityRequirements', () => {
+  test('should find each kind of constraint with the sentence it came from', () => {
+    const requirements = detectEligibilityRequirements([
+      'We are unable to sponsor visas for this role.',
+      'Must be a U.S. citizen or green card holder.',
+      'Ability to obtain a TS/SCI clearance.',
+      'Candidates must relocate to Austin, TX by January.',
+      'Hybrid: 3 days per week in the office.'
+    ].join(' '));
+
+    expect(requirements.sponsorship).toEqual({ available: false, text: 'we are unable to sponsor visas for this role.' });
+    expect(requirements.citizenship).toEqual(expect.objectContaining({ level: 'permanentResident', country: 'US' }));
+    expect(requirements.clearance).toEqual(expect.objectContaining({ level: 'ts/sci', obtainable: true }));
+    expect(requirements.relocation).toEqual(expect.objectContaining({ location: 'austin, tx' }));
+    expect(requirements.onsite).toEqual(expect.objectContaining({ daysPerWeek: 3 }));
+  });
+
+  test('should not mistake unrelated wording for constraints', () => {
+    const requirements = detectEligibilityRequirements('Remote-first team. We sponsor H-1B visas. Experience with customs clearance software is a plus.');
+
+    expect(Object.values(requirements).every(requirement => requirement === null)).toBe(true);
+    expect(detectEligibilityRequirements('This is a fully on-site role.').onsite.daysPerWeek).toBe(5);
+  });
+
+  test.each([
+    ['No relocation required. This is a fully remote role.', 'relocation'],
+    ['You do not need to relocate for this position.', 'relocation'],
+    ['We will not ask you to relocate, must be able to travel quarterly.', 'relocation'],
+    ['No security clearance required.', 'clearance'],
+    ['Our platform helps companies with security clearance workflows.', 'clearance'],
+    ['We build case management for TS/SCI programs.', 'clearance'],
+    ['We have no remote-only restrictions.', 'onsite'],
+    ['This is not a fully on-site role.', 'onsite']
+  ])('should not read "%s" as a %s requirement', (text, type) => {
+    expect(detectEligibilityRequirements(text)[type]).toBeNull();
+  });
+
+  test('should still find a requirement stated after a negated mention', () => {
+    const requirements = detectEligibilityRequirements('No relocation required for the first month; after that you must relocate to Denver, CO.');
+
+    expect(requirements.relocation).toEqual(expect.objectContaining({ location: 'denver, co' }));
+  });
+
+  test('should count a clearance only when it is asked for', () => {
+    expect(detectEligibilityRequirements('Must hold a security clearance.').clearance).toEqual(expect.objectContaining({ level: null, obtainable: false }));
+    expect(detectEligibilityRequirements('Candidates with an active TS/SCI are preferred.').clearance).toEqual(expect.objectContaining({ level: 'ts/sci', preferred: true }));
+  });
+
+  test('should treat a clearance that is a plus or preferred as an advantage, not a requirement', () => {
+    const plus = detectEligibilityRequirements('Ability to obtain a security clearance is a plus.');
+    const required = detectEligibilityRequirements('Active Secret clearance required; TS/SCI preferred.');
+
+    expect(plus.clearance).toEqual(expect.objectContaining({ level: null, obtainable: true, preferred: true }));
+    expect(required.clearance).toEqual(expect.objectContaining({ level: 'secret', preferred: false }));
+    expect(checkEligibility(plus, PROFILE)).toEqual({
+      eligible: true,
+      blockers: [],
+      flags: [expect.objectContaining({ type: 'clearance', reason: 'Prefers candidates with a security clearance' })]
+    });
+    expect(checkEligibility(required, PROFILE).blockers.map(blocker => blocker.type)).toEqual(['clearance']);
+  });
+
+  test.each([
+    'Green card holders and US citizens only.',
+    'Open to permanent residents and U.S. citizens.',
+    'Must be a U.S. citizen or green card holder.'
+  ])('should read "%s" as open to permanent residents', text => {
+    expect(detectEligibilityRequirements(text).citizenship).toEqual(expect.objectContaining({ level: 'permanentResident' }));
+  });
+
+  test.each([
+    ['Hybrid: in office 2-3 days per week.', 3],
+    ['Expect two to three days a week in the office.', 3],
+    ['On-site 4 or 5 days depending on the sprint.', 5],
+    ['There is no remote work for this role.', 5]
+  ])('should read the on-site days of "%s"', (text, days) => {
+    expect(detectEligibilityRequirements(text).onsite.daysPerWeek).toBe(days);
+  });
+
+  test('should not block a remote job saying no relocation is required for the stored profile', () => {
+    const profile = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'config', 'candidate-profile.json'), 'utf8'));
+    const requirements = detectEligibilityRequirements('No relocation required. This is a fully remote role. Our product helps companies with security clearance workflows.');
+
+    expect(checkEligibility(requirements, profile, { location: 'United States (Remote)' })).toEqual({ eligible: true, blockers: [], flags: [] });
+  });
+});
+
+describe('checkEligibility', () => {
+  test('should block what the profile cannot meet and flag what it does not say', () => {
+    const result = checkEligibility(detectEligibilityRequirements(job().description), PROFILE, { location: 'Arlington, VA' });
+
+    expect(result.eligible).toBe(false);
+    expect(result.blockers.map(blocker => blocker.type)).toEqual(['clearance', 'onsite']);
+    expect(result.flags).toEqual([expect.objectContaining({ type: 'citizenship', text: 'us citizens only.' })]);
+  });
+
+  test('should accept constraints the profile satisfies', () => {
+    const profile = { ...PROFILE, workAuthorization: { ...PROFILE.workAuthorization, citizenship: 'citizen', securityClearance: 'Top Secret' } };
+    const requirements = detectEligibilityRequirements(`${job().description} No visa sponsorship. Must relocate to Sacramento.`);
+
+    expect(checkEligibility(requirements, profile, { location: 'Sacramento, CA' })).toEqual({ eligible: true, blockers: [], flags: [] });
+    expect(checkEligibility(requirements, { ...profile, workAuthorization: { requiresSponsorship: true } }, { location: 'Sacramento, CA' }).blockers
+      .map(blocker => blocker.type)).toEqual(['sponsorship', 'clearance']);
+  });
+});
+
+describe('Eligibility gate', () => {
+  let tmpDir;
+  let jobStore;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eligibility-'));
+    jobStore = new JobStore(path.join(tmpDir, 'job-store.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('ApplicationSubmission should exclude an ineligible job before navigating or using the quota', async () => {
+    const quota = { check: jest.fn(), record: jest.fn() };
+    const submission = new ApplicationSubmission({ jobStore, quota });
+    submission.profileConfig = PROFILE;
+    submission.navigateToJob = jest.fn();
+    submission.recordFailedApplication = jest.fn();
+
+    await expect(submission.submitApplication(job())).rejects.toThrow(/Not eligible for Senior Software Engineer at Fabrikam Defense: Requires an active secret security clearance/);
+
+    expect(submission.navigateToJob).not.toHaveBeenCalled();
+    expect(quota.record).not.toHaveBeenCalled();
+    expect(new JobStore(path.join(tmpDir, 'job-store.json')).findBlocking(job()).record).toEqual(expect.objectContaining({
+      status: 'excluded',
+      exclusion: expect.objectContaining({ blockers: [expect.objectContaining({ type: 'clearance' }), expect.objectContaining({ type: 'onsite' })] })
+    }));
+  });
+
+  test('the application pipeline should skip and exclude ineligible jobs at the analyze stage', async () => {
+    const jobSearch = { analyzeJobMatches: jest.fn(async jobs => ({ allJobs: jobs.map(entry => ({ ...entry, matchScore: 90, eligibility: checkEligibility(detectEligibilityRequirements(entry.description), PROFILE) })) })) };
+    const applicationSubmission = { submitApplication: jest.fn() };
+    const pipeline = new ApplicationPipeline({ jobStore, jobSearch, applicationSubmission, checkpoints: new SessionRecovery({ backupDir: tmpDir }) });
+
+    pipeline.queue.enqueue([job()], { stage: 'analyze' });
+    const stats = await pipeline.queue.process();
+
+    expect(stats.byStatus).toEqual({ skipped: 1 });
+    expect(pipeline.queue.get('linkedin:4300000001').history.pop().reason).toMatch(/^Not eligible: Requires an active secret security clearance; On-site 5 days a week$/);
+    expect(applicationSubmission.submitApplication).not.toHaveBeenCalled();
+    expect(jobStore.findBlocking(job()).record.status).toBe('excluded');
+  });
+});
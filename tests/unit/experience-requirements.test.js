@@ -0,0 +1,133 @@
+/**
+ * Experience Requirements Unit Tests
+ *
+ * Covers years asked for per skill and per domain, required versus preferred
+ * by section or wording, and the gaps ResumeGenerator flags against the
+ * skills database and the dated work history of the master resume.
+ */
+
+const JobDescriptionAnalyzer = require('../../src/modules/job-description-analyzer');
+const ResumeGenerator = require('../../src/modules/resume-generator');
+
+const NOW = new Date('2026-10-01');
+
+describe('JobDescriptionAnalyzer years per skill', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new JobDescriptionAnalyzer();
+  });
+
+  test('should extract years per skill and domain with required and preferred flags', () => {
+    const { experience } = analyzer.analyze({
+      title: 'Full-Stack Engineer',
+      company: 'Contoso',
+      description: [
+        'About Contoso:',
+        'Contoso has built software for 20 years.',
+        'Requirements:',
+        '• 5+ years of React, 3+ years with AWS',
+        '• Node.js (2+ years), Python: 4 years',
+        '• At least 5 years of experience in technical SEO',
+        'Nice to have:',
+        '• 2-4 years of Kubernetes',
+        '• 8+ years of React'
+      ].join('\n')
+    });
+    const years = skill => experience.skillYears.find(entry => entry.skill === skill);
+
+    expect(experience.yearsRequired).toBe(5);
+    expect(experience.skillYears.map(entry => entry.skill)).toEqual(['React', 'AWS', 'Node.js', 'Python', 'Kubernetes']);
+    expect(years('React')).toEqual({ skill: 'React', years: 5, priority: 'required', text: '5+ years of React, 3+ years with AWS' });
+    expect(years('AWS')).toEqual(expect.objectContaining({ years: 3, priority: 'required' }));
+    expect(years('Node.js')).toEqual(expect.objectContaining({ years: 2 }));
+    expect(years('Python')).toEqual(expect.objectContaining({ years: 4 }));
+    expect(years('Kubernetes')).toEqual(expect.objectContaining({ years: 2, maxYears: 4, priority: 'preferred' }));
+    expect(experience.domainYears.find(entry => entry.domain === 'seo')).toEqual(expect.objectContaining({
+      keywords: ['seo', 'technical seo'],
+      years: 5,
+      priority: 'required'
+    }));
+  });
+
+  test.each([
+    ['4+ years of backend experience with Python and Django', 4],
+    ['5+ years of software engineering experience', 5],
+    ['A minimum of 6 years building distributed systems in Go', 6],
+    ['3-5 years of professional experience', 3],
+    ['0-2 years of experience', 0],
+    ['We have been in business for 20 years and ship weekly', 0]
+  ])('yearsRequired of "%s" should be %s', (line, years) => {
+    expect(analyzer.extractExperienceRequirements(line).yearsRequired).toBe(years);
+  });
+
+  test('yearsRequired should prefer required years over larger preferred ones', () => {
+    const sections = [
+      { type: 'required', heading: 'Requirements', text: '4+ years of backend experience', bullets: [] },
+      { type: 'preferred', heading: 'Nice to have', text: '8+ years of React', bullets: [] }
+    ];
+
+    expect(analyzer.extractExperienceRequirements('', sections).yearsRequired).toBe(4);
+    expect(analyzer.extractExperienceRequirements('', sections.slice(1)).yearsRequired).toBe(8);
+  });
+
+  test('should tell preferred years by wording when the posting has no headings', () => {
+    const { skillYears } = analyzer.extractExperienceRequirements('', [{
+      type: 'summary',
+      heading: null,
+      text: 'We need 5+ years of experience with Node.js. Ideally 2 years with Go services.',
+      bullets: []
+    }]);
+
+    expect(skillYears).toEqual([
+      expect.objectContaining({ skill: 'Node.js', years: 5, priority: 'required' }),
+      expect.objectContaining({ skill: 'Go', years: 2, priority: 'preferred', text: 'Ideally 2 years with Go services.' })
+    ]);
+  });
+});
+
+describe('ResumeGenerator experience gaps', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new ResumeGenerator();
+    generator.masterData = {
+      ...generator.masterData,
+      workExperience: [
+        { position: 'Frontend Engineer', startDate: '2020-01', endDate: '2022-12', current: false, technologies: ['Angular 13'] },
+        { position: 'SEO Developer', startDate: 'Jan 2022', endDate: 'Present', current: true, technologies: ['Angular 18', 'SEO Tools'] }
+      ]
+    };
+  });
+
+  test('should count overlapping dated work once and credit skills implied by more specific ones', () => {
+    expect(generator.sumWorkPeriods([[0, 12], [6, 24], [36, 42]])).toBe(2.5);
+
+    const { skills } = generator.findExperienceGaps({
+      skillYears: [{ skill: 'TypeScript', years: 6, priority: 'required' }]
+    }, NOW);
+
+    expect(skills[0]).toEqual(expect.objectContaining({ skill: 'TypeScript', datedYears: 6.8, supportedByHistory: true, gap: false }));
+  });
+
+  test('should flag a gap only when neither the database nor the work history covers the years', () => {
+    const { skills, domains } = generator.findExperienceGaps({
+      skillYears: [
+        { skill: 'Angular', years: 5, priority: 'required' },
+        { skill: 'AWS', years: 5, priority: 'required' }
+      ],
+      domainYears: [{ domain: 'seo', keywords: ['seo'], years: 8, priority: 'preferred' }]
+    }, NOW);
+    const databaseYears = generator.ontology.get('AWS').years;
+
+    expect(skills[0]).toEqual(expect.objectContaining({ skill: 'Angular', datedYears: 6.8, gap: false, shortBy: 0 }));
+    expect(skills[1]).toEqual(expect.objectContaining({
+      skill: 'AWS',
+      claimedYears: databaseYears,
+      datedYears: 0,
+      supportedByHistory: false,
+      gap: databaseYears < 5
+    }));
+    expect(domains[0]).toEqual(expect.objectContaining({ domain: 'seo', priority: 'preferred', datedYears: 4.8, gap: true, shortBy: 3.2 }));
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Job Description Analyzer Unit Tests
+ *
+ * Covers the versioned analysis schema shared by ResumeGenerator,
+ * ApplicationSubmission and the resume-customization engine, and that each
+ * of them accepts the same analysis object.
+ */
+
+const JobDescriptionAnalyzer = require('../../src/modules/job-description-analyzer');
+const ResumeGenerator = require('../../src/modules/resume-generator');
+const ApplicationSubmission = require('../../src/modules/application-submission');
+const DynamicResumeGenerator = require('../../src/resume-customization/dynamic-resume-generator');
+const ResumeJobMatcher = require('../../src/resume-customization/resume-job-matcher');
+const { JobStore } = require('../../src/modules/job-store');
+
+const SEO_JOB = {
+  id: 'job-4300000001',
+  title: 'SEO Lead',
+  company: 'Contoso Media',
+  location: 'United States (Remote)',
+  description: [
+    'Contoso Media is a fast-paced digital agency.',
+    'Requirements:',
+    '• 5+ years of experience in technical SEO',
+    '• Expert with Google Analytics and Google Search Console',
+    '- Keyword research and link building',
+    'Preferred:',
+    '• Python for SEO automation',
+    'Benefits:',
+    '• Remote work and health insurance'
+  ].join('\n')
+};
+
+describe('JobDescriptionAnalyzer', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new JobDescriptionAnalyzer();
+  });
+
+  test('should return one analysis with the merged fields of every former analyzer', () => {
+    const analysis = analyzer.analyze(SEO_JOB);
+
+    expect(analysis.schemaVersion).toBe(JobDescriptionAnalyzer.SCHEMA_VERSION);
+    expect(JobDescriptionAnalyzer.isCurrent(analysis)).toBe(true);
+    expect(analysis.jobType).toBe('seo');
+    expect(analysis.basicInfo).toEqual(expect.objectContaining({ title: 'SEO Lead', company: 'Contoso Media', remote: true }));
+    expect(analysis.experience).toEqual(expect.objectContaining({ yearsRequired: 5, seniorityLevel: 'senior' }));
+    expect(analysis.company).toEqual({ name: 'Contoso Media', size: 'unknown', industry: 'marketing' });
+    expect(analysis.industryContext.primary).toBe('marketing');
+    expect(analysis.extractedSkills.seo).toEqual(expect.arrayContaining(['google analytics', 'keyword research', 'link building']));
+    expect(analysis.keyRequirements).toEqual([
+      '5+ years of experience in technical SEO',
+      'Expert with Google Analytics and Google Search Console',
+      'Keyword research and link building'
+    ]);
+    expect(analysis.preferredQualifications).toEqual(['Python for SEO automation']);
+    expect(analysis.culture.traits).toContain('fastPaced');
+    expect(analysis.benefits).toEqual(expect.arrayContaining(['remote', 'health']));
+  });
+
+  test('should rank skills named outright ahead of keyword matches', () => {
+    const { ranked } = analyzer.extractSkills('build node.js services. experience with express and npm.');
+
+    expect(ranked[0]).toEqual(expect.objectContaining({ name: 'Node.js', matchedBy: 'name' }));
+    expect(ranked.every(skill => ['name', 'alias', 'keyword'].includes(skill.matchedBy))).toBe(true);
+  });
+
+  test('should weight skills and requirements by the section they appear in', () => {
+    const analysis = analyzer.analyze({
+      title: 'Backend Engineer',
+      company: 'Contoso',
+      description: [
+        'About Contoso:',
+        'Contoso is an innovative company that builds with Python.',
+        'Requirements:',
+        '• 5+ years of Node.js',
+        "• Bachelor's degree",
+        'Nice to have:',
+        '• TypeScript and a Kubernetes certification',
+        'Benefits:',
+        '• Docker training budget',
+        'Contoso is an equal opportunity employer that values diversity.'
+      ].join('\n')
+    });
+    const skill = name => analysis.skills.ranked.find(entry => entry.name === name);
+
+    expect(analysis.sections.map(section => section.type)).toEqual(['title', 'about', 'required', 'preferred', 'benefits', 'eeo']);
+    expect(skill('Node.js')).toEqual(expect.objectContaining({ priority: 'required', sections: ['required'], context: ['Requirements'] }));
+    expect(skill('TypeScript')).toEqual(expect.objectContaining({ priority: 'preferred', sections: ['preferred'] }));
+    expect(skill('Python')).toEqual(expect.objectContaining({ priority: 'preferred', sections: ['about'] }));
+    expect(skill('Docker')).toBeUndefined();
+    expect(analysis.requirements).toEqual({
+      education: ['degree', 'bachelor'],
+      certifications: [],
+      preferred: { education: [], certifications: ['certification', 'kubernetes'] }
+    });
+    expect(analysis.culture).toEqual({ traits: [], values: [] });
+    expect(analysis.preferredQualifications).toEqual(['TypeScript and a Kubernetes certification']);
+  });
+
+  test('should expose the overall score as matchScore for ranking', async () => {
+    const analysis = await analyzer.analyzeJob(SEO_JOB);
+
+    expect(analysis.matchScore).toBe(analysis.scores.overall);
+  });
+});
+
+describe('Analysis consumers', () => {
+  let analysis;
+
+  beforeEach(() => {
+    analysis = new JobDescriptionAnalyzer().analyze(SEO_JOB);
+  });
+
+  test('ResumeGenerator should score a current analysis instead of analyzing again', async () => {
+    const generator = new ResumeGenerator();
+    generator.analyzer.analyze = jest.fn();
+
+    const scored = await generator.analyzeJobDescription(SEO_JOB, analysis);
+
+    expect(generator.analyzer.analyze).not.toHaveBeenCalled();
+    expect(scored).toEqual(expect.objectContaining({ schemaVersion: analysis.schemaVersion, jobType: 'seo' }));
+    expect(scored.primaryFocus.primarySkills).toEqual(analysis.skills.ranked.slice(0, 5).map(skill => skill.name));
+    expect(scored.customizationLevel).toBeDefined();
+  });
+
+  test('ApplicationSubmission should reuse the campaign analysis and pick the fallback resume by job type', () => {
+    const submission = new ApplicationSubmission({ jobStore: new JobStore('/nonexistent/job-store.json') });
+    submission.analyzer.analyze = jest.fn();
+
+    const jobAnalysis = submission.analyzeJob({ ...SEO_JOB, analysis: { ...analysis, matchScore: 80 } });
+
+    expect(submission.analyzer.analyze).not.toHaveBeenCalled();
+    expect(submission.selectAppropriateResume(SEO_JOB, jobAnalysis)).toMatch(/ivo-dachev-seo-specialist\.pdf$/);
+    expect(submission.extractKeySkills(SEO_JOB, jobAnalysis)).toMatch(/^SEO optimization, /);
+  });
+
+  test('the resume-customization generator and matcher should accept the same analysis', () => {
+    const resumeResult = new DynamicResumeGenerator().generateCustomizedResume(analysis);
+    const matchResult = new ResumeJobMatcher().calculateMatchScore(resumeResult.resumeContent, analysis);
+
+    expect(resumeResult.metadata).toEqual(expect.objectContaining({ jobTitle: 'SEO Lead', company: 'Contoso Media' }));
+    expect(resumeResult.metadata.customizations).toContain('Customized for senior level position');
+    expect(matchResult.totalScore).toEqual(expect.any(Number));
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Job Description Segmenter Unit Tests
+ *
+ * Covers heading classification and splitting postings into sections, both
+ * for descriptions with line breaks and for flattened single-line ones.
+ */
+
+const { classifyHeading, segmentDescription, isStructured } = require('../../src/modules/job-description-segmenter');
+
+const POSTING = [
+  'We are hiring a Backend Engineer to scale our payments platform.',
+  '',
+  "What you'll do",
+  '• Build Node.js services',
+  '• Own the deployment pipeline',
+  '',
+  '## Requirements',
+  '- 5+ years of experience with Node.js',
+  '- PostgreSQL in production',
+  'Nice to have: Kubernetes',
+  '• GraphQL',
+  'BENEFITS',
+  '• Health insurance and a Docker certification budget',
+  'About Contoso:',
+  'Contoso is a fast-paced fintech startup.',
+  'Contoso is an equal opportunity employer and values diversity.'
+].join('\n');
+
+describe('classifyHeading', () => {
+  test.each([
+    ['Key Responsibilities:', 'responsibilities'],
+    ['Minimum Qualifications', 'required'],
+    ['Preferred Qualifications', 'preferred'],
+    ["What we're looking for", 'required'],
+    ['Perks & Benefits', 'benefits'],
+    ['About the role', 'summary'],
+    ['About Contoso', 'about'],
+    ['Equal Opportunity Statement', 'eeo']
+  ])('should classify "%s" as %s', (heading, type) => {
+    expect(classifyHeading(heading)).toBe(type);
+  });
+
+  test('should not classify long sentences or unknown labels', () => {
+    expect(classifyHeading('You will need strong experience with distributed systems and mentoring others')).toBeNull();
+    expect(classifyHeading('Location')).toBeNull();
+  });
+});
+
+describe('segmentDescription', () => {
+  test('should split a posting by headings and keep bullets per section', () => {
+    const sections = segmentDescription(POSTING);
+
+    expect(sections.map(section => section.type)).toEqual(['summary', 'responsibilities', 'required', 'preferred', 'benefits', 'about', 'eeo']);
+    expect(sections[2]).toEqual(expect.objectContaining({
+      heading: 'Requirements',
+      bullets: ['5+ years of experience with Node.js', 'PostgreSQL in production']
+    }));
+    expect(sections[3]).toEqual(expect.objectContaining({ heading: 'Nice to have', text: 'Kubernetes\n• GraphQL', bullets: ['GraphQL'] }));
+    expect(sections[6].heading).toBeNull();
+    expect(isStructured(sections)).toBe(true);
+  });
+
+  test('should find headings in a flattened description', () => {
+    const sections = segmentDescription('Join our team. Requirements: Node.js and React • Docker • AWS. Benefits: remote work');
+
+    expect(sections.map(section => [section.type, section.heading])).toEqual([
+      ['summary', null],
+      ['required', 'Requirements'],
+      ['benefits', 'Benefits']
+    ]);
+    expect(sections[1].bullets).toEqual(['Docker', 'AWS.']);
+  });
+
+  test('should treat a description without headings as one summary', () => {
+    const sections = segmentDescription('Build Node.js services.\nWork with React.');
+
+    expect(sections).toEqual([{ type: 'summary', heading: null, text: 'Build Node.js services.\nWork with React.', bullets: [] }]);
+    expect(isStructured(sections)).toBe(false);
+  });
+});
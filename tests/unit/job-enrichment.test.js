@@ -0,0 +1,158 @@
+/**
+ * Job Enrichment Unit Tests
+ *
+ * Parses captured job detail snapshots and drives JobEnrichment against a
+ * scripted browser to cover description expansion and the job ID cache.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractJobDetails } = require('../../src/modules/snapshot-parser');
+const JobEnrichment = require('../../src/modules/job-enrichment');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'snapshots', name), 'utf8');
+const expandedView = fixture('linkedin-job-view.txt');
+const collapsedView = fixture('linkedin-job-view-collapsed.txt');
+
+class ScriptedBrowser {
+  constructor(pages) {
+    this.pages = pages;
+    this.expanded = false;
+    this.calls = [];
+  }
+
+  async navigate(url) {
+    this.calls.push(['navigate', url]);
+    this.url = url;
+    this.expanded = false;
+  }
+
+  async click(selector, options) {
+    this.calls.push(['click', options.ref]);
+    this.expanded = true;
+  }
+
+  async wait() {}
+
+  async getPageSnapshot() {
+    const page = this.pages[this.url];
+    if (!page) {
+      throw new Error(`Navigation failed: ${this.url}`);
+    }
+    return { url: this.url, text: this.expanded ? page.expanded : page.collapsed };
+  }
+}
+
+describe('Job detail extraction', () => {
+  test('should extract description, insights, hiring team and apply type', () => {
+    const details = extractJobDetails(expandedView);
+
+    expect(details).toMatchObject({
+      jobId: '4100000001',
+      title: 'Senior Full Stack Engineer',
+      company: 'Northwind Labs',
+      salary: '$130K/yr - $160K/yr',
+      seniority: 'Mid-Senior level',
+      employmentType: 'Full-time',
+      workplaceType: 'Remote',
+      industry: 'Software Development',
+      companySize: '51-200',
+      applyType: 'easyApply',
+      applyUrl: null,
+      refs: { seeMore: null, apply: 's2e130' }
+    });
+    expect(details.hiringTeam).toEqual([{
+      name: 'Dana Whitfield',
+      title: 'Engineering Manager, Analytics Platform',
+      profileUrl: 'https://www.linkedin.com/in/dana-whitfield?miniProfileUrn=urn%3Ali%3Afs_miniProfile'
+    }]);
+
+    const lines = details.description.split('\n');
+    expect(lines[0]).toMatch(/^Northwind Labs is hiring/);
+    expect(lines).toContain('- 5+ years of professional software engineering experience');
+    expect(details.description).not.toMatch(/Show less|About the company|Dana Whitfield/);
+  });
+
+  test('should detect external apply links and the see more button', () => {
+    const details = extractJobDetails(collapsedView);
+
+    expect(details.applyType).toBe('external');
+    expect(details.applyUrl).toBe('https://careers.lonestarfintech.example/jobs/4100000008');
+    expect(details.refs.seeMore).toBe('s1e170');
+    expect(details.companySize).toBe('501-1,000');
+    expect(details.industry).toBe('Financial Services');
+    expect(details.hiringTeam).toEqual([]);
+  });
+});
+
+describe('JobEnrichment', () => {
+  let tmpDir;
+  let cachePath;
+  let browser;
+  const url = 'https://www.linkedin.com/jobs/view/4100000001';
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-details-'));
+    cachePath = path.join(tmpDir, 'job-details.json');
+    browser = new ScriptedBrowser({ [url]: { collapsed: collapsedView.replace(/4100000008/g, '4100000001'), expanded: expandedView } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const searchResult = {
+    id: 'job-4100000001',
+    jobId: '4100000001',
+    title: 'Senior Full Stack Engineer',
+    company: 'Northwind Labs',
+    salary: 'Salary not specified',
+    description: 'Job description not available',
+    url
+  };
+
+  test('should expand the description and merge details into the job', async () => {
+    const enrichment = new JobEnrichment(browser, { cachePath });
+    const job = await enrichment.enrichJob(searchResult);
+
+    expect(browser.calls).toEqual([['navigate', url], ['click', 's1e170']]);
+    expect(job.id).toBe('job-4100000001');
+    expect(job.description).toContain('Experience with AWS and Docker');
+    expect(job.salary).toBe('$130K/yr - $160K/yr');
+    expect(job.applyType).toBe('easyApply');
+    expect(job.easyApply).toBe(true);
+    expect(job.hiringTeam[0].name).toBe('Dana Whitfield');
+    expect(job.enrichment.cached).toBe(false);
+    expect(job).not.toHaveProperty('refs');
+  });
+
+  test('should serve repeat lookups from the cache until it expires', async () => {
+    await new JobEnrichment(browser, { cachePath }).enrichJob(searchResult);
+    browser.calls = [];
+
+    const cached = await new JobEnrichment(browser, { cachePath }).enrichJob(searchResult);
+    expect(browser.calls).toEqual([]);
+    expect(cached.enrichment.cached).toBe(true);
+    expect(cached.companySize).toBe('51-200');
+
+    const stored = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    stored['4100000001'].fetchedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(cachePath, JSON.stringify(stored));
+
+    const refreshed = await new JobEnrichment(browser, { cachePath }).enrichJob(searchResult);
+    expect(browser.calls[0]).toEqual(['navigate', url]);
+    expect(refreshed.enrichment.cached).toBe(false);
+  });
+
+  test('should keep jobs whose detail page fails', async () => {
+    const enrichment = new JobEnrichment(browser, { cachePath });
+    const missing = { ...searchResult, id: 'job-4100000099', jobId: '4100000099', url: 'https://www.linkedin.com/jobs/view/4100000099' };
+
+    const [enriched, failed] = await enrichment.enrichJobs([searchResult, missing]);
+
+    expect(enriched.enrichment.cached).toBe(false);
+    expect(failed.description).toBe('Job description not available');
+    expect(failed.enrichment.error).toMatch(/Navigation failed/);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Job Import Unit Tests
+ *
+ * Imports saved CSV, JSON, RSS, Atom and HTML job files and checks they
+ * normalize into the JobSearch job shape and rank through analyzeJobMatches.
+ */
+
+const path = require('path');
+const JobImporter = require('../../src/modules/job-import');
+const JobSearch = require('../../src/modules/job-search');
+
+const fixture = name => path.join(__dirname, '..', 'fixtures', 'imports', name);
+
+describe('JobImporter', () => {
+  const importer = new JobImporter();
+
+  test('should import CSV rows with quoted multi-line fields and skip untitled rows', async () => {
+    const jobs = await importer.importFile(fixture('tracked-jobs.csv'));
+
+    expect(jobs).toHaveLength(2);
+    expect(jobs[0]).toMatchObject({
+      id: 'job-4100000001',
+      jobId: '4100000001',
+      title: 'Senior Full Stack Engineer',
+      company: 'Northwind Labs',
+      location: 'United States (Remote)',
+      salary: '$130,000 - $160,000',
+      postedAt: '2026-10-12T00:00:00.000Z',
+      source: 'import',
+      sourceFile: 'tracked-jobs.csv'
+    });
+    expect(jobs[0].description).toBe('Build our customer analytics platform.\nRequirements:\n- 5+ years of JavaScript and TypeScript\n- React, Node.js and PostgreSQL');
+    expect(jobs[1].title).toBe('SEO Manager, "Growth"');
+    expect(jobs[1].posted).toBe('3 days ago');
+    expect(jobs[1].id).toMatch(/^import-[0-9a-f]{12}$/);
+  });
+
+  test('should map camelCase JSON fields and strip HTML descriptions', async () => {
+    const [job] = await importer.importFile(fixture('saved-jobs.json'));
+
+    expect(job).toMatchObject({
+      id: 'job-4100000005',
+      title: 'Machine Learning Engineer',
+      company: 'AI Innovations Lab',
+      location: 'San Francisco, CA (Hybrid)',
+      employmentType: 'Full-time',
+      easyApply: true,
+      description: 'Train and deploy models.\n\n- Python and PyTorch\n- MLOps on AWS'
+    });
+  });
+
+  test('should split job-alert titles in RSS and read Atom entries', async () => {
+    const rss = await importer.importFile(fixture('job-alerts.rss'));
+    const [atom] = await importer.importFile(fixture('job-alerts.atom'));
+
+    expect(rss.map(job => [job.title, job.company, job.location])).toEqual([
+      ['Generative AI Engineer', 'Salt AI', 'Remote'],
+      ['Frontend Engineer', 'Pixel & Pine', 'Portland, OR']
+    ]);
+    expect(rss[0].description).toBe('Build LLM-powered workflows with Python & TypeScript.');
+    expect(rss[0].postedAt).toBe('2026-10-16T12:00:00.000Z');
+
+    expect(atom).toMatchObject({
+      title: 'Web Developer',
+      company: 'Hudson Media Group',
+      url: 'https://jobs.example.com/view/hudson-web-developer',
+      description: 'Maintain WordPress and Next.js sites.'
+    });
+  });
+
+  test('should read JSON-LD JobPosting data from saved pages', async () => {
+    const [job] = await importer.importFile(fixture('linkedin-job-jsonld.html'));
+
+    expect(job).toMatchObject({
+      id: 'job-4100000010',
+      title: 'Senior Software Engineer, Platform',
+      company: 'Redwood Data',
+      location: 'Denver, CO, US',
+      salary: '$155,000/yr - $180,000/yr',
+      employmentType: 'Full-time',
+      url: 'https://www.linkedin.com/jobs/view/senior-software-engineer-platform-at-redwood-data-4100000010'
+    });
+    expect(job.description).toBe('Redwood Data is scaling its ingestion platform.\n\n- Go or Node.js\n- Kafka and Kubernetes');
+  });
+
+  test('should fall back to page markup for saved pages without structured data', async () => {
+    const [job] = await importer.importFile(fixture('saved-job-page.html'));
+
+    expect(job).toMatchObject({
+      id: 'job-4100000002',
+      title: 'Full Stack Developer',
+      company: 'Bluegrass Health',
+      location: 'Sacramento, CA (Hybrid)'
+    });
+    // The collapsed part of the description is in the saved HTML too
+    expect(job.description).toContain('- 3+ years of experience in full stack web development');
+    expect(job.description).not.toMatch(/see more/);
+  });
+
+  test('should import a batch, de-duplicate and rank it without a browser', async () => {
+    const { jobs, errors } = await importer.importFiles([
+      fixture('tracked-jobs.csv'),
+      fixture('tracked-jobs.csv'),
+      fixture('job-alerts.rss'),
+      fixture('missing.csv')
+    ]);
+
+    expect(jobs).toHaveLength(4);
+    expect(errors).toEqual([{ file: fixture('missing.csv'), error: expect.stringMatching(/ENOENT/) }]);
+
+    const analysis = await new JobSearch().analyzeJobMatches(jobs);
+    expect(analysis.totalJobs).toBe(4);
+    expect(analysis.topMatches[0].matchScore).toBeGreaterThanOrEqual(analysis.topMatches[1].matchScore);
+  });
+});
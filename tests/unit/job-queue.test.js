@@ -0,0 +1,271 @@
+/**
+ * Job Queue Unit Tests
+ *
+ * Runs the staged queue with stub handlers to cover stage order,
+ * per-stage concurrency, retries with backoff, dead letters, review holds,
+ * quota pauses, requeueing and resuming from the SessionRecovery
+ * checkpoint. The ApplicationPipeline tests use stubbed search and resume
+ * modules, and a stubbed or quota-limited ApplicationSubmission.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue, STAGES } = require('../../src/modules/job-queue');
+const { ApplicationPipeline } = require('../../src/modules/application-pipeline');
+const { JobStore } = require('../../src/modules/job-store');
+const { ApplicationQuota } = require('../../src/modules/application-quota');
+const ApplicationSubmission = require('../../src/modules/application-submission');
+const { SessionRecovery, AutomationError } = require('../../src/modules/error-handling');
+
+const job = jobId => ({
+  id: `job-${jobId}`,
+  jobId,
+  title: `Node.js Engineer ${jobId}`,
+  company: `Company ${jobId}`,
+  url: `https://www.linkedin.com/jobs/view/${jobId}`,
+  description: 'Build Node.js services.'
+});
+
+const FAST_RETRY = { maxAttempts: 3, delay: 0, backoff: { initial: 5, factor: 2, max: 20 } };
+
+const passThrough = () => STAGES.reduce((handlers, stage) => ({ ...handlers, [stage]: jest.fn(async () => ({ ok: stage })) }), {});
+
+describe('JobQueue', () => {
+  let tmpDir;
+  let checkpoints;
+
+  const createQueue = (handlers, stages = {}) => new JobQueue({
+    checkpoints,
+    handlers,
+    stages: STAGES.reduce((all, stage) => ({ ...all, [stage]: { ...FAST_RETRY, ...stages[stage] } }), {})
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+    checkpoints = new SessionRecovery({ backupDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should move jobs through every stage and ignore jobs already queued', async () => {
+    const handlers = passThrough();
+    const queue = createQueue(handlers);
+
+    expect(queue.enqueue([job('1'), job('2')])).toHaveLength(2);
+    expect(queue.enqueue([job('2')])).toHaveLength(0);
+
+    const stats = await queue.process();
+
+    expect(stats).toEqual({ total: 2, byStatus: { done: 2 }, byStage: {} });
+    STAGES.forEach(stage => expect(handlers[stage]).toHaveBeenCalledTimes(2));
+    expect(queue.get('linkedin:1').results.apply).toEqual({ ok: 'apply' });
+    expect(queue.get('linkedin:1').history.map(entry => entry.stage)).toEqual(STAGES);
+  });
+
+  test('should not exceed the concurrency of a stage', async () => {
+    let active = 0;
+    let peak = 0;
+    const handlers = passThrough();
+    handlers.analyze = jest.fn(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return {};
+    });
+
+    const queue = createQueue(handlers, { analyze: { concurrency: 2 } });
+    queue.enqueue(['1', '2', '3', '4', '5'].map(job), { stage: 'analyze' });
+    await queue.process();
+
+    expect(handlers.analyze).toHaveBeenCalledTimes(5);
+    expect(peak).toBe(2);
+  });
+
+  test('should retry with backoff, then move the job to dead letters', async () => {
+    const handlers = passThrough();
+    handlers.apply = jest.fn(async item => {
+      if (item.job.jobId === '1') {
+        throw new Error('Easy Apply button not found');
+      }
+      return {};
+    });
+
+    const queue = createQueue(handlers);
+    queue.enqueue([job('1'), job('2')], { stage: 'apply' });
+    const stats = await queue.process();
+
+    expect(stats.byStatus).toEqual({ dead: 1, done: 1 });
+    const dead = queue.get('linkedin:1');
+    expect(dead).toEqual(expect.objectContaining({ stage: 'apply', attempts: 3, lastError: 'Easy Apply button not found' }));
+    expect(dead.history.filter(entry => entry.status === 'failed').map(entry => entry.retryInMs)).toEqual([5, 10]);
+
+    handlers.apply.mockImplementation(async () => ({}));
+    expect(queue.retry()).toHaveLength(1);
+    expect((await queue.process()).byStatus).toEqual({ done: 2 });
+  });
+
+  test('should resume after a crash from the checkpoint', async () => {
+    const first = createQueue(passThrough());
+    first.enqueue([job('1'), job('2')], { stage: 'apply' });
+
+    // Simulate a process that died while applying to the first job
+    first.get('linkedin:1').status = 'running';
+    first.get('linkedin:1').attempts = 1;
+    first.checkpoint();
+
+    const handlers = passThrough();
+    const second = createQueue(handlers);
+
+    expect(second.get('linkedin:1')).toEqual(expect.objectContaining({ status: 'pending', stage: 'apply' }));
+    expect((await second.process()).byStatus).toEqual({ done: 2 });
+    expect(handlers.apply).toHaveBeenCalledTimes(2);
+    expect(handlers.enrich).not.toHaveBeenCalled();
+  });
+
+  test('should hold jobs for review until released or skipped', async () => {
+    const handlers = { ...passThrough(), review: jest.fn(async () => ({ hold: 'Waiting for review' })) };
+    const queue = createQueue(handlers);
+    queue.enqueue([job('1'), job('2')], { stage: 'review' });
+
+    expect((await queue.process()).byStatus).toEqual({ held: 2 });
+
+    queue.release('linkedin:1');
+    queue.skip('linkedin:2', 'Not interested');
+    expect((await queue.process()).byStatus).toEqual({ done: 1, skipped: 1 });
+    expect(handlers.apply).toHaveBeenCalledTimes(1);
+    expect(() => queue.release('linkedin:2')).toThrow('Job "linkedin:2" is skipped, expected held');
+  });
+
+  test('should pause a stage without using up attempts when the quota is reached', async () => {
+    const handlers = passThrough();
+    handlers.apply = jest.fn(async () => {
+      throw new AutomationError('Daily application quota reached (3/3)', null, { quotaExceeded: true });
+    });
+
+    const queue = createQueue(handlers);
+    queue.enqueue([job('1'), job('2')], { stage: 'apply' });
+    const stats = await queue.process();
+
+    expect(handlers.apply).toHaveBeenCalledTimes(1);
+    expect(stats.byStatus).toEqual({ pending: 2 });
+    expect(queue.get('linkedin:1').attempts).toBe(0);
+  });
+
+  test('should try apply only once by default, since a failed submit may have gone through', async () => {
+    const handlers = passThrough();
+    handlers.apply = jest.fn(async () => {
+      throw new Error('Submit button did not respond');
+    });
+
+    const queue = new JobQueue({ checkpoints, handlers });
+    queue.enqueue([job('1')], { stage: 'apply' });
+
+    expect((await queue.process()).byStatus).toEqual({ dead: 1 });
+    expect(handlers.apply).toHaveBeenCalledTimes(1);
+    expect(queue.stageOptions.enrich.maxAttempts).toBe(3);
+  });
+
+  test('should requeue finished jobs only when asked and never queue jobs without an ID', async () => {
+    const handlers = passThrough();
+    const queue = createQueue(handlers);
+    queue.enqueue([job('1')], { stage: 'apply' });
+    await queue.process();
+
+    expect(queue.enqueue([job('1'), { title: 'Pasted job', company: 'Acme' }], { stage: 'apply' })).toHaveLength(0);
+    expect(queue.items).toHaveLength(1);
+
+    const [requeued] = queue.enqueue([job('1')], { stage: 'apply', requeue: true });
+    expect(requeued).toEqual(expect.objectContaining({ key: 'linkedin:1', stage: 'apply', status: 'pending', attempts: 0 }));
+    expect(requeued.history.pop().status).toBe('requeued');
+
+    expect((await queue.process()).byStatus).toEqual({ done: 1 });
+    expect(handlers.apply).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('ApplicationPipeline', () => {
+  let tmpDir;
+  let jobStore;
+  let applicationSubmission;
+
+  const createPipeline = (options = {}) => new ApplicationPipeline({
+    jobStore,
+    checkpoints: new SessionRecovery({ backupDir: tmpDir }),
+    jobSearch: {
+      analyzeJobMatches: jest.fn(async jobs => ({ allJobs: jobs.map(entry => ({ ...entry, matchScore: Number(entry.jobId) * 30 })) }))
+    },
+    resumeGenerator: {
+      generateResumeForJob: jest.fn(async entry => ({ success: true, resumePath: `/tmp/${entry.id}.pdf`, matchScore: 80 }))
+    },
+    applicationSubmission,
+    stages: STAGES.reduce((all, stage) => ({ ...all, [stage]: FAST_RETRY }), {}),
+    ...options
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+    jobStore = new JobStore(path.join(tmpDir, 'job-store.json'));
+    applicationSubmission = {
+      submitApplication: jest.fn(async (entry, options) => {
+        jobStore.markApplied(entry, { appliedAt: '2026-10-19T10:00:00.000Z', resumePath: options.generatedResume.resumePath });
+        return { applicationData: { endTime: '2026-10-19T10:00:00.000Z', resumeInfo: { resumePath: options.generatedResume.resumePath } } };
+      })
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should apply with the pre-generated resume and skip low matches and earlier applications', async () => {
+    jobStore.markApplied(job('3'), { appliedAt: '2026-10-01T10:00:00.000Z' });
+    const pipeline = createPipeline({ minScore: 50 });
+
+    pipeline.queue.enqueue([job('1'), job('2'), job('3')], { stage: 'analyze' });
+    const stats = await pipeline.queue.process();
+
+    expect(stats.byStatus).toEqual({ done: 1, skipped: 2 });
+    expect(pipeline.queue.get('linkedin:1').history.pop().reason).toBe('Match 30% below the 50% minimum');
+    expect(pipeline.queue.get('linkedin:3').history.pop().reason).toBe('Already applied (matched by canonicalId)');
+    expect(applicationSubmission.submitApplication).toHaveBeenCalledTimes(1);
+    expect(applicationSubmission.submitApplication).toHaveBeenCalledWith(
+      expect.objectContaining({ jobId: '2', matchScore: 60 }),
+      expect.objectContaining({ generatedResume: expect.objectContaining({ resumePath: '/tmp/job-2.pdf' }) })
+    );
+    expect(pipeline.queue.get('linkedin:2').results.track).toEqual({ tracked: true });
+  });
+
+  test('should pause apply when the quota of the real ApplicationSubmission is spent', async () => {
+    const quota = new ApplicationQuota({ filePath: path.join(tmpDir, 'application-quota.json'), perDay: 1 });
+    quota.record();
+    applicationSubmission = new ApplicationSubmission({ jobStore, quota });
+    jest.spyOn(applicationSubmission, 'submitApplication');
+    const pipeline = createPipeline();
+
+    pipeline.queue.enqueue([job('1'), job('2')], { stage: 'apply' });
+    const stats = await pipeline.queue.process();
+
+    expect(stats.byStatus).toEqual({ pending: 2 });
+    expect(applicationSubmission.submitApplication).toHaveBeenCalledTimes(1);
+    expect(pipeline.queue.get('linkedin:1')).toEqual(expect.objectContaining({
+      attempts: 0,
+      lastError: 'Daily application quota reached (1/1)'
+    }));
+  });
+
+  test('should hold jobs for manual review', async () => {
+    const pipeline = createPipeline({ review: 'manual' });
+    pipeline.queue.enqueue([job('2')], { stage: 'analyze' });
+
+    expect((await pipeline.queue.process()).byStatus).toEqual({ held: 1 });
+    expect(applicationSubmission.submitApplication).not.toHaveBeenCalled();
+
+    pipeline.queue.release('linkedin:2');
+    expect((await pipeline.queue.process()).byStatus).toEqual({ done: 1 });
+    expect(jobStore.hasApplied(job('2'))).toBe(true);
+  });
+});
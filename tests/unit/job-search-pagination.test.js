@@ -0,0 +1,141 @@
+/**
+ * Job Search Pagination Unit Tests
+ * 
+ * Drives JobSearch against a scripted browser serving numbered result
+ * pages to cover pagination, resume-from-cursor and incremental runs.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobSearch = require('../../src/modules/job-search');
+const SearchCursorStore = require('../../src/modules/search-cursor-store');
+
+/**
+ * Render one results page in browsermcp snapshot format
+ */
+function renderPage(url, jobs) {
+  const cards = jobs.map(job => [
+    `    - listitem [ref=e${job.id}]:`,
+    `      - link "${job.title}" [ref=t${job.id}]:`,
+    `        - /url: /jobs/view/${job.id}/`,
+    `      - generic: ${job.company}`,
+    `      - generic: United States (Remote)`,
+    `      - time: ${job.posted}`
+  ].join('\n'));
+
+  return `- Page URL: ${url}\n- Page Title: Jobs | LinkedIn\n- Page Snapshot\n\`\`\`yaml\n- main:\n  - list:\n${cards.join('\n')}\n\`\`\``;
+}
+
+class ScriptedBrowser {
+  constructor(jobs) {
+    this.jobs = jobs;
+    this.url = null;
+    this.failOnStart = null;
+    this.visited = [];
+  }
+
+  async navigate(url) {
+    const start = url.includes('/jobs/search') ? parseInt(new URL(url).searchParams.get('start') || '0', 10) : null;
+    if (start !== null && start === this.failOnStart) {
+      this.failOnStart = null;
+      throw new Error('Tab crashed');
+    }
+    this.url = url;
+    this.visited.push(url);
+  }
+
+  async type() {}
+  async wait() {}
+
+  async click() {
+    // The search button lands on the first results page
+    this.url = 'https://www.linkedin.com/jobs/search/?keywords=Full%20Stack&location=Remote';
+    this.visited.push(this.url);
+  }
+
+  async getPageSnapshot() {
+    const start = parseInt(new URL(this.url).searchParams.get('start') || '0', 10);
+    return { url: this.url, text: renderPage(this.url, this.jobs.slice(start, start + 25)) };
+  }
+}
+
+function makeJobs(count, offset = 0, posted = '1 hour ago') {
+  return Array.from({ length: count }, (_, i) => ({
+    id: String(4200000000 + offset + i),
+    title: `Full Stack Engineer ${offset + i}`,
+    company: `Company ${offset + i}`,
+    posted
+  }));
+}
+
+describe('JobSearch pagination', () => {
+  let tmpDir;
+  let jobSearch;
+  let browser;
+  const criteria = { searchId: 'fullstack-remote', keywords: ['Full Stack'], location: 'Remote' };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursors-'));
+    jobSearch = new JobSearch();
+    jobSearch.cursorStore = new SearchCursorStore(path.join(tmpDir, 'search-cursors.json'));
+    browser = new ScriptedBrowser(makeJobs(60));
+    jobSearch.browser = browser;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should follow result pages until the last one', async () => {
+    const result = await jobSearch.searchJobs(criteria);
+
+    expect(result.resultsCount).toBe(60);
+    expect(browser.visited.filter(url => url.includes('start=')).map(url => new URL(url).searchParams.get('start')))
+      .toEqual(['25', '50']);
+  });
+
+  test('should stop at maxResults', async () => {
+    const result = await jobSearch.searchJobs({ ...criteria, maxResults: 30 });
+
+    expect(result.resultsCount).toBe(30);
+  });
+
+  test('should resume an interrupted run from the persisted cursor', async () => {
+    browser.failOnStart = 50;
+    await expect(jobSearch.searchJobs(criteria)).rejects.toThrow('Tab crashed');
+
+    const cursor = jobSearch.cursorStore.get('fullstack-remote');
+    expect(cursor.inProgress).toBe(true);
+    expect(cursor.nextStart).toBe(50);
+    expect(cursor.pending).toHaveLength(50);
+
+    browser.visited = [];
+    const result = await jobSearch.searchJobs(criteria);
+
+    expect(result.resultsCount).toBe(60);
+    expect(new URL(browser.visited[0]).searchParams.get('start')).toBe('50');
+    expect(jobSearch.cursorStore.get('fullstack-remote').inProgress).toBe(false);
+  });
+
+  test('should only return postings newer than the last successful run in incremental mode', async () => {
+    await jobSearch.searchJobs({ ...criteria, incremental: true });
+
+    // Two new postings arrive at the top of the date-sorted results
+    browser.jobs = [...makeJobs(2, 100, 'Just now'), ...browser.jobs];
+    browser.visited = [];
+
+    const result = await jobSearch.searchJobs({ ...criteria, incremental: true });
+
+    expect(result.results.map(job => job.jobId)).toEqual(['4200000100', '4200000101']);
+    expect(browser.visited.some(url => url.includes('start=50'))).toBe(false);
+  });
+
+  test('should estimate posting dates from relative text', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    expect(jobSearch.estimatePostedAt('3 days ago', now).postedAt.toISOString()).toBe('2026-10-16T12:00:00.000Z');
+    expect(jobSearch.estimatePostedAt('Reposted 1 week ago', now).precisionMs).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(jobSearch.estimatePostedAt('Recently posted', now)).toBeNull();
+  });
+});
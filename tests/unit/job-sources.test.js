@@ -0,0 +1,172 @@
+/**
+ * Job Source Adapter Unit Tests
+ *
+ * Normalizes saved Greenhouse, Lever, Ashby and Workable board responses
+ * and serves them from a local HTTP server to cover fetching and the
+ * JobSearch integration.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createJobSource, fetchFromSources } = require('../../src/modules/job-sources');
+const { htmlToText, formatPosted } = require('../../src/modules/job-sources/normalize');
+const JobSearch = require('../../src/modules/job-search');
+
+const fixture = type => JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'job-sources', `${type}.json`), 'utf8')
+);
+
+// Fields JobSearch.analyzeJobMatches and the resume pipeline read
+const JOB_SHAPE = {
+  id: expect.any(String),
+  title: expect.any(String),
+  company: expect.any(String),
+  location: expect.any(String),
+  salary: expect.any(String),
+  posted: expect.any(String),
+  applicants: expect.any(String),
+  description: expect.any(String),
+  easyApply: false,
+  promoted: false,
+  applyType: 'external',
+  url: expect.stringMatching(/^https:\/\//)
+};
+
+describe('Job source adapters', () => {
+  test('should normalize Greenhouse jobs and unescape their HTML content', () => {
+    const [job] = createJobSource({ type: 'greenhouse', board: 'northwindlabs' }).parse(fixture('greenhouse'));
+
+    expect(job).toMatchObject({
+      ...JOB_SHAPE,
+      id: 'greenhouse-northwindlabs-7012345',
+      source: 'greenhouse',
+      title: 'Senior Full Stack Engineer',
+      company: 'Northwind Labs',
+      location: 'Remote - United States',
+      workplaceType: 'Remote',
+      department: 'Engineering',
+      postedAt: '2026-10-12T13:00:00.000Z'
+    });
+    expect(job.description).toContain('- 5+ years of JavaScript & TypeScript\n- Experience with React');
+    expect(job.description).not.toMatch(/<|&lt;|&amp;/);
+  });
+
+  test('should normalize Lever postings with lists and salary ranges', () => {
+    const [job, remote] = createJobSource({ type: 'lever', board: 'bluegrasshealth', company: 'Bluegrass Health' })
+      .parse(fixture('lever'));
+
+    expect(job).toMatchObject({
+      ...JOB_SHAPE,
+      company: 'Bluegrass Health',
+      location: 'Sacramento, CA (Hybrid)',
+      salary: '$105,000/yr - $125,000/yr',
+      employmentType: 'Full-time',
+      applyUrl: expect.stringMatching(/\/apply$/)
+    });
+    expect(job.description).toContain("What you'll bring:\n- 3+ years with React and Node.js");
+    expect(job.description).toMatch(/equal opportunity employer\.$/);
+    expect(remote.location).toBe('Remote');
+    expect(remote.salary).toBe('Salary not specified');
+  });
+
+  test('should normalize listed Ashby jobs with compensation', () => {
+    const jobs = createJobSource({ type: 'ashby', board: 'saltai', company: 'Salt AI' }).parse(fixture('ashby'));
+
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toMatchObject({
+      ...JOB_SHAPE,
+      title: 'Generative AI Engineer',
+      location: 'San Francisco, CA (Remote)',
+      salary: '$150K - $190K',
+      employmentType: 'Full-time',
+      workplaceType: 'Remote'
+    });
+  });
+
+  test('should normalize Workable jobs with the account name as company', () => {
+    const [job] = createJobSource({ type: 'workable', board: 'capitol-civic-tech' }).parse(fixture('workable'));
+
+    expect(job).toMatchObject({
+      ...JOB_SHAPE,
+      id: 'workable-capitol-civic-tech-8E2F4A1B7C',
+      company: 'Capitol Civic Tech',
+      location: 'Sacramento, California, United States (Hybrid)',
+      department: 'Delivery'
+    });
+    expect(job.description).toBe('Design AI assistants for state agencies.\n\n- 2+ years of Python\n- REST APIs and SQL\n\nPension & health coverage');
+  });
+
+  test('should reject unknown source types', () => {
+    expect(() => createJobSource({ type: 'monster', board: 'x' })).toThrow(/Unknown job source "monster"/);
+  });
+
+  test('should format text and posting age like LinkedIn cards', () => {
+    expect(htmlToText('<p>A &amp; B</p><ul><li>One</li><li>Two</li></ul>')).toBe('A & B\n\n- One\n- Two');
+    expect(formatPosted('2026-10-16T12:00:00Z', new Date('2026-10-19T12:00:00Z'))).toBe('3 days ago');
+    expect(formatPosted(null)).toBe('Recently posted');
+  });
+});
+
+describe('Job source fetching', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    const routes = {
+      '/v1/boards/northwindlabs/jobs?content=true': fixture('greenhouse'),
+      '/v0/postings/bluegrasshealth?mode=json': fixture('lever'),
+      '/posting-api/job-board/saltai?includeCompensation=true': fixture('ashby'),
+      '/api/v1/widget/accounts/capitol-civic-tech?details=true': fixture('workable')
+    };
+
+    server = http.createServer((req, res) => {
+      const body = routes[req.url];
+      res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body || { error: 'not found' }));
+    });
+    server.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  const boards = () => [
+    { type: 'greenhouse', board: 'northwindlabs', baseUrl },
+    { type: 'lever', board: 'bluegrasshealth', company: 'Bluegrass Health', baseUrl },
+    { type: 'ashby', board: 'saltai', company: 'Salt AI', baseUrl },
+    { type: 'workable', board: 'capitol-civic-tech', baseUrl },
+    { type: 'greenhouse', board: 'closed-board', baseUrl }
+  ];
+
+  test('should fetch every board and report failing ones', async () => {
+    const { jobs, errors } = await fetchFromSources(boards());
+
+    expect(jobs).toHaveLength(6);
+    expect(errors).toEqual([{ type: 'greenhouse', board: 'closed-board', error: 'greenhouse board "closed-board" returned HTTP 404' }]);
+  });
+
+  test('should search boards with JobSearch criteria and rank the results', async () => {
+    const jobSearch = new JobSearch();
+    const search = await jobSearch.searchJobSources(
+      { keywords: ['Full Stack', 'AI Engineer'], location: 'Sacramento, CA', remote: true },
+      boards()
+    );
+
+    expect(search.results.map(job => job.title).sort()).toEqual([
+      'Full Stack Developer',
+      'Generative AI Engineer',
+      'Senior Full Stack Engineer'
+    ]);
+    expect(search.scannedCount).toBe(6);
+    expect(search.errors).toHaveLength(1);
+
+    const analysis = await jobSearch.analyzeJobMatches(search.results);
+    expect(analysis.totalJobs).toBe(3);
+    analysis.allJobs.forEach(job => expect(job.matchScore).toBeGreaterThan(0));
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Job Store Unit Tests
+ *
+ * Covers canonical IDs, content fingerprints for reposts, legacy exclusion
+ * seeding and the duplicate checks in DiversifiedLinkedInSearch and
+ * ApplicationSubmission.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobStore, canonicalId, fingerprint } = require('../../src/modules/job-store');
+const ApplicationSubmission = require('../../src/modules/application-submission');
+const { DiversifiedLinkedInSearch } = require('../../index-diversified-search');
+
+const DESCRIPTION = 'Build our customer analytics platform with React, Node.js and PostgreSQL. Full stack ownership.';
+
+const job = overrides => ({
+  id: 'job-4100000001',
+  jobId: '4100000001',
+  title: 'Senior Full Stack Engineer',
+  company: 'Northwind Labs',
+  location: 'United States (Remote)',
+  description: DESCRIPTION,
+  url: 'https://www.linkedin.com/jobs/view/4100000001',
+  ...overrides
+});
+
+// The same posting re-listed under a new LinkedIn job ID
+const repost = () => job({
+  id: 'job-4100000099',
+  jobId: '4100000099',
+  title: 'Senior Full-Stack Engineer',
+  description: `${DESCRIPTION}\n`,
+  url: 'https://www.linkedin.com/jobs/view/4100000099/?trk=public_jobs'
+});
+
+describe('JobStore', () => {
+  let tmpDir;
+  let storePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    storePath = path.join(tmpDir, 'job-store.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should derive canonical IDs from LinkedIn IDs, ATS postings and URLs', () => {
+    expect(canonicalId({ url: 'https://www.linkedin.com/jobs/view/senior-engineer-at-redwood-4100000010?trk=x' }))
+      .toBe('linkedin:4100000010');
+    expect(canonicalId({ url: 'https://www.linkedin.com/jobs/search/?currentJobId=4100000003&keywords=x' }))
+      .toBe('linkedin:4100000003');
+    expect(canonicalId({ source: 'greenhouse', sourceBoard: 'northwindlabs', sourceJobId: 7012345, url: 'https://x' }))
+      .toBe('greenhouse:northwindlabs:7012345');
+    expect(canonicalId({ url: 'https://Jobs.Example.com/view/hudson-web-developer/?utm_source=rss' }))
+      .toBe('url:jobs.example.com/view/hudson-web-developer');
+  });
+
+  test('should fingerprint normalized content and ignore placeholders', () => {
+    expect(fingerprint(repost())).toBe(fingerprint(job()));
+    expect(fingerprint(job({ location: 'Austin, TX' }))).not.toBe(fingerprint(job()));
+    expect(fingerprint(job({ description: 'Job description not available' })))
+      .toBe(fingerprint(job({ description: '' })));
+    expect(fingerprint({ title: 'Unknown Position', company: 'Northwind Labs' })).toBeNull();
+  });
+
+  test('should merge reposts into one record and persist it across runs', () => {
+    const store = new JobStore(storePath);
+    store.recordJobs([job()], { searchConfig: 'fullstack-remote' });
+
+    const { record, matchedBy } = store.upsert(repost(), { searchConfig: 'senior-fullstack' });
+    store.save();
+
+    expect(matchedBy).toBe('fingerprint');
+    expect(record.canonicalIds).toEqual(['linkedin:4100000001', 'linkedin:4100000099']);
+    expect(record.searches).toEqual(['fullstack-remote', 'senior-fullstack']);
+    expect(record.sightings).toBe(2);
+
+    const reloaded = new JobStore(storePath);
+    expect(reloaded.getStats()).toEqual({ total: 1, seen: 1, applied: 0, excluded: 0 });
+    expect(reloaded.lookup({ jobId: '4100000099' }).record.key).toBe('linkedin:4100000001');
+  });
+
+  test('should keep jobs without an ID or fingerprint apart instead of overwriting one another', () => {
+    const store = new JobStore(storePath);
+    const [first, second] = store.recordJobs([
+      { title: 'Node.js Engineer', description: 'Pasted without a company or link.' },
+      { company: 'Northwind Labs', description: 'Pasted without a title or link.' }
+    ]);
+
+    expect(first.record.key).toMatch(/^unidentified:/);
+    expect(second.record.key).toMatch(/^unidentified:/);
+    expect(first.record.key).not.toBe(second.record.key);
+    expect(new JobStore(storePath).getStats().total).toBe(2);
+  });
+
+  test('should recognize an applied job under a new ID', () => {
+    new JobStore(storePath).markApplied(job(), { appliedAt: '2026-10-12T15:00:00.000Z' });
+
+    const store = new JobStore(storePath);
+    expect(store.hasApplied(repost())).toBe(true);
+    expect(store.findBlocking(repost())).toMatchObject({
+      matchedBy: 'fingerprint',
+      record: { status: 'applied', appliedAt: '2026-10-12T15:00:00.000Z' }
+    });
+    expect(store.hasApplied(job({ jobId: '4100000005', title: 'Machine Learning Engineer', url: null }))).toBe(false);
+  });
+
+  test('should seed exclusions from the legacy duplicate prevention lists once', () => {
+    const store = new JobStore(storePath);
+    const legacy = {
+      excludedJobUrls: ['https://www.linkedin.com/jobs/view/4242950328'],
+      excludedCompanyPositions: ['Salt AI|Full Stack Engineer']
+    };
+
+    expect(store.importExclusions(legacy)).toBe(2);
+    expect(new JobStore(storePath).importExclusions(legacy)).toBe(0);
+
+    expect(store.findBlocking({ jobId: '4242950328', title: 'Anything', company: 'Anyone' }).matchedBy).toBe('canonicalId');
+    expect(store.findBlocking(job({ jobId: '4100000007', title: 'Full Stack Engineer', company: 'Salt AI' })).matchedBy)
+      .toBe('companyPosition');
+  });
+});
+
+describe('Duplicate prevention with the job store', () => {
+  let tmpDir;
+  let storePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    storePath = path.join(tmpDir, 'job-store.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should skip jobs found by an earlier search and reposts of applied jobs', () => {
+    const search = new DiversifiedLinkedInSearch({ jobStore: new JobStore(storePath) });
+
+    const first = search.filterUniquePositions([job()], 'fullstack-remote');
+    const second = search.filterUniquePositions([job(), repost()], 'senior-fullstack');
+
+    expect(first).toHaveLength(1);
+    expect(second).toHaveLength(0);
+    expect(search.duplicatesSkipped.map(skip => skip.reason)).toEqual(['Within-session duplicate', 'Within-session duplicate']);
+
+    // Next run: the job was applied to, and is reposted again under yet another ID
+    search.jobStore.markApplied(job());
+    const nextRun = new DiversifiedLinkedInSearch({ jobStore: new JobStore(storePath) });
+    const secondRepost = job({ id: 'job-4100000123', jobId: '4100000123', url: 'https://www.linkedin.com/jobs/view/4100000123' });
+
+    expect(nextRun.filterUniquePositions([repost(), secondRepost], 'fullstack-remote')).toHaveLength(0);
+    expect(nextRun.duplicatesSkipped.map(({ reason, matchedBy }) => ({ reason, matchedBy }))).toEqual([
+      { reason: 'Already applied', matchedBy: 'canonicalId' },
+      { reason: 'Already applied (repost)', matchedBy: 'fingerprint' }
+    ]);
+  });
+
+  test('should refuse to submit an application for a job already applied to', async () => {
+    const jobStore = new JobStore(storePath);
+    jobStore.markApplied(job(), { appliedAt: '2026-10-12T15:00:00.000Z' });
+
+    const submission = new ApplicationSubmission({ jobStore });
+    submission.navigateToJob = jest.fn();
+    submission.recordFailedApplication = jest.fn();
+
+    await expect(submission.submitApplication(repost()))
+      .rejects.toThrow(/Already applied to Senior Full Stack Engineer at Northwind Labs on 2026-10-12/);
+    expect(submission.navigateToJob).not.toHaveBeenCalled();
+  });
+});
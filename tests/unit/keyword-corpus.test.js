@@ -0,0 +1,120 @@
+/**
+ * Keyword Corpus Unit Tests
+ *
+ * Covers term extraction, TF-IDF and BM25 scoring against a corpus built
+ * from the job store, the distinctive keywords of the analysis, and their
+ * use in keyword density and summary tailoring.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KeywordCorpus, extractTerms } = require('../../src/modules/keyword-corpus');
+const { JobStore } = require('../../src/modules/job-store');
+const JobDescriptionAnalyzer = require('../../src/modules/job-description-analyzer');
+const ResumeJobMatcher = require('../../src/resume-customization/resume-job-matcher');
+const DynamicResumeGenerator = require('../../src/resume-customization/dynamic-resume-generator');
+
+const COLLECTED = [
+  'Backend Engineer. Our team builds APIs with Node.js and PostgreSQL. Competitive salary and health benefits.',
+  'Frontend Engineer. Our team builds React interfaces. Competitive salary and health benefits.',
+  'Data Engineer. Our team builds pipelines with Python and Airflow. Competitive salary and health benefits.',
+  'Platform Engineer. Our team runs Kubernetes clusters. Competitive salary and health benefits.'
+];
+
+const POSTING = {
+  title: 'Payments Engineer',
+  company: 'Contoso',
+  description: 'Our team builds payment reconciliation services in Node.js. You will own payment reconciliation and ledger accuracy. Competitive salary and health benefits.'
+};
+
+describe('extractTerms', () => {
+  test('should keep technical tokens and two-word phrases without crossing clauses', () => {
+    const terms = extractTerms('Experience with Node.js, CI/CD and C++. Strong payment reconciliation skills.');
+
+    expect(terms).toEqual(expect.arrayContaining(['node.js', 'ci/cd', 'c++', 'payment reconciliation']));
+    expect(terms).not.toContain('node.js ci/cd');
+    expect(terms).not.toContain('experience');
+  });
+});
+
+describe('KeywordCorpus', () => {
+  let tmpDir;
+  let jobStore;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyword-corpus-'));
+    jobStore = new JobStore(path.join(tmpDir, 'job-store.json'));
+    COLLECTED.forEach((description, index) => jobStore.upsert({ jobId: `42000000${index}`, title: description.split('.')[0], company: 'Fabrikam', description }));
+    jobStore.upsert({ jobId: '4200000099', title: 'Unknown', company: 'Fabrikam', description: 'Job description not available' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should be built from the stored descriptions', () => {
+    const corpus = KeywordCorpus.fromJobStore(jobStore);
+
+    expect(corpus.documentCount).toBe(4);
+    expect(corpus.documentFrequency.get('health benefits')).toBe(4);
+    expect(corpus.documentFrequency.get('node.js')).toBe(1);
+  });
+
+  test('should rank terms distinctive to a posting above ones every posting repeats', () => {
+    const scored = KeywordCorpus.fromJobStore(jobStore).scoreTerms(`${POSTING.title}\n${POSTING.description}`, { limit: 50 });
+    const rank = term => scored.findIndex(entry => entry.term === term);
+
+    expect(scored[0]).toEqual(expect.objectContaining({ term: 'payment reconciliation', count: 2, documentFrequency: 0 }));
+    expect(rank('node.js')).toBeLessThan(rank('team builds'));
+    expect(rank('team builds')).toBeLessThan(rank('health benefits'));
+    expect(scored.find(entry => entry.term === 'health benefits').tfidf).toBeLessThan(scored[0].tfidf);
+  });
+
+  test('an empty corpus should rank by term frequency', () => {
+    const [top] = new KeywordCorpus().scoreTerms('Kafka streaming. Kafka consumers. Go services.');
+
+    expect(top.term).toBe('kafka');
+  });
+
+  test('the analysis should carry distinctive keywords of the role without boilerplate sections', () => {
+    const analyzer = new JobDescriptionAnalyzer({ jobStore });
+    const analysis = analyzer.analyze({
+      ...POSTING,
+      description: `${POSTING.description}\n\nBenefits\n- Unlimited espresso\n- Health insurance`
+    });
+
+    expect(analysis.schemaVersion).toBe(JobDescriptionAnalyzer.SCHEMA_VERSION);
+    expect(analysis.distinctiveKeywords[0].term).toBe('payment reconciliation');
+    expect(analysis.distinctiveKeywords.map(entry => entry.term)).not.toContain('espresso');
+    expect(analyzer.getCorpus()).toBe(analyzer.getCorpus());
+  });
+});
+
+describe('Distinctive keywords in resume customization', () => {
+  const distinctiveKeywords = [
+    { term: 'payment reconciliation', bm25: 3 },
+    { term: 'node.js', bm25: 1 },
+    { term: 'go', bm25: 1 }
+  ];
+
+  test('keyword density should weight the distinctive keywords the resume uses', () => {
+    const matcher = new ResumeJobMatcher();
+    const resume = { summary: 'Built payment reconciliation services in Node.js on Google Cloud.' };
+
+    expect(matcher.calculateKeywordDensity(resume, { keywords: [], distinctiveKeywords })).toBeCloseTo(0.8);
+    expect(matcher.calculateKeywordDensity(resume, { keywords: ['node.js', 'kafka'] })).toBe(0.5);
+  });
+
+  test('the summary should name the most distinctive skills first', () => {
+    const generator = new DynamicResumeGenerator();
+    const summary = generator.generateCustomizedSummary('technical', {
+      basicInfo: { title: 'Software Engineer' },
+      industryContext: { primary: 'technology' },
+      extractedSkills: { technical: ['javascript', 'react', 'api', 'git', 'kafka'] },
+      distinctiveKeywords: [{ term: 'kafka', bm25: 2.5 }, { term: 'react', bm25: 1.2 }]
+    });
+
+    expect(summary).toContain('Proficient in kafka, react, javascript, api');
+  });
+});
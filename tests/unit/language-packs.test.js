@@ -0,0 +1,202 @@
+/**
+ * Language Packs Unit Tests
+ *
+ * Covers language detection, the English rewrite of German, Spanish and
+ * French wording, localized section headings, and that the same posting in
+ * each language is analyzed into the same output as the English one.
+ */
+
+const { detectLanguage, translateToEnglish, headingPatterns } = require('../../src/modules/language-packs');
+const { classifyHeading, segmentDescription } = require('../../src/modules/job-description-segmenter');
+const { KeywordCorpus } = require('../../src/modules/keyword-corpus');
+const JobDescriptionAnalyzer = require('../../src/modules/job-description-analyzer');
+
+const POSTINGS = {
+  en: {
+    title: 'Senior Full Stack Developer',
+    description: [
+      'We are an innovative, agile startup building a SaaS platform for logistics.',
+      '',
+      'Your responsibilities:',
+      '- Develop features with React and Node.js',
+      '- Design REST APIs and microservices on AWS',
+      '- Mentor junior developers',
+      '',
+      'Requirements:',
+      '- At least 5 years of experience in software development',
+      '- 3+ years of experience with React',
+      '- Degree in computer science',
+      '- Experience with PostgreSQL and Docker',
+      '',
+      'Nice to have:',
+      '- Kubernetes',
+      '',
+      'We offer:',
+      '- Remote work and flexible hours',
+      '- Professional development budget',
+      '- Health insurance'
+    ].join('\n')
+  },
+  de: {
+    title: 'Senior Full Stack Entwickler (m/w/d)',
+    description: [
+      'Wir sind ein innovatives, agiles Startup und bauen eine SaaS-Plattform für die Logistik.',
+      '',
+      'Deine Aufgaben:',
+      '- Du entwickelst Features mit React und Node.js',
+      '- Du entwirfst REST APIs und Microservices auf AWS',
+      '- Du betreust Junior-Entwickler',
+      '',
+      'Dein Profil:',
+      '- Mindestens 5 Jahre Berufserfahrung in der Softwareentwicklung',
+      '- 3+ Jahre Erfahrung mit React',
+      '- Abgeschlossenes Studium der Informatik',
+      '- Erfahrung mit PostgreSQL und Docker',
+      '',
+      'Wünschenswert:',
+      '- Kubernetes',
+      '',
+      'Wir bieten:',
+      '- Homeoffice und flexible Arbeitszeiten',
+      '- Budget für Weiterbildung',
+      '- Krankenversicherung'
+    ].join('\n')
+  },
+  es: {
+    title: 'Desarrollador Full Stack Senior',
+    description: [
+      'Somos una startup innovadora y ágil que construye una plataforma SaaS para la logística.',
+      '',
+      'Responsabilidades:',
+      '- Desarrollar funcionalidades con React y Node.js',
+      '- Diseñar REST APIs y microservicios en AWS',
+      '- Mentorizar a desarrolladores junior',
+      '',
+      'Requisitos:',
+      '- Al menos 5 años de experiencia en desarrollo de software',
+      '- 3+ años de experiencia con React',
+      '- Titulación en Ingeniería Informática',
+      '- Experiencia con PostgreSQL y Docker',
+      '',
+      'Valorable:',
+      '- Kubernetes',
+      '',
+      'Ofrecemos:',
+      '- Teletrabajo y horario flexible',
+      '- Presupuesto para desarrollo profesional',
+      '- Seguro médico'
+    ].join('\n')
+  },
+  fr: {
+    title: 'Développeur Full Stack Senior',
+    description: [
+      'Nous sommes une startup innovante et agile qui construit une plateforme SaaS pour la logistique.',
+      '',
+      'Vos missions :',
+      '- Développer des fonctionnalités avec React et Node.js',
+      '- Concevoir des REST APIs et des microservices sur AWS',
+      '- Encadrer des développeurs juniors',
+      '',
+      'Votre profil :',
+      "- Au moins 5 ans d'expérience en développement logiciel",
+      "- 3+ ans d'expérience avec React",
+      "- Diplôme d'ingénieur en informatique",
+      '- Expérience avec PostgreSQL et Docker',
+      '',
+      'Un plus :',
+      '- Kubernetes',
+      '',
+      'Nous offrons :',
+      '- Télétravail et horaires flexibles',
+      '- Budget de développement professionnel',
+      '- Mutuelle'
+    ].join('\n')
+  }
+};
+
+// The fields that must not depend on the language a posting is written in
+const comparable = analysis => ({
+  sections: analysis.sections.map(section => section.type),
+  jobType: analysis.jobType,
+  required: analysis.skills.required.map(skill => skill.name).sort(),
+  preferred: analysis.skills.preferred.map(skill => skill.name).sort(),
+  extractedSkills: analysis.extractedSkills,
+  keywords: analysis.keywords,
+  yearsRequired: analysis.experience.yearsRequired,
+  seniorityLevel: analysis.experience.seniorityLevel,
+  specificExperience: analysis.experience.specificExperience,
+  skillYears: analysis.experience.skillYears.map(({ skill, years, priority }) => ({ skill, years, priority })),
+  company: analysis.company.size,
+  industry: analysis.industryContext.primary,
+  culture: analysis.culture.traits,
+  benefits: analysis.benefits,
+  requirements: analysis.requirements,
+  remote: analysis.basicInfo.remote
+});
+
+describe('detectLanguage', () => {
+  test.each(Object.keys(POSTINGS))('should detect %s postings', language => {
+    expect(detectLanguage(POSTINGS[language].description)).toBe(language);
+  });
+
+  test('should fall back to English on text without enough stopwords', () => {
+    expect(detectLanguage('Senior React Developer')).toBe('en');
+    expect(detectLanguage('')).toBe('en');
+  });
+});
+
+describe('translateToEnglish', () => {
+  test('should rewrite experience, seniority and education wording into English', () => {
+    expect(translateToEnglish('Mindestens 3 bis 5 Jahre Berufserfahrung', 'de')).toBe('at least 3 to 5 years experience');
+    expect(translateToEnglish('Al menos 4 años de experiencia con Python', 'es')).toBe('at least 4 years of experience con Python');
+    expect(translateToEnglish("2 à 4 ans d'expérience, Bac+5 en informatique", 'fr')).toBe('2 to 4 years of experience, degree en computer science');
+  });
+
+  test('should only replace whole words and leave English text alone', () => {
+    expect(translateToEnglish('Ansible, Kanban et Pandas', 'fr')).toBe('Ansible, Kanban et Pandas');
+    expect(translateToEnglish('5+ Jahre Erfahrung', 'en')).toBe('5+ Jahre Erfahrung');
+  });
+});
+
+describe('Localized section headings', () => {
+  test.each([
+    ['Deine Aufgaben', 'de', 'responsibilities'],
+    ['Was du mitbringst', 'de', 'required'],
+    ['Von Vorteil', 'de', 'preferred'],
+    ['Lo que ofrecemos', 'es', 'benefits'],
+    ['Quiénes somos', 'es', 'about'],
+    ['Profil recherché', 'fr', 'required'],
+    ['Égalité des chances', 'fr', 'eeo']
+  ])('should classify "%s" (%s) as %s', (heading, language, type) => {
+    expect(classifyHeading(heading, headingPatterns(language))).toBe(type);
+  });
+
+  test('should segment a German posting by its own headings', () => {
+    const sections = segmentDescription(POSTINGS.de.description, { headingPatterns: headingPatterns('de') });
+
+    expect(sections.map(section => section.type)).toEqual(['summary', 'responsibilities', 'required', 'preferred', 'benefits']);
+    expect(segmentDescription('Über uns\nContoso baut Software.', { headingPatterns: headingPatterns('de') })[0].type).toBe('about');
+    expect(segmentDescription('Über uns\nContoso baut Software.')[0].type).toBe('summary');
+  });
+});
+
+describe('Multilingual job analysis', () => {
+  const analyzer = new JobDescriptionAnalyzer({ corpus: new KeywordCorpus() });
+  const english = analyzer.analyze(POSTINGS.en);
+
+  test.each(['de', 'es', 'fr'])('a %s posting should be analyzed like its English equivalent', language => {
+    const analysis = analyzer.analyze(POSTINGS[language]);
+
+    expect(analysis.language).toBe(language);
+    expect(comparable(analysis)).toEqual(comparable(english));
+  });
+
+  test('should keep headings and bullet points in the language they were posted in', () => {
+    const analysis = analyzer.analyze(POSTINGS.de);
+
+    expect(english.language).toBe('en');
+    expect(analysis.sections[2]).toEqual({ type: 'responsibilities', heading: 'Deine Aufgaben' });
+    expect(analysis.keyRequirements[1]).toBe('3+ Jahre Erfahrung mit React');
+    expect(analysis.skills.required.find(skill => skill.name === 'React').context).toEqual(['Deine Aufgaben', 'Dein Profil']);
+  });
+});
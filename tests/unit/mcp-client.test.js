@@ -0,0 +1,233 @@
+/**
+ * MCP Client Unit Tests
+ *
+ * Runs McpClient against a stub stdio server process (tests/fixtures/mcp)
+ * and an in-process SSE server to cover the initialize handshake, JSON-RPC
+ * framing split across or packed into chunks, error responses, timeouts,
+ * write failures, and a server dying mid-request with and without a
+ * reconnect, where only idempotent calls are sent again.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { McpClient, McpError, extractText } = require('../../mcp-integration/mcp-client');
+
+const STUB_SERVER = path.join(__dirname, '..', 'fixtures', 'mcp', 'stub-server.js');
+
+const stubClient = (options = {}) => new McpClient({
+  name: 'stub',
+  command: process.execPath,
+  args: [STUB_SERVER],
+  connectionTimeout: 5000,
+  requestTimeout: 5000,
+  reconnect: { maxAttempts: 0, delay: 10 },
+  ...options
+});
+
+describe('McpClient over stdio', () => {
+  let client;
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  test('should complete the handshake and load the tool list', async () => {
+    client = stubClient();
+    const connected = jest.fn();
+    client.on('connected', connected);
+
+    await client.connect();
+
+    expect(client.serverInfo).toEqual(expect.objectContaining({ name: 'stub' }));
+    expect((await client.listTools()).map(tool => tool.name)).toEqual(expect.arrayContaining(['echo', 'split', 'hang']));
+    expect(connected).toHaveBeenCalledTimes(1);
+    expect(extractText(await client.callTool('echo', { text: 'hello' }))).toBe('hello');
+  });
+
+  test('should reassemble a response split across chunks, mid-character included', async () => {
+    client = stubClient();
+
+    expect(extractText(await client.callTool('split'))).toBe('split ✅ done');
+  });
+
+  test('should read every message packed into one chunk and skip non JSON-RPC lines', async () => {
+    client = stubClient();
+    const notifications = [];
+    client.on('notification', message => notifications.push(message));
+
+    expect(extractText(await client.callTool('burst'))).toBe('burst');
+    expect(notifications).toEqual([expect.objectContaining({ method: 'notifications/progress', params: { progress: 1 } })]);
+  });
+
+  test('should reject JSON-RPC errors and isError results without dropping the connection', async () => {
+    client = stubClient();
+
+    const rpcError = await client.callTool('fail', { selector: '#apply' }).catch(error => error);
+    expect(rpcError).toBeInstanceOf(McpError);
+    expect(rpcError).toEqual(expect.objectContaining({ message: 'Invalid selector', code: -32602, data: { selector: '#apply' } }));
+
+    const toolError = await client.callTool('tool_error').catch(error => error);
+    expect(toolError).toBeInstanceOf(McpError);
+    expect(toolError.message).toBe('Element not found');
+    expect(toolError.data.isError).toBe(true);
+
+    expect(client.connected).toBe(true);
+    expect(client.pending.size).toBe(0);
+  });
+
+  test('should answer server-initiated pings', async () => {
+    client = stubClient();
+
+    expect(JSON.parse(extractText(await client.callTool('ping_client')))).toEqual({ jsonrpc: '2.0', id: 'server-1', result: {} });
+  });
+
+  test('should time out a request the server never answers and keep serving others', async () => {
+    client = stubClient();
+
+    const error = await client.callTool('hang', {}, { timeout: 100 }).catch(failure => failure);
+
+    expect(error.name).toBe('TimeoutError');
+    expect(error.message).toBe('MCP request "tools/call" timed out after 100ms');
+    expect(client.pending.size).toBe(0);
+    expect(extractText(await client.callTool('echo', { text: 'still here' }))).toBe('still here');
+  });
+
+  test('should time out a handshake the server never answers and stop the process', async () => {
+    client = stubClient({ args: ['-e', 'setInterval(() => {}, 1000)'], connectionTimeout: 200 });
+
+    await expect(client.connect()).rejects.toThrow('MCP request "initialize" timed out after 200ms');
+    expect(client.child).toBeNull();
+    expect(client.connected).toBe(false);
+  });
+
+  test('should fail every in-flight request when the server dies mid-request', async () => {
+    client = stubClient();
+    const disconnected = jest.fn();
+    client.on('disconnected', disconnected);
+    await client.connect();
+
+    const hanging = client.callTool('hang').catch(error => error);
+    const dying = await client.callTool('die').catch(error => error);
+
+    expect(dying.message).toBe('stub MCP server exited (code: 3, signal: null)');
+    expect(dying.retryable).toBe(true);
+    expect((await hanging).message).toBe(dying.message);
+    expect(disconnected).toHaveBeenCalledTimes(1);
+    expect(client.connected).toBe(false);
+    expect(client.pending.size).toBe(0);
+  });
+
+  test('should fail pending requests when writing to the server fails', async () => {
+    client = stubClient();
+    await client.connect();
+
+    const hanging = client.callTool('hang').catch(error => error);
+    while (client.pending.size === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    client.child.stdin.emit('error', Object.assign(new Error('write EPIPE'), { code: 'EPIPE' }));
+
+    expect(await hanging).toEqual(expect.objectContaining({ message: 'write EPIPE', retryable: true }));
+    expect(client.connected).toBe(false);
+    expect(client.pending.size).toBe(0);
+  });
+
+  describe('after the server dies', () => {
+    let stateDir;
+    let stateFile;
+
+    beforeEach(() => {
+      stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-stub-'));
+      stateFile = path.join(stateDir, 'died');
+      client = stubClient({ env: { STUB_STATE_FILE: stateFile }, reconnect: { maxAttempts: 1, delay: 10 } });
+    });
+
+    afterEach(() => {
+      fs.rmSync(stateDir, { recursive: true, force: true });
+    });
+
+    test('should not resend a call that may have run, and reconnect for the next one', async () => {
+      await client.connect();
+      const firstServer = client.serverInfo.version;
+
+      await expect(client.callTool('die')).rejects.toThrow('stub MCP server exited (code: 3, signal: null)');
+      expect(fs.readFileSync(stateFile, 'utf8')).toBe(firstServer);
+
+      expect(extractText(await client.callTool('echo', { text: 'next' }))).toBe('next');
+      expect(client.serverInfo.version).not.toBe(firstServer);
+    });
+
+    test('should reconnect to a fresh server and retry an idempotent call', async () => {
+      await client.connect();
+      const firstServer = client.serverInfo.version;
+
+      const result = await client.callTool('die', {}, { idempotent: true });
+
+      expect(fs.readFileSync(stateFile, 'utf8')).toBe(firstServer);
+      expect(client.serverInfo.version).not.toBe(firstServer);
+      expect(extractText(result)).toBe(`survived in ${client.serverInfo.version}`);
+    });
+  });
+});
+
+describe('McpClient over SSE', () => {
+  let server;
+  let client;
+
+  beforeEach(done => {
+    let stream = null;
+
+    // Frames are written in pieces with CRLF line endings to exercise the SSE parser
+    const sendEvent = (event, data) => {
+      const frame = `event: ${event}\r\ndata: ${data}\r\n\r\n`;
+      const cut = Math.floor(frame.length / 2);
+      stream.write(frame.slice(0, cut));
+      setTimeout(() => stream.write(frame.slice(cut)), 10);
+    };
+
+    server = http.createServer((req, res) => {
+      if (req.method === 'GET' && req.url === '/sse') {
+        stream = res;
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        sendEvent('endpoint', '/messages?session=1');
+        return;
+      }
+
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const message = JSON.parse(body);
+        res.writeHead(202);
+        res.end();
+
+        const results = {
+          initialize: { serverInfo: { name: 'sse-stub' } },
+          'tools/list': { tools: [{ name: 'echo' }] },
+          'tools/call': message.params && { content: [{ type: 'text', text: `sse ${JSON.stringify(message.params.arguments)}` }] }
+        };
+        if (message.id !== undefined) {
+          sendEvent('message', JSON.stringify({ jsonrpc: '2.0', id: message.id, result: results[message.method] }));
+        }
+      });
+    });
+
+    server.listen(0, () => {
+      client = new McpClient({ name: 'sse-stub', url: `http://localhost:${server.address().port}/sse`, reconnect: { maxAttempts: 0 } });
+      done();
+    });
+  });
+
+  afterEach(done => {
+    client.close().then(() => server.close(done));
+  });
+
+  test('should post to the announced endpoint and read responses split across chunks', async () => {
+    await client.connect();
+
+    expect(client.postUrl).toBe(`http://localhost:${server.address().port}/messages?session=1`);
+    expect(client.serverInfo).toEqual({ name: 'sse-stub' });
+    expect(extractText(await client.callTool('echo', { text: 'hi' }))).toBe('sse {"text":"hi"}');
+  });
+});
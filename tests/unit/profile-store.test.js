@@ -0,0 +1,188 @@
+/**
+ * Profile Store Unit Tests
+ *
+ * Covers schema validation of the candidate profile, that loading fails on
+ * missing required fields, and that the resume generators, form filler,
+ * cover letter and location matching all read the same profile.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_PROFILE, loadProfile, validateProfile, toMasterResume } = require('../../src/modules/profile-store');
+const config = require('../../src/config');
+const ResumeGenerator = require('../../src/modules/resume-generator');
+const DynamicResumeGenerator = require('../../src/resume-customization/dynamic-resume-generator');
+const ApplicationSubmission = require('../../src/modules/application-submission');
+const JobSearch = require('../../src/modules/job-search');
+const JobDescriptionAnalyzer = require('../../src/modules/job-description-analyzer');
+const { KeywordCorpus } = require('../../src/modules/keyword-corpus');
+
+const stored = JSON.parse(fs.readFileSync(DEFAULT_PROFILE, 'utf8'));
+
+// A different candidate, so nothing can pass by reading a hardcoded copy
+const PROFILE = {
+  ...stored,
+  name: 'Dana Reyes',
+  email: 'dana.reyes@example.com',
+  phone: '(916) 555-0142',
+  location: 'Portland, Oregon',
+  address: undefined,
+  links: { linkedin: 'https://www.linkedin.com/in/dana-reyes' },
+  yearsOfExperience: 9,
+  education: [
+    { degree: 'BS Computer Science', institution: 'Oregon State University', relevant: ['technical'] },
+    { degree: 'Digital Marketing Certificate', institution: 'Portland Community College', relevant: ['marketing'] }
+  ],
+  certifications: [{ name: 'Certified Scrum Master' }],
+  skills: {
+    ...stored.skills,
+    expertise: { technical: { years: 9, skills: ['JavaScript', 'React', 'Node.js'], achievements: ['Shipped a React checkout used by 2M shoppers'] } }
+  },
+  preferences: { ...stored.preferences, remote: false }
+};
+
+const JOB = {
+  title: 'Senior Full Stack Developer',
+  company: 'Northwind Labs',
+  location: 'Remote',
+  description: 'Build React and Node.js services on AWS. 5+ years of JavaScript experience required.'
+};
+
+describe('validateProfile', () => {
+  test('should accept the stored candidate profile', () => {
+    expect(validateProfile(stored)).toEqual({ valid: true, errors: [] });
+    expect(config.get('profile')).toEqual(stored);
+  });
+
+  test('should list every missing or malformed field with its path', () => {
+    const { name, ...unnamed } = stored;
+    const profile = {
+      ...unnamed,
+      email: 'not-an-email',
+      yearsOfExperience: '15',
+      workHistory: [{ ...stored.workHistory[0], company: undefined }],
+      certifications: [{ issuer: 'Google' }],
+      preferences: { remote: true, experienceLevel: 'Senior' },
+      workAuthorization: { ...stored.workAuthorization, citizenship: 'resident' }
+    };
+
+    expect(validateProfile(profile).errors).toEqual([
+      'profile.name: is required',
+      'profile.email: does not look valid',
+      'profile.yearsOfExperience: must be an integer',
+      'profile.workHistory[0].company: is required',
+      'profile.certifications[0].name: is required',
+      'profile.preferences.salaryMin: is required',
+      'profile.workAuthorization.citizenship: must be one of "citizen", "permanentResident"'
+    ]);
+  });
+
+  test('should validate nested maps such as skill proficiencies and expertise', () => {
+    const profile = {
+      ...stored,
+      skills: { ...stored.skills, technical: { frontend: { React: 120 } }, expertise: { seo: { years: 5, skills: [] } } }
+    };
+
+    expect(validateProfile(profile).errors).toEqual([
+      'profile.skills.technical.frontend.React: must be at most 100',
+      'profile.skills.expertise.technical: is required'
+    ]);
+  });
+});
+
+describe('loadProfile', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should load a valid profile file', () => {
+    const file = path.join(tmpDir, 'candidate-profile.json');
+    fs.writeFileSync(file, JSON.stringify(PROFILE));
+
+    expect(loadProfile(file).name).toBe('Dana Reyes');
+  });
+
+  test('should fail to load a profile with missing required fields', () => {
+    const file = path.join(tmpDir, 'candidate-profile.json');
+    const { phone, workAuthorization, ...incomplete } = stored;
+    fs.writeFileSync(file, JSON.stringify(incomplete));
+
+    expect(() => loadProfile(file)).toThrow(`Candidate profile ${file} is invalid:\n  profile.phone: is required\n  profile.workAuthorization: is required`);
+    expect(() => loadProfile(path.join(tmpDir, 'missing.json'))).toThrow(/^Candidate profile not found at /);
+  });
+
+  test('the configuration should refuse to load an invalid profile and fall back only when there is none', () => {
+    const file = path.join(tmpDir, 'candidate-profile.json');
+    const configDir = config.configDir;
+
+    try {
+      expect(config.reload(tmpDir).profile).toEqual(stored);
+
+      fs.writeFileSync(file, JSON.stringify({ ...stored, email: undefined }));
+      expect(() => config.reload(tmpDir)).toThrow(/profile\.email: is required/);
+    } finally {
+      config.reload(configDir);
+    }
+  });
+});
+
+describe('Profile consumers', () => {
+  test('ResumeGenerator should take contact details, history and skills from the profile and summaries from the template', () => {
+    const generator = new ResumeGenerator({ profile: PROFILE });
+
+    expect(generator.masterData).toEqual(expect.objectContaining(toMasterResume(PROFILE)));
+    expect(generator.masterData.personalInfo).toEqual(expect.objectContaining({ name: 'Dana Reyes', location: 'Portland, Oregon', experience: '9+ years' }));
+    expect(generator.masterData.professionalSummaries.hybrid).toEqual(expect.any(String));
+    expect(new ResumeGenerator().masterData.workExperience).toEqual(stored.workHistory);
+  });
+
+  test('DynamicResumeGenerator should fill the header, education, certifications and expertise from the profile', () => {
+    const analysis = new JobDescriptionAnalyzer({ corpus: new KeywordCorpus() }).analyze(JOB);
+    const { resumeContent, metadata } = new DynamicResumeGenerator({ profile: PROFILE }).generateCustomizedResume(analysis);
+
+    expect(metadata.templateType).toBe('technical');
+    expect(resumeContent.header).toEqual({
+      name: 'Dana Reyes',
+      email: 'dana.reyes@example.com',
+      phone: '(916) 555-0142',
+      location: 'Portland, Oregon',
+      linkedin: 'https://www.linkedin.com/in/dana-reyes'
+    });
+    expect(resumeContent.summary).toMatch(/^Experienced 9\+ year /);
+    expect(resumeContent.education.map(entry => entry.institution)).toEqual(['Oregon State University']);
+    expect(resumeContent.certifications).toEqual([{ name: 'Certified Scrum Master' }]);
+    expect(resumeContent.achievements).toEqual(['Shipped a React checkout used by 2M shoppers']);
+  });
+
+  test('ApplicationSubmission should fill forms and write cover letters from the profile', async () => {
+    const submission = new ApplicationSubmission();
+    submission.profileConfig = PROFILE;
+    submission.browser = { waitForElement: jest.fn(async () => ({})), type: jest.fn(async () => {}) };
+
+    await submission.fillPhoneNumber();
+    await submission.fillAddress();
+    const coverLetter = await submission.generateCoverLetter(JOB);
+
+    expect(submission.browser.type.mock.calls.map(([, value]) => value)).toEqual(['(916) 555-0142', 'Portland, Oregon']);
+    expect(coverLetter).toContain('With over 9 years of experience');
+    expect(coverLetter).toContain('I am based in Portland, Oregon, and am available to work on-site.');
+    expect(coverLetter).toMatch(/Best regards,\nDana Reyes$/);
+  });
+
+  test('JobSearch should score locations against the profile city and state', () => {
+    const jobSearch = new JobSearch();
+    jobSearch.profileConfig = PROFILE;
+
+    expect(jobSearch.calculateLocationMatch('Portland, OR (Hybrid)')).toBe(95);
+    expect(jobSearch.calculateLocationMatch('Eugene, Oregon')).toBe(80);
+    expect(jobSearch.calculateLocationMatch('Sacramento, CA')).toBe(50);
+    expect(jobSearch.calculateLocationMatch('United States (Remote)')).toBe(100);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Red Flag Detector Unit Tests
+ *
+ * Covers scam, staffing agency, ghost job and seniority signals, the risk
+ * score, and how JobSearch quality scores and the campaign quality filters
+ * use them.
+ */
+
+const { detectRedFlags, redFlagRejection } = require('../../src/modules/red-flag-detector');
+const { normalizeCampaign, CampaignEngine } = require('../../src/modules/campaign-engine');
+const JobSearch = require('../../src/modules/job-search');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const job = overrides => ({
+  title: 'Software Engineer',
+  company: 'Contoso',
+  location: 'United States (Remote)',
+  salary: '$120,000 - $140,000',
+  posted: '3 days ago',
+  applicants: '25-50 applicants',
+  description: 'Build Node.js services with 3+ years of experience in TypeScript.',
+  ...overrides
+});
+
+const types = result => result.flags.map(flag => flag.type);
+
+describe('detectRedFlags', () => {
+  test('should raise nothing for an ordinary posting', () => {
+    expect(detectRedFlags(job(), { now: NOW })).toEqual({ riskScore: 0, flags: [] });
+  });
+
+  test('should find scam signals with the sentence they came from', () => {
+    const result = detectRedFlags(job({
+      company: 'Confidential',
+      title: 'Entry Level Data Entry Clerk',
+      salary: '$4,000 weekly',
+      description: 'No experience required. Interviews are conducted via Telegram. You will need to purchase equipment from our vendor, reimbursed by check. Email hr.dept@gmail.com to start.'
+    }), { now: NOW });
+
+    expect(types(result)).toEqual(['payment', 'messagingApp', 'personalEmail', 'vagueCompany', 'unrealisticPay']);
+    expect(result.flags[1].text).toBe('interviews are conducted via telegram.');
+    expect(result.riskScore).toBe(100);
+  });
+
+  test('should not mistake product wording for messaging or payment requests', () => {
+    const result = detectRedFlags(job({ description: 'Build our Telegram bot integration. We pay for your laptop and a training budget.' }), { now: NOW });
+
+    expect(result.flags).toEqual([]);
+  });
+
+  test('should not flag anti-fraud notices that negate the signal', () => {
+    const notices = [
+      'To protect applicants, we will never interview candidates via Telegram or WhatsApp, and we never charge an application fee.',
+      'Acme never conducts interviews over WhatsApp.',
+      'Please do not message us on WhatsApp; all interviews happen on Zoom.'
+    ];
+
+    notices.forEach(description => expect(detectRedFlags(job({ description }), { now: NOW })).toEqual({ riskScore: 0, flags: [] }));
+    expect(types(detectRedFlags(job({ description: 'We never use recruiters. Interviews are held over WhatsApp.' }), { now: NOW })))
+      .toEqual(['messagingApp']);
+  });
+
+  test('should flag staffing agencies, ghost jobs and stale postings', () => {
+    const agency = detectRedFlags(job({ company: 'Apex Systems', description: 'Our client, a Fortune 500 bank, needs a Node.js engineer. W2 only.' }), { now: NOW });
+    const ghost = detectRedFlags(job({ posted: '5 weeks ago', applicants: 'Over 1,000 applicants' }), { now: NOW });
+    const stale = detectRedFlags(job({ postedAt: '2026-07-01T00:00:00Z', applicants: null }), { now: NOW });
+
+    expect(agency.flags).toEqual([expect.objectContaining({ type: 'staffingAgency', category: 'agency', text: 'our client, a fortune 500 bank, needs a node.' })]);
+    expect(ghost.flags).toEqual([expect.objectContaining({ type: 'ghostJob', severity: 'high', reason: 'Open 35 days with 1000+ applicants' })]);
+    expect(types(stale)).toEqual(['stalePosting']);
+    expect(types(detectRedFlags(job({ posted: '5 weeks ago' }), { now: NOW }))).toEqual([]);
+  });
+
+  test('should flag seniority that contradicts the experience asked for', () => {
+    expect(detectRedFlags(job({ title: 'Junior Developer', description: 'You have 7+ years of professional experience.' }), { now: NOW }).flags[0].reason)
+      .toBe('Junior title asks for 7+ years of experience');
+    expect(types(detectRedFlags(job({ title: 'Staff Engineer', description: 'This is an entry-level role.' }), { now: NOW }))).toEqual(['seniorityMismatch']);
+    expect(types(detectRedFlags(job({ title: 'Junior Senior Developer' }), { now: NOW }))).toEqual(['seniorityMismatch']);
+  });
+});
+
+describe('Red flag quality filters', () => {
+  test('redFlagRejection should reject excluded signals and risk above the maximum', () => {
+    const agency = detectRedFlags(job({ company: 'Randstad' }), { now: NOW });
+    const scam = detectRedFlags(job({ description: 'Text us on WhatsApp: +1 555 0100.' }), { now: NOW });
+
+    expect(redFlagRejection(agency)).toBeNull();
+    expect(redFlagRejection(agency, { maxRiskScore: 5 })).toBe('Red flag risk too high');
+    expect(redFlagRejection(scam)).toBe('Red flag: Moves the conversation to a personal messaging app');
+  });
+
+  test('JobSearch should lower the quality score by the risk score', () => {
+    const jobSearch = new JobSearch();
+    const clean = job({ posted: '1 day ago' });
+    const ghost = job({ posted: '2 months ago', applicants: '2,400 applicants' });
+
+    expect(jobSearch.calculateQualityScore(clean)).toBe(85);
+    expect(jobSearch.calculateQualityScore(ghost)).toBe(35);
+    expect(jobSearch.calculateJobMatch(ghost).redFlags.flags).toEqual([expect.objectContaining({ type: 'ghostJob' })]);
+  });
+
+  test('campaign quality filters should use the configured red flag limits', () => {
+    const engine = new CampaignEngine({ jobStore: {} });
+    const raw = { id: 'test', searchConfigurations: [{ keywords: ['Node.js'] }], qualityFilters: { includeKeywords: ['node.js'] } };
+    const agencyJob = job({ company: 'Insight Global', description: 'Our client needs a Node.js engineer. Contact us on WhatsApp.' });
+
+    expect(engine.qualityRejection(normalizeCampaign(raw), job())).toBeNull();
+    expect(engine.qualityRejection(normalizeCampaign(raw), agencyJob)).toBe('Red flag: Moves the conversation to a personal messaging app');
+    expect(engine.qualityRejection(normalizeCampaign({ ...raw, qualityFilters: { ...raw.qualityFilters, redFlags: { excludeSignals: ['staffingAgency'] } } }), job({ company: 'Kforce' })))
+      .toBe('Red flag: Posted by a staffing agency on behalf of a client');
+  });
+});
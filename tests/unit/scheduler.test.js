@@ -0,0 +1,215 @@
+/**
+ * Scheduler Unit Tests
+ *
+ * Covers cron parsing, quiet hours and jitter, persisted daily and weekly
+ * application quotas, the run lock and scheduler state across restarts.
+ * Commands are run by a stub instead of a child process.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Scheduler, RunLock, parseCron, nextCronTime, quietHoursEnd } = require('../../src/modules/scheduler');
+const { ApplicationQuota } = require('../../src/modules/application-quota');
+
+// Monday 19 October 2026, local time
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute);
+
+describe('Cron expressions', () => {
+  test('should expand lists, ranges and steps', () => {
+    const cron = parseCron('*/15 9-17/4 * * 1-5');
+
+    expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hours]).toEqual([9, 13, 17]);
+    expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    expect(() => parseCron('0 25 * * *')).toThrow('Invalid cron hour "25"');
+    expect(() => parseCron('0 9 * *')).toThrow('needs 5 fields');
+  });
+
+  test('should find the next run time', () => {
+    const weekdays = parseCron('30 9 * * 1-5');
+
+    expect(nextCronTime(weekdays, at(19, 8))).toEqual(at(19, 9, 30));
+    expect(nextCronTime(weekdays, at(19, 9, 30))).toEqual(at(20, 9, 30));
+    // Friday evening skips the weekend
+    expect(nextCronTime(weekdays, at(23, 18))).toEqual(at(26, 9, 30));
+    expect(nextCronTime(parseCron('@weekly'), at(19, 8))).toEqual(at(25, 0));
+    // Day of month and day of week both restricted: either matches
+    expect(nextCronTime(parseCron('0 12 1 * 3'), at(19, 8))).toEqual(at(21, 12));
+  });
+
+  test('should move times in quiet hours to their end, across midnight', () => {
+    const quietHours = { start: '22:00', end: '07:30' };
+
+    expect(quietHoursEnd(at(19, 23), quietHours)).toEqual(at(20, 7, 30));
+    expect(quietHoursEnd(at(20, 6), quietHours)).toEqual(at(20, 7, 30));
+    expect(quietHoursEnd(at(20, 12), quietHours)).toBeNull();
+  });
+});
+
+describe('ApplicationQuota', () => {
+  let tmpDir;
+  let now;
+  let quota;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-'));
+    now = at(21, 10);
+    quota = new ApplicationQuota({ filePath: path.join(tmpDir, 'quota.json'), perDay: 3, perWeek: 5, now: () => now });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should enforce the daily quota across instances', () => {
+    quota.record(3);
+
+    const other = new ApplicationQuota({ filePath: quota.filePath, perDay: 3, perWeek: 5, now: () => now });
+    expect(() => other.check()).toThrow('Daily application quota reached (3/3)');
+
+    now = at(22, 10);
+    expect(other.check()).toEqual(expect.objectContaining({ today: 0, week: 3, remaining: 2 }));
+  });
+
+  test('should enforce the weekly quota until the next Monday', () => {
+    quota.record(3);
+    now = at(22, 10);
+    quota.record(2);
+
+    now = at(25, 10);
+    let error;
+    try {
+      quota.check();
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).toBe('Weekly application quota reached (5/5)');
+    expect(error.context.quotaExceeded).toBe(true);
+
+    now = at(26, 10);
+    expect(quota.remaining()).toBe(3);
+  });
+});
+
+describe('Scheduler', () => {
+  let tmpDir;
+  let now;
+  let quota;
+  let runner;
+
+  const schedule = (overrides = {}) => ({
+    quietHours: { start: '22:00', end: '07:30' },
+    jitterMinutes: 0,
+    jobs: [
+      { id: 'seo-search', cron: '0 8 * * 1-5', command: ['search', '--filter', 'seo'] },
+      { id: 'node-campaign', cron: '30 9 * * 1-5', command: ['campaign', 'run', 'remote-nodejs'] }
+    ],
+    ...overrides
+  });
+
+  const scheduler = (options = {}) => new Scheduler({
+    schedule: schedule(),
+    statePath: path.join(tmpDir, 'state.json'),
+    lockPath: path.join(tmpDir, 'scheduler.lock'),
+    quota,
+    runner,
+    now: () => now,
+    random: () => 0,
+    ...options
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+    now = at(19, 7, 45);
+    quota = new ApplicationQuota({ filePath: path.join(tmpDir, 'quota.json'), perDay: 2, perWeek: 10, now: () => now });
+    runner = jest.fn(async () => ({ exitCode: 0 }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should run due jobs and remember their next runs across restarts', async () => {
+    const first = scheduler();
+    expect(await first.tick()).toEqual([]);
+
+    now = at(19, 8, 1);
+    const results = await first.tick();
+
+    expect(results).toEqual([expect.objectContaining({ id: 'seo-search', status: 'succeeded', nextRunAt: at(20, 8).toISOString() })]);
+    expect(runner).toHaveBeenCalledWith(['search', '--filter', 'seo'], expect.objectContaining({ id: 'seo-search' }));
+
+    // A restarted scheduler neither repeats the search nor forgets the campaign
+    now = at(19, 9, 40);
+    const second = scheduler();
+    expect((await second.tick()).map(result => result.id)).toEqual(['node-campaign']);
+    expect(runner).toHaveBeenCalledTimes(2);
+    expect(second.getStatus().find(job => job.id === 'seo-search').lastStatus).toBe('succeeded');
+  });
+
+  test('should add jitter and keep runs out of quiet hours', () => {
+    const late = scheduler({
+      schedule: schedule({ jitterMinutes: 20, jobs: [{ id: 'late', cron: '50 21 * * *', command: ['track'] }] }),
+      random: () => 0.99
+    });
+
+    const [job] = late.jobs;
+    expect(late.nextRunTime(job, at(19, 12))).toEqual(at(20, 7, 30));
+
+    late.jitterMinutes = 5;
+    expect(late.nextRunTime(job, at(19, 12))).toEqual(at(19, 21, 55));
+  });
+
+  test('should skip applying jobs while the quota is used up', async () => {
+    const instance = scheduler();
+    instance.planJobs();
+    quota.record(2);
+    now = at(19, 9, 31);
+
+    const results = await instance.tick();
+
+    expect(results.find(result => result.id === 'node-campaign').status).toBe('quota-reached');
+    expect(results.find(result => result.id === 'seo-search').status).toBe('succeeded');
+    expect(runner).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not overlap with a run holding the lock', async () => {
+    const lockPath = path.join(tmpDir, 'scheduler.lock');
+    const instance = scheduler();
+    instance.planJobs();
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, owner: 'node-campaign' }));
+    now = at(19, 8, 1);
+
+    const [result] = await instance.tick();
+
+    expect(result.status).toBe('locked');
+    expect(runner).not.toHaveBeenCalled();
+    expect(fs.existsSync(lockPath)).toBe(true);
+  });
+
+  test('should take over a lock left by a process that no longer runs', () => {
+    const lock = new RunLock(path.join(tmpDir, 'scheduler.lock'));
+    fs.writeFileSync(lock.filePath, JSON.stringify({ pid: 2147483646, owner: 'crashed' }));
+
+    expect(lock.acquire('seo-search')).toBe(true);
+    expect(lock.holder()).toEqual(expect.objectContaining({ pid: process.pid, owner: 'seo-search' }));
+
+    lock.release();
+    expect(fs.existsSync(lock.filePath)).toBe(false);
+  });
+
+  test('should record failed runs and release the lock', async () => {
+    runner = jest.fn(async () => {
+      throw new Error('Command exited with code 1');
+    });
+    const instance = scheduler();
+    instance.planJobs();
+    now = at(19, 8, 1);
+
+    const [result] = await instance.tick();
+
+    expect(result).toEqual(expect.objectContaining({ id: 'seo-search', status: 'failed', error: 'Command exited with code 1' }));
+    expect(fs.existsSync(path.join(tmpDir, 'scheduler.lock'))).toBe(false);
+  });
+});
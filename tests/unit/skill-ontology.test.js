@@ -0,0 +1,124 @@
+/**
+ * Skill Ontology Unit Tests
+ *
+ * Covers token-aware and version-insensitive matching, ambiguity rules and
+ * implied skills, and the credit ResumeGenerator and ResumeJobMatcher give
+ * for skills implied by more specific ones.
+ */
+
+const { SkillOntology, IMPLIED_CREDIT } = require('../../src/modules/skill-ontology');
+const JobDescriptionAnalyzer = require('../../src/modules/job-description-analyzer');
+const ResumeGenerator = require('../../src/modules/resume-generator');
+const ResumeJobMatcher = require('../../src/resume-customization/resume-job-matcher');
+
+describe('SkillOntology', () => {
+  let ontology;
+
+  beforeEach(() => {
+    ontology = new SkillOntology();
+  });
+
+  test('should match on token boundaries only', () => {
+    const found = ontology.scan('Strong JavaScript skills and Google Analytics experience.');
+
+    expect(found.JavaScript).toEqual(expect.objectContaining({ matchedBy: 'name' }));
+    expect(found.Java).toBeUndefined();
+    expect(found.Go).toBeUndefined();
+    expect(ontology.has('agile/scrum teams', 'r')).toBe(false);
+  });
+
+  test('should ignore versions on names but keep short versioned aliases apart', () => {
+    expect(ontology.canonicalName('Python 3.11')).toBe('Python');
+    expect(ontology.canonicalName('React 18')).toBe('React');
+    expect(ontology.canonicalName('Vue3')).toBe('Vue.js');
+    expect(ontology.canonicalName('ES6')).toBe('JavaScript');
+    expect(ontology.canonicalName('ES')).toBe('Elasticsearch');
+
+    const found = ontology.scan('Python3, Angular 15 and ES6');
+    expect(Object.keys(found)).toEqual(expect.arrayContaining(['Python', 'Angular', 'JavaScript']));
+    expect(found.Elasticsearch).toBeUndefined();
+  });
+
+  test('should only count ambiguous terms with a cue or next to another listed skill', () => {
+    expect(ontology.scan('We go the extra mile for customers.').Go).toBeUndefined();
+    expect(ontology.scan('Services written in Python, Go and Rust.').Go).toEqual({ mentions: 1, matchedBy: 'name' });
+    expect(ontology.scan('Statistical modeling in R.').R).toEqual({ mentions: 1, matchedBy: 'name' });
+  });
+
+  test.each([
+    ['Python3', ['Python']],
+    ['React', ['React']],
+    ['JavaScript', ['JavaScript']],
+    ['Node.js', ['Node.js']],
+    ['Keyword research and link building', []],
+    ['Run go build in the CI pipeline for automation', []]
+  ])('should only detect what "%s" names', (text, skills) => {
+    expect(Object.keys(ontology.scan(text))).toEqual(skills);
+  });
+
+  test('should drop keywords that are another skill\'s name or alias', () => {
+    const custom = new SkillOntology({
+      database: { skillCategories: { languages: { skills: { JavaScript: { keywords: ['react', 'ecmascript'] }, React: { aliases: ['ReactJS'] } } } } },
+      ontology: {}
+    });
+
+    expect(custom.get('JavaScript').terms.map(entry => entry.term)).toEqual(['javascript', 'ecmascript']);
+    expect(Object.keys(custom.scan('ReactJS developer'))).toEqual(['React']);
+  });
+
+  test('should read a ".js" suffix as the skill it is added to', () => {
+    expect(ontology.scan('Maintain our Angular.js dashboard')).toEqual({ Angular: { mentions: 1, matchedBy: 'name' } });
+    expect(ontology.canonicalName('Angular.js')).toBe('Angular');
+    expect(ontology.scan('Node.js and Vue.js')).toEqual({
+      'Vue.js': { mentions: 1, matchedBy: 'name' },
+      'Node.js': { mentions: 1, matchedBy: 'name' }
+    });
+  });
+
+  test('should resolve implied skills through the hierarchy', () => {
+    expect(ontology.ancestors('Next.js')).toEqual(['React', 'JavaScript']);
+    expect(ontology.descendants('React')).toEqual(['Next.js']);
+
+    const { direct, implied } = ontology.expand(['NextJS', 'Django']);
+    expect([...direct]).toEqual(['Next.js', 'Django']);
+    expect(Object.fromEntries(implied)).toEqual({ React: 'Next.js', JavaScript: 'Next.js', Python: 'Django' });
+  });
+});
+
+describe('Ontology consumers', () => {
+  test('the analyzer should list skills implied by the ones mentioned', () => {
+    const { ranked, implied } = new JobDescriptionAnalyzer().extractSkills('must have nuxt.js experience');
+
+    expect(ranked.map(skill => skill.name)).toEqual(['Nuxt.js']);
+    expect(implied).toEqual([
+      expect.objectContaining({ name: 'Vue.js', matchedBy: 'implied', impliedBy: ['Nuxt.js'], priority: 'required' }),
+      expect.objectContaining({ name: 'JavaScript', matchedBy: 'implied', impliedBy: ['Nuxt.js'] })
+    ]);
+  });
+
+  test('ResumeGenerator should return implied skills and credit them from more specific master skills', () => {
+    const generator = new ResumeGenerator();
+    generator.masterData = {
+      ...generator.masterData,
+      technicalSkills: { frontendFrameworks: { 'Next.js': { proficiency: 90, years: 4 } }, programmingLanguages: { Python: 85 } }
+    };
+
+    expect(generator.extractRequiredSkills('nuxt.js developer').map(skill => skill.name)).toEqual(['Nuxt.js', 'Vue.js', 'JavaScript']);
+
+    const matches = generator.calculateSkillMatches([{ name: 'React', matchedBy: 'name' }, { name: 'Python 3', matchedBy: 'name' }, { name: 'Go', matchedBy: 'name' }]);
+    const direct = generator.calculateSkillMatchScore({ matchedBy: 'name' }, { proficiency: 90, years: 4 });
+
+    expect(matches.React).toEqual(expect.objectContaining({ impliedBy: 'Next.js', proficiency: 90, matchScore: direct * IMPLIED_CREDIT }));
+    expect(matches['Python 3']).toEqual(expect.objectContaining({ proficiency: 85, years: 8 }));
+    expect(matches.Go.matchScore).toBe(0);
+  });
+
+  test('ResumeJobMatcher should credit implied skills and not match substrings', () => {
+    const matcher = new ResumeJobMatcher();
+    const score = skills => matcher.calculateSkillsMatch({ skills: { primary: skills } }, { extractedSkills: { technical: ['javascript', 'python'] } });
+
+    expect(score(['JavaScript', 'Python'])).toBe(1);
+    expect(score(['Java'])).toBe(0);
+    expect(score(['React', 'Django'])).toBeCloseTo(IMPLIED_CREDIT);
+  });
+});
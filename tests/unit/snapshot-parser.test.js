@@ -0,0 +1,85 @@
+/**
+ * Snapshot Parser Unit Tests
+ * 
+ * Parses a captured browsermcp search results snapshot and checks that
+ * every job card field and element ref is extracted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSnapshot, extractJobCards, extractJobId, findNodes } = require('../../src/modules/snapshot-parser');
+const JobSearch = require('../../src/modules/job-search');
+
+const searchResults = fs.readFileSync(
+  path.join(__dirname, '..', 'fixtures', 'snapshots', 'linkedin-search-results.txt'),
+  'utf8'
+);
+
+describe('Snapshot Parser', () => {
+  test('should build a node tree with roles, names, refs and urls', () => {
+    const parsed = parseSnapshot(searchResults);
+
+    expect(parsed.url).toContain('linkedin.com/jobs/search');
+    expect(parsed.title).toBe('Full Stack Developer Jobs in Sacramento, CA | LinkedIn');
+
+    const [heading] = findNodes(parsed, 'heading');
+    expect(heading.name).toBe('Full Stack Developer in Sacramento, CA');
+    expect(heading.attributes.level).toBe('1');
+    expect(heading.ref).toBe('s1e101');
+
+    const [jobsLink] = findNodes(parsed, 'link', /^Jobs$/);
+    expect(jobsLink.url).toBe('https://www.linkedin.com/jobs/');
+  });
+
+  test('should extract one card per job with all visible fields', () => {
+    const cards = extractJobCards(searchResults);
+
+    expect(cards).toHaveLength(3);
+    expect(cards[0]).toEqual({
+      jobId: '4100000001',
+      title: 'Senior Full Stack Engineer',
+      company: 'Northwind Labs',
+      location: 'United States (Remote)',
+      salary: '$130K/yr - $160K/yr',
+      posted: '2 days ago',
+      applicants: 'Over 100 applicants',
+      promoted: true,
+      easyApply: true,
+      url: 'https://www.linkedin.com/jobs/view/4100000001/?eBP=CwEAAAGY&refId=abc%3D%3D&trackingId=xyz',
+      refs: { card: 's1e120', title: 's1e123', easyApply: 's1e131' }
+    });
+  });
+
+  test('should handle slug URLs, currentJobId links and missing badges', () => {
+    const [, bluegrass, lonestar] = extractJobCards(searchResults);
+
+    expect(bluegrass.jobId).toBe('4100000002');
+    expect(bluegrass.company).toBe('Bluegrass Health');
+    expect(bluegrass.location).toBe('Sacramento, CA (Hybrid)');
+    expect(bluegrass.applicants).toBeNull();
+    expect(bluegrass.promoted).toBe(false);
+
+    expect(lonestar.jobId).toBe('4100000008');
+    expect(lonestar.easyApply).toBe(false);
+    expect(lonestar.posted).toBe('Reposted 4 days ago');
+    expect(lonestar.applicants).toBe('Be among the first 25 applicants');
+    expect(lonestar.salary).toBeNull();
+  });
+
+  test('should extract job IDs from LinkedIn URL shapes', () => {
+    expect(extractJobId('https://www.linkedin.com/jobs/view/4280527652')).toBe('4280527652');
+    expect(extractJobId('/jobs/view/senior-engineer-at-acme-4280527652/?trk=x')).toBe('4280527652');
+    expect(extractJobId('/jobs/search/?currentJobId=4280527652&keywords=seo')).toBe('4280527652');
+    expect(extractJobId('https://www.linkedin.com/company/acme/')).toBeNull();
+  });
+
+  test('should feed JobSearch results with stable IDs and refs', async () => {
+    const jobSearch = new JobSearch();
+    const results = await jobSearch.parseLinkedInResults({ text: searchResults });
+
+    expect(results.map(job => job.id)).toEqual(['job-4100000001', 'job-4100000002', 'job-4100000008']);
+    expect(results[0].url).toBe('https://www.linkedin.com/jobs/view/4100000001');
+    expect(results[0].refs.title).toBe('s1e123');
+    expect(results[2].easyApply).toBe(false);
+  });
+});
@@ -4,7 +4,7 @@
  */
 
 // Import our components
-const JobDescriptionAnalyzer = require('./src/resume-customization/job-description-analyzer');
+const JobDescriptionAnalyzer = require('./src/modules/job-description-analyzer');
 const DynamicResumeGenerator = require('./src/resume-customization/dynamic-resume-generator');
 const ResumeJobMatcher = require('./src/resume-customization/resume-job-matcher');
 
@@ -58,11 +58,7 @@ async function validateSystem() {
         console.log('-' .repeat(40));
         
         const startAnalysis = Date.now();
-        const jobAnalysis = jobAnalyzer.analyzeJobDescription(
-            testJob.description,
-            testJob.title,
-            testJob.company
-        );
+        const jobAnalysis = jobAnalyzer.analyze(testJob);
         const analysisTime = (Date.now() - startAnalysis) / 1000;
 
         console.log(`✓ Analysis completed in ${analysisTime}s`);
@@ -73,7 +69,7 @@ async function validateSystem() {
         console.log(`  - Leadership: ${jobAnalysis.extractedSkills.leadership.length} skills`);
         console.log(`  - Analytics: ${jobAnalysis.extractedSkills.analytics.length} skills`);
         console.log(`✓ Industry: ${jobAnalysis.industryContext.primary} (${Math.round(jobAnalysis.industryContext.confidence * 100)}% confidence)`);
-        console.log(`✓ Experience level: ${jobAnalysis.experienceLevel}`);
+        console.log(`✓ Experience level: ${jobAnalysis.experience.seniorityLevel}`);
         console.log(`✓ Key requirements: ${jobAnalysis.keyRequirements.length}`);
         console.log(`✓ Keywords for matching: ${jobAnalysis.keywords.length}`);
 